@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Alerts API - anomalies detected on daily brand metrics
+ * Endpoints:
+ *   GET  /api/alerts?brandId=...&status=open|acknowledged|dismissed|all&limit=50
+ *   POST /api/alerts { alertId, action: 'acknowledge' | 'dismiss' }
+ *   POST /api/alerts { brandId, action: 'scan' }   - run detection for the brand now
+ *
+ * Alerts are created by the daily sweep in /api/alerts/scan (see services/anomaly-service.js).
+ */
+
+const {
+  ALERT_STATUS,
+  scanBrand,
+  listAlerts,
+  getAlert,
+  updateAlertStatus
+} = require('../../services/anomaly-service');
+const { withAuth, checkBrandAccess } = require('../../utils/auth.cjs.js');
+
+const STATUS_FILTERS = [...Object.values(ALERT_STATUS), 'all'];
+const ALERT_ACTIONS = ['acknowledge', 'dismiss'];
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { brandId, status = ALERT_STATUS.OPEN, limit } = req.query || {};
+      if (!brandId) {
+        return res.status(400).json({ error: 'Missing required parameter: brandId' });
+      }
+      if (!STATUS_FILTERS.includes(status)) {
+        return res.status(400).json({
+          error: 'Invalid status',
+          message: `status must be one of: ${STATUS_FILTERS.join(', ')}`
+        });
+      }
+
+      const alerts = await listAlerts(brandId, {
+        status,
+        limit: Math.min(parseInt(limit) || 50, 200)
+      });
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(200).json({ success: true, brandId, status, count: alerts.length, alerts });
+    }
+
+    if (req.method === 'POST') {
+      const { alertId, brandId, action } = req.body || {};
+
+      if (action === 'scan') {
+        if (!brandId) {
+          return res.status(400).json({ error: 'Missing required field: brandId' });
+        }
+        const result = await scanBrand(brandId);
+        return res.status(200).json({ success: true, ...result });
+      }
+
+      if (!ALERT_ACTIONS.includes(action)) {
+        return res.status(400).json({
+          error: 'Invalid action',
+          message: `action must be one of: ${[...ALERT_ACTIONS, 'scan'].join(', ')}`
+        });
+      }
+      if (!alertId) {
+        return res.status(400).json({ error: 'Missing required field: alertId' });
+      }
+
+      const alert = await getAlert(alertId);
+      if (!alert) {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+
+      if (req.auth?.user) {
+        const reason = await checkBrandAccess(req.auth.user, alert.brandId);
+        if (reason) {
+          return res.status(403).json({ error: 'Forbidden', message: reason, success: false });
+        }
+      }
+
+      const updated = await updateAlertStatus(alertId, action, req.auth?.uid || null);
+      return res.status(200).json({ success: true, alert: updated });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Alerts API - Error:', error);
+    return res.status(500).json({ error: 'Alerts request failed', message: error.message });
+  }
+}
+
+module.exports = withAuth(handler);
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Anomaly scan - daily sweep that records metric alerts per brand
+ * Endpoints:
+ *   GET  /api/alerts/scan               - cron sweep over brands not yet scanned for yesterday
+ *   POST /api/alerts/scan { brandId }   - scan one brand now
+ *
+ * The cron runs hourly; each run scans brands until its time budget is spent and
+ * the next run continues with the rest, so large brand lists are covered over a
+ * few hours instead of timing out. Sweeps start at ANOMALY_SCAN_START_HOUR
+ * (business timezone, default 6) so yesterday's GA4 and Meta data has settled.
+ */
+
+const moment = require('moment-timezone');
+const { scanBrand, findBrandsToScan } = require('../../services/anomaly-service');
+const { getBusinessTimezone } = require('../../utils/date-utils');
+const { SWEEP_TIME_BUDGET_MS, requireCronAuth } = require('../../utils/cron');
+
+const SCAN_START_HOUR = parseInt(process.env.ANOMALY_SCAN_START_HOUR || '6');
+
+module.exports = async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!requireCronAuth(req, res)) return;
+
+  try {
+    if (req.method === 'POST') {
+      const { brandId } = req.body || {};
+      if (!brandId) {
+        return res.status(400).json({ error: 'brandId is required' });
+      }
+      const result = await scanBrand(brandId);
+      return res.status(200).json({ success: true, ...result });
+    }
+
+    if (req.method === 'GET') {
+      const startedAt = Date.now();
+      const now = moment.tz(getBusinessTimezone());
+      if (now.hour() < SCAN_START_HOUR) {
+        return res.status(200).json({ success: true, skipped: true, reason: `Sweeps start at ${SCAN_START_HOUR}:00 ${now.tz()}` });
+      }
+
+      const date = now.clone().subtract(1, 'day').format('YYYY-MM-DD');
+      const brands = await findBrandsToScan(date);
+      const results = [];
+
+      for (const brand of brands) {
+        if (Date.now() - startedAt > SWEEP_TIME_BUDGET_MS) break;
+        try {
+          const { anomalies, alerts } = await scanBrand(brand.id, { organizationId: brand.organizationId, to: date });
+          results.push({ brandId: brand.id, anomalies, newAlerts: alerts.length });
+        } catch (error) {
+          console.error('Anomaly Scan - Error scanning brand:', { brandId: brand.id, error: error.message });
+          results.push({ brandId: brand.id, status: 'error', error: error.message });
+        }
+      }
+
+      console.log('Anomaly Scan - Sweep finished:', { date, pending: brands.length, processed: results.length });
+      return res.status(200).json({ success: true, date, processed: results.length, results });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Anomaly Scan - Error:', error);
+    return res.status(500).json({ error: 'Scan failed', message: error.message });
+  }
+};
+
+module.exports.config = { maxDuration: 300 };
@@ -2,10 +2,12 @@
  * @fileoverview API Logs fetcher
  * Endpoint: GET /api/api-logs
  * Filters: api, brandId, organizationId, userId
+ * Export: format=csv|xlsx downloads the items (see utils/export.js)
  */
 
 // CJS to be compatible with Vercel serverless default
 const admin = require('firebase-admin');
+const { withExport } = require('../utils/export.js');
 
 module.exports.config = { maxDuration: 30 };
 
@@ -138,7 +140,7 @@ function parseLimit(v, max = 500) {
   return Math.min(n, max);
 }
 
-module.exports = async (req, res) => {
+module.exports = withExport(async (req, res) => {
   // CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
@@ -342,5 +344,10 @@ module.exports = async (req, res) => {
     console.error('api-logs: query failed:', err?.message || err);
     return res.status(500).json({ error: 'Failed to fetch api logs', details: process.env.NODE_ENV === 'development' ? (err?.message || String(err)) : undefined });
   }
-};
+}, {
+  name: 'api-logs',
+  datasets: {
+    logs: { rows: (body) => body.items }
+  }
+});
 
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Attribution API - conversions and revenue credited per channel under
+ * first-touch, last-touch, linear and time-decay models
+ * @module api/attribution
+ *
+ * GET /api/attribution?brandId=...&from=...&to=...
+ *   models    Comma-separated subset of first_touch,last_touch,linear,time_decay (default: all)
+ *   halfLife  Time-decay half-life in days (default 7, 1-90)
+ *
+ * GA4 conversions are attributed by services/attribution-service.js. When the
+ * brand has Meta Ads connected, Meta's own reported purchases are returned
+ * next to what each model credits to paid social.
+ */
+
+const {
+  ATTRIBUTION_MODELS,
+  DEFAULT_HALF_LIFE_DAYS,
+  TOUCHPOINTS,
+  getConversionPaths,
+  attributeConversions,
+  buildMetaComparison
+} = require('../services/attribution-service.js');
+const { getMetaConversionTotals } = require('../services/meta-ads-service.js');
+const { getBrandConnections } = require('../services/firebase-service.js');
+const { getDefaultDateRange } = require('../utils/date-utils.js');
+const { createCache, brandTag, hashKey, isCacheBypassed, setCacheHeaders } = require('../services/cache-service.js');
+const { withAuth } = require('../utils/auth.cjs.js');
+
+const cache = createCache('attribution', { ttl: 15 * 60 * 1000 }); // 15 minutes cache TTL
+
+async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed', message: 'This endpoint only accepts GET requests' });
+  }
+
+  const { brandId, from, to, models, halfLife } = req.query || {};
+
+  if (!brandId) {
+    return res.status(400).json({ error: 'Missing required parameter: brandId' });
+  }
+
+  const requestedModels = models ? models.split(',').map(model => model.trim()).filter(Boolean) : ATTRIBUTION_MODELS;
+  const unknownModel = requestedModels.find(model => !ATTRIBUTION_MODELS.includes(model));
+  if (unknownModel || !requestedModels.length) {
+    return res.status(400).json({
+      error: 'Invalid models',
+      message: `models must be a comma-separated list of: ${ATTRIBUTION_MODELS.join(', ')}`
+    });
+  }
+
+  const halfLifeDays = halfLife !== undefined ? parseFloat(halfLife) : DEFAULT_HALF_LIFE_DAYS;
+  if (!isFinite(halfLifeDays) || halfLifeDays < 1 || halfLifeDays > 90) {
+    return res.status(400).json({ error: 'Invalid halfLife', message: 'halfLife must be between 1 and 90 days' });
+  }
+
+  const { fromDate, toDate } = getDefaultDateRange(from, to);
+
+  try {
+    const connections = await getBrandConnections(brandId);
+    const ga4Connection = connections.ga4;
+    const metaConnection = connections.meta_ads;
+
+    if (!ga4Connection?.access_token || !ga4Connection?.property_id) {
+      return res.status(404).json({
+        error: 'GA4 not connected',
+        message: 'Attribution needs a GA4 connection with a property and access token'
+      });
+    }
+
+    const hasMeta = !!(metaConnection?.access_token && metaConnection?.ad_account_id);
+    const cacheKey = hashKey(`attribution_${ga4Connection.property_id}_${hasMeta ? metaConnection.ad_account_id : 'none'}_${fromDate}_${toDate}_${requestedModels.join(',')}_${halfLifeDays}`);
+    const bypassCache = isCacheBypassed(req);
+
+    if (!bypassCache) {
+      const cached = await cache.get(cacheKey);
+      if (cached && !cached.expired) {
+        setCacheHeaders(res, 'HIT', cached.age);
+        return res.status(200).json(cached.value);
+      }
+      setCacheHeaders(res, cached ? 'EXPIRED' : 'MISS');
+    } else {
+      setCacheHeaders(res, 'BYPASS');
+    }
+
+    const [pathsResult, metaResult] = await Promise.allSettled([
+      getConversionPaths(ga4Connection.property_id, fromDate, toDate, {
+        accessToken: ga4Connection.access_token,
+        refreshToken: ga4Connection.refresh_token
+      }),
+      hasMeta
+        ? getMetaConversionTotals(metaConnection.ad_account_id, fromDate, toDate, { accessToken: metaConnection.access_token })
+        : Promise.resolve(null)
+    ]);
+
+    // Attribution is meaningless without GA4 paths; Meta is only a side-by-side
+    if (pathsResult.status === 'rejected') {
+      throw pathsResult.reason;
+    }
+
+    const attribution = attributeConversions(pathsResult.value, { models: requestedModels, halfLifeDays });
+
+    let metaAds = { connected: hasMeta };
+    if (metaResult.status === 'fulfilled' && metaResult.value) {
+      metaAds = { connected: true, ...buildMetaComparison(metaResult.value, attribution.channels, requestedModels) };
+    } else if (metaResult.status === 'rejected') {
+      console.error('Attribution API - Meta conversions error:', metaResult.reason?.message || metaResult.reason);
+      metaAds = { connected: true, error: metaResult.reason?.response?.data?.error?.message || metaResult.reason?.message };
+    }
+
+    const response = {
+      success: true,
+      brandId,
+      from: fromDate,
+      to: toDate,
+      models: requestedModels,
+      halfLifeDays,
+      touchpoints: TOUCHPOINTS,
+      totals: attribution.totals,
+      channels: attribution.channels,
+      meta_ads: metaAds
+    };
+
+    if (!bypassCache) {
+      await cache.set(cacheKey, response, { tags: [brandTag(brandId)] });
+    }
+
+    console.log('Attribution API - Report built:', {
+      brandId,
+      paths: pathsResult.value.length,
+      conversions: attribution.totals.conversions,
+      channels: attribution.channels.length,
+      hasMeta
+    });
+
+    return res.status(200).json(response);
+  } catch (error) {
+    console.error('Attribution API - Error:', {
+      brandId,
+      status: error.response?.status,
+      message: error.message,
+      response: error.response?.data
+    });
+    return res.status(500).json({
+      error: 'Failed to build attribution report',
+      message: error.response?.data?.error?.message || error.message,
+      success: false
+    });
+  }
+}
+
+module.exports = withAuth(handler);
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Backlink monitor API - backlink and referring domain history,
+ * new/lost/changed links and toxic referring domains
+ * Endpoints:
+ *   GET /api/backlink-monitor?brandId=...&from=...&to=...   - totals per snapshot, plus the latest
+ *                                                            snapshot's changes and toxic domains
+ *   GET /api/backlink-monitor?brandId=...&date=YYYY-MM-DD   - one snapshot (links=1 adds the sampled links)
+ *   PUT /api/backlink-monitor { brandId, domain?, toxicThreshold?, enabled? }  - set up or change monitoring
+ *
+ * Snapshots are taken daily by /api/backlink-monitor/run (cron).
+ */
+
+const {
+  getMonitorConfig,
+  saveMonitorConfig,
+  getBacklinkHistory,
+  getSnapshot
+} = require('../../services/backlink-monitor-service');
+const { getBrandInfo } = require('../../services/firebase-service');
+const { getDefaultDateRange } = require('../../utils/date-utils');
+const { createCache, brandTag, hashKey, isCacheBypassed, setCacheHeaders } = require('../../services/cache-service');
+const { withAuth } = require('../../utils/auth.cjs.js');
+
+const cache = createCache('backlink-monitor', { ttl: 60 * 60 * 1000 }); // 1 hour; cleared when a snapshot is stored
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    if (req.method === 'PUT') {
+      const body = req.body || {};
+      if (!body.brandId) {
+        return res.status(400).json({ error: 'Missing required field: brandId' });
+      }
+
+      const brand = await getBrandInfo(body.brandId);
+      if (!brand) {
+        return res.status(404).json({ error: 'Brand not found' });
+      }
+
+      const config = await saveMonitorConfig(brand, {
+        domain: body.domain,
+        toxicThreshold: body.toxicThreshold,
+        enabled: body.enabled
+      });
+      return res.status(200).json({ success: true, config });
+    }
+
+    if (req.method === 'GET') {
+      const { brandId, from, to, date = null, links } = req.query || {};
+      if (!brandId) {
+        return res.status(400).json({ error: 'Missing required parameter: brandId' });
+      }
+
+      if (date) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+          return res.status(400).json({ error: 'Invalid date format', message: 'Please provide date in YYYY-MM-DD format' });
+        }
+        const snapshot = await getSnapshot(brandId, date, { includeLinks: links === '1' || links === 'true' });
+        if (!snapshot) {
+          return res.status(404).json({ error: 'Snapshot not found', message: `No backlink snapshot for ${date}` });
+        }
+        return res.status(200).json({ success: true, brandId, snapshot });
+      }
+
+      const { fromDate, toDate } = getDefaultDateRange(from, to);
+      const cacheKey = hashKey(`backlink-monitor_${brandId}_${fromDate}_${toDate}`);
+      const bypassCache = isCacheBypassed(req);
+
+      if (!bypassCache) {
+        const cached = await cache.get(cacheKey);
+        if (cached && !cached.expired) {
+          setCacheHeaders(res, 'HIT', cached.age);
+          return res.status(200).json(cached.value);
+        }
+        setCacheHeaders(res, cached ? 'EXPIRED' : 'MISS');
+      } else {
+        setCacheHeaders(res, 'BYPASS');
+      }
+
+      const config = await getMonitorConfig(brandId);
+      const history = await getBacklinkHistory(brandId, { from: fromDate, to: toDate });
+
+      const response = {
+        success: true,
+        brandId,
+        from: fromDate,
+        to: toDate,
+        config,
+        ...history
+      };
+
+      if (!bypassCache) {
+        await cache.set(cacheKey, response, { tags: [brandTag(brandId), `backlink-monitor:${brandId}`] });
+      }
+
+      console.log('Backlink Monitor API - History returned:', {
+        brandId,
+        from: fromDate,
+        to: toDate,
+        snapshots: history.summary.snapshots,
+        newLinks: history.summary.newLinks,
+        lostLinks: history.summary.lostLinks
+      });
+
+      return res.status(200).json(response);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    if (error.code === 'INVALID_MONITOR_CONFIG') {
+      return res.status(400).json({ error: 'Invalid monitor config', message: error.message });
+    }
+    console.error('Backlink Monitor API - Error:', error);
+    return res.status(500).json({ error: 'Backlink monitor request failed', message: error.message });
+  }
+}
+
+module.exports = withAuth(handler);
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Backlink monitor - daily backlink snapshots for monitored brands
+ * Endpoints:
+ *   GET  /api/backlink-monitor/run               - cron sweep over brands without today's snapshot
+ *   POST /api/backlink-monitor/run { brandId }   - snapshot one brand now (replaces today's snapshot)
+ *
+ * The cron runs hourly and snapshots brands until its time budget is spent;
+ * the next run picks up the brands still missing today's snapshot
+ * (services/backlink-monitor-service.js).
+ */
+
+const moment = require('moment-timezone');
+const { snapshotBrand, findBrandsToSnapshot } = require('../../services/backlink-monitor-service');
+const { getBusinessTimezone } = require('../../utils/date-utils');
+const { SWEEP_TIME_BUDGET_MS, requireCronAuth } = require('../../utils/cron');
+
+module.exports = async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!requireCronAuth(req, res)) return;
+
+  try {
+    const startedAt = Date.now();
+    const deadline = startedAt + SWEEP_TIME_BUDGET_MS;
+    const date = moment.tz(getBusinessTimezone()).format('YYYY-MM-DD');
+
+    if (req.method === 'POST') {
+      const { brandId } = req.body || {};
+      if (!brandId) {
+        return res.status(400).json({ error: 'brandId is required' });
+      }
+      const result = await snapshotBrand(brandId, { date });
+      return res.status(200).json({ success: true, ...result });
+    }
+
+    if (req.method === 'GET') {
+      const brandIds = await findBrandsToSnapshot(date);
+      const results = [];
+
+      for (const brandId of brandIds) {
+        if (Date.now() > deadline) break;
+        try {
+          results.push(await snapshotBrand(brandId, { date }));
+        } catch (error) {
+          console.error('Backlink Monitor - Error snapshotting brand:', { brandId, error: error.message });
+          results.push({ brandId, status: 'error', error: error.message });
+        }
+      }
+
+      console.log('Backlink Monitor - Sweep finished:', { date, pending: brandIds.length, processed: results.length });
+      return res.status(200).json({ success: true, date, processed: results.length, results });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Backlink Monitor - Error:', error);
+    return res.status(500).json({ error: 'Backlink monitoring failed', message: error.message });
+  }
+};
+
+module.exports.config = { maxDuration: 300 };
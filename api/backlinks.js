@@ -3,14 +3,12 @@
  */
 
 import { getBacklinksByBrandId, db } from '../services/firebase-service.js';
-import crypto from 'crypto';
+import { createCache, brandTag, hashKey, invalidateTags, isCacheBypassed, setCacheHeaders } from '../services/cache-service.js';
+import auth from '../utils/auth.cjs.js';
+const { withAuth } = auth;
 
 // Cache configuration
-const CACHE = {
-  data: {},
-  timestamps: {},
-  TTL: 15 * 60 * 1000 // 15 minutes in milliseconds
-};
+const cache = createCache('backlinks', { ttl: 15 * 60 * 1000 }); // 15 minutes in milliseconds
 
 /**
  * Generates a cache key from parameters
@@ -21,35 +19,10 @@ const CACHE = {
  */
 const generateCacheKey = (brandId, fromDate = null, toDate = null) => {
   const keyString = `backlinks_${brandId}_${fromDate || 'all'}_${toDate || 'all'}`;
-  return crypto.createHash('md5').update(keyString).digest('hex');
+  return hashKey(keyString);
 };
 
-/**
- * Gets data from cache if valid
- * @param {string} cacheKey - Cache key
- * @returns {Object|null} Cached data or null if not found/expired
- */
-const getFromCache = (cacheKey) => {
-  const now = Date.now();
-  if (CACHE.data[cacheKey] && (now - CACHE.timestamps[cacheKey] < CACHE.TTL)) {
-    console.log('Backlinks API - Cache hit for key:', cacheKey);
-    return CACHE.data[cacheKey];
-  }
-  return null;
-};
-
-/**
- * Stores data in cache
- * @param {string} cacheKey - Cache key
- * @param {any} data - Data to cache
- */
-const setCache = (cacheKey, data) => {
-  CACHE.data[cacheKey] = data;
-  CACHE.timestamps[cacheKey] = Date.now();
-  console.log('Backlinks API - Data cached with key:', cacheKey);
-};
-
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Add CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, DELETE, OPTIONS');
@@ -104,6 +77,11 @@ export default async function handler(req, res) {
         if (!dryRun) await batch.commit();
       }
 
+      // Drop cached listings for this brand across all date ranges
+      if (!dryRun && deleted.length > 0) {
+        await invalidateTags([`backlinks:${brandId}`]);
+      }
+
       return res.status(200).json({
         success: true,
         brandId,
@@ -185,25 +163,23 @@ export default async function handler(req, res) {
     // Generate cache key including date parameters
     const cacheKey = generateCacheKey(brandId, from, to);
 
-    // Check for cache bypass (POST body only). Accept numeric 0 or string '0'.
-    const bodyCache = req.body?.cache;
-    const bypassCache = bodyCache === 0 || bodyCache === '0';
+    // Check for cache bypass. Accept numeric 0 or string '0'.
+    const bypassCache = isCacheBypassed(req);
 
     if (bypassCache) {
-      console.log('Backlinks API - Cache bypassed via body.cache=0');
-      res.setHeader('X-Cache-Status', 'BYPASS');
+      console.log('Backlinks API - Cache bypassed via cache=0');
+      setCacheHeaders(res, 'BYPASS');
     } else {
       // Check cache first
-      const cachedData = getFromCache(cacheKey);
-      if (cachedData) {
+      const cached = await cache.get(cacheKey);
+      if (cached && !cached.expired) {
         const fetchTime = Date.now() - startTime;
         console.log('Backlinks API - Returning cached data for brand:', brandId);
 
-        res.setHeader('X-Cache-Status', 'HIT');
-        res.setHeader('X-Cache-Age', `${(Date.now() - CACHE.timestamps[cacheKey]) / 1000}s`);
+        setCacheHeaders(res, 'HIT', cached.age);
 
         return res.status(200).json({
-          ...cachedData,
+          ...cached.value,
           cached: true,
           responseTimeMs: fetchTime,
           timestamp: new Date().toISOString(),
@@ -214,7 +190,7 @@ export default async function handler(req, res) {
         });
       } else {
         console.log('Backlinks API - Cache miss');
-        res.setHeader('X-Cache-Status', 'MISS');
+        setCacheHeaders(res, cached ? 'EXPIRED' : 'MISS');
       }
     }
 
@@ -329,7 +305,8 @@ export default async function handler(req, res) {
         totals,
         success: true
       };
-      setCache(cacheKey, dataToCache);
+      await cache.set(cacheKey, dataToCache, { tags: [brandTag(brandId), `backlinks:${brandId}`] });
+      console.log('Backlinks API - Data cached with key:', cacheKey);
     }
 
     console.log('Backlinks API - Response Summary:', {
@@ -364,3 +341,5 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withAuth(handler);
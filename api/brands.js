@@ -8,10 +8,12 @@
  */
 
 import { db } from '../services/firebase-service.js';
+import auth from '../utils/auth.cjs.js';
+const { withAuth } = auth;
 
 export const config = { maxDuration: 30 };
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, PATCH, OPTIONS');
@@ -658,3 +660,4 @@ export default async function handler(req, res) {
   }
 }
 
+export default withAuth(handler, { matchUserId: true });
@@ -1,15 +1,20 @@
 /**
  * @fileoverview Clear Brand Cache API endpoint
  * Allows clearing the brand cache for a specific brand or all brands
- * 
+ *
  * Usage:
- * GET /api/clear-cache?brandId=BRAND_ID - Clear cache for specific brand
+ * GET /api/clear-cache?brandId=BRAND_ID - Clear brand document and every cached
+ *   response tagged with the brand (overview, pages, places, keywords, backlinks,
+ *   social) plus cached sales data for its Tossdown connection
  * GET /api/clear-cache - Clear all brand cache
  */
 
-const { clearBrandCache } = require('../services/firebase-service.js');
+const { clearBrandCache, getBrandConnections } = require('../services/firebase-service.js');
+const { invalidateTags, brandTag } = require('../services/cache-service.js');
+const { tossdownTag } = require('../services/tossdown-service.js');
+const { withAuth } = require('../utils/auth.cjs.js');
 
-module.exports = async function handler(req, res) {
+async function handler(req, res) {
   // Add CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -33,20 +38,34 @@ module.exports = async function handler(req, res) {
     const { brandId } = req.query;
 
     if (brandId) {
+      // Resolve connection-level tags before the brand document is evicted
+      const tags = [brandTag(brandId)];
+      try {
+        const connections = await getBrandConnections(brandId);
+        if (connections?.tossdown?.tossdown_id) {
+          tags.push(tossdownTag(connections.tossdown.tossdown_id));
+        }
+      } catch (connectionError) {
+        console.warn('Clear Cache API - Could not resolve brand connections:', connectionError.message);
+      }
+
       // Clear cache for specific brand
-      clearBrandCache(brandId);
-      
-      console.log('Clear Cache API - Cleared cache for brand:', brandId);
-      
+      await clearBrandCache(brandId);
+      const entriesCleared = await invalidateTags(tags);
+
+      console.log('Clear Cache API - Cleared cache for brand:', { brandId, tags, entriesCleared });
+
       return res.status(200).json({
         success: true,
         message: `Cache cleared for brand: ${brandId}`,
         brandId,
+        tags,
+        entriesCleared,
         timestamp: new Date().toISOString()
       });
     } else {
       // Clear all brand cache
-      clearBrandCache();
+      await clearBrandCache();
       
       console.log('Clear Cache API - Cleared all brand cache');
       
@@ -67,5 +86,6 @@ module.exports = async function handler(req, res) {
       timestamp: new Date().toISOString()
     });
   }
-};
+}
 
+module.exports = withAuth(handler);
@@ -2,11 +2,15 @@
  * @fileoverview Combined Analytics API endpoint
  */
 
-const { getGa4UsersData, getGa4SalesData } = require('../services/ga4-service.js');
+const { getGa4UsersData } = require('../services/ga4-service.js');
+const { getSalesReport } = require('../services/sales-service.js');
 const { getMetaAdsData } = require('../services/meta-ads-service.js');
+const { getGoogleAdsData, getGoogleAdsOptions } = require('../services/google-ads-service.js');
 const { getDefaultDateRange } = require('../utils/date-utils.js');
+const { mapChannelGroupToCategory } = require('../utils/channel-utils.js');
 const { getBrandConnection } = require('../services/firebase-service.js');
 const crypto = require('crypto');
+const { withAuth } = require('../utils/auth.cjs.js');
 
 const DEFAULT_RESPONSE = {
   dailyData: [],
@@ -34,6 +38,14 @@ const DEFAULT_RESPONSE = {
       campaigns: [],
       spend_by_objective: {}
     },
+    google_ads: {
+      spend: 0,
+      impressions: 0,
+      clicks: 0,
+      conversions: 0,
+      conversionValue: 0,
+      campaigns: []
+    },
     sales: {
       revenue: 0,
       transactions: 0,
@@ -70,35 +82,7 @@ const CACHE = {
   TTL: 5 * 60 * 1000 // 5 minutes cache TTL
 };
 
-// Helper function to map GA4 sessionDefaultChannelGroup to API field names
-function mapChannelGroupToCategory(channelGroup) {
-  if (!channelGroup) {
-    return 'unassigned';
-  }
-
-  const channelGroupLower = channelGroup.toLowerCase();
-
-  // Map GA4 channel groups to API categories - exact mapping to match GA4 reports
-  const channelMapping = {
-    'organic search': 'organic_search',
-    'paid search': 'paid_search',
-    'organic social': 'organic_social',
-    'paid social': 'paid_social',
-    'direct': 'direct',
-    'email': 'email',
-    'affiliates': 'affiliate',
-    'display': 'display',
-    'video': 'video',
-    'referral': 'referral',
-    'unassigned': 'unassigned',
-    'paid other': 'paid_other',
-    '(other)': 'referral'
-  };
-
-  return channelMapping[channelGroupLower] || 'referral';
-}
-
-module.exports = async function handler(req, res) {
+async function handler(req, res) {
   // Add CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -146,6 +130,7 @@ module.exports = async function handler(req, res) {
     let ga4Token = null;
     let ga4RefreshToken = null;
     let metaAccessToken = null;
+    let googleAdsConnection = null;
     let ga4PropertyIdToUse = normalizeParam(ga4PropertyId);
     let metaAccountIdToUse = normalizeParam(metaAccountId);
 
@@ -154,6 +139,7 @@ module.exports = async function handler(req, res) {
         // Use centralized utility to extract connections
         const ga4Connection = await getBrandConnection(brandId, 'ga4');
         const metaConnection = await getBrandConnection(brandId, 'meta_ads');
+        const googleAdsBrandConnection = await getBrandConnection(brandId, 'google_ads');
 
         if (ga4Connection) {
           ga4Token = ga4Connection.access_token;
@@ -164,11 +150,15 @@ module.exports = async function handler(req, res) {
           metaAccessToken = metaConnection.access_token;
           metaAccountIdToUse = metaAccountIdToUse || metaConnection.ad_account_id;
         }
+        if (googleAdsBrandConnection?.customer_id) {
+          googleAdsConnection = googleAdsBrandConnection;
+        }
         console.log('Combined Analytics API - Using OAuth tokens from brand:', {
           brandId,
           hasGa4Token: !!ga4Token,
           hasGa4RefreshToken: !!ga4RefreshToken,
           hasMetaToken: !!metaAccessToken,
+          hasGoogleAds: !!googleAdsConnection,
           ga4PropertyIdToUse,
           metaAccountIdToUse
         });
@@ -180,11 +170,11 @@ module.exports = async function handler(req, res) {
     // OAuth tokens are required from brand connections (no environment fallback)
 
     // Check if at least one data source is provided
-    if (!ga4PropertyIdToUse && !metaAccountIdToUse) {
-      console.log('Missing data sources - need at least ga4PropertyId or metaAccountId');
+    if (!ga4PropertyIdToUse && !metaAccountIdToUse && !googleAdsConnection) {
+      console.log('Missing data sources - need at least ga4PropertyId, metaAccountId or a google_ads connection');
       return res.status(400).json({
         error: 'Missing data sources',
-        message: 'Please provide at least ga4PropertyId or metaAccountId',
+        message: 'Please provide at least ga4PropertyId or metaAccountId, or connect Google Ads to the brand',
         success: false
       });
     }
@@ -193,6 +183,7 @@ module.exports = async function handler(req, res) {
     console.log('Combined Analytics API - Data sources:', {
       ga4Available: !!ga4PropertyIdToUse,
       metaAvailable: !!metaAccountIdToUse,
+      googleAdsAvailable: !!googleAdsConnection,
       ga4PropertyId: ga4PropertyIdToUse || 'NOT_PROVIDED',
       metaAccountId: metaAccountIdToUse || 'NOT_PROVIDED'
     });
@@ -226,7 +217,14 @@ module.exports = async function handler(req, res) {
       promises.push(getGa4UsersData(ga4PropertyIdToUse, fromDate, toDate, ga4Options));
       promiseMap.usersData = promises.length - 1;
 
-      promises.push(getGa4SalesData(ga4PropertyIdToUse, fromDate, toDate, ga4Options));
+      promises.push(getSalesReport({
+        source: 'ga4',
+        sourceId: ga4PropertyIdToUse,
+        connection: { access_token: ga4Token, refresh_token: ga4RefreshToken },
+        from: fromDate,
+        to: toDate,
+        brandId
+      }));
       promiseMap.salesData = promises.length - 1;
     } else {
       console.log('Combined Analytics API - Skipping GA4 data (no property ID provided)');
@@ -242,6 +240,14 @@ module.exports = async function handler(req, res) {
       console.log('Combined Analytics API - Skipping Meta data (no account ID provided)');
     }
 
+    // Google Ads data promise (only if the brand has a google_ads connection)
+    if (googleAdsConnection) {
+      console.log('Combined Analytics API - Adding Google Ads data source');
+
+      promises.push(getGoogleAdsData(googleAdsConnection.customer_id, fromDate, toDate, getGoogleAdsOptions(googleAdsConnection)));
+      promiseMap.googleAdsData = promises.length - 1;
+    }
+
     // Execute all promises
     const results = await Promise.allSettled(promises);
 
@@ -272,6 +278,14 @@ module.exports = async function handler(req, res) {
           campaigns: [], // Initialize empty campaigns array
           spend_by_objective: {} // Add new object for spend by objective
         },
+        google_ads: {
+          spend: 0,
+          impressions: 0,
+          clicks: 0,
+          conversions: 0,
+          conversionValue: 0,
+          campaigns: []
+        },
         sales: {
           revenue: 0,
           transactions: 0,
@@ -284,6 +298,7 @@ module.exports = async function handler(req, res) {
     const usersData = ga4PropertyIdToUse && promiseMap.usersData !== undefined ? results[promiseMap.usersData] : null;
     const metaAdsData = metaAccountIdToUse && promiseMap.metaAdsData !== undefined ? results[promiseMap.metaAdsData] : null;
     const salesData = ga4PropertyIdToUse && promiseMap.salesData !== undefined ? results[promiseMap.salesData] : null;
+    const googleAdsData = googleAdsConnection && promiseMap.googleAdsData !== undefined ? results[promiseMap.googleAdsData] : null;
 
     // Process GA4 Users data (only if GA4 property was provided)
     if (usersData && usersData.status === 'fulfilled' && usersData.value?.rows) {
@@ -556,12 +571,71 @@ module.exports = async function handler(req, res) {
       });
     }
 
+    // Process Google Ads data (status and objective filters apply to Meta campaigns only)
+    if (googleAdsData && googleAdsData.status === 'fulfilled' && googleAdsData.value?.data) {
+      googleAdsData.value.data.forEach(day => {
+        const date = day.date.replace(/-/g, '');
+
+        if (!response.dailyData[date]) {
+          response.dailyData[date] = {
+            date,
+            users: {
+              total: 0,
+              organic_search: 0,
+              paid_search: 0,
+              organic_social: 0,
+              paid_social: 0,
+              direct: 0,
+              email: 0,
+              affiliate: 0,
+              display: 0,
+              video: 0,
+              referral: 0,
+              unassigned: 0,
+              paid_other: 0
+            },
+            meta_ads: {
+              spend: 0,
+              impressions: 0,
+              clicks: 0,
+              reach: 0
+            },
+            sales: {
+              revenue: 0,
+              transactions: 0,
+              averageOrderValue: 0
+            }
+          };
+        }
+
+        response.dailyData[date].google_ads = {
+          spend: day.spend,
+          impressions: day.impressions,
+          clicks: day.clicks,
+          conversions: day.conversions,
+          conversionValue: day.conversionValue
+        };
+      });
+
+      const { totals, campaigns } = googleAdsData.value;
+      response.totals.google_ads = {
+        spend: totals.spend,
+        impressions: totals.impressions,
+        clicks: totals.clicks,
+        conversions: totals.conversions,
+        conversionValue: totals.conversionValue,
+        campaigns
+      };
+    } else if (googleAdsData && googleAdsData.status === 'rejected') {
+      console.error('Combined Analytics API - Failed to fetch Google Ads data:', googleAdsData.reason?.message || googleAdsData.reason);
+    }
+
     // Process GA4 Sales data (only if GA4 property was provided)
-    if (salesData && salesData.status === 'fulfilled' && salesData.value?.rows) {
-      salesData.value.rows.forEach(row => {
-        const date = row.dimensionValues[0].value;
-        const transactions = parseInt(row.metricValues[0].value || 0); // ecommercePurchases
-        const revenue = parseFloat(row.metricValues[1].value || 0);   // purchaseRevenue
+    if (salesData && salesData.status === 'fulfilled' && salesData.value?.dailyData) {
+      salesData.value.dailyData.forEach(day => {
+        const date = day.date.replace(/-/g, '');
+        const transactions = day.orders;
+        const revenue = day.revenue;
 
         if (!response.dailyData[date]) {
           response.dailyData[date] = {
@@ -615,6 +689,13 @@ module.exports = async function handler(req, res) {
       response.totals.sales.revenue = parseFloat(response.totals.sales.revenue.toFixed(2));
     }
 
+    // Days without Google Ads activity get an empty block when Google Ads is connected
+    if (googleAdsConnection) {
+      Object.values(response.dailyData).forEach(day => {
+        day.google_ads = day.google_ads || { spend: 0, impressions: 0, clicks: 0, conversions: 0, conversionValue: 0 };
+      });
+    }
+
     // Convert dailyData from object to sorted array
     response.dailyData = Object.values(response.dailyData)
       .sort((a, b) => a.date.localeCompare(b.date));
@@ -631,6 +712,11 @@ module.exports = async function handler(req, res) {
         enabled: !!metaAccountIdToUse,
         accountId: metaAccountIdToUse || null,
         adsDataAvailable: !!(metaAdsData && metaAdsData.status === 'fulfilled')
+      },
+      google_ads: {
+        enabled: !!googleAdsConnection,
+        customerId: googleAdsConnection?.customer_id || null,
+        adsDataAvailable: !!(googleAdsData && googleAdsData.status === 'fulfilled')
       }
     };
 
@@ -639,6 +725,7 @@ module.exports = async function handler(req, res) {
       totalDays: response.dailyData.length,
       totalUsers: response.totals.users.total,
       totalSpend: response.totals.meta_ads.spend,
+      googleAdsSpend: response.totals.google_ads.spend,
       totalRevenue: response.totals.sales.revenue,
       totalTransactions: response.totals.sales.transactions,
       campaignsCount: response.totals.meta_ads.campaigns?.length,
@@ -670,3 +757,5 @@ module.exports = async function handler(req, res) {
     return res.status(200).json(DEFAULT_RESPONSE);
   }
 }
+
+module.exports = withAuth(handler);
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Competitor gap API - keywords and referring domains competitors
+ * have that a brand does not
+ * @module api/competitor-gap
+ *
+ * GET /api/competitor-gap?brandId=...&competitors=a.com,b.com
+ *   competitors   Up to 5 competitor domains (comma-separated or repeated)
+ *   domain        Brand domain (default: the brand's website)
+ *   locationCode  DataForSEO location code for keywords (default 2840)
+ *   languageCode  Language code for keywords (default en)
+ *   limit         Maximum entries per list (default 100, up to 500)
+ *
+ * DataForSEO compares each competitor with the brand's full keyword and link
+ * profiles (services/competitor-gap-service.js).
+ * Successful (2xx) requests are logged and billed under `competitor-gap` (settings/rate-card.txt).
+ */
+
+const { normalizeDomains, getCompetitorGap } = require('../services/competitor-gap-service.js');
+const { getBrandInfo } = require('../services/firebase-service.js');
+const { createCache, brandTag, hashKey, isCacheBypassed, setCacheHeaders } = require('../services/cache-service.js');
+const { withAuth } = require('../utils/auth.cjs.js');
+const { withLogging } = require('../utils/logging.cjs.js');
+
+// DataForSEO data moves slowly and every request is billed per competitor
+const cache = createCache('competitor-gap', { ttl: 24 * 60 * 60 * 1000 }); // 24 hours cache TTL
+
+async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed', message: 'This endpoint only accepts GET requests' });
+  }
+
+  const { brandId, competitors, domain, languageCode = 'en' } = req.query || {};
+  const locationCode = parseInt(req.query?.locationCode || '2840');
+  const resultLimit = Math.min(parseInt(req.query?.limit) || 100, 500);
+
+  if (!brandId) {
+    return res.status(400).json({ error: 'Missing required parameter: brandId' });
+  }
+  if (!competitors) {
+    return res.status(400).json({ error: 'Missing required parameter: competitors' });
+  }
+  if (!Number.isInteger(locationCode) || locationCode <= 0) {
+    return res.status(400).json({ error: 'Invalid locationCode', message: 'locationCode must be a DataForSEO location code (e.g. 2840)' });
+  }
+
+  try {
+    const brand = await getBrandInfo(brandId);
+    if (!brand) {
+      return res.status(404).json({ error: 'Brand not found' });
+    }
+
+    // Normalized first so equivalent competitor lists share a cache entry
+    const domains = normalizeDomains(domain || brand.website, competitors);
+    const params = {
+      ...domains,
+      locationCode,
+      languageCode: String(languageCode).toLowerCase(),
+      resultLimit
+    };
+
+    const cacheKey = hashKey(`competitor-gap_${brandId}_${JSON.stringify(params)}`);
+    const bypassCache = isCacheBypassed(req);
+
+    if (!bypassCache) {
+      const cached = await cache.get(cacheKey);
+      if (cached && !cached.expired) {
+        setCacheHeaders(res, 'HIT', cached.age);
+        return res.status(200).json(cached.value);
+      }
+      setCacheHeaders(res, cached ? 'EXPIRED' : 'MISS');
+    } else {
+      setCacheHeaders(res, 'BYPASS');
+    }
+
+    const gap = await getCompetitorGap(params);
+    const response = { success: true, brandId, ...gap };
+
+    // Results with a failed domain are not cached so the next request retries it
+    const complete = gap.domains.every(profile => !profile.errors);
+    if (!bypassCache && complete) {
+      await cache.set(cacheKey, response, { tags: [brandTag(brandId)] });
+    }
+
+    console.log('Competitor Gap API - Gap returned:', { brandId, domain: gap.domain, ...gap.summary, complete });
+
+    return res.status(200).json(response);
+  } catch (error) {
+    if (error.code === 'INVALID_GAP_REQUEST') {
+      return res.status(400).json({ error: 'Invalid request', message: error.message });
+    }
+    console.error('Competitor Gap API - Error:', { brandId, message: error.message });
+    return res.status(500).json({
+      error: 'Failed to build competitor gap',
+      message: error.message,
+      success: false
+    });
+  }
+}
+
+module.exports = withAuth(withLogging(handler, { successOnly: true }));
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Connections health API - broken or expiring Meta connections per organization
+ * Endpoints:
+ *   GET /api/connections/health?organizationId=...&status=issues|broken|expiring|all
+ *
+ * `issues` (default) lists brands with at least one broken or expiring connection.
+ * Health comes from the last token sweep (/api/connections/refresh), with expiry
+ * re-evaluated at request time.
+ */
+
+const {
+  CONNECTION_STATUS,
+  BROKEN_STATUSES,
+  listOrganizationHealth
+} = require('../../services/meta-token-service');
+const { withAuth } = require('../../utils/auth.cjs.js');
+
+const STATUS_FILTERS = ['issues', 'broken', 'expiring', 'all'];
+
+const matchesFilter = (connection, status) => {
+  if (status === 'all') return true;
+  const broken = BROKEN_STATUSES.includes(connection.status);
+  const expiring = connection.status === CONNECTION_STATUS.EXPIRING;
+  if (status === 'broken') return broken;
+  if (status === 'expiring') return expiring;
+  return broken || expiring;
+};
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed', message: 'This endpoint only accepts GET requests' });
+  }
+
+  const { organizationId, status = 'issues' } = req.query || {};
+
+  if (!organizationId) {
+    return res.status(400).json({ error: 'Missing required parameter: organizationId' });
+  }
+  if (!STATUS_FILTERS.includes(status)) {
+    return res.status(400).json({
+      error: 'Invalid status',
+      message: `status must be one of: ${STATUS_FILTERS.join(', ')}`
+    });
+  }
+
+  try {
+    const brands = await listOrganizationHealth(organizationId);
+    const allConnections = brands.flatMap(brand => brand.connections);
+
+    const summary = {
+      brands: brands.length,
+      connections: allConnections.length,
+      broken: allConnections.filter(connection => BROKEN_STATUSES.includes(connection.status)).length,
+      expiring: allConnections.filter(connection => connection.status === CONNECTION_STATUS.EXPIRING).length,
+      unchecked: brands.filter(brand => !brand.checkedAt).length
+    };
+
+    const filtered = brands
+      .map(brand => ({ ...brand, connections: brand.connections.filter(connection => matchesFilter(connection, status)) }))
+      .filter(brand => brand.connections.length > 0);
+
+    console.log('Connections Health API - Listed:', { organizationId, status, ...summary, returned: filtered.length });
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ success: true, organizationId, status, summary, brands: filtered });
+  } catch (error) {
+    console.error('Connections Health API - Error:', error);
+    return res.status(500).json({ error: 'Failed to load connection health', message: error.message });
+  }
+}
+
+module.exports = withAuth(handler);
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Meta token sweep - validates and refreshes Meta connection tokens per brand
+ * Endpoints:
+ *   GET  /api/connections/refresh               - cron sweep over brands not checked in the last 24h
+ *   POST /api/connections/refresh { brandId }   - check (and refresh) one brand now
+ *
+ * The cron runs hourly; each run checks brands until its time budget is spent and
+ * the next run continues with the rest. See services/meta-token-service.js.
+ */
+
+const { checkBrandTokens, findBrandsToCheck } = require('../../services/meta-token-service');
+const { SWEEP_TIME_BUDGET_MS, requireCronAuth } = require('../../utils/cron');
+
+module.exports = async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!requireCronAuth(req, res)) return;
+
+  try {
+    if (req.method === 'POST') {
+      const { brandId } = req.body || {};
+      if (!brandId) {
+        return res.status(400).json({ error: 'brandId is required' });
+      }
+      const result = await checkBrandTokens(brandId);
+      return res.status(200).json({ success: true, ...result });
+    }
+
+    if (req.method === 'GET') {
+      const startedAt = Date.now();
+      const brands = await findBrandsToCheck();
+      const results = [];
+
+      for (const brand of brands) {
+        if (Date.now() - startedAt > SWEEP_TIME_BUDGET_MS) break;
+        try {
+          const { status, connections } = await checkBrandTokens(brand.id);
+          results.push({
+            brandId: brand.id,
+            status,
+            refreshed: Object.keys(connections).filter(type => connections[type].refreshed)
+          });
+        } catch (error) {
+          console.error('Connections Refresh - Error checking brand:', { brandId: brand.id, error: error.message });
+          results.push({ brandId: brand.id, status: 'error', error: error.message });
+        }
+      }
+
+      console.log('Connections Refresh - Sweep finished:', { pending: brands.length, processed: results.length });
+      return res.status(200).json({ success: true, processed: results.length, results });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Connections Refresh - Error:', error);
+    return res.status(500).json({ error: 'Token sweep failed', message: error.message });
+  }
+};
+
+module.exports.config = { maxDuration: 300 };
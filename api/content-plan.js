@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Content plan API - topic clusters from a brand's keywords,
+ * mapped to existing pages or flagged as content gaps, with suggested titles
+ * @module api/content-plan
+ *
+ * POST /api/content-plan
+ *   { brandId, keywords?, method?, threshold?, locationCode?, languageCode?, includeTitles? }
+ *   keywords      Research keywords to add to the brand's own: strings (keyword-sim ideas)
+ *                 or keyword-research rows ({ keyword, search_volume })
+ *   method        serp (default, one SERP request per keyword) | semantic (OpenAI embeddings)
+ *   threshold     Similarity needed to join a cluster (0-1, default per method)
+ *
+ * Clustering and page mapping live in services/content-plan-service.js.
+ * Successful (2xx) requests are logged and billed under `content-plan` (settings/rate-card.txt).
+ */
+
+const { buildContentPlan } = require('../services/content-plan-service.js');
+const { getBrandInfo, getPagesByBrandId } = require('../services/firebase-service.js');
+const { createCache, brandTag, hashKey, isCacheBypassed, setCacheHeaders } = require('../services/cache-service.js');
+const { withAuth } = require('../utils/auth.cjs.js');
+const { withLogging } = require('../utils/logging.cjs.js');
+
+// SERP data and title suggestions are paid per request
+const cache = createCache('content-plan', { ttl: 24 * 60 * 60 * 1000 }); // 24 hours cache TTL
+
+async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed', message: 'This endpoint only accepts POST requests' });
+  }
+
+  const {
+    brandId,
+    keywords,
+    method = 'serp',
+    threshold,
+    languageCode = 'en',
+    includeTitles = true
+  } = req.body || {};
+  const locationCode = parseInt(req.body?.locationCode || '2840');
+
+  if (!brandId) {
+    return res.status(400).json({ error: 'Missing required parameter: brandId' });
+  }
+  if (!Number.isInteger(locationCode) || locationCode <= 0) {
+    return res.status(400).json({ error: 'Invalid locationCode', message: 'locationCode must be a DataForSEO location code (e.g. 2840)' });
+  }
+
+  try {
+    const brand = await getBrandInfo(brandId, { useCache: false });
+    if (!brand) {
+      return res.status(404).json({ error: 'Brand not found' });
+    }
+
+    const params = {
+      keywords: keywords || [],
+      method,
+      threshold: threshold ?? null,
+      locationCode,
+      languageCode: String(languageCode).toLowerCase(),
+      includeTitles: includeTitles !== false
+    };
+
+    // The brand's keywords are part of the key so editing them yields a fresh plan
+    const cacheKey = hashKey(`content-plan_${brandId}_${JSON.stringify({ ...params, brandKeywords: brand.keywords || [] })}`);
+    const bypassCache = isCacheBypassed(req);
+
+    if (!bypassCache) {
+      const cached = await cache.get(cacheKey);
+      if (cached && !cached.expired) {
+        setCacheHeaders(res, 'HIT', cached.age);
+        return res.status(200).json(cached.value);
+      }
+      setCacheHeaders(res, cached ? 'EXPIRED' : 'MISS');
+    } else {
+      setCacheHeaders(res, 'BYPASS');
+    }
+
+    const pages = await getPagesByBrandId(brandId);
+    const plan = await buildContentPlan({ brand, pages, ...params });
+    const response = { success: true, brandId, ...plan };
+
+    // Plans built around failed lookups are not cached so the next request retries them
+    if (!bypassCache && plan.errors.length === 0) {
+      await cache.set(cacheKey, response, { tags: [brandTag(brandId)] });
+    }
+
+    console.log('Content Plan API - Plan returned:', { brandId, method, ...plan.summary, errors: plan.errors.length });
+
+    return res.status(200).json(response);
+  } catch (error) {
+    if (error.code === 'INVALID_CONTENT_PLAN') {
+      return res.status(400).json({ error: 'Invalid request', message: error.message });
+    }
+    console.error('Content Plan API - Error:', { brandId, message: error.message });
+    return res.status(500).json({
+      error: 'Failed to build content plan',
+      message: error.message,
+      success: false
+    });
+  }
+}
+
+module.exports = withAuth(withLogging(handler, { successOnly: true }));
+module.exports.config = { maxDuration: 300 };
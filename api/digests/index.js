@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Digest schedules API - per-brand emailed report digests
+ * Endpoints:
+ *   GET    /api/digests?brandId=...        - list a brand's schedules
+ *   GET    /api/digests?id=...             - fetch one schedule
+ *   GET    /api/digests?id=...&preview=1   - render the digest now without sending (HTML; add format=json for JSON)
+ *   POST   /api/digests                    - create { brandId, recipients, frequency, dayOfWeek?, dayOfMonth?, hour?, timezone?, includeNarrative? }
+ *   PATCH  /api/digests?id=...             - update schedule fields
+ *   DELETE /api/digests?id=...             - delete a schedule
+ *
+ * Due digests are sent by /api/digests/run (cron).
+ */
+
+const {
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  updateSchedule,
+  deleteSchedule,
+  sendDigest
+} = require('../../services/digest-service');
+const { getBrandInfo } = require('../../services/firebase-service');
+const { withAuth, checkBrandAccess } = require('../../utils/auth.cjs.js');
+
+/**
+ * Loads a schedule by ?id and checks the caller can access its brand
+ * @returns {Promise<Object|null>} Schedule, or null when a response was already sent
+ */
+async function loadAuthorizedSchedule(req, res) {
+  const { id } = req.query || {};
+  if (!id) {
+    res.status(400).json({ error: 'Schedule ID is required', message: 'Pass the schedule id as ?id=' });
+    return null;
+  }
+
+  const schedule = await getSchedule(id);
+  if (!schedule) {
+    res.status(404).json({ error: 'Schedule not found' });
+    return null;
+  }
+
+  if (req.auth?.user) {
+    const reason = await checkBrandAccess(req.auth.user, schedule.brandId);
+    if (reason) {
+      res.status(403).json({ error: 'Forbidden', message: reason, success: false });
+      return null;
+    }
+  }
+
+  return schedule;
+}
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    if (req.method === 'GET') {
+      if (req.query?.id) {
+        const schedule = await loadAuthorizedSchedule(req, res);
+        if (!schedule) return;
+
+        if (req.query.preview === '1' || req.query.preview === 'true') {
+          const includeNarrative = req.query.narrative !== '0' && schedule.includeNarrative;
+          const { digest, message } = await sendDigest({ ...schedule, includeNarrative }, { dryRun: true });
+          res.setHeader('Cache-Control', 'no-store');
+          if (req.query.format === 'json') {
+            return res.status(200).json({ success: true, digest, subject: message.subject, html: message.html });
+          }
+          res.setHeader('Content-Type', 'text/html; charset=utf-8');
+          return res.status(200).send(message.html);
+        }
+
+        return res.status(200).json({ success: true, schedule });
+      }
+
+      const { brandId } = req.query || {};
+      if (!brandId) {
+        return res.status(400).json({ error: 'Missing required parameter: brandId' });
+      }
+      const schedules = await listSchedules(brandId);
+      return res.status(200).json({ success: true, schedules });
+    }
+
+    if (req.method === 'POST') {
+      const body = req.body || {};
+      if (!body.brandId) {
+        return res.status(400).json({ error: 'Missing required field: brandId' });
+      }
+
+      const brand = await getBrandInfo(body.brandId);
+      if (!brand) {
+        return res.status(404).json({ error: 'Brand not found' });
+      }
+
+      const schedule = await createSchedule(
+        { ...body, organizationId: brand.organizationId || body.organizationId || null },
+        { userId: req.auth?.uid || null }
+      );
+      return res.status(201).json({ success: true, schedule });
+    }
+
+    if (req.method === 'PATCH') {
+      const existing = await loadAuthorizedSchedule(req, res);
+      if (!existing) return;
+
+      const schedule = await updateSchedule(existing.id, req.body || {});
+      return res.status(200).json({ success: true, schedule });
+    }
+
+    if (req.method === 'DELETE') {
+      const existing = await loadAuthorizedSchedule(req, res);
+      if (!existing) return;
+
+      await deleteSchedule(existing.id);
+      return res.status(200).json({ success: true, id: existing.id });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    if (error.code === 'INVALID_SCHEDULE') {
+      return res.status(400).json({ error: 'Invalid schedule', message: error.message });
+    }
+    console.error('Digests API - Error:', error);
+    return res.status(500).json({ error: 'Digest request failed', message: error.message });
+  }
+}
+
+module.exports = withAuth(handler);
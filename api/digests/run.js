@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Digest runner - emails due report digests
+ * Endpoints:
+ *   GET  /api/digests/run                            - cron sweep for due schedules
+ *   POST /api/digests/run { scheduleId, dryRun? }    - send one schedule now
+ *
+ * A schedule is claimed (its nextRunAt advanced) before the digest is built,
+ * so a slow or failed run is not retried into a duplicate email; the outcome
+ * is stored on the schedule as lastStatus / lastError.
+ */
+
+const {
+  claimSchedule,
+  findDueScheduleIds,
+  recordDigestResult,
+  sendDigest
+} = require('../../services/digest-service');
+const { SWEEP_TIME_BUDGET_MS, requireCronAuth } = require('../../utils/cron');
+
+/**
+ * Claims and sends a single digest
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.force] - Send even if not due
+ * @param {boolean} [options.dryRun] - Render without sending
+ * @returns {Promise<Object>} Outcome summary
+ */
+async function runDigest(scheduleId, { force = false, dryRun = false } = {}) {
+  const schedule = await claimSchedule(scheduleId, { force });
+  if (!schedule) {
+    return { scheduleId, skipped: true, reason: 'Schedule not due or not found' };
+  }
+
+  try {
+    const { digest, message, delivery } = await sendDigest(schedule, { runAt: schedule.runAt, dryRun });
+    if (dryRun) {
+      return { scheduleId, status: 'rendered', subject: message.subject, errors: digest.errors };
+    }
+    await recordDigestResult(scheduleId, { status: 'sent', messageId: delivery.messageId });
+    return { scheduleId, status: 'sent', messageId: delivery.messageId, errors: digest.errors };
+  } catch (error) {
+    console.error('Digest Runner - Digest failed:', { scheduleId, error: error.message });
+    await recordDigestResult(scheduleId, { status: 'failed', error: error.message });
+    return { scheduleId, status: 'failed', error: error.message };
+  }
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!requireCronAuth(req, res)) return;
+
+  try {
+    if (req.method === 'POST') {
+      const { scheduleId, dryRun = false } = req.body || {};
+      if (!scheduleId) {
+        return res.status(400).json({ error: 'scheduleId is required' });
+      }
+      const outcome = await runDigest(scheduleId, { force: true, dryRun: dryRun === true });
+      return res.status(200).json({ success: true, ...outcome });
+    }
+
+    if (req.method === 'GET') {
+      const startedAt = Date.now();
+      const scheduleIds = await findDueScheduleIds(10);
+      const results = [];
+
+      for (const scheduleId of scheduleIds) {
+        if (Date.now() - startedAt > SWEEP_TIME_BUDGET_MS) break;
+        try {
+          results.push(await runDigest(scheduleId));
+        } catch (error) {
+          console.error('Digest Runner - Error running schedule:', { scheduleId, error: error.message });
+          results.push({ scheduleId, status: 'error', error: error.message });
+        }
+      }
+
+      console.log('Digest Runner - Sweep finished:', { due: scheduleIds.length, processed: results.length });
+      return res.status(200).json({ success: true, processed: results.length, results });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Digest Runner - Error:', error);
+    return res.status(500).json({ error: 'Digest run failed', message: error.message });
+  }
+};
+
+module.exports.config = { maxDuration: 300 };
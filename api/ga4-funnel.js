@@ -0,0 +1,120 @@
+/**
+ * @fileoverview GA4 funnel API - step conversion and drop-off per channel group for a brand
+ * @module api/ga4-funnel
+ *
+ * GET /api/ga4-funnel?brandId=...&steps=page_view,add_to_cart,begin_checkout,purchase&from=...&to=...
+ *   steps  Ordered GA4 event names (2-10, default page_view → add_to_cart → begin_checkout → purchase)
+ *   open   true to let users enter the funnel at any step (default: closed funnel)
+ *
+ * See services/ga4-funnel-service.js for how the funnel is computed.
+ */
+
+const { getGa4Funnel, validateFunnelSteps, DEFAULT_FUNNEL_STEPS } = require('../services/ga4-funnel-service.js');
+const { getBrandConnection } = require('../services/firebase-service.js');
+const { getDefaultDateRange } = require('../utils/date-utils.js');
+const { createCache, brandTag, hashKey, isCacheBypassed, setCacheHeaders } = require('../services/cache-service.js');
+const { withAuth } = require('../utils/auth.cjs.js');
+
+const cache = createCache('ga4-funnel', { ttl: 15 * 60 * 1000 }); // 15 minutes cache TTL
+
+async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed', message: 'This endpoint only accepts GET requests' });
+  }
+
+  const { brandId, steps, from, to, open } = req.query || {};
+
+  if (!brandId) {
+    return res.status(400).json({ error: 'Missing required parameter: brandId' });
+  }
+
+  const funnelSteps = steps ? steps.split(',').map(step => step.trim()).filter(Boolean) : DEFAULT_FUNNEL_STEPS;
+  const stepsError = validateFunnelSteps(funnelSteps);
+  if (stepsError) {
+    return res.status(400).json({ error: 'Invalid steps', message: stepsError });
+  }
+
+  const { fromDate, toDate } = getDefaultDateRange(from, to);
+  const openFunnel = open === 'true' || open === '1';
+
+  try {
+    const ga4Connection = await getBrandConnection(brandId, 'ga4');
+    if (!ga4Connection?.access_token || !ga4Connection?.property_id) {
+      return res.status(404).json({
+        error: 'GA4 not connected',
+        message: 'The brand has no GA4 connection with a property and access token'
+      });
+    }
+
+    const propertyId = ga4Connection.property_id;
+    const cacheKey = hashKey(`ga4-funnel_${propertyId}_${funnelSteps.join(',')}_${fromDate}_${toDate}_${openFunnel}`);
+    const bypassCache = isCacheBypassed(req);
+
+    let funnel = null;
+    if (!bypassCache) {
+      const cached = await cache.get(cacheKey);
+      if (cached && !cached.expired) {
+        funnel = cached.value;
+        setCacheHeaders(res, 'HIT', cached.age);
+      } else {
+        setCacheHeaders(res, cached ? 'EXPIRED' : 'MISS');
+      }
+    } else {
+      setCacheHeaders(res, 'BYPASS');
+    }
+
+    if (!funnel) {
+      funnel = await getGa4Funnel(propertyId, fromDate, toDate, funnelSteps, {
+        accessToken: ga4Connection.access_token,
+        refreshToken: ga4Connection.refresh_token,
+        openFunnel
+      });
+      if (!bypassCache) {
+        await cache.set(cacheKey, funnel, { tags: [brandTag(brandId)] });
+      }
+    }
+
+    console.log('GA4 Funnel API - Funnel built:', {
+      brandId,
+      propertyId,
+      method: funnel.method,
+      steps: funnelSteps.length,
+      channels: funnel.channels.length,
+      conversionRate: funnel.overall.conversionRate
+    });
+
+    return res.status(200).json({
+      success: true,
+      brandId,
+      propertyId,
+      from: fromDate,
+      to: toDate,
+      steps: funnelSteps,
+      openFunnel,
+      ...funnel
+    });
+  } catch (error) {
+    console.error('GA4 Funnel API - Error:', {
+      brandId,
+      status: error.response?.status,
+      message: error.message,
+      response: error.response?.data
+    });
+    return res.status(500).json({
+      error: 'Failed to build funnel',
+      message: error.response?.data?.error?.message || error.message,
+      success: false
+    });
+  }
+}
+
+module.exports = withAuth(handler);
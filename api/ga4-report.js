@@ -0,0 +1,127 @@
+/**
+ * @fileoverview GA4 report builder API - runs a custom GA4 report for a brand
+ * @module api/ga4-report
+ *
+ * POST /api/ga4-report
+ *   { brandId, dimensions, metrics, dateRanges | from/to, dimensionFilters, metricFilters, orderBys, limit, offset }
+ *
+ * The spec is validated by services/ga4-report-service.js and run with the
+ * brand's GA4 OAuth connection. `?format=csv|xlsx` downloads the rows.
+ * See docs/GA4_REPORT_API.md.
+ */
+
+const { runGA4ReportViaREST } = require('../services/ga4-service.js');
+const { buildGa4ReportRequest, formatGa4ReportResponse } = require('../services/ga4-report-service.js');
+const { getBrandConnection } = require('../services/firebase-service.js');
+const { createCache, brandTag, hashKey, isCacheBypassed, setCacheHeaders } = require('../services/cache-service.js');
+const { withExport } = require('../utils/export.js');
+const { withAuth } = require('../utils/auth.cjs.js');
+
+const cache = createCache('ga4-report', { ttl: 15 * 60 * 1000 }); // 15 minutes cache TTL
+
+async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed', message: 'This endpoint only accepts POST requests' });
+  }
+
+  const { brandId, ...spec } = req.body || {};
+
+  if (!brandId) {
+    return res.status(400).json({ error: 'Missing required field: brandId' });
+  }
+
+  const { request, errors } = buildGa4ReportRequest(spec);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid report request', message: errors.join('; '), details: errors });
+  }
+
+  try {
+    const ga4Connection = await getBrandConnection(brandId, 'ga4');
+    if (!ga4Connection?.access_token || !ga4Connection?.property_id) {
+      return res.status(404).json({
+        error: 'GA4 not connected',
+        message: 'The brand has no GA4 connection with a property and access token'
+      });
+    }
+
+    const propertyId = ga4Connection.property_id;
+    const cacheKey = hashKey({ propertyId, request });
+    const bypassCache = isCacheBypassed(req);
+
+    let report = null;
+    if (!bypassCache) {
+      const cached = await cache.get(cacheKey);
+      if (cached && !cached.expired) {
+        report = cached.value;
+        setCacheHeaders(res, 'HIT', cached.age);
+      } else {
+        setCacheHeaders(res, cached ? 'EXPIRED' : 'MISS');
+      }
+    } else {
+      setCacheHeaders(res, 'BYPASS');
+    }
+
+    if (!report) {
+      const response = await runGA4ReportViaREST(propertyId, request, ga4Connection.access_token, ga4Connection.refresh_token);
+      report = formatGa4ReportResponse(response);
+      if (!bypassCache) {
+        await cache.set(cacheKey, report, { tags: [brandTag(brandId)] });
+      }
+    }
+
+    console.log('GA4 Report API - Report built:', {
+      brandId,
+      propertyId,
+      dimensions: report.columns.dimensions,
+      rows: report.rows.length,
+      rowCount: report.rowCount
+    });
+
+    return res.status(200).json({
+      success: true,
+      brandId,
+      propertyId,
+      dateRanges: request.dateRanges,
+      ...report
+    });
+  } catch (error) {
+    const status = error.response?.status;
+    console.error('GA4 Report API - Error:', {
+      brandId,
+      status,
+      message: error.message,
+      response: error.response?.data
+    });
+
+    // GA4 rejects unknown or incompatible fields with INVALID_ARGUMENT
+    if (status === 400) {
+      return res.status(400).json({
+        error: 'Invalid report request',
+        message: error.response?.data?.error?.message || error.message,
+        success: false
+      });
+    }
+
+    return res.status(500).json({
+      error: 'Failed to run GA4 report',
+      message: error.response?.data?.error?.message || error.message,
+      success: false
+    });
+  }
+}
+
+module.exports = withAuth(withExport(handler, {
+  name: 'ga4-report',
+  datasets: {
+    rows: { rows: (body) => body.rows }
+  }
+}));
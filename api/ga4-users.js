@@ -4,6 +4,7 @@
 
 const { getGa4UsersData, getGa4TopPages, getGa4EventsData } = require('../services/ga4-service.js');
 const { getDefaultDateRange } = require('../utils/date-utils.js');
+const { mapChannelGroupToCategory } = require('../utils/channel-utils.js');
 const { getBrandConnection } = require('../services/firebase-service.js');
 const crypto = require('crypto');
 
@@ -539,31 +540,3 @@ module.exports = async function handler(req, res) {
     return res.status(200).json(DEFAULT_RESPONSE);
   }
 }
-
-// Helper function to map GA4 sessionDefaultChannelGroup to API field names
-function mapChannelGroupToCategory(channelGroup) {
-  if (!channelGroup) {
-    return 'unassigned';
-  }
-
-  const channelGroupLower = channelGroup.toLowerCase();
-
-  // Map GA4 channel groups to API categories - exact mapping to match GA4 reports
-  const channelMapping = {
-    'organic search': 'organic_search',
-    'paid search': 'paid_search',
-    'organic social': 'organic_social',
-    'paid social': 'paid_social',
-    'direct': 'direct',
-    'email': 'email',
-    'affiliates': 'affiliate',
-    'display': 'display',
-    'video': 'video',
-    'referral': 'referral',
-    'unassigned': 'unassigned',
-    'paid other': 'paid_other',
-    '(other)': 'referral'
-  };
-
-  return channelMapping[channelGroupLower] || 'referral';
-}
@@ -40,22 +40,6 @@ async function fetchBrandsWithRetry(organizationId, retries = 3) {
   }
 }
 
-async function processInBatches(items, batchSize, handler, startTime, maxMs) {
-  const results = [];
-  for (let i = 0; i < items.length; i += batchSize) {
-    const batch = items.slice(i, i + batchSize);
-    const res = await Promise.all(batch.map(handler));
-    results.push(...res);
-    if (startTime && maxMs && (Date.now() - startTime > maxMs)) {
-      break; // stop early and return partial results
-    }
-    // small pause to avoid bursts
-    await sleep(50);
-  }
-  return results;
-}
-
-
 export default async function handler(req, res) {
   // CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
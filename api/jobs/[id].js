@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Jobs API - job status
+ * Endpoint: GET /api/jobs/:id
+ *
+ * Returns { status, progress, result, error } for a job created via POST /api/jobs.
+ * `result` holds the JSON body the underlying endpoint would have returned.
+ *
+ * Requires a Firebase ID token: jobs are readable by their creator, and by
+ * members of the job's organization who can access its brand.
+ */
+
+const { getJob } = require('../../services/job-service');
+const { withAuth, checkBrandAccess, checkOrgMembership } = require('../../utils/auth.cjs.js');
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id } = req.query || {};
+  if (!id) {
+    return res.status(400).json({ error: 'Job ID is required' });
+  }
+
+  try {
+    const job = await getJob(id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (req.auth?.user && job.userId !== req.auth.uid) {
+      const reason = (!job.organizationId && !job.brandId && 'Only the creator can read this job') ||
+        (job.organizationId && await checkOrgMembership(req.auth.user, job.organizationId)) ||
+        (job.brandId && await checkBrandAccess(req.auth.user, job.brandId));
+      if (reason) {
+        return res.status(403).json({ error: 'Forbidden', message: reason, success: false });
+      }
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ success: true, job });
+  } catch (error) {
+    console.error('Jobs API - Error fetching job:', error);
+    return res.status(500).json({ error: 'Failed to fetch job', message: error.message });
+  }
+}
+
+module.exports = withAuth(handler);
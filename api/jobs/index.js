@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Jobs API - enqueue long-running generation work
+ * Endpoint: POST /api/jobs
+ *
+ * Body: { type: 'calendar-sim' | 'image-gen' | 'meta-ad-sim', payload: {...}, idempotencyKey? }
+ * The idempotency key may also be sent as an `Idempotency-Key` header.
+ *
+ * Responds 202 with { jobId, status, statusUrl } immediately; the job is run by
+ * /api/jobs/worker and polled via GET /api/jobs/:id.
+ *
+ * Requires a Firebase ID token. The job runs without the caller's token, so the
+ * caller's access to the payload's organization and brand is checked here.
+ */
+
+const axios = require('axios');
+const { createJob, JOB_TYPES, JOB_STATUS } = require('../../services/job-service');
+const { withAuth, checkBrandAccess, checkOrgMembership } = require('../../utils/auth.cjs.js');
+
+/**
+ * Resolves the worker URL for this deployment
+ * @param {Object} req - Request object
+ * @returns {string|null} Worker URL
+ */
+function getWorkerUrl(req) {
+  if (process.env.JOBS_WORKER_URL) return process.env.JOBS_WORKER_URL;
+  const host = process.env.VERCEL_URL || req.headers?.host;
+  if (!host) return null;
+  const protocol = /^(localhost|127\.0\.0\.1)/.test(host) ? 'http' : 'https';
+  return `${protocol}://${host}/api/jobs/worker`;
+}
+
+/**
+ * Starts the worker for a job without waiting for it to finish. The cron sweep
+ * picks the job up if this kick is lost.
+ * @param {Object} req - Request object
+ * @param {string} jobId - Job ID
+ */
+async function kickWorker(req, jobId) {
+  const url = getWorkerUrl(req);
+  if (!url) return;
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.CRON_SECRET) headers.Authorization = `Bearer ${process.env.CRON_SECRET}`;
+
+  try {
+    await axios.post(url, { jobId }, { headers, timeout: 1500 });
+  } catch (error) {
+    // A timeout is expected: the worker keeps running after we stop waiting
+    if (error.code !== 'ECONNABORTED') {
+      console.warn('Jobs API - Failed to kick worker:', { jobId, error: error.message });
+    }
+  }
+}
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { type, payload = {}, idempotencyKey: bodyKey } = req.body || {};
+    const idempotencyKey = bodyKey || req.headers?.['idempotency-key'] || null;
+
+    if (!type || !JOB_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: 'Invalid job type',
+        message: `type must be one of: ${JOB_TYPES.join(', ')}`
+      });
+    }
+
+    if (typeof payload !== 'object' || Array.isArray(payload)) {
+      return res.status(400).json({ error: 'payload must be an object' });
+    }
+
+    if (idempotencyKey && (typeof idempotencyKey !== 'string' || idempotencyKey.length > 255)) {
+      return res.status(400).json({ error: 'idempotencyKey must be a string of at most 255 characters' });
+    }
+
+    // Billing and access checks key off these IDs, so they live on the job itself
+    const organizationId = payload.organizationId || req.body.organizationId || null;
+    const brandId = payload.brandId || req.body.brandId || null;
+    const userId = payload.userId || req.body.userId || req.auth?.uid || null;
+
+    // withAuth only sees top-level IDs; the payload's are what the job bills and runs against
+    if (req.auth?.user) {
+      const reason = (userId !== req.auth.uid && 'userId does not match the authenticated user') ||
+        (organizationId && await checkOrgMembership(req.auth.user, organizationId)) ||
+        (brandId && await checkBrandAccess(req.auth.user, brandId));
+      if (reason) {
+        return res.status(403).json({ error: 'Forbidden', message: reason, success: false });
+      }
+    }
+
+    const { job, created } = await createJob({
+      type,
+      payload,
+      idempotencyKey,
+      organizationId,
+      brandId,
+      userId
+    });
+
+    if (created) {
+      await kickWorker(req, job.id);
+    }
+
+    return res.status(created ? 202 : 200).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      duplicate: !created,
+      statusUrl: `/api/jobs/${job.id}`,
+      ...(job.status === JOB_STATUS.SUCCEEDED || job.status === JOB_STATUS.FAILED ? { job } : {})
+    });
+  } catch (error) {
+    if (error.code === 'IDEMPOTENCY_CONFLICT') {
+      return res.status(409).json({ error: 'Idempotency conflict', message: error.message });
+    }
+    console.error('Jobs API - Error creating job:', error);
+    return res.status(500).json({ error: 'Failed to create job', message: error.message });
+  }
+}
+
+module.exports = withAuth(handler);
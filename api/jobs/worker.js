@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Jobs worker - runs queued generation jobs
+ * Endpoints:
+ *   POST /api/jobs/worker { jobId }  - run one job (kicked by POST /api/jobs)
+ *   GET  /api/jobs/worker            - cron sweep for queued or stalled jobs
+ *
+ * Each job is claimed atomically and then replayed through the existing
+ * endpoint handler (calendar-sim, image-gen, meta-ad-sim), so validation,
+ * api_logs and credit billing behave exactly as for a direct call - once per
+ * job run rather than once per client retry.
+ */
+
+const {
+  claimJob,
+  completeJob,
+  failJob,
+  findRunnableJobIds
+} = require('../../services/job-service');
+const { invokeHandler } = require('../../utils/invoke-handler');
+const { SWEEP_TIME_BUDGET_MS, requireCronAuth } = require('../../utils/cron');
+
+// Lazily required so the worker only loads the handler it needs
+const JOB_HANDLERS = {
+  'calendar-sim': () => require('../calendar-sim'),
+  'image-gen': () => require('../image-gen'),
+  'meta-ad-sim': () => require('../meta-ad-sim')
+};
+
+/**
+ * Claims and runs a single job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Outcome summary
+ */
+async function runJob(jobId) {
+  const job = await claimJob(jobId);
+  if (!job) {
+    return { jobId, skipped: true, reason: 'Job not claimable (already running or finished)' };
+  }
+
+  console.log('Jobs Worker - Running job:', { jobId, type: job.type, attempt: job.attempts });
+
+  const loadHandler = JOB_HANDLERS[job.type];
+  if (!loadHandler) {
+    await failJob(jobId, { message: `Unsupported job type: ${job.type}` });
+    return { jobId, status: 'failed' };
+  }
+
+  const body = { ...job.payload };
+  if (job.organizationId && !body.organizationId) body.organizationId = job.organizationId;
+  if (job.brandId && !body.brandId) body.brandId = job.brandId;
+  if (job.userId && !body.userId) body.userId = job.userId;
+
+  let response;
+  try {
+    response = await invokeHandler(loadHandler(), {
+      method: 'POST',
+      url: `/api/${job.type}`,
+      headers: { 'content-type': 'application/json', 'x-job-id': jobId },
+      body
+    });
+  } catch (error) {
+    console.error('Jobs Worker - Handler threw:', { jobId, error: error.message });
+    await failJob(jobId, { message: error.message });
+    return { jobId, status: 'failed' };
+  }
+
+  if (response.statusCode >= 400) {
+    await failJob(jobId, {
+      message: response.body?.error || response.body?.message || `Handler responded with ${response.statusCode}`,
+      status: response.statusCode,
+      details: response.body || null
+    });
+    console.warn('Jobs Worker - Job failed:', { jobId, status: response.statusCode });
+    return { jobId, status: 'failed' };
+  }
+
+  await completeJob(jobId, response.body);
+  console.log('Jobs Worker - Job succeeded:', { jobId, type: job.type });
+  return { jobId, status: 'succeeded' };
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!requireCronAuth(req, res)) return;
+
+  try {
+    if (req.method === 'POST') {
+      const { jobId } = req.body || {};
+      if (!jobId) {
+        return res.status(400).json({ error: 'jobId is required' });
+      }
+      const outcome = await runJob(jobId);
+      return res.status(200).json({ success: true, ...outcome });
+    }
+
+    if (req.method === 'GET') {
+      const startedAt = Date.now();
+      const jobIds = await findRunnableJobIds(5);
+      const results = [];
+
+      for (const jobId of jobIds) {
+        if (Date.now() - startedAt > SWEEP_TIME_BUDGET_MS) break;
+        try {
+          results.push(await runJob(jobId));
+        } catch (error) {
+          console.error('Jobs Worker - Error running job:', { jobId, error: error.message });
+          results.push({ jobId, status: 'error', error: error.message });
+        }
+      }
+
+      return res.status(200).json({ success: true, processed: results.length, results });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Jobs Worker - Error:', error);
+    return res.status(500).json({ error: 'Worker failed', message: error.message });
+  }
+};
+
+module.exports.config = { maxDuration: 300 };
@@ -3,14 +3,14 @@
  */
 
 import { getKeywordsByBrandId } from '../services/firebase-service.js';
-import crypto from 'crypto';
+import { createCache, brandTag, hashKey, isCacheBypassed, setCacheHeaders } from '../services/cache-service.js';
+import auth from '../utils/auth.cjs.js';
+import exportUtils from '../utils/export.js';
+const { withAuth } = auth;
+const { withExport } = exportUtils;
 
 // Cache configuration
-const CACHE = {
-  data: {},
-  timestamps: {},
-  TTL: 5 * 60 * 1000 // 5 minutes in milliseconds
-};
+const cache = createCache('keywords', { ttl: 5 * 60 * 1000 }); // 5 minutes in milliseconds
 
 /**
  * Generates a cache key from parameters
@@ -18,35 +18,10 @@ const CACHE = {
  * @returns {string} Cache key
  */
 const generateCacheKey = (brandId) => {
-  return crypto.createHash('md5').update(`keywords_${brandId}`).digest('hex');
+  return hashKey(`keywords_${brandId}`);
 };
 
-/**
- * Gets data from cache if valid
- * @param {string} cacheKey - Cache key
- * @returns {Object|null} Cached data or null if not found/expired
- */
-const getFromCache = (cacheKey) => {
-  const now = Date.now();
-  if (CACHE.data[cacheKey] && (now - CACHE.timestamps[cacheKey] < CACHE.TTL)) {
-    console.log('Keywords API - Cache hit for key:', cacheKey);
-    return CACHE.data[cacheKey];
-  }
-  return null;
-};
-
-/**
- * Stores data in cache
- * @param {string} cacheKey - Cache key
- * @param {any} data - Data to cache
- */
-const setCache = (cacheKey, data) => {
-  CACHE.data[cacheKey] = data;
-  CACHE.timestamps[cacheKey] = Date.now();
-  console.log('Keywords API - Data cached with key:', cacheKey);
-};
-
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Add CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, PUT, PATCH, OPTIONS');
@@ -133,8 +108,7 @@ export default async function handler(req, res) {
 
       // Clear cache for this brand
       const cacheKey = generateCacheKey(brandId);
-      delete CACHE.data[cacheKey];
-      delete CACHE.timestamps[cacheKey];
+      await cache.delete(cacheKey);
 
       console.log('Keywords API - Keywords updated successfully:', {
         brandId,
@@ -319,8 +293,7 @@ export default async function handler(req, res) {
 
       // Clear cache for this brand
       const cacheKey = generateCacheKey(brandId);
-      delete CACHE.data[cacheKey];
-      delete CACHE.timestamps[cacheKey];
+      await cache.delete(cacheKey);
 
       console.log('Keywords API - PATCH operations completed:', {
         brandId,
@@ -377,18 +350,27 @@ export default async function handler(req, res) {
     // Generate cache key
     const cacheKey = generateCacheKey(brandId);
     
-    // Check cache first
-    const cachedData = getFromCache(cacheKey);
-    if (cachedData) {
-      const fetchTime = Date.now() - startTime;
-      console.log('Keywords API - Returning cached data for brand:', brandId);
-      
-      return res.status(200).json({
-        ...cachedData,
-        cached: true,
-        responseTimeMs: fetchTime,
-        timestamp: new Date().toISOString()
-      });
+    // Check cache first (unless bypassed)
+    const bypassCache = isCacheBypassed(req);
+    if (bypassCache) {
+      console.log('Keywords API - Cache bypassed');
+      setCacheHeaders(res, 'BYPASS');
+    } else {
+      const cached = await cache.get(cacheKey);
+      if (cached && !cached.expired) {
+        const fetchTime = Date.now() - startTime;
+        console.log('Keywords API - Returning cached data for brand:', brandId);
+
+        setCacheHeaders(res, 'HIT', cached.age);
+
+        return res.status(200).json({
+          ...cached.value,
+          cached: true,
+          responseTimeMs: fetchTime,
+          timestamp: new Date().toISOString()
+        });
+      }
+      setCacheHeaders(res, cached ? 'EXPIRED' : 'MISS');
     }
 
     console.log('Keywords API - Cache miss, fetching from Firebase...');
@@ -413,7 +395,10 @@ export default async function handler(req, res) {
       brandId,
       success: true
     };
-    setCache(cacheKey, dataToCache);
+    if (!bypassCache) {
+      await cache.set(cacheKey, dataToCache, { tags: [brandTag(brandId)] });
+      console.log('Keywords API - Data cached with key:', cacheKey);
+    }
 
     console.log('Keywords API - Response Summary:', {
       brandId,
@@ -435,3 +420,10 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withAuth(withExport(handler, {
+  name: 'keywords',
+  datasets: {
+    keywords: { rows: (body) => body.keywords }
+  }
+}));
@@ -7,6 +7,8 @@ const { getMetaAdsData } = require('../services/meta-ads-service.js');
 const { getDefaultDateRange } = require('../utils/date-utils.js');
 const { getBrandInfo, getBrandConnection } = require('../services/firebase-service.js');
 const crypto = require('crypto');
+const { withAuth } = require('../utils/auth.cjs.js');
+const { withExport } = require('../utils/export.js');
 
 // Cache configuration
 const CACHE = {
@@ -26,7 +28,7 @@ const DEFAULT_RESPONSE = {
   dailyData: []
 };
 
-module.exports = async function handler(req, res) {
+async function handler(req, res) {
   // Add CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -190,3 +192,11 @@ module.exports = async function handler(req, res) {
     return res.status(200).json(DEFAULT_RESPONSE);
   }
 }
+
+module.exports = withAuth(withExport(handler, {
+  name: 'meta-ads',
+  datasets: {
+    daily: { rows: (body) => body.dailyData, columns: ['date'] },
+    campaigns: { rows: (body) => body.totals?.campaigns }
+  }
+}));
@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Meta budget pacing API endpoint - projected end-of-period spend per campaign and account
+ * @module api/meta-pacing
+ *
+ * GET /api/meta-pacing?brandId=...
+ *   period        month (default, current calendar month) | custom (requires from and to)
+ *   budget        Planned account spend for the period (defaults to connections.meta_ads.monthly_budget
+ *                 for month periods, then to the sum of campaign budgets)
+ *   lookbackDays  Days in the run-rate average (default 7, max 30)
+ *
+ * See services/pacing-service.js for the projection rules.
+ */
+
+const moment = require('moment-timezone');
+const { getMetaBudgetPacingData } = require('../services/meta-ads-service.js');
+const { buildPacingReport } = require('../services/pacing-service.js');
+const { getBrandConnection } = require('../services/firebase-service.js');
+const { getBusinessTimezone } = require('../utils/date-utils.js');
+const { createCache, brandTag, hashKey, isCacheBypassed, setCacheHeaders } = require('../services/cache-service.js');
+const { withAuth } = require('../utils/auth.cjs.js');
+
+const cache = createCache('meta-pacing', { ttl: 15 * 60 * 1000 }); // 15 minutes cache TTL
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed', message: 'This endpoint only accepts GET requests' });
+  }
+
+  const { brandId, period = 'month', from, to, budget, lookbackDays } = req.query || {};
+
+  if (!brandId) {
+    return res.status(400).json({ error: 'Missing required parameter: brandId' });
+  }
+  if (!['month', 'custom'].includes(period)) {
+    return res.status(400).json({ error: 'Invalid period', message: 'period must be one of: month, custom' });
+  }
+  if (period === 'custom' && (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '') || from > to)) {
+    return res.status(400).json({ error: 'Invalid date range', message: 'period=custom requires from and to (YYYY-MM-DD, from <= to)' });
+  }
+
+  const accountBudgetParam = budget !== undefined ? parseFloat(budget) : null;
+  if (accountBudgetParam !== null && (!isFinite(accountBudgetParam) || accountBudgetParam <= 0)) {
+    return res.status(400).json({ error: 'Invalid budget', message: 'budget must be a positive number' });
+  }
+  const lookback = Math.min(Math.max(parseInt(lookbackDays) || 7, 1), 30);
+
+  try {
+    const metaConnection = await getBrandConnection(brandId, 'meta_ads');
+    if (!metaConnection?.access_token || !metaConnection?.ad_account_id) {
+      return res.status(404).json({
+        error: 'Meta Ads not connected',
+        message: 'The brand has no Meta Ads connection with an ad account and access token'
+      });
+    }
+
+    const timezone = getBusinessTimezone(metaConnection.timezone || null);
+    const today = moment.tz(timezone).format('YYYY-MM-DD');
+    const periodStart = period === 'custom' ? from : moment.tz(timezone).startOf('month').format('YYYY-MM-DD');
+    const periodEnd = period === 'custom' ? to : moment.tz(timezone).endOf('month').format('YYYY-MM-DD');
+
+    const configuredBudget = period === 'month' && metaConnection.monthly_budget
+      ? parseFloat(metaConnection.monthly_budget)
+      : null;
+    const accountBudget = accountBudgetParam || configuredBudget || null;
+
+    // Spend is needed from the earlier of the period start and the run-rate window
+    const fetchFrom = [periodStart, moment.utc(today).subtract(lookback, 'days').format('YYYY-MM-DD')].sort()[0];
+    const fetchTo = [today, periodEnd].sort()[0];
+
+    const cacheKey = hashKey(`meta-pacing_${metaConnection.ad_account_id}_${fetchFrom}_${fetchTo}`);
+    const bypassCache = isCacheBypassed(req);
+
+    let data = null;
+    if (!bypassCache) {
+      const cached = await cache.get(cacheKey);
+      if (cached && !cached.expired) {
+        data = cached.value;
+        setCacheHeaders(res, 'HIT', cached.age);
+      } else {
+        setCacheHeaders(res, cached ? 'EXPIRED' : 'MISS');
+      }
+    } else {
+      setCacheHeaders(res, 'BYPASS');
+    }
+
+    if (!data) {
+      data = await getMetaBudgetPacingData(metaConnection.ad_account_id, fetchFrom, fetchTo, {
+        accessToken: metaConnection.access_token
+      });
+      if (!bypassCache) {
+        await cache.set(cacheKey, data, { tags: [brandTag(brandId)] });
+      }
+    }
+
+    const report = buildPacingReport(data, {
+      periodStart,
+      periodEnd,
+      today,
+      accountBudget,
+      lookbackDays: lookback
+    });
+
+    console.log('Meta Pacing API - Report built:', {
+      brandId,
+      period: report.period,
+      paceStatus: report.account.paceStatus,
+      campaigns: report.campaigns.length
+    });
+
+    return res.status(200).json({ success: true, brandId, ...report });
+  } catch (error) {
+    console.error('Meta Pacing API - Error:', {
+      brandId,
+      message: error.message,
+      response: error.response?.data
+    });
+    return res.status(500).json({
+      error: 'Failed to build pacing report',
+      message: error.response?.data?.error?.message || error.message,
+      success: false
+    });
+  }
+}
+
+module.exports = withAuth(handler);
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Organization overview API - overview totals for every brand in an
+ * organization, org-wide totals and brands ranked by growth
+ * @module api/org-overview
+ *
+ * GET /api/org-overview?organizationId=...&from=...&to=...
+ *   compare  Growth baseline: previous_period (default) | previous_year
+ *
+ * Brands are run through /api/overview a few at a time within a time budget
+ * (services/org-overview-service.js); when it runs out, `partial` is true and
+ * the brands not reached are listed in `skipped`.
+ */
+
+const { getOrgOverview } = require('../services/org-overview-service.js');
+const { getDefaultDateRange } = require('../utils/date-utils.js');
+const { COMPARE_MODES } = require('../utils/comparison.js');
+const { createCache, brandTag, hashKey, isCacheBypassed, setCacheHeaders } = require('../services/cache-service.js');
+const { withAuth } = require('../utils/auth.cjs.js');
+
+const cache = createCache('org-overview', { ttl: 15 * 60 * 1000 }); // 15 minutes cache TTL
+
+async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed', message: 'This endpoint only accepts GET requests' });
+  }
+
+  const { organizationId, from, to, compare = 'previous_period' } = req.query || {};
+
+  if (!organizationId) {
+    return res.status(400).json({ error: 'Missing required parameter: organizationId' });
+  }
+  if (!COMPARE_MODES.includes(compare)) {
+    return res.status(400).json({
+      error: 'Invalid compare mode',
+      message: `compare must be one of: ${COMPARE_MODES.join(', ')}`
+    });
+  }
+
+  const { fromDate, toDate } = getDefaultDateRange(from, to);
+  const cacheKey = hashKey(`org-overview_${organizationId}_${fromDate}_${toDate}_${compare}`);
+  const bypassCache = isCacheBypassed(req);
+
+  try {
+    if (!bypassCache) {
+      const cached = await cache.get(cacheKey);
+      if (cached && !cached.expired) {
+        setCacheHeaders(res, 'HIT', cached.age);
+        return res.status(200).json(cached.value);
+      }
+      setCacheHeaders(res, cached ? 'EXPIRED' : 'MISS');
+    } else {
+      setCacheHeaders(res, 'BYPASS');
+    }
+
+    const rollup = await getOrgOverview(organizationId, { from: fromDate, to: toDate, compare, bypassCache });
+
+    const response = {
+      success: true,
+      organizationId,
+      from: fromDate,
+      to: toDate,
+      compare,
+      summary: {
+        brands: rollup.brands.length + rollup.skipped.length,
+        processed: rollup.brands.length,
+        failed: rollup.brands.filter(brand => brand.status !== 'ok').length,
+        skipped: rollup.skipped.length
+      },
+      ...rollup
+    };
+
+    // Partial rollups are not cached so the next request can get further
+    if (!bypassCache && !rollup.partial) {
+      await cache.set(cacheKey, response, { tags: rollup.brands.map(brand => brandTag(brand.brandId)) });
+    }
+
+    console.log('Org Overview API - Rollup returned:', { organizationId, ...response.summary, partial: rollup.partial });
+
+    return res.status(200).json(response);
+  } catch (error) {
+    console.error('Org Overview API - Error:', { organizationId, message: error.message });
+    return res.status(500).json({
+      error: 'Failed to build organization overview',
+      message: error.message,
+      success: false
+    });
+  }
+}
+
+module.exports = withAuth(handler);
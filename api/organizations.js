@@ -2,11 +2,12 @@
 module.exports.config = { maxDuration: 60 };
 
 const { withLogging } = require('../utils/logging.cjs.js');
+const { withAuth } = require('../utils/auth.cjs.js');
 const { db } = require('../services/firebase-service');
 const metronomeService = require('../services/metronome-service');
 const stripeService = require('../services/stripe-service');
 
-module.exports = withLogging(async (req, res) => {
+module.exports = withLogging(withAuth(async (req, res) => {
   // CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
@@ -930,5 +931,4 @@ module.exports = withLogging(async (req, res) => {
       details: err?.message || 'Unknown error'
     });
   }
-});
-
+}, { methods: ['PATCH', 'DELETE'], matchUserId: true }));
@@ -2,14 +2,17 @@
  * @fileoverview Overview API endpoint - Daily analytics data
  */
 
-const { getGa4UsersData, getGa4SalesData } = require('../services/ga4-service.js');
+const { getGa4UsersData } = require('../services/ga4-service.js');
 const { getMetaAdsData } = require('../services/meta-ads-service.js');
+const { getGoogleAdsData, getGoogleAdsOptions } = require('../services/google-ads-service.js');
 const { getDefaultDateRange } = require('../utils/date-utils.js');
+const { mapChannelGroupToCategory } = require('../utils/channel-utils.js');
 const { getBrandInfo, getBrandConnections } = require('../services/firebase-service.js');
-const crypto = require('crypto');
-
-const { getTossdownSalesData } = require('../services/tossdown-service');
-const { getSquareSalesData } = require('../services/square-service');
+const { createCache, brandTag, hashKey, isCacheBypassed, setCacheHeaders } = require('../services/cache-service.js');
+const { getSalesReport, resolveSalesSource } = require('../services/sales-service.js');
+const { withAuth } = require('../utils/auth.cjs.js');
+const { withComparison } = require('../utils/comparison.js');
+const { withExport } = require('../utils/export.js');
 
 const DEFAULT_RESPONSE = {
   totals: {
@@ -45,13 +48,77 @@ const DEFAULT_RESPONSE = {
   dailyData: []
 };
 
-const CACHE = {
-  data: {},
-  timestamps: {},
-  TTL: 15 * 60 * 1000 // 15 minutes cache TTL
+// Google Ads block, present in totals and dailyData only when the brand has a google_ads connection
+const EMPTY_GOOGLE_ADS = {
+  spend: 0,
+  impressions: 0,
+  clicks: 0,
+  conversions: 0,
+  conversionValue: 0,
+  ctr: 0,
+  cpc: 0,
+  cpm: 0,
+  cpa: 0,
+  roas: 0
+};
+
+const cache = createCache('overview', { ttl: 15 * 60 * 1000 }); // 15 minutes cache TTL
+
+/**
+ * Empty dailyData entry, filled in by whichever source reports the date first
+ * @param {string} date - GA4 date (YYYYMMDD)
+ * @param {boolean} [withSales=false] - Include the sales block (brand has a sales source)
+ * @returns {Object} Daily entry with zeroed visitors and Meta Ads blocks
+ */
+const emptyDailyEntry = (date, withSales = false) => {
+  const entry = {
+    date,
+    visitors: {
+      total: 0,
+      organic_search: 0,
+      paid_search: 0,
+      organic_social: 0,
+      paid_social: 0,
+      direct: 0,
+      email: 0,
+      affiliate: 0,
+      display: 0,
+      video: 0,
+      referral: 0,
+      unassigned: 0,
+      paid_other: 0,
+      sessions: 0,
+      engagedSessions: 0,
+      bounceRate: 0,
+      engagementRate: 0,
+      medium_source_details: {}
+    },
+    meta_ads: {
+      spend: 0,
+      impressions: 0,
+      clicks: 0,
+      reach: 0,
+      ctr: 0,
+      cpc: 0,
+      cpm: 0
+    }
+  };
+
+  if (withSales) {
+    entry.sales = {
+      revenue: 0,
+      transactions: 0,
+      averageOrderValue: 0,
+      items: 0,
+      refunds: 0,
+      refundAmount: 0
+    };
+  }
+
+  return entry;
 };
 
-module.exports = async function handler(req, res) {
+async function handler(req, res) {
   // Add CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -63,41 +130,38 @@ module.exports = async function handler(req, res) {
   }
 
   // Generate cache key from request parameters
-  const cacheKey = crypto.createHash('md5').update(JSON.stringify(req.query)).digest('hex');
-  const now = Date.now();
+  const cacheKey = hashKey(req.query);
 
   // Check for cache bypass
-  const bypassCache = req.query.cache === '0';
+  const bypassCache = isCacheBypassed(req);
 
   if (bypassCache) {
     console.log('Overview API - Cache bypassed');
-    res.setHeader('X-Cache-Status', 'BYPASS');
+    setCacheHeaders(res, 'BYPASS');
   } else {
     // Check if we have a valid cached response
-    if (CACHE.data[cacheKey] && (now - CACHE.timestamps[cacheKey] < CACHE.TTL)) {
+    const cached = await cache.get(cacheKey);
+    if (cached && !cached.expired) {
       console.log('Overview API - Returning cached response for:', {
         cacheKey,
-        age: (now - CACHE.timestamps[cacheKey]) / 1000,
+        age: cached.age / 1000,
         queryParams: req.query
       });
 
       // Set cache headers to indicate a cache hit
-      res.setHeader('X-Cache-Status', 'HIT');
-      res.setHeader('X-Cache-Age', `${(now - CACHE.timestamps[cacheKey]) / 1000}s`);
-      return res.status(200).json(CACHE.data[cacheKey]);
-    } else if (CACHE.data[cacheKey]) {
+      setCacheHeaders(res, 'HIT', cached.age);
+      return res.status(200).json(cached.value);
+    } else if (cached) {
       // Cache exists but is expired
       console.log('Overview API - Cache expired, refreshing');
-      res.setHeader('X-Cache-Status', 'EXPIRED');
+      setCacheHeaders(res, 'EXPIRED');
     } else {
       // No cache found
       console.log('Overview API - No cache found');
-      res.setHeader('X-Cache-Status', 'MISS');
+      setCacheHeaders(res, 'MISS');
     }
   }
 
-
-
   try {
     const { brandId, ga4PropertyId, metaAccountId, sales_source, sales_source_id } = req.query;
 
@@ -105,8 +169,8 @@ module.exports = async function handler(req, res) {
     let ga4Token = null;
     let ga4RefreshToken = null;
     let metaAccessToken = null;
-    let salesSourceToUse = sales_source;
-    let tossdownIdToUse = sales_source_id;
+    let googleAdsConnection = null;
+    let brandConnections = {};
     // Only use query params if they're not empty strings and not invalid values like '0'
     let ga4PropertyIdToUse = ga4PropertyId && ga4PropertyId.trim() && ga4PropertyId !== '0' ? ga4PropertyId : null;
     let metaAccountIdToUse = metaAccountId && metaAccountId.trim() && metaAccountId !== '0' ? metaAccountId : null;
@@ -124,10 +188,13 @@ module.exports = async function handler(req, res) {
           hasTossdown: !!connections?.tossdown,
           ga4PropertyId: connections?.ga4?.property_id,
           metaAdAccountId: connections?.meta_ads?.ad_account_id,
+          hasGoogleAds: !!connections?.google_ads,
           tossdownId: connections?.tossdown?.tossdown_id
         });
 
         if (connections) {
+          brandConnections = connections;
+
           // Extract GA4 connection details
           if (connections.ga4 && connections.ga4.property_id) {
             ga4Token = connections.ga4.access_token;
@@ -143,20 +210,13 @@ module.exports = async function handler(req, res) {
             console.log('Overview API - Meta Ads OAuth configured:', { metaAccountIdToUse, hasToken: !!metaAccessToken });
           }
 
-          // Auto-detect sales source from brand connections if not provided
-          if (!salesSourceToUse) {
-            if (connections.tossdown && connections.tossdown.tossdown_id) {
-              salesSourceToUse = 'tossdown';
-              tossdownIdToUse = connections.tossdown.tossdown_id;
-              console.log('Overview API - Auto-detected sales source: tossdown');
-            } else if (connections.ga4 && connections.ga4.property_id) {
-              // Use GA4 for sales data if available
-              salesSourceToUse = 'ga4';
-              console.log('Overview API - Auto-detected sales source: ga4');
-            }
-          } else if (salesSourceToUse === 'tossdown' && connections.tossdown && connections.tossdown.tossdown_id) {
-            tossdownIdToUse = tossdownIdToUse || connections.tossdown.tossdown_id;
-            console.log('Overview API - Using Tossdown from brand connections:', { tossdownIdToUse });
+          // Extract Google Ads connection details
+          if (connections.google_ads && connections.google_ads.customer_id) {
+            googleAdsConnection = connections.google_ads;
+            console.log('Overview API - Google Ads OAuth configured:', {
+              customerId: googleAdsConnection.customer_id,
+              hasToken: !!googleAdsConnection.access_token
+            });
           }
         }
       } catch (brandError) {
@@ -166,8 +226,16 @@ module.exports = async function handler(req, res) {
 
     // OAuth tokens are required from brand connections (no environment fallback)
 
+    // Resolve the sales source (auto-detected from brand connections if not provided)
+    const salesSource = resolveSalesSource(brandConnections, {
+      source: sales_source,
+      sourceId: sales_source_id || (sales_source === 'ga4' ? ga4PropertyIdToUse : null)
+    });
+    const salesSourceToUse = salesSource?.source || null;
+    const salesSourceIdToUse = salesSource?.sourceId || null;
+
     // Check if we have at least one data source available
-    if (!ga4PropertyIdToUse && !metaAccountIdToUse && !salesSourceToUse) {
+    if (!ga4PropertyIdToUse && !metaAccountIdToUse && !googleAdsConnection && !salesSourceToUse) {
       console.log('Overview API - No data sources available - missing all required parameters');
       return res.status(200).json(DEFAULT_RESPONSE);
     }
@@ -183,10 +251,11 @@ module.exports = async function handler(req, res) {
       from: fromDate,
       to: toDate,
       sales_source: salesSourceToUse || 'NOT_PROVIDED',
-      sales_source_id: tossdownIdToUse || 'NOT_PROVIDED',
+      sales_source_id: salesSourceIdToUse || 'NOT_PROVIDED',
       dataSources: {
         ga4: !!ga4PropertyIdToUse,
         metaAds: !!metaAccountIdToUse,
+        googleAds: !!googleAdsConnection,
         sales: !!salesSourceToUse
       },
       hasOAuthTokens: {
@@ -221,28 +290,19 @@ module.exports = async function handler(req, res) {
       console.log('Overview API - Skipping Meta Ads data (no metaAccountId provided)');
     }
 
-    // Sales data - improved logic with auto-detection
+    // Google Ads data
+    if (googleAdsConnection) {
+      dataPromises.push(getGoogleAdsData(googleAdsConnection.customer_id, fromDate, toDate, getGoogleAdsOptions(googleAdsConnection)));
+      promiseMap.googleAdsData = dataPromises.length - 1;
+    } else {
+      console.log('Overview API - Skipping Google Ads data (no google_ads connection)');
+    }
+
+    // Sales data - canonical report from whichever source the brand uses
     if (salesSourceToUse) {
-      if (salesSourceToUse === 'tossdown' && tossdownIdToUse) {
-        dataPromises.push(getTossdownSalesData(fromDate, toDate, tossdownIdToUse));
-        promiseMap.salesData = dataPromises.length - 1;
-        console.log('Overview API - Fetching Tossdown sales data:', { tossdownIdToUse });
-      } else if (salesSourceToUse === 'ga4' && ga4PropertyIdToUse) {
-        const ga4Options = ga4Token ? { accessToken: ga4Token, refreshToken: ga4RefreshToken } : {};
-        dataPromises.push(getGa4SalesData(ga4PropertyIdToUse, fromDate, toDate, ga4Options));
-        promiseMap.salesData = dataPromises.length - 1;
-        console.log('Overview API - Fetching GA4 sales data:', { ga4PropertyIdToUse });
-      } else if (salesSourceToUse === 'square' && tossdownIdToUse) {
-        dataPromises.push(getSquareSalesData(fromDate, toDate, tossdownIdToUse));
-        promiseMap.salesData = dataPromises.length - 1;
-        console.log('Overview API - Fetching Square sales data:', { locationId: tossdownIdToUse });
-      } else {
-        console.log('Overview API - Sales source configured but missing required ID:', {
-          salesSourceToUse,
-          tossdownIdToUse,
-          ga4PropertyIdToUse
-        });
-      }
+      dataPromises.push(getSalesReport({ ...salesSource, from: fromDate, to: toDate, brandId, bypassCache }));
+      promiseMap.salesData = dataPromises.length - 1;
+      console.log('Overview API - Fetching sales data:', { source: salesSourceToUse, sourceId: salesSourceIdToUse });
     } else {
       console.log('Overview API - Skipping sales data (no sales source available)');
     }
@@ -253,6 +313,7 @@ module.exports = async function handler(req, res) {
     // Extract results based on promise map
     const usersData = promiseMap.usersData !== undefined ? results[promiseMap.usersData] : { status: 'rejected', reason: 'No GA4 property ID provided' };
     const metaAdsData = promiseMap.metaAdsData !== undefined ? results[promiseMap.metaAdsData] : { status: 'rejected', reason: 'No Meta account ID provided' };
+    const googleAdsData = promiseMap.googleAdsData !== undefined ? results[promiseMap.googleAdsData] : { status: 'rejected', reason: 'No Google Ads connection' };
     const salesData = promiseMap.salesData !== undefined ? results[promiseMap.salesData] : { status: 'rejected', reason: 'No sales source provided' };
 
     // Initialize response structure
@@ -290,12 +351,24 @@ module.exports = async function handler(req, res) {
       dailyData: {}
     };
 
+    // Add Google Ads totals if the brand has a Google Ads connection
+    if (googleAdsConnection) {
+      response.totals.google_ads = { ...EMPTY_GOOGLE_ADS };
+    }
+
     // Add sales totals if sales source is available
     if (salesSourceToUse) {
       response.totals.sales = {
         revenue: 0,
         transactions: 0,
         averageOrderValue: 0,
+        items: 0,
+        refunds: 0,
+        refundAmount: 0,
+        netRevenue: 0,
+        channels: {},
+        currency: null,
+        source: salesSourceToUse,
         topProducts: []
       };
     }
@@ -313,47 +386,7 @@ module.exports = async function handler(req, res) {
         const trafficCategory = mapChannelGroupToCategory(channelGroup);
 
         if (!response.dailyData[date]) {
-          response.dailyData[date] = {
-            date,
-            visitors: {
-              total: 0,
-              organic_search: 0,
-              paid_search: 0,
-              organic_social: 0,
-              paid_social: 0,
-              direct: 0,
-              email: 0,
-              affiliate: 0,
-              display: 0,
-              video: 0,
-              referral: 0,
-              unassigned: 0,
-              paid_other: 0,
-              sessions: 0,
-              engagedSessions: 0,
-              bounceRate: 0,
-              engagementRate: 0,
-              medium_source_details: {}
-            },
-            meta_ads: {
-              spend: 0,
-              impressions: 0,
-              clicks: 0,
-              reach: 0,
-              ctr: 0,
-              cpc: 0,
-              cpm: 0
-            }
-          };
-
-          // Only add sales object if sales source is available
-          if (salesSourceToUse) {
-            response.dailyData[date].sales = {
-              revenue: 0,
-              transactions: 0,
-              averageOrderValue: 0
-            };
-          }
+          response.dailyData[date] = emptyDailyEntry(date, !!salesSourceToUse);
         }
 
         // Track detailed traffic data (channel group)
@@ -390,45 +423,7 @@ module.exports = async function handler(req, res) {
         const reach = parseInt(day.reach || 0);
 
         if (!response.dailyData[date]) {
-          response.dailyData[date] = {
-            date,
-            visitors: {
-              total: 0,
-              organic_search: 0,
-              paid_search: 0,
-              organic_social: 0,
-              paid_social: 0,
-              direct: 0,
-              email: 0,
-              affiliate: 0,
-              display: 0,
-              video: 0,
-              referral: 0,
-              sessions: 0,
-              engagedSessions: 0,
-              bounceRate: 0,
-              engagementRate: 0,
-              medium_source_details: {}
-            },
-            meta_ads: {
-              spend: 0,
-              impressions: 0,
-              clicks: 0,
-              reach: 0,
-              ctr: 0,
-              cpc: 0,
-              cpm: 0
-            }
-          };
-          
-          // Only add sales object if sales source is available
-          if (salesSourceToUse) {
-            response.dailyData[date].sales = {
-              revenue: 0,
-              transactions: 0,
-              averageOrderValue: 0
-            };
-          }
+          response.dailyData[date] = emptyDailyEntry(date, !!salesSourceToUse);
         }
 
         // Calculate metrics
@@ -454,6 +449,37 @@ module.exports = async function handler(req, res) {
       });
     }
 
+    // Process Google Ads data
+    if (googleAdsConnection && googleAdsData.status === 'fulfilled' && googleAdsData.value?.data) {
+      googleAdsData.value.data.forEach(day => {
+        const date = day.date.replace(/-/g, '');
+
+        if (!response.dailyData[date]) {
+          response.dailyData[date] = emptyDailyEntry(date, !!salesSourceToUse);
+        }
+
+        response.dailyData[date].google_ads = {
+          spend: day.spend,
+          impressions: day.impressions,
+          clicks: day.clicks,
+          conversions: day.conversions,
+          conversionValue: day.conversionValue,
+          ctr: day.ctr,
+          cpc: day.cpc,
+          cpm: day.cpm
+        };
+
+        // Update totals
+        response.totals.google_ads.spend += day.spend;
+        response.totals.google_ads.impressions += day.impressions;
+        response.totals.google_ads.clicks += day.clicks;
+        response.totals.google_ads.conversions += day.conversions;
+        response.totals.google_ads.conversionValue += day.conversionValue;
+      });
+    } else if (googleAdsConnection && googleAdsData.status === 'rejected') {
+      console.error('Overview API - Failed to fetch Google Ads data:', googleAdsData.reason?.message || googleAdsData.reason);
+    }
+
     // Process Sales data if available
     if (salesSourceToUse && salesData.status === 'fulfilled' && salesData.value) {
       const salesResult = salesData.value;
@@ -461,47 +487,21 @@ module.exports = async function handler(req, res) {
       if (salesResult.dailyData && Array.isArray(salesResult.dailyData)) {
         salesResult.dailyData.forEach(day => {
           const date = day.date.replace(/-/g, '');
-          const revenue = parseFloat(day.revenue || 0);
-          const transactions = parseInt(day.purchases || day.transactions || 0);
-          const averageOrderValue = transactions > 0 ? parseFloat((revenue / transactions).toFixed(2)) : 0;
+          const revenue = day.revenue;
+          const transactions = day.orders;
+          const averageOrderValue = day.averageOrderValue;
 
           if (!response.dailyData[date]) {
-            response.dailyData[date] = {
-              date,
-              visitors: {
-                total: 0,
-                organic_search: 0,
-                paid_search: 0,
-                organic_social: 0,
-                paid_social: 0,
-                direct: 0,
-                email: 0,
-                affiliate: 0,
-                display: 0,
-                video: 0,
-                referral: 0,
-                sessions: 0,
-                engagedSessions: 0,
-                bounceRate: 0,
-                engagementRate: 0,
-                medium_source_details: {}
-              },
-              meta_ads: {
-                spend: 0,
-                impressions: 0,
-                clicks: 0,
-                reach: 0,
-                ctr: 0,
-                cpc: 0,
-                cpm: 0
-              }
-            };
+            response.dailyData[date] = emptyDailyEntry(date);
           }
 
           response.dailyData[date].sales = {
-            revenue: parseFloat(revenue.toFixed(2)),
+            revenue,
             transactions,
-            averageOrderValue
+            averageOrderValue,
+            items: day.items,
+            refunds: day.refunds,
+            refundAmount: day.refundAmount
           };
 
           // Update totals
@@ -510,6 +510,14 @@ module.exports = async function handler(req, res) {
         });
       }
 
+      response.totals.sales.items = salesResult.totals.items;
+      response.totals.sales.refunds = salesResult.totals.refunds;
+      response.totals.sales.refundAmount = salesResult.totals.refundAmount;
+      response.totals.sales.netRevenue = salesResult.totals.netRevenue;
+      response.totals.sales.channels = salesResult.totals.channels;
+      response.totals.sales.currency = salesResult.currency;
+      response.totals.sales.source = salesResult.source;
+
       // Process products data from the top level of sales result
       if (salesResult.products && Array.isArray(salesResult.products)) {
         // Get top 3 products by quantity sold
@@ -517,9 +525,9 @@ module.exports = async function handler(req, res) {
           .sort((a, b) => b.quantity - a.quantity)
           .slice(0, 3)
           .map(product => ({
-            name: product.item_name || product.name || 'Unknown Product',
-            count: product.quantity || 0,
-            totalSale: parseFloat((product.total || 0).toFixed(2))
+            name: product.name,
+            count: product.quantity,
+            totalSale: product.revenue
           }));
 
         response.totals.sales.topProducts = topProductsByQuantity;
@@ -536,6 +544,11 @@ module.exports = async function handler(req, res) {
 
     // Calculate bounce rates and engagement rates for each day
     Object.values(response.dailyData).forEach(day => {
+      // Days without Google Ads activity still get an empty block so the daily shape is stable
+      if (googleAdsConnection && !day.google_ads) {
+        day.google_ads = { spend: 0, impressions: 0, clicks: 0, conversions: 0, conversionValue: 0, ctr: 0, cpc: 0, cpm: 0 };
+      }
+
       // Calculate bounce rate using the formula: ((sessions - engagedSessions) / sessions) * 100
       day.visitors.bounceRate = day.visitors.sessions > 0
         ? parseFloat((((day.visitors.sessions - day.visitors.engagedSessions) / day.visitors.sessions) * 100).toFixed(2))
@@ -574,6 +587,28 @@ module.exports = async function handler(req, res) {
       ? parseFloat((response.totals.meta_ads.spend / response.totals.meta_ads.impressions * 1000).toFixed(2))
       : 0;
 
+    if (response.totals.google_ads) {
+      const googleAds = response.totals.google_ads;
+      googleAds.spend = parseFloat(googleAds.spend.toFixed(2));
+      googleAds.conversions = parseFloat(googleAds.conversions.toFixed(2));
+      googleAds.conversionValue = parseFloat(googleAds.conversionValue.toFixed(2));
+      googleAds.ctr = googleAds.impressions > 0
+        ? parseFloat(((googleAds.clicks / googleAds.impressions) * 100).toFixed(2))
+        : 0;
+      googleAds.cpc = googleAds.clicks > 0
+        ? parseFloat((googleAds.spend / googleAds.clicks).toFixed(2))
+        : 0;
+      googleAds.cpm = googleAds.impressions > 0
+        ? parseFloat((googleAds.spend / googleAds.impressions * 1000).toFixed(2))
+        : 0;
+      googleAds.cpa = googleAds.conversions > 0
+        ? parseFloat((googleAds.spend / googleAds.conversions).toFixed(2))
+        : 0;
+      googleAds.roas = googleAds.spend > 0
+        ? parseFloat((googleAds.conversionValue / googleAds.spend).toFixed(2))
+        : 0;
+    }
+
     if (response.totals.sales) {
       response.totals.sales.revenue = parseFloat(response.totals.sales.revenue.toFixed(2));
       response.totals.sales.averageOrderValue = response.totals.sales.transactions > 0
@@ -588,6 +623,7 @@ module.exports = async function handler(req, res) {
       totalCTR: response.totals.meta_ads.ctr,
       totalCPC: response.totals.meta_ads.cpc,
       totalCPM: response.totals.meta_ads.cpm,
+      googleAdsSpend: response.totals.google_ads?.spend ?? 'not connected',
       totalRevenue: response.totals.sales?.revenue || 0,
       totalTransactions: response.totals.sales?.transactions || 0,
       topProductsCount: response.totals.sales?.topProducts?.length || 0,
@@ -598,8 +634,7 @@ module.exports = async function handler(req, res) {
 
     // Cache the response (unless bypassed)
     if (!bypassCache) {
-      CACHE.data[cacheKey] = response;
-      CACHE.timestamps[cacheKey] = now;
+      await cache.set(cacheKey, response, { tags: [brandId && brandTag(brandId)] });
     }
 
     // Set Vercel cache headers (15 minutes cache, 5 minutes stale-while-revalidate)
@@ -624,30 +659,10 @@ module.exports = async function handler(req, res) {
   }
 }
 
-// Helper function to map GA4 sessionDefaultChannelGroup to API field names
-function mapChannelGroupToCategory(channelGroup) {
-  if (!channelGroup) {
-    return 'unassigned';
+module.exports = withAuth(withExport(withComparison(handler, { dailyKey: 'dailyData' }), {
+  name: 'overview',
+  datasets: {
+    daily: { rows: (body) => body.dailyData, columns: ['date'] },
+    products: { rows: (body) => body.totals?.sales?.topProducts }
   }
-
-  const channelGroupLower = channelGroup.toLowerCase();
-
-  // Map GA4 channel groups to API categories - exact mapping to match GA4 reports
-  const channelMapping = {
-    'organic search': 'organic_search',
-    'paid search': 'paid_search',
-    'organic social': 'organic_social',
-    'paid social': 'paid_social',
-    'direct': 'direct',
-    'email': 'email',
-    'affiliates': 'affiliate',
-    'display': 'display',
-    'video': 'video',
-    'referral': 'referral',
-    'unassigned': 'unassigned',
-    'paid other': 'paid_other',
-    '(other)': 'referral'
-  };
-
-  return channelMapping[channelGroupLower] || 'referral';
-}
+}));
@@ -5,14 +5,12 @@
 const { getPagesByBrandId, getBrandInfo, getBrandConnection } = require('../services/firebase-service.js');
 const { getGa4TopPages } = require('../services/ga4-service.js');
 const { getDefaultDateRange } = require('../utils/date-utils.js');
-const crypto = require('crypto');
+const { createCache, brandTag, hashKey, isCacheBypassed, setCacheHeaders } = require('../services/cache-service.js');
+const { withAuth } = require('../utils/auth.cjs.js');
+const { withExport } = require('../utils/export.js');
 
 // Cache configuration
-const CACHE = {
-  data: {},
-  timestamps: {},
-  TTL: 15 * 60 * 1000 // 15 minutes in milliseconds
-};
+const cache = createCache('pages', { ttl: 15 * 60 * 1000 }); // 15 minutes in milliseconds
 
 /**
  * Generates a cache key from parameters
@@ -25,32 +23,7 @@ const CACHE = {
  */
 const generateCacheKey = (brandId, includeGA4 = false, ga4PropertyId = null, from = null, to = null) => {
   const keyString = `pages_${brandId}_ga4_${includeGA4}_${ga4PropertyId || 'none'}_${from || 'none'}_${to || 'none'}`;
-  return crypto.createHash('md5').update(keyString).digest('hex');
-};
-
-/**
- * Gets data from cache if valid
- * @param {string} cacheKey - Cache key
- * @returns {Object|null} Cached data or null if not found/expired
- */
-const getFromCache = (cacheKey) => {
-  const now = Date.now();
-  if (CACHE.data[cacheKey] && (now - CACHE.timestamps[cacheKey] < CACHE.TTL)) {
-    console.log('Pages API - Cache hit for key:', cacheKey);
-    return CACHE.data[cacheKey];
-  }
-  return null;
-};
-
-/**
- * Stores data in cache
- * @param {string} cacheKey - Cache key
- * @param {any} data - Data to cache
- */
-const setCache = (cacheKey, data) => {
-  CACHE.data[cacheKey] = data;
-  CACHE.timestamps[cacheKey] = Date.now();
-  console.log('Pages API - Data cached with key:', cacheKey);
+  return hashKey(keyString);
 };
 
 /**
@@ -192,7 +165,7 @@ const enhancePagesWithGA4Data = (pages, ga4Data) => {
   });
 };
 
-module.exports = async function handler(req, res) {
+async function handler(req, res) {
   // Add CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
@@ -215,7 +188,7 @@ module.exports = async function handler(req, res) {
   console.log('Pages API - Processing request');
 
   // Extract parameters from query (GET)
-  const { brandId, ga4: queryGA4, ga4PropertyId, from: queryFrom, to: queryTo, cache: queryCache } = req.query || {};
+  const { brandId, ga4: queryGA4, ga4PropertyId, from: queryFrom, to: queryTo } = req.query || {};
 
   // Normalize empty string and "not-set" values to null
   const normalizeParam = (param) => {
@@ -281,7 +254,7 @@ module.exports = async function handler(req, res) {
   const toDate = queryTo;
 
   // Check if cache should be bypassed
-  const bypassCache = (queryCache === '0');
+  const bypassCache = isCacheBypassed(req);
 
   // Use default date range if no dates provided
   const { fromDate: defaultFrom, toDate: defaultTo } = getDefaultDateRange(fromDate, toDate);
@@ -364,27 +337,26 @@ module.exports = async function handler(req, res) {
 
     // Check cache first (unless bypassed)
     if (!bypassCache) {
-      const cachedData = getFromCache(cacheKey);
-      if (cachedData) {
+      const cached = await cache.get(cacheKey);
+      if (cached && !cached.expired) {
         const fetchTime = Date.now() - startTime;
         console.log('Pages API - Returning cached data for brand:', brandId, 'with date range:', { from: defaultFrom, to: defaultTo });
 
-        res.setHeader('X-Cache-Status', 'HIT');
-        res.setHeader('X-Cache-Age', `${(Date.now() - CACHE.timestamps[cacheKey]) / 1000}s`);
+        setCacheHeaders(res, 'HIT', cached.age);
 
         return res.status(200).json({
-          ...cachedData,
+          ...cached.value,
           cached: true,
           responseTimeMs: fetchTime,
           timestamp: new Date().toISOString()
         });
       } else {
         console.log('Pages API - Cache miss');
-        res.setHeader('X-Cache-Status', 'MISS');
+        setCacheHeaders(res, cached ? 'EXPIRED' : 'MISS');
       }
     } else {
       console.log('Pages API - Cache bypassed for testing');
-      res.setHeader('X-Cache-Status', 'BYPASS');
+      setCacheHeaders(res, 'BYPASS');
     }
 
     console.log('Pages API - Cache miss, fetching from Firebase...');
@@ -609,7 +581,8 @@ module.exports = async function handler(req, res) {
           requestedTo: toDate || null
         } : null
       };
-      setCache(cacheKey, dataToCache);
+      await cache.set(cacheKey, dataToCache, { tags: [brandTag(brandId)] });
+      console.log('Pages API - Data cached with key:', cacheKey);
     }
 
     const logSummary = {
@@ -656,3 +629,11 @@ module.exports = async function handler(req, res) {
     });
   }
 }
+
+module.exports = withAuth(withExport(handler, {
+  name: 'pages',
+  datasets: {
+    pages: { rows: (body) => body.pages },
+    'top-pages': { rows: (body) => body.topPages }
+  }
+}));
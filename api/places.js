@@ -3,14 +3,12 @@
  */
 
 import { getPlacesByBrandId } from '../services/firebase-service.js';
-import crypto from 'crypto';
+import { createCache, brandTag, hashKey, isCacheBypassed, setCacheHeaders } from '../services/cache-service.js';
+import auth from '../utils/auth.cjs.js';
+const { withAuth } = auth;
 
 // Cache configuration
-const CACHE = {
-  data: {},
-  timestamps: {},
-  TTL: 15 * 60 * 1000 // 15 minutes in milliseconds
-};
+const cache = createCache('places', { ttl: 15 * 60 * 1000 }); // 15 minutes in milliseconds
 
 /**
  * Generates a cache key from parameters
@@ -18,35 +16,10 @@ const CACHE = {
  * @returns {string} Cache key
  */
 const generateCacheKey = (brandId) => {
-  return crypto.createHash('md5').update(`places_${brandId}`).digest('hex');
-};
-
-/**
- * Gets data from cache if valid
- * @param {string} cacheKey - Cache key
- * @returns {Object|null} Cached data or null if not found/expired
- */
-const getFromCache = (cacheKey) => {
-  const now = Date.now();
-  if (CACHE.data[cacheKey] && (now - CACHE.timestamps[cacheKey] < CACHE.TTL)) {
-    console.log('Places API - Cache hit for key:', cacheKey);
-    return CACHE.data[cacheKey];
-  }
-  return null;
+  return hashKey(`places_${brandId}`);
 };
 
-/**
- * Stores data in cache
- * @param {string} cacheKey - Cache key
- * @param {any} data - Data to cache
- */
-const setCache = (cacheKey, data) => {
-  CACHE.data[cacheKey] = data;
-  CACHE.timestamps[cacheKey] = Date.now();
-  console.log('Places API - Data cached with key:', cacheKey);
-};
-
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Add CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
@@ -81,27 +54,6 @@ export default async function handler(req, res) {
   const authHeader = req.headers.authorization;
   const idToken = authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : null;
 
-  // Generate cache key from request parameters including auth
-  const cacheKey = crypto.createHash('md5').update(JSON.stringify({ brandId, auth: idToken.substring(0, 10) })).digest('hex');
-  const now = Date.now();
-
-  // Check if we have a valid cached response
-  if (CACHE.data[cacheKey] && (now - CACHE.timestamps[cacheKey] < CACHE.TTL)) {
-    console.log('Places API - Returning cached response for:', {
-      cacheKey,
-      age: (now - CACHE.timestamps[cacheKey]) / 1000,
-      brandId
-    });
-
-    // Set cache headers to indicate a cache hit
-    res.setHeader('X-Cache', 'HIT');
-    res.setHeader('X-Cache-Age', `${(now - CACHE.timestamps[cacheKey]) / 1000}s`);
-    return res.status(200).json(CACHE.data[cacheKey]);
-  }
-
-  // Set cache headers to indicate a cache miss
-  res.setHeader('X-Cache', 'MISS');
-
   console.log('Places API - Request parameters:', {
     brandId,
     method: req.method,
@@ -116,18 +68,27 @@ export default async function handler(req, res) {
     // Generate cache key
     const cacheKey = generateCacheKey(brandId);
 
-    // Check cache first
-    const cachedData = getFromCache(cacheKey);
-    if (cachedData) {
-      const fetchTime = Date.now() - startTime;
-      console.log('Places API - Returning cached data for brand:', brandId);
-
-      return res.status(200).json({
-        ...cachedData,
-        cached: true,
-        responseTimeMs: fetchTime,
-        timestamp: new Date().toISOString()
-      });
+    // Check cache first (unless bypassed)
+    const bypassCache = isCacheBypassed(req);
+    if (bypassCache) {
+      console.log('Places API - Cache bypassed');
+      setCacheHeaders(res, 'BYPASS');
+    } else {
+      const cached = await cache.get(cacheKey);
+      if (cached && !cached.expired) {
+        const fetchTime = Date.now() - startTime;
+        console.log('Places API - Returning cached data for brand:', brandId);
+
+        setCacheHeaders(res, 'HIT', cached.age);
+
+        return res.status(200).json({
+          ...cached.value,
+          cached: true,
+          responseTimeMs: fetchTime,
+          timestamp: new Date().toISOString()
+        });
+      }
+      setCacheHeaders(res, cached ? 'EXPIRED' : 'MISS');
     }
 
     console.log('Places API - Cache miss, fetching from Firebase...');
@@ -211,7 +172,10 @@ export default async function handler(req, res) {
       totals,
       success: true
     };
-    setCache(cacheKey, dataToCache);
+    if (!bypassCache) {
+      await cache.set(cacheKey, dataToCache, { tags: [brandTag(brandId)] });
+      console.log('Places API - Data cached with key:', cacheKey);
+    }
 
     console.log('Places API - Response Summary:', {
       brandId,
@@ -224,7 +188,11 @@ export default async function handler(req, res) {
     });
 
     // Set Vercel cache headers (15 minutes cache, 5 minutes stale-while-revalidate)
-    res.setHeader('Cache-Control', 'public, max-age=900, stale-while-revalidate=300');
+    if (bypassCache) {
+      res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    } else {
+      res.setHeader('Cache-Control', 'public, max-age=900, stale-while-revalidate=300');
+    }
 
     return res.status(200).json(response);
 
@@ -242,3 +210,5 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withAuth(handler);
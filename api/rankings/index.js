@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Rankings API - Google positions of a brand's tracked keywords
+ * Endpoints:
+ *   GET /api/rankings?brandId=...&from=...&to=...   - position history, change, best position,
+ *                                                     ranking URL and visibility score
+ *       location  Only this location (e.g. 2840:en:desktop)
+ *       keyword   Only this keyword
+ *   PUT /api/rankings { brandId, domain?, locations?, enabled? }  - set up or change tracking
+ *
+ * Positions are recorded daily by /api/rankings/track (cron) for the keywords
+ * managed through /api/keywords.
+ */
+
+const {
+  getTrackingConfig,
+  saveTrackingConfig,
+  getRankings
+} = require('../../services/rank-tracking-service');
+const { getBrandInfo } = require('../../services/firebase-service');
+const { getDefaultDateRange } = require('../../utils/date-utils');
+const { createCache, brandTag, hashKey, isCacheBypassed, setCacheHeaders } = require('../../services/cache-service');
+const { withAuth } = require('../../utils/auth.cjs.js');
+
+const cache = createCache('rankings', { ttl: 60 * 60 * 1000 }); // 1 hour; cleared when new positions are stored
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    if (req.method === 'PUT') {
+      const body = req.body || {};
+      if (!body.brandId) {
+        return res.status(400).json({ error: 'Missing required field: brandId' });
+      }
+
+      const brand = await getBrandInfo(body.brandId);
+      if (!brand) {
+        return res.status(404).json({ error: 'Brand not found' });
+      }
+
+      const config = await saveTrackingConfig(brand, {
+        domain: body.domain,
+        locations: body.locations,
+        enabled: body.enabled
+      });
+      return res.status(200).json({ success: true, config });
+    }
+
+    if (req.method === 'GET') {
+      const { brandId, from, to, location = null, keyword = null } = req.query || {};
+      if (!brandId) {
+        return res.status(400).json({ error: 'Missing required parameter: brandId' });
+      }
+
+      const { fromDate, toDate } = getDefaultDateRange(from, to);
+      const cacheKey = hashKey(`rankings_${brandId}_${fromDate}_${toDate}_${location || 'all'}_${keyword || 'all'}`);
+      const bypassCache = isCacheBypassed(req);
+
+      if (!bypassCache) {
+        const cached = await cache.get(cacheKey);
+        if (cached && !cached.expired) {
+          setCacheHeaders(res, 'HIT', cached.age);
+          return res.status(200).json(cached.value);
+        }
+        setCacheHeaders(res, cached ? 'EXPIRED' : 'MISS');
+      } else {
+        setCacheHeaders(res, 'BYPASS');
+      }
+
+      const config = await getTrackingConfig(brandId);
+      const rankings = await getRankings(brandId, { from: fromDate, to: toDate, location, keyword });
+
+      const response = {
+        success: true,
+        brandId,
+        from: fromDate,
+        to: toDate,
+        config,
+        ...rankings
+      };
+
+      if (!bypassCache) {
+        await cache.set(cacheKey, response, { tags: [brandTag(brandId), `rankings:${brandId}`] });
+      }
+
+      console.log('Rankings API - Rankings returned:', {
+        brandId,
+        from: fromDate,
+        to: toDate,
+        tracked: rankings.summary.tracked,
+        visibility: rankings.summary.visibility
+      });
+
+      return res.status(200).json(response);
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    if (error.code === 'INVALID_TRACKING_CONFIG') {
+      return res.status(400).json({ error: 'Invalid tracking config', message: error.message });
+    }
+    console.error('Rankings API - Error:', error);
+    return res.status(500).json({ error: 'Rankings request failed', message: error.message });
+  }
+}
+
+module.exports = withAuth(handler);
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Rank tracker - daily SERP position lookups for brand keywords
+ * Endpoints:
+ *   GET  /api/rankings/track               - cron sweep over brands not yet tracked today
+ *   POST /api/rankings/track { brandId }   - track one brand now
+ *
+ * The cron runs hourly; each run looks up positions until its time budget is
+ * spent, and the next run continues with the lookups still missing for the
+ * day (services/rank-tracking-service.js), so brands with many keywords and
+ * locations are covered over a few runs instead of timing out.
+ */
+
+const moment = require('moment-timezone');
+const { trackBrand, findBrandsToTrack } = require('../../services/rank-tracking-service');
+const { getBusinessTimezone } = require('../../utils/date-utils');
+const { SWEEP_TIME_BUDGET_MS, requireCronAuth } = require('../../utils/cron');
+
+module.exports = async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!requireCronAuth(req, res)) return;
+
+  try {
+    const startedAt = Date.now();
+    const deadline = startedAt + SWEEP_TIME_BUDGET_MS;
+    const date = moment.tz(getBusinessTimezone()).format('YYYY-MM-DD');
+
+    if (req.method === 'POST') {
+      const { brandId } = req.body || {};
+      if (!brandId) {
+        return res.status(400).json({ error: 'brandId is required' });
+      }
+      const result = await trackBrand(brandId, { date, deadline });
+      return res.status(200).json({ success: true, ...result });
+    }
+
+    if (req.method === 'GET') {
+      const brandIds = await findBrandsToTrack(date);
+      const results = [];
+
+      for (const brandId of brandIds) {
+        if (Date.now() > deadline) break;
+        try {
+          results.push(await trackBrand(brandId, { date, deadline }));
+        } catch (error) {
+          console.error('Rank Tracker - Error tracking brand:', { brandId, error: error.message });
+          results.push({ brandId, status: 'error', error: error.message });
+        }
+      }
+
+      console.log('Rank Tracker - Sweep finished:', { date, pending: brandIds.length, processed: results.length });
+      return res.status(200).json({ success: true, date, processed: results.length, results });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Rank Tracker - Error:', error);
+    return res.status(500).json({ error: 'Rank tracking failed', message: error.message });
+  }
+};
+
+module.exports.config = { maxDuration: 300 };
@@ -1,14 +1,18 @@
 /**
  * @fileoverview Sales Data API endpoint for Vercel Serverless Functions
  * @module api/sales
+ *
+ * Query options kept from the pre-adapter endpoint:
+ *   raw=1       Adds the upstream response (Tossdown: `tossdownRawData`); always fetched fresh
+ *   method=alt  Tossdown only: requests orders with multipart form-data
  */
 
-const { getSquareSalesData, getSquareLocations } = require('../services/square-service');
-const { getGa4SalesData } = require('../services/ga4-service');
-const { getTossdownSalesData, getTossdownSalesDataAlt } = require('../services/tossdown-service');
+const { getSalesReport, getSalesSources, resolveSalesSource } = require('../services/sales-service');
 const { validateEnvironment } = require('../utils/environment');
 const { getDefaultDateRange } = require('../utils/date-utils');
-const { getBrandConnection } = require('../services/firebase-service');
+const { getBrandConnections } = require('../services/firebase-service');
+const { isCacheBypassed } = require('../services/cache-service');
+const { withAuth } = require('../utils/auth.cjs.js');
 
 
 // Allow longer execution for slower upstreams (e.g., Tossdown)
@@ -16,15 +20,62 @@ const config = { maxDuration: 60 };
 
 // Default response for error cases
 const DEFAULT_RESPONSE = {
+  source: null,
+  currency: null,
   totals: {
+    orders: 0,
     purchases: 0,
     revenue: 0,
-    averageOrderValue: 0
+    averageOrderValue: 0,
+    items: 0,
+    refunds: 0,
+    refundAmount: 0,
+    netRevenue: 0,
+    channels: {},
+    sources: {}
   },
-  dailyData: []
+  dailyData: [],
+  products: [],
+  categories: []
 };
 
-module.exports = async function handler(req, res) {
+const round2 = (value) => parseFloat((value || 0).toFixed(2));
+
+/**
+ * Adds the field names /api/sales returned before the sales adapters, next to
+ * the canonical ones: order counts per channel as `sources`, and Tossdown-style
+ * product and category fields
+ * @param {Object} report - Canonical sales report
+ * @returns {Object} Report with legacy aliases
+ */
+const withLegacyFields = (report) => {
+  const ordersByChannel = (channels = {}) => Object.fromEntries(
+    Object.entries(channels).map(([channel, bucket]) => [channel, bucket.orders])
+  );
+  const unitPrice = (entry) => (entry.quantity > 0 ? round2(entry.revenue / entry.quantity) : 0);
+
+  return {
+    ...report,
+    totals: { ...report.totals, sources: ordersByChannel(report.totals.channels) },
+    dailyData: report.dailyData.map(day => ({ ...day, sources: ordersByChannel(day.channels) })),
+    products: report.products.map(product => ({
+      ...product,
+      item_id: product.id,
+      item_name: product.name,
+      total: product.revenue,
+      price: unitPrice(product)
+    })),
+    categories: report.categories.map(category => ({
+      ...category,
+      category_id: category.id,
+      category_name: category.name,
+      total: category.revenue,
+      avg_price: unitPrice(category)
+    }))
+  };
+};
+
+async function handler(req, res) {
   // Add CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
@@ -42,9 +93,9 @@ module.exports = async function handler(req, res) {
 
   try {
     // Get query parameters
-    const { source, from, to, locationId, tossdownId, brandId, raw } = req.query;
+    const { source, from, to, locationId, tossdownId, brandId, raw, method } = req.query;
 
-    console.log('Sales API request:', { source, from, to, locationId, tossdownId, brandId, raw });
+    console.log('Sales API request:', { source, from, to, locationId, tossdownId, brandId, raw, method });
 
     // Normalize empty string and "not-set" values to null, also filter out invalid '0'
     const normalizeParam = (param) => {
@@ -54,67 +105,42 @@ module.exports = async function handler(req, res) {
       return param;
     };
 
-    // Get brand info if brandId is provided
-    let brand = null;
-    let sourceToUse = source;
-    let tossdownIdToUse = normalizeParam(tossdownId);
-    let ga4PropertyIdToUse = null;
-    let ga4TokenToUse = null;
+    // Explicit IDs win over brand connections (tossdownId for Tossdown, locationId for Square)
+    const explicitSourceId = normalizeParam(tossdownId) || normalizeParam(locationId);
 
+    // Resolve the sales source from brand connections (auto-detects when no source given)
+    let connections = {};
     if (brandId) {
       try {
-        // Use centralized utility to extract connections
-        const tossdownConnection = await getBrandConnection(brandId, 'tossdown');
-        const ga4Connection = await getBrandConnection(brandId, 'ga4');
-
-        console.log('Sales API - Brand fetched:', {
-          brandId,
-          hasTossdown: !!tossdownConnection,
-          hasGa4: !!ga4Connection
-        });
-
-        // If no source specified, auto-detect from brand connections
-        if (!sourceToUse) {
-          if (tossdownConnection && tossdownConnection.tossdown_id) {
-            sourceToUse = 'tossdown';
-            console.log('Sales API - Auto-detected source: tossdown');
-          } else if (ga4Connection && ga4Connection.property_id) {
-            sourceToUse = 'ga4';
-            console.log('Sales API - Auto-detected source: ga4');
-          }
-        }
-
-        // Extract connection data based on source
-        if (sourceToUse === 'tossdown' && tossdownConnection && tossdownConnection.tossdown_id) {
-          tossdownIdToUse = tossdownConnection.tossdown_id;
-          console.log('Sales API - Using tossdown_id from brand:', { brandId, tossdownIdToUse });
-        }
-
-        if (sourceToUse === 'ga4' && ga4Connection) {
-          ga4PropertyIdToUse = ga4Connection.property_id;
-          ga4TokenToUse = ga4Connection.access_token;
-          console.log('Sales API - Using GA4 from brand:', { brandId, ga4PropertyIdToUse, hasToken: !!ga4TokenToUse });
-        }
+        connections = await getBrandConnections(brandId);
       } catch (brandError) {
         console.error('Error fetching brand info:', brandError.message);
         // Fall back to provided parameters if brand fetch fails
       }
     }
 
+    // Default to Square if no source specified and no brand connections
+    const resolved = resolveSalesSource(connections, { source: normalizeParam(source), sourceId: explicitSourceId }) ||
+      (!source ? resolveSalesSource({}, { source: 'square', sourceId: explicitSourceId }) : null);
+
+    if (!resolved) {
+      return res.status(400).json({
+        error: 'Invalid sales source',
+        message: `source must be one of: ${getSalesSources().join(', ')}`,
+        ...DEFAULT_RESPONSE
+      });
+    }
+
+    console.log('Sales API - Resolved source:', {
+      brandId,
+      source: resolved.source,
+      sourceId: resolved.sourceId,
+      autoDetected: !source
+    });
+
     try {
-      // Validate required environment variables based on source
-      // Only validate if not using brand connections
-      if (sourceToUse === 'square') {
+      if (resolved.source === 'square') {
         validateEnvironment(['SQUARE_ACCESS_TOKEN', 'SQUARE_ENVIRONMENT']);
-      } else if (sourceToUse === 'ga4' && !ga4TokenToUse) {
-        // Only validate env vars if not using brand token
-        validateEnvironment(['GA4_PROPERTY_ID', 'GA4_CLIENT_EMAIL', 'GA4_PRIVATE_KEY']);
-      } else if (sourceToUse === 'tossdown') {
-        // No environment variables needed for Tossdown
-      } else if (!sourceToUse) {
-        // Default to Square if no source specified and no brand connections
-        validateEnvironment(['SQUARE_ACCESS_TOKEN', 'SQUARE_ENVIRONMENT']);
-        sourceToUse = 'square';
       }
     } catch (envError) {
       console.error('Environment validation error:', envError.message);
@@ -141,60 +167,36 @@ module.exports = async function handler(req, res) {
       });
     }
 
-    // Determine which data source to use
     let salesData;
 
     try {
-      if (sourceToUse === 'ga4') {
-        // Get GA4 sales data
-        const propertyId = ga4PropertyIdToUse || process.env.GA4_PROPERTY_ID;
-        console.log('Calling GA4 service with:', { propertyId, fromDate, toDate, hasToken: !!ga4TokenToUse });
-        salesData = await getGa4SalesData(propertyId, fromDate, toDate, { accessToken: ga4TokenToUse });
-      } else if (sourceToUse === 'tossdown') {
-        // Get Tossdown sales data
-        console.log('Calling Tossdown service with:', { fromDate, toDate, tossdownIdToUse, raw });
-        if (!tossdownIdToUse) {
-          throw new Error('Tossdown ID is required for Tossdown data source (provide tossdownId or brandId with tossdown connection)');
-        }
-
-        // Check if cache should be bypassed
-        const bypassCache = req.query.cache === '0';
-
-        // Check if raw data should be included
-        const includeRawData = req.query.raw === '1';
-
-        // Use the alternative method if specified
-        if (req.query.method === 'alt') {
-          salesData = await getTossdownSalesDataAlt(fromDate, toDate, tossdownIdToUse, bypassCache, includeRawData);
-        } else {
-          salesData = await getTossdownSalesData(fromDate, toDate, tossdownIdToUse, bypassCache, includeRawData);
-        }
-
-        console.log('Tossdown service returned data successfully');
-      } else if (sourceToUse === 'square') {
-        // Get Square data
-        salesData = await getSquareSalesData(fromDate, toDate, locationId);
-      } else {
-        throw new Error('No valid data source found. Provide source parameter or brandId with connections.');
-      }
+      salesData = await getSalesReport({
+        ...resolved,
+        from: fromDate,
+        to: toDate,
+        brandId,
+        bypassCache: isCacheBypassed(req),
+        options: method === 'alt' ? { method } : {},
+        includeRawData: raw === '1'
+      });
     } catch (dataError) {
       console.error('Data retrieval error:', dataError);
       return res.status(200).json({
-        error: `Failed to fetch ${sourceToUse || 'sales'} data`,
+        error: `Failed to fetch ${resolved.source} data`,
         message: dataError.message,
         ...DEFAULT_RESPONSE
       });
     }
 
     console.log('Sales data retrieved:', {
-      source: sourceToUse || 'unknown',
+      source: salesData.source,
       from: fromDate,
       to: toDate,
-      totalPurchases: salesData.totals.purchases,
+      totalOrders: salesData.totals.orders,
       totalRevenue: salesData.totals.revenue
     });
 
-    return res.status(200).json(salesData);
+    return res.status(200).json(withLegacyFields(salesData));
 
   } catch (error) {
     console.error('Sales API Error:', error);
@@ -205,3 +207,5 @@ module.exports = async function handler(req, res) {
     });
   }
 }
+
+module.exports = withAuth(handler);
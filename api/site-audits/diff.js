@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Site audit diff API - issues that appeared, were fixed or remain
+ * between two audits of a brand
+ * @module api/site-audits/diff
+ *
+ * GET /api/site-audits/diff?brandId=...&base=<auditId>&head=<auditId>
+ *   head  Later audit (default: the brand's latest completed audit)
+ *   base  Earlier audit (default: the completed audit of the same URL before head)
+ *   type  Only return issues of this type (counts still cover every type)
+ */
+
+const { AUDIT_STATUS, ISSUE_TYPES, diffAudits, getAudit, listAudits, findPreviousAudit } = require('../../services/site-audit-service');
+const { withAuth } = require('../../utils/auth.cjs.js');
+
+/**
+ * Strips the issue list from an audit for the response
+ * @param {Object} audit - Audit with issues
+ * @returns {Object}
+ */
+const describeAudit = ({ issues, ...audit }) => audit;
+
+async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed', message: 'This endpoint only accepts GET requests' });
+  }
+
+  const { brandId, base: baseId, head: headId, type } = req.query || {};
+
+  if (!brandId) {
+    return res.status(400).json({ error: 'Missing required parameter: brandId' });
+  }
+  if (type && !ISSUE_TYPES.includes(type)) {
+    return res.status(400).json({
+      error: 'Invalid issue type',
+      message: `type must be one of: ${ISSUE_TYPES.join(', ')}`
+    });
+  }
+
+  try {
+    let head;
+    if (headId) {
+      head = await getAudit(headId);
+    } else {
+      const [latest] = await listAudits(brandId, { status: AUDIT_STATUS.COMPLETED, limit: 1 });
+      head = latest ? await getAudit(latest.id) : null;
+    }
+
+    const base = baseId ? await getAudit(baseId) : head && await findPreviousAudit(head);
+
+    // Audits of other brands are reported as missing rather than forbidden
+    const missing = [[head, headId || 'latest'], [base, baseId || 'previous']]
+      .filter(([audit]) => !audit || audit.brandId !== brandId)
+      .map(([, id]) => id);
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: 'Audit not found',
+        message: headId || baseId
+          ? `No audit for this brand: ${missing.join(', ')}`
+          : 'The brand needs two completed audits of the same URL to compare'
+      });
+    }
+
+    const notCompleted = [base, head].filter(audit => audit.status !== AUDIT_STATUS.COMPLETED);
+    if (notCompleted.length > 0) {
+      return res.status(409).json({
+        error: 'Audit not completed',
+        message: notCompleted.map(audit => `${audit.id} is ${audit.status}`).join(', ')
+      });
+    }
+
+    const diff = diffAudits(base, head);
+    const pick = (issues) => (type ? issues.filter(issue => issue.type === type) : issues);
+
+    console.log('Site Audit Diff API - Diff returned:', { brandId, base: base.id, head: head.id, ...diff.counts });
+
+    return res.status(200).json({
+      success: true,
+      brandId,
+      base: describeAudit(base),
+      head: describeAudit(head),
+      sameUrl: base.url === head.url,
+      truncated: diff.truncated,
+      counts: diff.counts,
+      byType: diff.byType,
+      new: pick(diff.new),
+      resolved: pick(diff.resolved),
+      persisting: pick(diff.persisting)
+    });
+  } catch (error) {
+    console.error('Site Audit Diff API - Error:', { brandId, message: error.message });
+    return res.status(500).json({
+      error: 'Failed to diff site audits',
+      message: error.message,
+      success: false
+    });
+  }
+}
+
+module.exports = withAuth(handler);
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Site audit schedules API - recurring per-brand DataForSEO site audits
+ * Endpoints:
+ *   GET    /api/site-audits?brandId=...     - list a brand's schedules and recent audits
+ *   GET    /api/site-audits?id=...          - fetch one schedule
+ *   GET    /api/site-audits?auditId=...     - fetch one audit with its issues
+ *   POST   /api/site-audits                 - create { brandId, url?, maxPages?, frequency, dayOfWeek?, dayOfMonth?, hour?, timezone? }
+ *   PATCH  /api/site-audits?id=...          - update schedule fields
+ *   DELETE /api/site-audits?id=...          - delete a schedule (its audits are kept)
+ *
+ * Audits are started and collected by /api/site-audits/run (cron); compare two
+ * audits with /api/site-audits/diff.
+ */
+
+const {
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  updateSchedule,
+  deleteSchedule,
+  getAudit,
+  listAudits
+} = require('../../services/site-audit-service');
+const { getBrandInfo } = require('../../services/firebase-service');
+const { withAuth, checkBrandAccess } = require('../../utils/auth.cjs.js');
+
+/**
+ * Responds 403 when the caller cannot access the brand
+ * @returns {Promise<boolean>} True when access was denied (response already sent)
+ */
+async function denyBrandAccess(req, res, brandId) {
+  if (!req.auth?.user) return false;
+  const reason = await checkBrandAccess(req.auth.user, brandId);
+  if (!reason) return false;
+  res.status(403).json({ error: 'Forbidden', message: reason, success: false });
+  return true;
+}
+
+/**
+ * Loads a schedule by ?id and checks the caller can access its brand
+ * @returns {Promise<Object|null>} Schedule, or null when a response was already sent
+ */
+async function loadAuthorizedSchedule(req, res) {
+  const { id } = req.query || {};
+  if (!id) {
+    res.status(400).json({ error: 'Schedule ID is required', message: 'Pass the schedule id as ?id=' });
+    return null;
+  }
+
+  const schedule = await getSchedule(id);
+  if (!schedule) {
+    res.status(404).json({ error: 'Schedule not found' });
+    return null;
+  }
+
+  if (await denyBrandAccess(req, res, schedule.brandId)) return null;
+  return schedule;
+}
+
+async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    if (req.method === 'GET') {
+      if (req.query?.auditId) {
+        const audit = await getAudit(req.query.auditId);
+        if (!audit) {
+          return res.status(404).json({ error: 'Audit not found' });
+        }
+        if (await denyBrandAccess(req, res, audit.brandId)) return;
+        return res.status(200).json({ success: true, audit });
+      }
+
+      if (req.query?.id) {
+        const schedule = await loadAuthorizedSchedule(req, res);
+        if (!schedule) return;
+        return res.status(200).json({ success: true, schedule });
+      }
+
+      const { brandId } = req.query || {};
+      if (!brandId) {
+        return res.status(400).json({ error: 'Missing required parameter: brandId' });
+      }
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const [schedules, audits] = await Promise.all([
+        listSchedules(brandId),
+        listAudits(brandId, { limit })
+      ]);
+      return res.status(200).json({ success: true, schedules, audits });
+    }
+
+    if (req.method === 'POST') {
+      const body = req.body || {};
+      if (!body.brandId) {
+        return res.status(400).json({ error: 'Missing required field: brandId' });
+      }
+
+      const brand = await getBrandInfo(body.brandId);
+      if (!brand) {
+        return res.status(404).json({ error: 'Brand not found' });
+      }
+
+      const schedule = await createSchedule(
+        {
+          ...body,
+          // Audit the brand's website unless another URL is given
+          url: body.url || brand.website,
+          organizationId: brand.organizationId || body.organizationId || null
+        },
+        { userId: req.auth?.uid || null }
+      );
+      return res.status(201).json({ success: true, schedule });
+    }
+
+    if (req.method === 'PATCH') {
+      const existing = await loadAuthorizedSchedule(req, res);
+      if (!existing) return;
+
+      const schedule = await updateSchedule(existing.id, req.body || {});
+      return res.status(200).json({ success: true, schedule });
+    }
+
+    if (req.method === 'DELETE') {
+      const existing = await loadAuthorizedSchedule(req, res);
+      if (!existing) return;
+
+      await deleteSchedule(existing.id);
+      return res.status(200).json({ success: true, id: existing.id });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    if (error.code === 'INVALID_SCHEDULE') {
+      return res.status(400).json({ error: 'Invalid schedule', message: error.message });
+    }
+    console.error('Site Audits API - Error:', error);
+    return res.status(500).json({ error: 'Site audit request failed', message: error.message });
+  }
+}
+
+module.exports = withAuth(handler);
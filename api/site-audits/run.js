@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Site audit runner - starts due audits and collects finished crawls
+ * Endpoints:
+ *   GET  /api/site-audits/run                 - cron sweep: collect pending audits, then start due schedules
+ *   POST /api/site-audits/run { scheduleId }  - start one schedule's audit now
+ *
+ * DataForSEO crawls take minutes, so an audit is started on one run and its
+ * results are stored by a later one. A schedule is claimed (its nextRunAt
+ * advanced) before the crawl is started, so a failed start is not retried into
+ * a duplicate audit; the outcome is stored on the schedule as lastStatus / lastError.
+ */
+
+const {
+  claimSchedule,
+  findDueScheduleIds,
+  startScheduledAudit,
+  findPendingAuditIds,
+  collectAudit
+} = require('../../services/site-audit-service');
+const { SWEEP_TIME_BUDGET_MS, requireCronAuth } = require('../../utils/cron');
+
+/**
+ * Claims a schedule and starts its audit
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.force] - Start even if not due
+ * @returns {Promise<Object>} Outcome summary
+ */
+async function runSchedule(scheduleId, { force = false } = {}) {
+  const schedule = await claimSchedule(scheduleId, { force });
+  if (!schedule) {
+    return { scheduleId, skipped: true, reason: 'Schedule not due or not found' };
+  }
+
+  try {
+    const audit = await startScheduledAudit(schedule);
+    return { scheduleId, auditId: audit.id, taskId: audit.taskId, status: audit.status };
+  } catch (error) {
+    console.error('Site Audit Runner - Audit start failed:', { scheduleId, error: error.message });
+    return { scheduleId, status: 'failed', error: error.message };
+  }
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!requireCronAuth(req, res)) return;
+
+  try {
+    if (req.method === 'POST') {
+      const { scheduleId } = req.body || {};
+      if (!scheduleId) {
+        return res.status(400).json({ error: 'scheduleId is required' });
+      }
+      const outcome = await runSchedule(scheduleId, { force: true });
+      return res.status(200).json({ success: true, ...outcome });
+    }
+
+    if (req.method === 'GET') {
+      const startedAt = Date.now();
+      const collected = [];
+      const started = [];
+
+      // Finished crawls first, so a slow sweep still stores the results it can
+      const auditIds = await findPendingAuditIds(10);
+      for (const auditId of auditIds) {
+        if (Date.now() - startedAt > SWEEP_TIME_BUDGET_MS) break;
+        try {
+          collected.push(await collectAudit(auditId));
+        } catch (error) {
+          console.error('Site Audit Runner - Error collecting audit:', { auditId, error: error.message });
+          collected.push({ auditId, status: 'error', error: error.message });
+        }
+      }
+
+      const scheduleIds = await findDueScheduleIds(10);
+      for (const scheduleId of scheduleIds) {
+        if (Date.now() - startedAt > SWEEP_TIME_BUDGET_MS) break;
+        try {
+          started.push(await runSchedule(scheduleId));
+        } catch (error) {
+          console.error('Site Audit Runner - Error running schedule:', { scheduleId, error: error.message });
+          started.push({ scheduleId, status: 'error', error: error.message });
+        }
+      }
+
+      console.log('Site Audit Runner - Sweep finished:', {
+        pending: auditIds.length,
+        collected: collected.length,
+        due: scheduleIds.length,
+        started: started.length
+      });
+      return res.status(200).json({ success: true, collected, started });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Site Audit Runner - Error:', error);
+    return res.status(500).json({ error: 'Site audit run failed', message: error.message });
+  }
+};
+
+module.exports.config = { maxDuration: 300 };
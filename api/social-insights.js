@@ -1,5 +1,5 @@
 /**
- * @fileoverview Social Insights API - Returns brands for an organization with Facebook/Instagram post counts
+ * @fileoverview Social Insights API - Returns brands for an organization with Facebook/Instagram/LinkedIn post counts
  * Endpoint: GET /api/social-insights?organizationId=ORG_ID&from=YYYY-MM-DD&to=YYYY-MM-DD
  */
 
@@ -10,6 +10,7 @@ const { db, getBrandInfo, getBrandConnection } = require('../services/firebase-s
 
 // Use the existing meta social service for post counts
 const { getFacebookPostsCount, getInstagramPostsCount } = require('../services/meta-social-service');
+const { getLinkedInPostsCount } = require('../services/linkedin-service');
 
 module.exports.config = { maxDuration: 60 };
 
@@ -97,7 +98,9 @@ function extractSocialIds(b) {
   };
   return {
     fbPageId: fbPageIdFromConnections || firstTruthy([...fbCandidates, fromPagesFb]),
-    instaPageId: instaPageIdFromConnections || firstTruthy([...igCandidates, fromPagesIg])
+    instaPageId: instaPageIdFromConnections || firstTruthy([...igCandidates, fromPagesIg]),
+    // LinkedIn is only read from connections (no legacy fields)
+    linkedinOrgId: toStrId(connections.linkedin_page?.organization_id)
   };
 
 }
@@ -173,7 +176,7 @@ module.exports = async function handler(req, res) {
     // For each brand, try to read fb/insta IDs from many common fields and shapes
     let brands = rawBrands.map((b) => {
       const name = b.client_name || b.brandName || b.name || b.title || 'Unknown Brand';
-      const { fbPageId, instaPageId } = extractSocialIds(b);
+      const { fbPageId, instaPageId, linkedinOrgId } = extractSocialIds(b);
       const { metaAccountId, gaPropertyId } = extractMetaGa(b);
       const servicesPostsRaw = b?.services?.posts;
       const servicesPosts = (typeof servicesPostsRaw === 'number')
@@ -184,6 +187,7 @@ module.exports = async function handler(req, res) {
         name,
         fbPageId,
         instaPageId,
+        linkedinOrgId,
         metaAccountId,
         gaPropertyId,
         servicesPosts
@@ -203,6 +207,7 @@ module.exports = async function handler(req, res) {
         // Get brand info to fetch OAuth tokens
         let facebookAccessToken = null;
         let instagramAccessToken = null;
+        let linkedinConnection = null;
 
         try {
           // Use centralized utility to extract connections
@@ -215,14 +220,20 @@ module.exports = async function handler(req, res) {
           if (igConnection) {
             instagramAccessToken = igConnection.access_token;
           }
+          if (brand.linkedinOrgId) {
+            linkedinConnection = await getBrandConnection(brand.id, 'linkedin_page');
+          }
         } catch (brandError) {
           console.error(`Error fetching brand info for ${brand.id}:`, brandError.message);
         }
 
         const businessTimezone = brand?.timezone || brand?.services?.timezone || brand?.services?.meta?.timezone || null;
-        const [fb, ig] = await Promise.all([
+        const [fb, ig, li] = await Promise.all([
           brand.fbPageId ? getFacebookPostsCount(brand.fbPageId, fromDate, toDate, 0, businessTimezone, { accessToken: facebookAccessToken }) : Promise.resolve({ count: 0 }),
-          brand.instaPageId ? getInstagramPostsCount(brand.instaPageId, fromDate, toDate, 0, businessTimezone, { accessToken: instagramAccessToken }) : Promise.resolve({ count: 0 })
+          brand.instaPageId ? getInstagramPostsCount(brand.instaPageId, fromDate, toDate, 0, businessTimezone, { accessToken: instagramAccessToken }) : Promise.resolve({ count: 0 }),
+          linkedinConnection?.access_token
+            ? getLinkedInPostsCount(brand.linkedinOrgId, fromDate, toDate, 0, businessTimezone, { accessToken: linkedinConnection.access_token, refreshToken: linkedinConnection.refresh_token })
+            : Promise.resolve({ count: 0 })
         ]);
         return {
           brandId: brand.id,
@@ -233,6 +244,7 @@ module.exports = async function handler(req, res) {
             fb_page_id: brand.fbPageId ? (isNaN(Number(brand.fbPageId)) ? brand.fbPageId : Number(brand.fbPageId)) : null,
             ga_property_id: brand.gaPropertyId || null,
             insta_page_id: brand.instaPageId ? (isNaN(Number(brand.instaPageId)) ? brand.instaPageId : Number(brand.instaPageId)) : null,
+            linkedin_org_id: brand.linkedinOrgId || null,
             meta_account_id: brand.metaAccountId || null
           },
           facebook: {
@@ -243,7 +255,11 @@ module.exports = async function handler(req, res) {
             pageId: brand.instaPageId || null,
             posts: ig?.count || 0
           },
-          totalPosts: (fb?.count || 0) + (ig?.count || 0)
+          linkedin: {
+            pageId: brand.linkedinOrgId || null,
+            posts: li?.count || 0
+          },
+          totalPosts: (fb?.count || 0) + (ig?.count || 0) + (li?.count || 0)
         };
       } catch (e) {
         return {
@@ -251,6 +267,7 @@ module.exports = async function handler(req, res) {
           brandName: brand.name,
           facebook: { pageId: brand.fbPageId || null, posts: 0 },
           instagram: { pageId: brand.instaPageId || null, posts: 0 },
+          linkedin: { pageId: brand.linkedinOrgId || null, posts: 0 },
           error: e?.message || 'Failed to fetch social posts count'
         };
       }
@@ -264,7 +281,8 @@ module.exports = async function handler(req, res) {
         brands: results.length,
         facebookPosts: results.reduce((sum, r) => sum + (r.facebook?.posts || 0), 0),
         instagramPosts: results.reduce((sum, r) => sum + (r.instagram?.posts || 0), 0),
-        totalPosts: results.reduce((sum, r) => sum + ((r.facebook?.posts || 0) + (r.instagram?.posts || 0)), 0),
+        linkedinPosts: results.reduce((sum, r) => sum + (r.linkedin?.posts || 0), 0),
+        totalPosts: results.reduce((sum, r) => sum + ((r.facebook?.posts || 0) + (r.instagram?.posts || 0) + (r.linkedin?.posts || 0)), 0),
         servicesPosts: results.reduce((sum, r) => sum + (typeof r.servicesPosts === 'number' ? r.servicesPosts : 0), 0)
       },
       brands: results
@@ -1,11 +1,15 @@
 /**
- * @fileoverview Social API endpoint to fetch Facebook and Instagram page details and posts
+ * @fileoverview Social API endpoint to fetch Facebook, Instagram, LinkedIn and TikTok page details and posts,
+ * plus TikTok Ads spend when the brand has a tiktok_ads connection
  */
 
 const { getFacebookPosts, getFacebookFollowers, getInstagramPostsCount, getInstagramFollowers } = require('../services/meta-social-service.js');
+const { getTikTokProfile, getTikTokPosts, getTikTokAdsData } = require('../services/tiktok-service.js');
+const { getLinkedInPosts, getLinkedInFollowers, getLinkedInPageStatistics } = require('../services/linkedin-service.js');
 const { getBrandInfo, getBrandConnection } = require('../services/firebase-service.js');
-const crypto = require('crypto');
+const { createCache, brandTag, hashKey, isCacheBypassed, setCacheHeaders } = require('../services/cache-service.js');
 const axios = require('axios');
+const { withAuth } = require('../utils/auth.cjs.js');
 
 const META_BASE_URL = 'https://graph.facebook.com';
 const META_API_VERSION = 'v24.0';
@@ -103,11 +107,7 @@ async function fetchInstagramInsights(mediaId, accessToken) {
 }
 
 // Cache configuration
-const CACHE = {
-  data: {},
-  timestamps: {},
-  TTL: 15 * 60 * 1000 // 15 minutes in milliseconds
-};
+const cache = createCache('social', { ttl: 15 * 60 * 1000 }); // 15 minutes in milliseconds
 
 /**
  * Generates a cache key from parameters
@@ -116,39 +116,17 @@ const CACHE = {
  * @param {string} instaPageId - Instagram page ID
  * @param {string} from - Start date
  * @param {string} to - End date
+ * @param {string} [tiktokId] - TikTok account open_id
+ * @param {string} [tiktokAdvertiserId] - TikTok Ads advertiser ID
+ * @param {string} [linkedinOrgId] - LinkedIn organization ID
  * @returns {string} Cache key
  */
-const generateCacheKey = (metaAccountId, fbPageId, instaPageId, from, to) => {
-  const keyString = `social_${metaAccountId}_${fbPageId || 'none'}_${instaPageId || 'none'}_${from}_${to}`;
-  return crypto.createHash('md5').update(keyString).digest('hex');
+const generateCacheKey = (metaAccountId, fbPageId, instaPageId, from, to, tiktokId = null, tiktokAdvertiserId = null, linkedinOrgId = null) => {
+  const keyString = `social_${metaAccountId}_${fbPageId || 'none'}_${instaPageId || 'none'}_${tiktokId || 'none'}_${tiktokAdvertiserId || 'none'}_${linkedinOrgId || 'none'}_${from}_${to}`;
+  return hashKey(keyString);
 };
 
-/**
- * Gets data from cache if valid
- * @param {string} cacheKey - Cache key
- * @returns {Object|null} Cached data or null if not found/expired
- */
-const getFromCache = (cacheKey) => {
-  const now = Date.now();
-  if (CACHE.data[cacheKey] && (now - CACHE.timestamps[cacheKey] < CACHE.TTL)) {
-    console.log('Social API - Cache hit for key:', cacheKey);
-    return CACHE.data[cacheKey];
-  }
-  return null;
-};
-
-/**
- * Stores data in cache
- * @param {string} cacheKey - Cache key
- * @param {any} data - Data to cache
- */
-const setCache = (cacheKey, data) => {
-  CACHE.data[cacheKey] = data;
-  CACHE.timestamps[cacheKey] = Date.now();
-  console.log('Social API - Data cached with key:', cacheKey);
-};
-
-module.exports = async function handler(req, res) {
+async function handler(req, res) {
   // Add CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
@@ -184,6 +162,9 @@ module.exports = async function handler(req, res) {
   // Get brand info if brandId is provided
   let facebookAccessToken = null;
   let instagramAccessToken = null;
+  let tiktokConnection = null;
+  let tiktokAdsConnection = null;
+  let linkedinConnection = null;
   let fbPageIdToUse = normalizeParam(fbPageId);
   let instaPageIdToUse = normalizeParam(instaPageId);
 
@@ -194,11 +175,17 @@ module.exports = async function handler(req, res) {
       const bypassBrandCache = req.query.brandCache === '0';
       const fbConnection = await getBrandConnection(brandId, 'facebook_page', { useCache: !bypassBrandCache });
       const igConnection = await getBrandConnection(brandId, 'instagram_page', { useCache: !bypassBrandCache });
+      const ttConnection = await getBrandConnection(brandId, 'tiktok_account', { useCache: !bypassBrandCache });
+      const ttAdsConnection = await getBrandConnection(brandId, 'tiktok_ads', { useCache: !bypassBrandCache });
+      const liConnection = await getBrandConnection(brandId, 'linkedin_page', { useCache: !bypassBrandCache });
 
       console.log('Social API - Brand connections check:', {
         brandId,
         hasFacebookConnection: !!fbConnection,
         hasInstagramConnection: !!igConnection,
+        hasTikTokConnection: !!ttConnection,
+        hasTikTokAdsConnection: !!ttAdsConnection,
+        hasLinkedInConnection: !!liConnection,
         fbPageIdFromQuery: fbPageId,
         instaPageIdFromQuery: instaPageId
       });
@@ -221,10 +208,22 @@ module.exports = async function handler(req, res) {
           hasInstagramToken: !!instagramAccessToken
         });
       }
+      if (ttConnection?.access_token) {
+        tiktokConnection = ttConnection;
+      }
+      if (ttAdsConnection?.advertiser_id && ttAdsConnection?.access_token) {
+        tiktokAdsConnection = ttAdsConnection;
+      }
+      if (liConnection?.organization_id && liConnection?.access_token) {
+        linkedinConnection = liConnection;
+      }
       console.log('Social API - Using OAuth tokens from brand:', {
         brandId,
         hasFacebookToken: !!facebookAccessToken,
         hasInstagramToken: !!instagramAccessToken,
+        hasTikTokToken: !!tiktokConnection,
+        hasTikTokAdsToken: !!tiktokAdsConnection,
+        hasLinkedInToken: !!linkedinConnection,
         fbPageIdToUse,
         instaPageIdToUse
       });
@@ -243,14 +242,17 @@ module.exports = async function handler(req, res) {
     });
   }
 
-  if (!fbPageIdToUse && !instaPageIdToUse) {
+  if (!fbPageIdToUse && !instaPageIdToUse && !linkedinConnection && !tiktokConnection && !tiktokAdsConnection) {
     return res.status(400).json({
       error: 'No social pages configured',
-      message: 'This brand does not have Facebook or Instagram pages connected. Please connect at least one social page to this brand.',
+      message: 'This brand does not have Facebook, Instagram, LinkedIn or TikTok accounts connected. Please connect at least one social account to this brand.',
       details: {
         brandId,
         hasFacebookConnection: !!facebookAccessToken,
         hasInstagramConnection: !!instagramAccessToken,
+        hasTikTokConnection: !!tiktokConnection,
+        hasTikTokAdsConnection: !!tiktokAdsConnection,
+        hasLinkedInConnection: !!linkedinConnection,
         queryParams: {
           fbPageId: fbPageId || 'not provided',
           instaPageId: instaPageId || 'not provided'
@@ -321,38 +323,44 @@ module.exports = async function handler(req, res) {
       metaAccountId,
       fbPageId: fbPageIdToUse || 'NOT_PROVIDED',
       instaPageId: instaPageIdToUse || 'NOT_PROVIDED',
+      tiktok: !!tiktokConnection,
+      tiktokAds: tiktokAdsConnection?.advertiser_id || 'NOT_PROVIDED',
+      linkedinOrganizationId: linkedinConnection?.organization_id || 'NOT_PROVIDED',
       from,
       to
     });
 
     // Generate cache key
-    const cacheKey = generateCacheKey(metaAccountId, fbPageIdToUse, instaPageIdToUse, from, to);
+    const cacheKey = generateCacheKey(
+      metaAccountId, fbPageIdToUse, instaPageIdToUse, from, to,
+      tiktokConnection && (tiktokConnection.open_id || brandId), tiktokAdsConnection?.advertiser_id,
+      linkedinConnection?.organization_id
+    );
 
     // Check for cache bypass
-    const bypassCache = req.query.cache === '0';
+    const bypassCache = isCacheBypassed(req);
 
     if (bypassCache) {
       console.log('Social API - Cache bypassed');
-      res.setHeader('X-Cache-Status', 'BYPASS');
+      setCacheHeaders(res, 'BYPASS');
     } else {
       // Check cache first
-      const cachedData = getFromCache(cacheKey);
-      if (cachedData) {
+      const cached = await cache.get(cacheKey);
+      if (cached && !cached.expired) {
         const fetchTime = Date.now() - startTime;
         console.log('Social API - Returning cached data');
 
-        res.setHeader('X-Cache-Status', 'HIT');
-        res.setHeader('X-Cache-Age', `${(Date.now() - CACHE.timestamps[cacheKey]) / 1000}s`);
+        setCacheHeaders(res, 'HIT', cached.age);
 
         return res.status(200).json({
-          ...cachedData,
+          ...cached.value,
           cached: true,
           responseTimeMs: fetchTime,
           timestamp: new Date().toISOString()
         });
       } else {
         console.log('Social API - Cache miss');
-        res.setHeader('X-Cache-Status', 'MISS');
+        setCacheHeaders(res, cached ? 'EXPIRED' : 'MISS');
       }
     }
 
@@ -380,6 +388,37 @@ module.exports = async function handler(req, res) {
       promiseMap.instagramFollowers = promises.length - 1;
     }
 
+    // LinkedIn data
+    if (linkedinConnection) {
+      const linkedinOptions = { accessToken: linkedinConnection.access_token, refreshToken: linkedinConnection.refresh_token };
+
+      promises.push(getLinkedInPosts(linkedinConnection.organization_id, from, to, 25, null, linkedinOptions));
+      promiseMap.linkedinPosts = promises.length - 1;
+
+      promises.push(getLinkedInFollowers(linkedinConnection.organization_id, linkedinOptions));
+      promiseMap.linkedinFollowers = promises.length - 1;
+
+      promises.push(getLinkedInPageStatistics(linkedinConnection.organization_id, from, to, linkedinOptions));
+      promiseMap.linkedinStatistics = promises.length - 1;
+    }
+
+    // TikTok organic data
+    if (tiktokConnection) {
+      const tiktokOptions = { accessToken: tiktokConnection.access_token, refreshToken: tiktokConnection.refresh_token };
+
+      promises.push(getTikTokPosts(from, to, 25, null, tiktokOptions));
+      promiseMap.tiktokPosts = promises.length - 1;
+
+      promises.push(getTikTokProfile(tiktokOptions));
+      promiseMap.tiktokProfile = promises.length - 1;
+    }
+
+    // TikTok Ads data
+    if (tiktokAdsConnection) {
+      promises.push(getTikTokAdsData(tiktokAdsConnection.advertiser_id, from, to, { accessToken: tiktokAdsConnection.access_token }));
+      promiseMap.tiktokAds = promises.length - 1;
+    }
+
     // Execute all promises
     const results = await Promise.allSettled(promises);
 
@@ -389,6 +428,9 @@ module.exports = async function handler(req, res) {
       dateRange: { from, to },
       facebook: null,
       instagram: null,
+      linkedin: null,
+      tiktok: null,
+      tiktok_ads: null,
       success: true,
       timestamp: new Date().toISOString(),
       cached: false,
@@ -473,6 +515,76 @@ module.exports = async function handler(req, res) {
       }
     }
 
+    // Process LinkedIn results
+    if (linkedinConnection) {
+      const linkedinPostsResult = results[promiseMap.linkedinPosts];
+      const linkedinFollowersResult = results[promiseMap.linkedinFollowers];
+      const linkedinStatisticsResult = results[promiseMap.linkedinStatistics];
+
+      response.linkedin = {
+        pageId: linkedinConnection.organization_id,
+        followers: linkedinFollowersResult.status === 'fulfilled' ? linkedinFollowersResult.value : 0,
+        statistics: linkedinStatisticsResult.status === 'fulfilled' ? linkedinStatisticsResult.value : null,
+        posts: {
+          count: 0,
+          details: []
+        }
+      };
+
+      if (linkedinPostsResult.status === 'fulfilled') {
+        response.linkedin.posts = linkedinPostsResult.value;
+      } else {
+        console.error('LinkedIn posts error:', linkedinPostsResult.reason?.message || linkedinPostsResult.reason);
+      }
+      if (linkedinStatisticsResult.status === 'rejected') {
+        console.error('LinkedIn statistics error:', linkedinStatisticsResult.reason?.message || linkedinStatisticsResult.reason);
+      }
+    }
+
+    // Process TikTok results
+    if (tiktokConnection) {
+      const tiktokPostsResult = results[promiseMap.tiktokPosts];
+      const tiktokProfileResult = results[promiseMap.tiktokProfile];
+      const profile = tiktokProfileResult.status === 'fulfilled' ? tiktokProfileResult.value : null;
+
+      response.tiktok = {
+        accountId: profile?.openId || tiktokConnection.open_id || null,
+        username: profile?.username || tiktokConnection.username || null,
+        followers: profile?.followers || 0,
+        likes: profile?.likes || 0,
+        posts: {
+          count: 0,
+          details: [],
+          totals: { views: 0, likes: 0, comments: 0, shares: 0 }
+        }
+      };
+
+      if (tiktokPostsResult.status === 'fulfilled') {
+        response.tiktok.posts = tiktokPostsResult.value;
+      } else {
+        console.error('TikTok posts error:', tiktokPostsResult.reason?.message || tiktokPostsResult.reason);
+      }
+      if (tiktokProfileResult.status === 'rejected') {
+        console.error('TikTok profile error:', tiktokProfileResult.reason?.message || tiktokProfileResult.reason);
+      }
+    }
+
+    // Process TikTok Ads results
+    if (tiktokAdsConnection) {
+      const tiktokAdsResult = results[promiseMap.tiktokAds];
+
+      if (tiktokAdsResult.status === 'fulfilled') {
+        response.tiktok_ads = {
+          advertiserId: tiktokAdsConnection.advertiser_id,
+          currency: tiktokAdsResult.value.currency,
+          ...tiktokAdsResult.value.totals,
+          daily: tiktokAdsResult.value.data
+        };
+      } else {
+        console.error('TikTok Ads error:', tiktokAdsResult.reason?.message || tiktokAdsResult.reason);
+      }
+    }
+
     // Cache the response data (excluding timestamp and responseTimeMs)
     if (!bypassCache) {
       const dataToCache = {
@@ -480,9 +592,13 @@ module.exports = async function handler(req, res) {
         dateRange: { from, to },
         facebook: response.facebook,
         instagram: response.instagram,
+        linkedin: response.linkedin,
+        tiktok: response.tiktok,
+        tiktok_ads: response.tiktok_ads,
         success: true
       };
-      setCache(cacheKey, dataToCache);
+      await cache.set(cacheKey, dataToCache, { tags: [brandTag(brandId)] });
+      console.log('Social API - Data cached with key:', cacheKey);
     }
 
     console.log('Social API - Response Summary:', {
@@ -490,6 +606,11 @@ module.exports = async function handler(req, res) {
       facebookPosts: response.facebook?.posts?.count || 0,
       instagramPosts: response.instagram?.posts?.count || 0,
       instagramFollowers: response.instagram?.followers || 0,
+      linkedinPosts: response.linkedin?.posts?.count || 0,
+      linkedinFollowers: response.linkedin?.followers || 0,
+      tiktokPosts: response.tiktok?.posts?.count || 0,
+      tiktokFollowers: response.tiktok?.followers || 0,
+      tiktokAdsSpend: response.tiktok_ads?.spend || 0,
       dateRange: { from, to },
       cached: false
     });
@@ -515,3 +636,5 @@ module.exports = async function handler(req, res) {
     });
   }
 }
+
+module.exports = withAuth(handler);
@@ -3,24 +3,25 @@
  * Provides aggregated metrics across GA4, Meta Ads, and social media platforms
  */
 
-const { getGa4UsersData, getGa4SalesData } = require('../services/ga4-service.js');
+const { getGa4UsersData } = require('../services/ga4-service.js');
 const { getMetaAdsData } = require('../services/meta-ads-service.js');
+const { getGoogleAdsData, getGoogleAdsOptions } = require('../services/google-ads-service.js');
 const { getDefaultDateRange } = require('../utils/date-utils.js');
-const { getBrandConnection } = require('../services/firebase-service.js');
+const { getBrandConnection, getBrandConnections } = require('../services/firebase-service.js');
 const axios = require('axios');
-const crypto = require('crypto');
+const { createCache, brandTag, hashKey, isCacheBypassed, setCacheHeaders } = require('../services/cache-service.js');
 const { getFacebookPostsCount, getInstagramPostsCount } = require('../services/meta-social-service');
-const { getTossdownSalesData } = require('../services/tossdown-service');
+const { getTikTokPostsCount, getTikTokFollowers, getTikTokAdsData } = require('../services/tiktok-service.js');
+const { getSalesReport, getSalesSources, resolveSalesSource } = require('../services/sales-service.js');
+const { buildBlendedMetrics } = require('../services/blended-metrics-service.js');
+const { withAuth } = require('../utils/auth.cjs.js');
+const { withComparison } = require('../utils/comparison.js');
 
 const META_BASE_URL = 'https://graph.facebook.com';
 const META_API_VERSION = 'v24.0';
 
 // Cache configuration
-const CACHE = {
-  data: {},
-  timestamps: {},
-  TTL: 15 * 60 * 1000 // 15 minutes cache TTL
-};
+const summaryCache = createCache('summary-stats', { ttl: 15 * 60 * 1000 }); // 15 minutes cache TTL
 
 const DEFAULT_RESPONSE = {
   visitors: {
@@ -55,27 +56,67 @@ const DEFAULT_RESPONSE = {
       instagram: {
         count: 0,
         items: []
+      },
+      tiktok: {
+        count: 0,
+        items: []
       }
     },
     followers: {
       facebook: 0,
-      instagram: 0
+      instagram: 0,
+      tiktok: 0
     }
   },
+  tiktok_ads: {
+    connected: false,
+    spend: 0,
+    impressions: 0,
+    clicks: 0,
+    reach: 0,
+    conversions: 0,
+    cpc: 0,
+    cpm: 0,
+    ctr: 0,
+    currency: null
+  },
+  google_ads: {
+    connected: false,
+    spend: 0,
+    impressions: 0,
+    clicks: 0,
+    conversions: 0,
+    conversionValue: 0,
+    cpc: 0,
+    cpm: 0,
+    ctr: 0,
+    cpa: 0,
+    roas: 0,
+    currency: null
+  },
   ga_sales: {
     revenue: 0,
     transactions: 0,
-    averageOrderValue: 0
+    averageOrderValue: 0,
+    items: 0,
+    refundAmount: 0,
+    currency: null
   },
   sales: {
     revenue: 0,
     orders: 0,
     averageOrderValue: 0,
+    items: 0,
+    refunds: 0,
+    refundAmount: 0,
+    netRevenue: 0,
+    currency: null,
     source: null
-  }
+  },
+  blended: buildBlendedMetrics()
 };
 
-module.exports = async function handler(req, res) {
+async function handler(req, res) {
   // Add CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -87,7 +128,7 @@ module.exports = async function handler(req, res) {
   }
 
   // Get query parameters
-  const { brandId, ga4PropertyId, metaAccountId, fbPageId, instaPageId, cache, limit, sales_source, sales_source_id } = req.query;
+  const { brandId, ga4PropertyId, metaAccountId, fbPageId, instaPageId, limit, sales_source, sales_source_id } = req.query;
 
   // Normalize empty string and "not-set" values to null, also filter out invalid '0'
   const normalizeParam = (param) => {
@@ -103,7 +144,10 @@ module.exports = async function handler(req, res) {
   let metaAccessToken = null;
   let facebookAccessToken = null;
   let instagramAccessToken = null;
-  let tossdownIdToUse = normalizeParam(sales_source_id);
+  let googleAdsConnection = null;
+  let tiktokConnection = null;
+  let tiktokAdsConnection = null;
+  let brandConnections = {};
   let ga4PropertyIdToUse = normalizeParam(ga4PropertyId);
   let metaAccountIdToUse = normalizeParam(metaAccountId);
   let fbPageIdToUse = normalizeParam(fbPageId);
@@ -134,20 +178,28 @@ module.exports = async function handler(req, res) {
         instagramAccessToken = instaConnection.access_token;
         instaPageIdToUse = instaPageId || instaConnection.account_id;
       }
-      const tossdownConnection = await getBrandConnection(brandId, 'tossdown');
-      if (tossdownConnection && tossdownConnection.tossdown_id && sales_source === 'tossdown') {
-        tossdownIdToUse = sales_source_id || tossdownConnection.tossdown_id;
+      brandConnections = await getBrandConnections(brandId);
+      if (brandConnections.google_ads?.customer_id) {
+        googleAdsConnection = brandConnections.google_ads;
+      }
+      if (brandConnections.tiktok_account?.access_token) {
+        tiktokConnection = brandConnections.tiktok_account;
       }
-        console.log('Summary Stats API - Using OAuth tokens from brand:', {
-          brandId,
-          hasGa4Token: !!ga4Token,
-          hasGa4RefreshToken: !!ga4RefreshToken,
-          hasMetaToken: !!metaAccessToken,
-          hasFacebookToken: !!facebookAccessToken,
-          hasInstagramToken: !!instagramAccessToken,
-          hasTossdownId: !!tossdownIdToUse
-        });
+      if (brandConnections.tiktok_ads?.advertiser_id) {
+        tiktokAdsConnection = brandConnections.tiktok_ads;
       }
+      console.log('Summary Stats API - Using OAuth tokens from brand:', {
+        brandId,
+        hasGa4Token: !!ga4Token,
+        hasGa4RefreshToken: !!ga4RefreshToken,
+        hasMetaToken: !!metaAccessToken,
+        hasFacebookToken: !!facebookAccessToken,
+        hasInstagramToken: !!instagramAccessToken,
+        hasGoogleAds: !!googleAdsConnection,
+        hasTikTok: !!tiktokConnection,
+        hasTikTokAds: !!tiktokAdsConnection,
+        salesConnections: Object.keys(brandConnections).filter(key => getSalesSources().includes(key))
+      });
     } catch (brandError) {
       console.error('Error fetching brand info:', brandError.message);
     }
@@ -159,37 +211,44 @@ module.exports = async function handler(req, res) {
   facebookAccessToken = facebookAccessToken || process.env.META_ACCESS_TOKEN;
   instagramAccessToken = instagramAccessToken || process.env.META_ACCESS_TOKEN;
 
+  // Resolve the sales source; GA4 ecommerce is already reported under ga_sales,
+  // so auto-detection only fills `sales` from order-level sources
+  const resolvedSales = resolveSalesSource(brandConnections, {
+    source: normalizeParam(sales_source),
+    sourceId: normalizeParam(sales_source_id)
+  });
+  const salesSource = resolvedSales && (sales_source || resolvedSales.source !== 'ga4') ? resolvedSales : null;
+
   // Parse limit with a default of 25 and a maximum of 100
   const postsLimit = Math.min(parseInt(limit) || 25, 100);
 
   // Check if cache should be bypassed
-  const bypassCache = cache === '0';
+  const bypassCache = isCacheBypassed(req);
 
   // Generate cache key from request parameters
-  const cacheKey = crypto.createHash('md5').update(JSON.stringify(req.query)).digest('hex');
-  const now = Date.now();
-  
+  const cacheKey = hashKey(req.query);
+  const cached = bypassCache ? null : await summaryCache.get(cacheKey);
+
   // Check if we have a valid cached response and cache is not bypassed
-  if (!bypassCache && CACHE.data[cacheKey] && (now - CACHE.timestamps[cacheKey] < CACHE.TTL)) {
+  if (cached && !cached.expired) {
     console.log('Summary Stats API - Returning cached response for:', {
       cacheKey,
-      age: (now - CACHE.timestamps[cacheKey]) / 1000,
+      age: cached.age / 1000,
       queryParams: req.query
     });
-    
+
     // Set cache headers to indicate a cache hit
-    res.setHeader('X-Cache', 'HIT');
-    res.setHeader('X-Cache-Age', `${(now - CACHE.timestamps[cacheKey]) / 1000}s`);
-    return res.status(200).json(CACHE.data[cacheKey]);
+    setCacheHeaders(res, 'HIT', cached.age);
+    return res.status(200).json(cached.value);
   }
-  
+
   // If cache is bypassed, log it
   if (bypassCache) {
     console.log('Summary Stats API - Cache bypass requested');
-    res.setHeader('X-Cache', 'BYPASS');
+    setCacheHeaders(res, 'BYPASS');
   } else {
     // Set cache headers to indicate a cache miss
-    res.setHeader('X-Cache', 'MISS');
+    setCacheHeaders(res, cached ? 'EXPIRED' : 'MISS');
   }
 
   console.log('Summary Stats API - Environment Check:', {
@@ -222,22 +281,21 @@ module.exports = async function handler(req, res) {
       from: fromDate,
       to: toDate,
       cacheBypass: bypassCache,
-      salesSource: sales_source,
-      salesSourceId: sales_source_id
+      salesSource: salesSource?.source || null,
+      salesSourceId: salesSource?.sourceId || null
     });
 
-    // Prepare sales data promise based on sales_source
-    let salesDataPromise = Promise.resolve(null);
-    if (sales_source === 'tossdown' && tossdownIdToUse) {
-      salesDataPromise = getTossdownSalesData(fromDate, toDate, parseInt(tossdownIdToUse), bypassCache);
-    }
+    // Prepare sales data promise for the resolved sales source
+    const salesDataPromise = salesSource
+      ? getSalesReport({ ...salesSource, from: fromDate, to: toDate, brandId, bypassCache })
+      : Promise.resolve(null);
 
     // Prepare options for GA4 and Meta services
     const ga4Options = ga4Token ? { accessToken: ga4Token, refreshToken: ga4RefreshToken } : {};
     const metaOptions = metaAccessToken ? { accessToken: metaAccessToken } : {};
 
     // Fetch all data in parallel
-    const [ga4Data, metaAdsData, fbPostsData, igPostsData, fbFollowersData, igFollowersData, ga4SalesData, salesData] = await Promise.allSettled([
+    const [ga4Data, metaAdsData, fbPostsData, igPostsData, fbFollowersData, igFollowersData, ga4SalesData, salesData, googleAdsData, tiktokPostsData, tiktokFollowersData, tiktokAdsData] = await Promise.allSettled([
       // GA4 visitors data with sessions and engagedSessions metrics
       getGa4UsersData(ga4PropertyIdToUse, from, to, ga4Options, ['activeUsers', 'sessions', 'engagedSessions']),
 
@@ -256,11 +314,37 @@ module.exports = async function handler(req, res) {
       // Instagram followers count (only if instaPageId is provided)
       instaPageIdToUse ? getInstagramFollowers(instaPageIdToUse, { accessToken: instagramAccessToken }) : Promise.resolve(0),
 
-      // GA4 sales data
-      getGa4SalesData(ga4PropertyIdToUse, from, to, ga4Options),
+      // GA4 ecommerce sales data
+      getSalesReport({
+        source: 'ga4',
+        sourceId: ga4PropertyIdToUse,
+        connection: { access_token: ga4Token, refresh_token: ga4RefreshToken },
+        from: fromDate,
+        to: toDate,
+        brandId,
+        bypassCache
+      }),
 
       // Sales data from specified source
-      salesDataPromise
+      salesDataPromise,
+
+      // Google Ads data (only if the brand has a google_ads connection)
+      googleAdsConnection
+        ? getGoogleAdsData(googleAdsConnection.customer_id, fromDate, toDate, getGoogleAdsOptions(googleAdsConnection))
+        : Promise.resolve(null),
+
+      // TikTok videos and followers (only if the brand has a tiktok_account connection)
+      tiktokConnection
+        ? getTikTokPostsCount(fromDate, toDate, postsLimit, null, { accessToken: tiktokConnection.access_token, refreshToken: tiktokConnection.refresh_token })
+        : Promise.resolve({ count: 0, details: [] }),
+      tiktokConnection
+        ? getTikTokFollowers({ accessToken: tiktokConnection.access_token, refreshToken: tiktokConnection.refresh_token })
+        : Promise.resolve(0),
+
+      // TikTok Ads spend (only if the brand has a tiktok_ads connection)
+      tiktokAdsConnection
+        ? getTikTokAdsData(tiktokAdsConnection.advertiser_id, fromDate, toDate, { accessToken: tiktokAdsConnection.access_token })
+        : Promise.resolve(null)
     ]);
 
     console.log('API data fetch results:', {
@@ -271,7 +355,11 @@ module.exports = async function handler(req, res) {
       fbFollowersData: fbFollowersData.status,
       igFollowersData: igFollowersData.status,
       ga4SalesData: ga4SalesData.status,
-      salesData: salesData.status
+      salesData: salesData.status,
+      googleAdsData: googleAdsData.status,
+      tiktokPostsData: tiktokPostsData.status,
+      tiktokFollowersData: tiktokFollowersData.status,
+      tiktokAdsData: tiktokAdsData.status
     });
 
     // Initialize response structure
@@ -308,23 +396,62 @@ module.exports = async function handler(req, res) {
           instagram: {
             count: 0,
             items: []
+          },
+          tiktok: {
+            count: 0,
+            items: []
           }
         },
         followers: {
           facebook: 0,
-          instagram: 0
+          instagram: 0,
+          tiktok: 0
         }
       },
+      tiktok_ads: {
+        connected: !!tiktokAdsConnection,
+        spend: 0,
+        impressions: 0,
+        clicks: 0,
+        reach: 0,
+        conversions: 0,
+        cpc: 0,
+        cpm: 0,
+        ctr: 0,
+        currency: null
+      },
+      google_ads: {
+        connected: !!googleAdsConnection,
+        spend: 0,
+        impressions: 0,
+        clicks: 0,
+        conversions: 0,
+        conversionValue: 0,
+        cpc: 0,
+        cpm: 0,
+        ctr: 0,
+        cpa: 0,
+        roas: 0,
+        currency: null
+      },
       ga_sales: {
         revenue: 0,
         transactions: 0,
-        averageOrderValue: 0
+        averageOrderValue: 0,
+        items: 0,
+        refundAmount: 0,
+        currency: null
       },
       sales: {
         revenue: 0,
         orders: 0,
         averageOrderValue: 0,
-        source: sales_source || null
+        items: 0,
+        refunds: 0,
+        refundAmount: 0,
+        netRevenue: 0,
+        currency: null,
+        source: salesSource?.source || null
       }
     };
 
@@ -384,6 +511,26 @@ module.exports = async function handler(req, res) {
       }
     }
 
+    // Process Google Ads data
+    if (googleAdsData.status === 'fulfilled' && googleAdsData.value) {
+      const { totals, account } = googleAdsData.value;
+      Object.assign(response.google_ads, {
+        spend: totals.spend,
+        impressions: totals.impressions,
+        clicks: totals.clicks,
+        conversions: totals.conversions,
+        conversionValue: totals.conversionValue,
+        cpc: totals.cpc,
+        cpm: totals.cpm,
+        ctr: totals.ctr,
+        cpa: totals.cpa,
+        roas: totals.roas,
+        currency: account?.currency || null
+      });
+    } else if (googleAdsData.status === 'rejected') {
+      console.error('Failed to fetch Google Ads data:', googleAdsData.reason?.message || googleAdsData.reason);
+    }
+
     // Calculate bounce rate from GA4 data
     if (ga4Data.status === 'fulfilled' && ga4Data.value?.rows) {
       let totalSessions = 0;
@@ -446,68 +593,92 @@ module.exports = async function handler(req, res) {
       response.social.followers.instagram = 0;
     }
 
-    // Process GA4 sales data
-    if (ga4SalesData.status === 'fulfilled' && ga4SalesData.value?.rows) {
-      let totalRevenue = 0;
-      let totalTransactions = 0;
-
-      ga4SalesData.value.rows.forEach(row => {
-        // GA4 sales data has ecommercePurchases and purchaseRevenue metrics
-        const transactions = parseInt(row.metricValues[0].value || 0);
-        const revenue = parseFloat(row.metricValues[1].value || 0);
-
-        totalTransactions += transactions;
-        totalRevenue += revenue;
-      });
+    // Process TikTok videos and followers
+    if (tiktokPostsData.status === 'fulfilled' && tiktokPostsData.value) {
+      response.social.posts.tiktok.count = tiktokPostsData.value.count || 0;
+      response.social.posts.tiktok.items = tiktokPostsData.value.details || [];
+    }
+    if (tiktokFollowersData.status === 'fulfilled') {
+      response.social.followers.tiktok = tiktokFollowersData.value;
+    }
 
-      // Update response with sales data
-      response.ga_sales.transactions = totalTransactions;
-      response.ga_sales.revenue = parseFloat(totalRevenue.toFixed(2));
+    // Process TikTok Ads data
+    if (tiktokAdsData.status === 'fulfilled' && tiktokAdsData.value) {
+      const { totals, currency } = tiktokAdsData.value;
+      Object.assign(response.tiktok_ads, { ...totals, currency });
+    } else if (tiktokAdsData.status === 'rejected') {
+      console.error('Failed to fetch TikTok Ads data:', tiktokAdsData.reason?.message || tiktokAdsData.reason);
+    }
 
-      // Calculate average order value
-      response.ga_sales.averageOrderValue = totalTransactions > 0
-        ? parseFloat((totalRevenue / totalTransactions).toFixed(2))
-        : 0;
+    // Process GA4 sales data
+    if (ga4SalesData.status === 'fulfilled' && ga4SalesData.value) {
+      const { totals, currency } = ga4SalesData.value;
+      response.ga_sales.transactions = totals.orders;
+      response.ga_sales.revenue = totals.revenue;
+      response.ga_sales.averageOrderValue = totals.averageOrderValue;
+      response.ga_sales.items = totals.items;
+      response.ga_sales.refundAmount = totals.refundAmount;
+      response.ga_sales.currency = currency;
     }
 
-    // Process sales data from specified source (e.g., Tossdown)
+    // Process sales data from the resolved sales source (e.g., Tossdown)
     if (salesData.status === 'fulfilled' && salesData.value) {
-      const salesResult = salesData.value;
-
-      if (sales_source === 'tossdown' && salesResult.totals) {
-        // Extract Tossdown sales data
-        response.sales.revenue = parseFloat(salesResult.totals.revenue || 0);
-        response.sales.orders = parseInt(salesResult.totals.purchases || 0);
-        response.sales.averageOrderValue = parseFloat(salesResult.totals.averageOrderValue || 0);
-        response.sales.source = 'tossdown';
-
-        console.log('Processed Tossdown sales data:', {
-          revenue: response.sales.revenue,
-          orders: response.sales.orders,
-          averageOrderValue: response.sales.averageOrderValue
-        });
-      }
+      const { totals, currency, source } = salesData.value;
+      response.sales.revenue = totals.revenue;
+      response.sales.orders = totals.orders;
+      response.sales.averageOrderValue = totals.averageOrderValue;
+      response.sales.items = totals.items;
+      response.sales.refunds = totals.refunds;
+      response.sales.refundAmount = totals.refundAmount;
+      response.sales.netRevenue = totals.netRevenue;
+      response.sales.currency = currency;
+      response.sales.source = source;
+
+      console.log('Processed sales data:', {
+        source,
+        revenue: response.sales.revenue,
+        orders: response.sales.orders,
+        averageOrderValue: response.sales.averageOrderValue
+      });
     } else if (salesData.status === 'rejected') {
       console.error('Failed to fetch sales data:', salesData.reason);
     }
 
+    // Blended MER / CAC / per-platform ROAS against booked revenue
+    const fulfilledValue = (result) => (result.status === 'fulfilled' ? result.value : null);
+    response.blended = buildBlendedMetrics({
+      meta: fulfilledValue(metaAdsData)?.data || null,
+      googleAds: fulfilledValue(googleAdsData),
+      tiktokAds: fulfilledValue(tiktokAdsData),
+      sales: fulfilledValue(salesData),
+      ga4Sales: fulfilledValue(ga4SalesData)
+    });
+
     console.log('Summary Stats API - Response:', {
       totalVisitors: response.visitors.total,
       socialSpend: response.social.spend,
+      googleAdsSpend: response.google_ads.spend,
       facebookPosts: response.social.posts.facebook,
       instagramPosts: response.social.posts.instagram,
       facebookFollowers: response.social.followers.facebook,
       instagramFollowers: response.social.followers.instagram,
+      tiktokPosts: response.social.posts.tiktok.count,
+      tiktokFollowers: response.social.followers.tiktok,
+      tiktokAdsSpend: response.tiktok_ads.spend,
       salesRevenue: response.ga_sales.revenue,
       salesTransactions: response.ga_sales.transactions,
       salesSourceRevenue: response.sales.revenue,
       salesSourceOrders: response.sales.orders,
-      salesSource: response.sales.source
+      salesSource: response.sales.source,
+      blendedSpend: response.blended.spend,
+      blendedMer: response.blended.mer,
+      blendedCac: response.blended.cac
     });
 
     // Store the response in cache
-    CACHE.data[cacheKey] = response;
-    CACHE.timestamps[cacheKey] = now;
+    if (!bypassCache) {
+      await summaryCache.set(cacheKey, response, { tags: [brandId && brandTag(brandId)] });
+    }
     
     console.log('Summary Stats API - Cached response with key:', {
       cacheKey,
@@ -735,3 +906,5 @@ async function getInstagramFollowers(instagramId, options = {}) {
     return 0;
   }
 }
+
+module.exports = withAuth(withComparison(handler, { totalsKey: null }));
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for anomaly detection on daily metrics
+ *
+ * Builds synthetic overview dailyData series and checks which days are
+ * flagged. No Firebase or network needed.
+ *
+ * Usage:
+ *   node scripts/test-anomaly-detection.js
+ */
+
+const { detectAnomalies, describeAnomaly } = require('../services/anomaly-service');
+
+/**
+ * Builds 17 days of overview-style daily entries (YYYYMMDD dates)
+ * @param {Function} build - (index) => partial day
+ * @returns {Array} Daily entries
+ */
+function makeSeries(build) {
+  return Array.from({ length: 17 }, (_, i) => ({
+    date: `202503${String(i + 1).padStart(2, '0')}`,
+    ...build(i)
+  }));
+}
+
+// Small day-to-day wobble so the baseline has a realistic spread
+const wobble = (i) => [0, 3, -2, 4, -3, 1, -1][i % 7];
+
+function testAnomalyDetection() {
+  console.log('🧪 Testing anomaly detection...\n');
+
+  let failed = 0;
+  const check = (name, actual, expected) => {
+    const ok = actual === expected;
+    if (!ok) failed++;
+    console.log(`${ok ? '✅' : '❌'} ${name}${ok ? '' : ` (got ${actual}, expected ${expected})`}`);
+  };
+
+  // Spend more than doubles on the last day
+  const spendSpike = detectAnomalies(makeSeries(i => ({
+    meta_ads: { spend: i === 16 ? 220 : 100 + wobble(i), clicks: 50 + wobble(i) }
+  })));
+  const spike = spendSpike.find(a => a.metric === 'meta_ads.spend');
+  check('spend spike flagged', !!spike, true);
+  check('spend spike direction', spike?.direction, 'spike');
+  check('spend spike severity', spike?.severity, 'critical');
+  check('spend spike date', spike?.date, '2025-03-17');
+  check('stable clicks not flagged', spendSpike.some(a => a.metric === 'meta_ads.clicks'), false);
+  if (spike) console.log(`   ${describeAnomaly(spike)}`);
+
+  // Organic traffic drops 40% on the last day
+  const organicDrop = detectAnomalies(makeSeries(i => ({
+    visitors: { total: 500 + wobble(i), organic_search: i === 16 ? 120 : 200 + wobble(i) }
+  })));
+  const drop = organicDrop.find(a => a.metric === 'visitors.organic_search');
+  check('organic drop flagged', !!drop, true);
+  check('organic drop direction', drop?.direction, 'drop');
+  check('organic drop severity', drop?.severity, 'warning');
+
+  // Noise below minVolume is ignored
+  const lowVolume = detectAnomalies(makeSeries(i => ({
+    visitors: { total: 10 + (i === 16 ? 8 : 0), organic_search: 2 }
+  })));
+  check('low volume ignored', lowVolume.length, 0);
+
+  // Missing sales block (no sales source) produces nothing
+  const noSales = detectAnomalies(makeSeries(() => ({ visitors: { total: 300 } })));
+  check('unconnected metrics skipped', noSales.some(a => a.metric.startsWith('sales.')), false);
+
+  // Not enough history
+  const short = detectAnomalies(makeSeries(i => ({ meta_ads: { spend: i === 16 ? 400 : 100 } })).slice(-5));
+  check('short history not judged', short.length, 0);
+
+  console.log(failed ? `\n❌ ${failed} check(s) failed` : '\n✅ All checks passed');
+  process.exit(failed ? 1 : 0);
+}
+
+testAnomalyDetection();
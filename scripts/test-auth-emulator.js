@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the withAuth middleware against the Firebase emulators
+ *
+ * Usage:
+ *   firebase emulators:start --only auth,firestore --project demo-metrixmate
+ *   FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 FIREBASE_AUTH_EMULATOR_HOST=127.0.0.1:9099 \
+ *     node scripts/test-auth-emulator.js
+ */
+
+require('dotenv').config();
+
+if (!process.env.FIRESTORE_EMULATOR_HOST || !process.env.FIREBASE_AUTH_EMULATOR_HOST) {
+  console.error('❌ Set FIRESTORE_EMULATOR_HOST and FIREBASE_AUTH_EMULATOR_HOST to run against the emulators');
+  process.exit(1);
+}
+delete process.env.FIREBASE_ADMIN_CREDENTIALS;
+
+const axios = require('axios');
+const admin = require('firebase-admin');
+const { db } = require('../services/firebase-service');
+const { withAuth } = require('../utils/auth.cjs.js');
+
+const PASSWORD = 'emulator-password';
+
+async function createUserWithToken(uid, profile) {
+  await admin.auth().createUser({ uid, email: `${uid}@example.com`, password: PASSWORD }).catch(() => {});
+  await db.collection('users').doc(uid).set({ uid, email: `${uid}@example.com`, ...profile });
+
+  const { data } = await axios.post(
+    `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}/identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=fake-api-key`,
+    { email: `${uid}@example.com`, password: PASSWORD, returnSecureToken: true }
+  );
+  return data.idToken;
+}
+
+function mockResponse() {
+  const res = { statusCode: 200, body: null, headers: {} };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  res.setHeader = (k, v) => { res.headers[k] = v; };
+  res.end = () => res;
+  return res;
+}
+
+async function call(handler, { token, query = {}, body = {}, method = 'GET' }) {
+  const req = {
+    method,
+    url: '/api/test',
+    query,
+    body,
+    headers: token ? { authorization: `Bearer ${token}` } : {}
+  };
+  const res = mockResponse();
+  await handler(req, res);
+  return res.statusCode;
+}
+
+async function testAuthMiddleware() {
+  console.log('🧪 Testing withAuth against Firebase emulators...\n');
+
+  // Seed: one org with two brands; owner sees both, member only has brandAccess to brand-a
+  await db.collection('orgs').doc('org-1').set({ organizationName: 'Emulator Org', createdBy: 'owner-1' });
+  await db.collection('brands').doc('brand-a').set({ client_name: 'Brand A', organizationId: 'org-1' });
+  await db.collection('brands').doc('brand-b').set({ client_name: 'Brand B', organizationId: 'org-1' });
+  await db.collection('brandAccess').doc('member-1_brand-a').set({ userId: 'member-1', brandId: 'brand-a', status: 'Active' });
+
+  const ownerToken = await createUserWithToken('owner-1', { organizationId: 'org-1', role: 'owner' });
+  const memberToken = await createUserWithToken('member-1', { organizationId: 'org-1', role: 'member' });
+  const outsiderToken = await createUserWithToken('outsider-1', { organizationId: 'org-2', role: 'owner' });
+
+  const handler = withAuth(async (req, res) => res.status(200).json({ uid: req.auth?.uid }));
+  const deleteOnly = withAuth(async (req, res) => res.status(200).json({}), { methods: ['DELETE'], matchUserId: true });
+
+  const cases = [
+    ['no token → 401', await call(handler, { query: { brandId: 'brand-a' } }), 401],
+    ['garbage token → 401', await call(handler, { token: 'not-a-token', query: { brandId: 'brand-a' } }), 401],
+    ['owner, brand in org → 200', await call(handler, { token: ownerToken, query: { brandId: 'brand-b' } }), 200],
+    ['member with brandAccess → 200', await call(handler, { token: memberToken, query: { brandId: 'brand-a' } }), 200],
+    ['member without brandAccess → 403', await call(handler, { token: memberToken, query: { brandId: 'brand-b' } }), 403],
+    ['outsider → 403', await call(handler, { token: outsiderToken, query: { brandId: 'brand-a' } }), 403],
+    ['member, own org → 200', await call(handler, { token: memberToken, query: { organizationId: 'org-1' } }), 200],
+    ['outsider, other org → 403', await call(handler, { token: outsiderToken, query: { organizationId: 'org-1' } }), 403],
+    ['GET skipped when methods=[DELETE] → 200', await call(deleteOnly, { query: { organizationId: 'org-1' } }), 200],
+    ['DELETE impersonating userId → 403', await call(deleteOnly, { method: 'DELETE', token: memberToken, body: { organizationId: 'org-1', userId: 'owner-1' } }), 403]
+  ];
+
+  let failed = 0;
+  for (const [name, actual, expected] of cases) {
+    const ok = actual === expected;
+    if (!ok) failed++;
+    console.log(`${ok ? '✅' : '❌'} ${name}${ok ? '' : ` (got ${actual})`}`);
+  }
+
+  console.log(`\n${cases.length - failed}/${cases.length} passed`);
+  process.exit(failed ? 1 : 0);
+}
+
+testAuthMiddleware().catch((error) => {
+  console.error('❌ Test failed:', error.message);
+  process.exit(1);
+});
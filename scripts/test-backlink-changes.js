@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for backlink monitor change detection
+ *
+ * Builds synthetic snapshot pairs and checks which links classifyChanges
+ * reports as new, lost, changed or out of sample, where sampleFloor puts
+ * the edge of a truncated sample, and how fitSnapshotDoc trims oversized snapshots. No Firebase or network needed.
+ *
+ * Usage:
+ *   node scripts/test-backlink-changes.js
+ */
+
+const { classifyChanges, sampleFloor, fitSnapshotDoc } = require('../services/backlink-monitor-service');
+
+/**
+ * Builds a snapshot link
+ * @param {string} page - Source page path on blog.example.net
+ * @param {Object} [fields] - Overrides (anchor, isDofollow, rank, targetUrl)
+ * @returns {Object} Link
+ */
+function link(page, fields = {}) {
+  return {
+    url: `https://blog.example.net/${page}`,
+    targetUrl: 'https://example.com/',
+    anchor: 'example',
+    isDofollow: true,
+    rank: 100,
+    ...fields
+  };
+}
+
+const urls = (links) => links.map(l => l.url.replace('https://blog.example.net/', '')).sort().join(', ');
+
+function testBacklinkChanges() {
+  console.log('🧪 Testing backlink change detection...\n');
+
+  let failed = 0;
+  const check = (name, actual, expected) => {
+    const ok = actual === expected;
+    if (!ok) failed++;
+    console.log(`${ok ? '✅' : '❌'} ${name}${ok ? '' : ` (got ${actual}, expected ${expected})`}`);
+  };
+
+  // sampleFloor
+  check('complete sample has no floor', sampleFloor({ truncated: false, links: [link('a', { rank: 40 })] }), -Infinity);
+  check('truncated sample floor is the weakest link', sampleFloor({ truncated: true, links: [link('a', { rank: 40 }), link('b', { rank: 15 })] }), 15);
+  check('empty truncated sample excludes everything', sampleFloor({ truncated: true, links: [] }), Infinity);
+
+  // New, lost and changed between two complete samples
+  const previous = {
+    truncated: false,
+    links: [
+      link('kept'),
+      link('gone'),
+      link('nofollowed'),
+      link('reworded', { anchor: 'example shop' }),
+      // Same page and target twice (nav and body): each is its own link
+      link('twice', { anchor: 'home' }),
+      link('twice', { anchor: 'home' })
+    ]
+  };
+  const current = {
+    truncated: false,
+    links: [
+      link('kept'),
+      link('fresh'),
+      link('nofollowed', { isDofollow: false }),
+      link('reworded', { anchor: 'best example shop' }),
+      link('twice', { anchor: 'home' })
+    ]
+  };
+  const changes = classifyChanges(previous, current);
+  check('new links', urls(changes.new), 'fresh');
+  check('lost links (one of a repeated link)', urls(changes.lost), 'gone, twice');
+  check('changed links', urls(changes.changed), 'nofollowed, reworded');
+  check('unchanged link not reported', [...changes.new, ...changes.lost, ...changes.changed].some(l => l.url.endsWith('/kept')), false);
+  check('nothing out of sample', changes.outOfSample, 0);
+
+  const nofollowed = changes.changed.find(l => l.url.endsWith('/nofollowed'));
+  check('dofollow change fields', nofollowed?.fields.join(','), 'dofollow');
+  check('dofollow change previous value', nofollowed?.previous.isDofollow, true);
+
+  const reworded = changes.changed.find(l => l.url.endsWith('/reworded'));
+  check('anchor change fields', reworded?.fields.join(','), 'anchor');
+  check('anchor change previous value', reworded?.previous.anchor, 'example shop');
+  check('anchor change not counted as lost', changes.lost.some(l => l.url.endsWith('/reworded')), false);
+
+  // Truncated samples: links on one side only that sit below the other side's floor
+  const sampledBefore = {
+    truncated: true,
+    links: [link('strong', { rank: 300 }), link('edge', { rank: 50 }), link('dropped', { rank: 60 })]
+  };
+  const sampledAfter = {
+    truncated: true,
+    links: [link('strong', { rank: 300 }), link('rising', { rank: 80 }), link('weak', { rank: 20 })]
+  };
+  const sampled = classifyChanges(sampledBefore, sampledAfter);
+  check('new above previous floor', urls(sampled.new), 'rising');
+  check('lost above current floor', urls(sampled.lost), 'dropped, edge');
+  check('weak link below previous floor is out of sample', sampled.outOfSample, 1);
+
+  const belowFloor = classifyChanges(sampledAfter, sampledBefore);
+  check('link below current floor not lost', belowFloor.lost.some(l => l.url.endsWith('/weak')), false);
+  check('out of sample when reversed', belowFloor.outOfSample, 1);
+
+  // Oversized snapshots: change lists go first, then the weakest links
+  const longUrl = (i) => link(`${'very-long-path/'.repeat(60)}${i}`, { rank: 1000 - i });
+  const bigLinks = Array.from({ length: 1000 }, (_, i) => longUrl(i));
+  const bigDoc = {
+    links: bigLinks,
+    linksSampled: bigLinks.length,
+    truncated: false,
+    toxicDomains: [],
+    changes: { new: bigLinks.slice(0, 200), lost: bigLinks.slice(200, 400), changed: [] }
+  };
+  const fitted = fitSnapshotDoc(bigDoc);
+  const bytes = Buffer.byteLength(JSON.stringify(fitted));
+  check('oversized snapshot fits', bytes <= 900 * 1024, true);
+  check('change lists shortened to the minimum', fitted.changes.new.length, 25);
+  check('weakest links dropped', fitted.links[fitted.links.length - 1].rank > bigLinks[bigLinks.length - 1].rank, true);
+  check('trimmed sample flagged truncated', fitted.truncated, true);
+  check('linksSampled follows the trim', fitted.linksSampled, fitted.links.length);
+  check('original document untouched', bigDoc.links.length, 1000);
+  const small = { links: [link('a')], linksSampled: 1, truncated: false, toxicDomains: [], changes: null };
+  check('small snapshot unchanged', JSON.stringify(fitSnapshotDoc(small)), JSON.stringify(small));
+
+  console.log(failed ? `\n❌ ${failed} check(s) failed` : '\n✅ All checks passed');
+  process.exit(failed ? 1 : 0);
+}
+
+testBacklinkChanges();
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for Meta budget pacing projections
+ *
+ * Builds synthetic getMetaBudgetPacingData output and checks pace status,
+ * projections and recommendations. No Firebase or network needed.
+ *
+ * Usage:
+ *   node scripts/test-budget-pacing.js
+ */
+
+const { buildPacingReport, PACE_STATUS } = require('../services/pacing-service');
+
+/**
+ * Daily spend entries for June 1 through the day before `today`
+ * @param {number} days - Number of days
+ * @param {number} spend - Spend per day
+ * @returns {Array} [{ date, spend }]
+ */
+function makeSpend(days, spend) {
+  return Array.from({ length: days }, (_, i) => ({
+    date: `2025-06-${String(i + 1).padStart(2, '0')}`,
+    spend
+  }));
+}
+
+function testBudgetPacing() {
+  console.log('🧪 Testing budget pacing...\n');
+
+  let failed = 0;
+  const check = (name, actual, expected) => {
+    const ok = actual === expected;
+    if (!ok) failed++;
+    console.log(`${ok ? '✅' : '❌'} ${name}${ok ? '' : ` (got ${actual}, expected ${expected})`}`);
+  };
+
+  // Today is June 11: 10 complete days, 20 remaining (today included)
+  const period = { periodStart: '2025-06-01', periodEnd: '2025-06-30', today: '2025-06-11' };
+
+  const underpacing = { id: '1', name: 'Prospecting', status: 'ACTIVE', dailyBudget: 100, dailySpend: makeSpend(10, 60) };
+  const onTrack = { id: '2', name: 'Retargeting', status: 'ACTIVE', dailyBudget: 50, dailySpend: makeSpend(10, 50) };
+  const lifetime = {
+    id: '3', name: 'Launch', status: 'ACTIVE', lifetimeBudget: 1000, budgetRemaining: 800,
+    startTime: '2025-06-01T00:00:00+0000', stopTime: '2025-06-20T23:59:59+0000', dailySpend: makeSpend(10, 20)
+  };
+  const paused = { id: '4', name: 'Old', status: 'PAUSED', dailyBudget: 30, dailySpend: makeSpend(3, 30) };
+
+  const data = {
+    account: { id: 'act_1', currency: 'EUR', timezone: 'Europe/Amsterdam' },
+    campaigns: [underpacing, onTrack, lifetime, paused],
+    dailySpend: makeSpend(10, 130).map((d, i) => ({ ...d, spend: i < 3 ? 160 : 130 }))
+  };
+
+  const report = buildPacingReport(data, period);
+  const byId = Object.fromEntries(report.campaigns.map(c => [c.id, c]));
+
+  check('days remaining', report.period.daysRemaining, 20);
+  check('daily budget underpacing', byId['1'].paceStatus, PACE_STATUS.UNDERPACING);
+  check('daily budget projection', byId['1'].projectedSpend, 1800);
+  check('daily budget recommendation', byId['1'].recommendedDailyBudget, 120);
+  check('daily budget on track', byId['2'].paceStatus, PACE_STATUS.ON_TRACK);
+  check('lifetime paced over flight', byId['3'].flightRemainingDays, 10);
+  check('lifetime underpacing', byId['3'].paceStatus, PACE_STATUS.UNDERPACING);
+  check('lifetime recommended daily spend', byId['3'].recommendedDailyBudget, 80);
+  check('paused campaign', byId['4'].paceStatus, PACE_STATUS.PAUSED);
+  check('account budget from campaigns', report.account.budgetSource, 'campaigns');
+  check('account spend to date', report.account.spendToDate, 1390);
+
+  // A configured account budget takes precedence over campaign budgets
+  const configured = buildPacingReport(data, { ...period, accountBudget: 2500 });
+  check('configured budget source', configured.account.budgetSource, 'configured');
+  check('configured budget overpacing', configured.account.paceStatus, PACE_STATUS.OVERPACING);
+
+  // Period already over
+  const ended = buildPacingReport(data, { ...period, today: '2025-07-02' });
+  check('ended period', ended.account.paceStatus, PACE_STATUS.ENDED);
+  check('ended period no recommendation', ended.account.recommendedDailySpend, null);
+
+  // Campaign without any budget
+  const noBudget = buildPacingReport({ campaigns: [{ id: '5', status: 'ACTIVE', dailySpend: makeSpend(10, 10) }], dailySpend: makeSpend(10, 10) }, period);
+  check('campaign without budget', noBudget.campaigns[0].paceStatus, PACE_STATUS.NO_BUDGET);
+  check('account without budget', noBudget.account.paceStatus, PACE_STATUS.NO_BUDGET);
+
+  console.log(failed ? `\n❌ ${failed} check(s) failed` : '\n✅ All checks passed');
+  process.exit(failed ? 1 : 0);
+}
+
+testBudgetPacing();
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for report digests
+ *
+ * Checks schedule timing and reporting periods, renders a digest from sample
+ * endpoint responses and sends it through the stub mail transport.
+ * No Firebase, network or SMTP needed.
+ *
+ * Usage:
+ *   node scripts/test-digest-render.js
+ *   MAIL_STUB_DIR=/tmp/digests node scripts/test-digest-render.js   # also writes the HTML
+ */
+
+process.env.MAIL_TRANSPORT = 'stub';
+
+const {
+  normalizeSchedule,
+  computeNextRunAt,
+  getDigestPeriod,
+  extractMetrics,
+  renderDigest
+} = require('../services/digest-service');
+const { sendMail, getStubOutbox } = require('../services/mail-service');
+
+const SAMPLE_SOURCES = {
+  overview: {
+    totals: {
+      visitors: { total: 1200, sessions: 1500, engagementRate: 61.5 },
+      meta_ads: { spend: 350.5, clicks: 420, impressions: 51000 },
+      sales: { revenue: 9800, transactions: 140, averageOrderValue: 70, currency: 'USD' }
+    },
+    comparison: {
+      totals: {
+        visitors: { total: { percent: 12.5 }, sessions: { percent: -3 } },
+        meta_ads: { spend: { percent: 0 } },
+        sales: { revenue: { percent: 8.2 } }
+      }
+    }
+  },
+  summary: { social: { ctr: 0.82, cpc: 0.83 }, sales: { source: 'shopify', netRevenue: 9500 } },
+  social: { facebook: { followers: 5400, posts: { count: 6 } }, instagram: null }
+};
+
+async function testDigest() {
+  console.log('🧪 Testing report digests...\n');
+
+  let failed = 0;
+  const check = (name, actual, expected) => {
+    const ok = actual === expected;
+    if (!ok) failed++;
+    console.log(`${ok ? '✅' : '❌'} ${name}${ok ? '' : ` (got ${actual}, expected ${expected})`}`);
+  };
+
+  // Wednesday 2025-03-05 10:00 UTC
+  const now = Date.UTC(2025, 2, 5, 10, 0, 0);
+
+  const weekly = normalizeSchedule({ brandId: 'brand-1', recipients: ['AM@Example.com'], timezone: 'UTC' });
+  check('recipients normalized', weekly.recipients[0], 'am@example.com');
+  check('weekly defaults to Monday 08:00', new Date(computeNextRunAt(weekly, now)).toISOString(), '2025-03-10T08:00:00.000Z');
+  check('weekly period', JSON.stringify(getDigestPeriod(weekly, Date.UTC(2025, 2, 10, 8))), JSON.stringify({ from: '2025-03-03', to: '2025-03-09' }));
+
+  const daily = normalizeSchedule({ brandId: 'brand-1', recipients: ['am@example.com'], frequency: 'daily', hour: 6, timezone: 'America/New_York' });
+  check('daily next run in local time', new Date(computeNextRunAt(daily, now)).toISOString(), '2025-03-05T11:00:00.000Z');
+
+  const monthly = normalizeSchedule({ brandId: 'brand-1', recipients: ['am@example.com'], frequency: 'monthly', timezone: 'UTC' });
+  check('monthly next run', new Date(computeNextRunAt(monthly, now)).toISOString(), '2025-04-01T08:00:00.000Z');
+  check('monthly period', JSON.stringify(getDigestPeriod(monthly, now)), JSON.stringify({ from: '2025-02-01', to: '2025-02-28' }));
+
+  let rejected = false;
+  try {
+    normalizeSchedule({ brandId: 'brand-1', recipients: ['not-an-email'] });
+  } catch (error) {
+    rejected = error.code === 'INVALID_SCHEDULE';
+  }
+  check('invalid recipient rejected', rejected, true);
+
+  const metrics = extractMetrics(SAMPLE_SOURCES);
+  check('visitors delta', metrics.find(m => m.key === 'visitors').delta, 12.5);
+  check('instagram skipped when not connected', metrics.some(m => m.key === 'instagramFollowers'), false);
+
+  const message = renderDigest({
+    brand: { id: 'brand-1', name: 'Demo <Cafe>' },
+    period: { from: '2025-03-03', to: '2025-03-09' },
+    currency: 'USD',
+    metrics,
+    narrative: '✅ Revenue up 8.2% on steady spend.',
+    errors: {}
+  });
+  check('subject', message.subject, 'Demo <Cafe> performance digest: 2025-03-03 to 2025-03-09');
+  check('brand name escaped in HTML', message.html.includes('Demo &lt;Cafe&gt;'), true);
+  check('revenue formatted', message.html.includes('USD 9,800.00'), true);
+  check('narrative included', message.text.includes("Mate's Take:"), true);
+
+  const delivery = await sendMail({ to: weekly.recipients, ...message });
+  check('stub transport used', delivery.transport, 'stub');
+  check('stub outbox captured message', getStubOutbox().length, 1);
+
+  console.log(failed ? `\n❌ ${failed} check(s) failed` : '\n✅ All checks passed');
+  process.exit(failed ? 1 : 0);
+}
+
+testDigest().catch((error) => {
+  console.error('❌ Test failed:', error.message);
+  process.exit(1);
+});
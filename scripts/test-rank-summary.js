@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the rank tracking summary
+ *
+ * Builds synthetic keyword_rankings records and checks position changes,
+ * best positions and the visibility score maths. No Firebase, DataForSEO or
+ * network needed.
+ *
+ * Usage:
+ *   node scripts/test-rank-summary.js
+ */
+
+const { summarizeRankings, visibilityScore } = require('../services/rank-tracking-service');
+
+const DESKTOP = '2840:en:desktop';
+const MOBILE = '2840:en:mobile';
+
+/**
+ * Builds a keyword_rankings record
+ * @param {string} keyword - Keyword
+ * @param {string} date - YYYY-MM-DD
+ * @param {number|null} position - Organic position (null when not in the top 100)
+ * @param {string} [location] - Location key
+ * @returns {Object} Record
+ */
+function record(keyword, date, position, location = DESKTOP) {
+  const [locationCode, languageCode, device] = location.split(':');
+  return {
+    keyword,
+    date,
+    position,
+    location,
+    locationCode: parseInt(locationCode),
+    languageCode,
+    device,
+    url: position ? `https://example.com/${keyword.replace(/ /g, '-')}` : null
+  };
+}
+
+function testRankSummary() {
+  console.log('🧪 Testing rank tracking summary...\n');
+
+  let failed = 0;
+  const check = (name, actual, expected) => {
+    const ok = actual === expected;
+    if (!ok) failed++;
+    console.log(`${ok ? '✅' : '❌'} ${name}${ok ? '' : ` (got ${actual}, expected ${expected})`}`);
+  };
+
+  // Visibility: expected share of position 1's clicks, averaged over keywords
+  check('no keywords', visibilityScore([]), null);
+  check('all #1', visibilityScore([1, 1]), 100);
+  check('nothing ranking', visibilityScore([null, 25, 101]), 0);
+  check('half at #1', visibilityScore([1, null]), 50);
+  check('#3 weight (18.7 / 31.7 CTR)', visibilityScore([3]), 58.99);
+  check('#11-20 get a floor weight', visibilityScore([15]), 3.15);
+  check('mixed positions', visibilityScore([1, 3, 10, 15, null]), 34.07);
+
+  const records = [
+    // Up: 8 -> 5 -> 6, best was on the 2nd
+    record('trail shoes', '2025-03-03', 6),
+    record('trail shoes', '2025-03-01', 8),
+    record('trail shoes', '2025-03-02', 5),
+    // Same keyword on mobile is tracked separately
+    record('trail shoes', '2025-03-03', 2, MOBILE),
+    // New: not ranking -> 4
+    record('running socks', '2025-03-01', null),
+    record('running socks', '2025-03-03', 4),
+    // Lost: 3 -> not ranking
+    record('hiking boots', '2025-03-01', 3),
+    record('hiking boots', '2025-03-03', null),
+    // Checked once only
+    record('gaiters', '2025-03-03', 12),
+    // Failed lookups are left out
+    { ...record('rain jacket', '2025-03-03', null), error: 'SERP request failed' }
+  ];
+  const { summary, keywords, visibility } = summarizeRankings(records);
+  const find = (keyword, location = DESKTOP) => keywords.find(k => k.keyword === keyword && k.location === location);
+
+  const shoes = find('trail shoes');
+  check('position is the latest', shoes?.position, 6);
+  check('previous position is the first in range', shoes?.previousPosition, 8);
+  check('change is positive when moving up', shoes?.change, 2);
+  check('status up', shoes?.status, 'up');
+  check('best position', shoes?.bestPosition, 5);
+  check('best position date', shoes?.bestPositionDate, '2025-03-02');
+  check('history in date order', shoes?.history.map(h => h.position).join(','), '8,5,6');
+
+  check('mobile tracked separately', find('trail shoes', MOBILE)?.position, 2);
+  check('status new', find('running socks')?.status, 'new');
+  check('no change without two positions', find('running socks')?.change, null);
+  check('status lost', find('hiking boots')?.status, 'lost');
+  check('best position kept after losing it', find('hiking boots')?.bestPosition, 3);
+  check('single check has no status', find('gaiters')?.status, null);
+  check('single check has no previous position', find('gaiters')?.previousPosition, null);
+  check('errored lookup left out', keywords.some(k => k.keyword === 'rain jacket'), false);
+  check('sorted by position, not ranking last', keywords.map(k => k.position).join(','), '2,4,6,12,');
+
+  check('tracked', summary.tracked, 5);
+  check('ranking', summary.ranking, 4);
+  check('notRanking', summary.notRanking, 1);
+  check('top3', summary.top3, 1);
+  check('top10', summary.top10, 3);
+  check('averagePosition', summary.averagePosition, 6);
+  check('improved (up and new)', summary.improved, 2);
+  check('declined (down and lost)', summary.declined, 1);
+
+  // Latest positions 6, 2, 4, null, 12
+  check('visibility', summary.visibility, 28.71);
+  // Only keywords checked at both ends: 8, null, 3 then 6, 4, null
+  check('previousVisibility', summary.previousVisibility, 22.92);
+  check('visibilityChange (like-for-like)', summary.visibilityChange, -2.1);
+
+  check('daily visibility days', visibility.map(v => v.date).join(','), '2025-03-01,2025-03-02,2025-03-03');
+  check('daily visibility tracked', visibility.map(v => v.tracked).join(','), '3,1,5');
+  check('daily visibility score', visibility[1]?.score, visibilityScore([5]));
+
+  console.log(failed ? `\n❌ ${failed} check(s) failed` : '\n✅ All checks passed');
+  process.exit(failed ? 1 : 0);
+}
+
+testRankSummary();
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for site audit issue extraction and audit-to-audit diffs
+ *
+ * Runs two recorded snapshots from scripts/fixtures/site-audit-snapshots.json
+ * through extractIssues and diffAudits and checks which issues are new,
+ * resolved and persisting. No Firebase, DataForSEO or network needed.
+ *
+ * Usage:
+ *   node scripts/test-site-audit-diff.js
+ */
+
+const path = require('path');
+const { extractIssues, diffAudits } = require('../services/site-audit-service');
+
+const { base, head, expected } = require(path.join(__dirname, 'fixtures', 'site-audit-snapshots.json'));
+
+const keys = (issues) => issues.map(issue => issue.key).sort().join(', ');
+
+function testSiteAuditDiff() {
+  console.log('🧪 Testing site audit issues and diffs...\n');
+
+  let failed = 0;
+  const check = (name, actual, expected) => {
+    const ok = actual === expected;
+    if (!ok) failed++;
+    console.log(`${ok ? '✅' : '❌'} ${name}${ok ? '' : ` (got ${actual}, expected ${expected})`}`);
+  };
+
+  // Issue extraction
+  const baseIssues = extractIssues(base);
+  const headIssues = extractIssues(head);
+  check('base issues (duplicate broken link counted once)', baseIssues.length, expected.baseIssues);
+  check('head issues', headIssues.length, expected.headIssues);
+  check('4xx page detail', baseIssues.find(issue => issue.type === 'broken_page')?.detail, 'HTTP 404');
+  check('slow page detail', baseIssues.find(issue => issue.type === 'slow_page')?.detail, '3457 ms');
+  check('duplicate title detail', baseIssues.find(issue => issue.type === 'duplicate_title')?.detail, 'About');
+  check('issues sorted by key', headIssues.every((issue, i) => i === 0 || headIssues[i - 1].key.localeCompare(issue.key) <= 0), true);
+
+  // Without a broken links list, the page-level flag stands in
+  const flagged = { pages: [{ url: 'https://example.com/', statusCode: 200, checks: { broken_links: true } }], brokenLinks: null };
+  const fallback = extractIssues(flagged);
+  check('page flag used without links list', fallback.length === 1 && fallback[0].type === 'broken_link' && fallback[0].target === null, true);
+  check('page flag ignored with links list', extractIssues({ ...flagged, brokenLinks: [] }).length, 0);
+
+  // Diff between the two audits
+  const diff = diffAudits({ issues: baseIssues }, { issues: headIssues });
+  check('new issues', keys(diff.new), expected.new.join(', '));
+  check('resolved issues', keys(diff.resolved), expected.resolved.join(', '));
+  check('persisting issues', keys(diff.persisting), expected.persisting.join(', '));
+  check('counts', JSON.stringify(diff.counts), JSON.stringify({ new: expected.new.length, resolved: expected.resolved.length, persisting: expected.persisting.length }));
+  check('byType broken_page', JSON.stringify(diff.byType.broken_page), JSON.stringify({ new: 1, resolved: 1, persisting: 0 }));
+  check('byType untouched type zeroed', JSON.stringify(diff.byType.missing_description), JSON.stringify({ new: 0, resolved: 0, persisting: 1 }));
+  check('not truncated', diff.truncated, false);
+  check('truncated base flagged', diffAudits({ issues: baseIssues, truncated: true }, { issues: headIssues }).truncated, true);
+
+  // An audit compared with itself has nothing new or resolved
+  const same = diffAudits({ issues: headIssues }, { issues: headIssues });
+  check('unchanged audit', JSON.stringify(same.counts), JSON.stringify({ new: 0, resolved: 0, persisting: headIssues.length }));
+
+  console.log(failed ? `\n❌ ${failed} check(s) failed` : '\n✅ All checks passed');
+  process.exit(failed ? 1 : 0);
+}
+
+testSiteAuditDiff();
@@ -0,0 +1,363 @@
+/**
+ * @fileoverview Anomaly detection on daily brand metrics, with alerts in the Firestore `alerts` collection
+ * @module services/anomaly-service
+ *
+ * Each metric in ANOMALY_METRICS is read from the /api/overview dailyData
+ * series. A day is anomalous when it sits at least `zThreshold` standard
+ * deviations away from the rolling baseline of the previous `window` days AND
+ * moved by at least `minChangePercent` - the second check keeps very stable
+ * series from alerting on tiny absolute changes. Days below the metric's
+ * `minVolume` (on both sides) are ignored as noise.
+ *
+ * Alert IDs are derived from (brandId, metric, date), so re-scanning the same
+ * days never creates duplicate alerts or reopens dismissed ones.
+ */
+
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const { invokeHandler } = require('../utils/invoke-handler');
+const { getBusinessTimezone } = require('../utils/date-utils');
+const { getDb, toIso } = require('../utils/firestore-utils');
+
+const ALERTS_COLLECTION = 'alerts';
+const SCANS_COLLECTION = 'anomaly_scans';
+
+const ALERT_STATUS = {
+  OPEN: 'open',
+  ACKNOWLEDGED: 'acknowledged',
+  DISMISSED: 'dismissed'
+};
+
+// Metrics checked per brand: path into an overview dailyData entry
+const ANOMALY_METRICS = [
+  { key: 'visitors.total', label: 'Visitors', minVolume: 20 },
+  { key: 'visitors.organic_search', label: 'Organic search visitors', minVolume: 10 },
+  { key: 'visitors.paid_search', label: 'Paid search visitors', minVolume: 10 },
+  { key: 'visitors.organic_social', label: 'Organic social visitors', minVolume: 10 },
+  { key: 'visitors.paid_social', label: 'Paid social visitors', minVolume: 10 },
+  { key: 'visitors.direct', label: 'Direct visitors', minVolume: 10 },
+  { key: 'meta_ads.spend', label: 'Meta Ads spend', minVolume: 5 },
+  { key: 'meta_ads.clicks', label: 'Meta Ads clicks', minVolume: 10 },
+  { key: 'sales.revenue', label: 'Revenue', minVolume: 10 },
+  { key: 'sales.transactions', label: 'Orders', minVolume: 3 }
+];
+
+const DEFAULT_OPTIONS = {
+  window: 14, // days in the rolling baseline
+  minHistory: 7, // baseline days required before a day is judged
+  zThreshold: 3,
+  minChangePercent: 30,
+  lookbackDays: 3 // most recent days checked per scan (late data can still arrive)
+};
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+const getPath = (obj, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+const toIsoDate = (date) => {
+  const value = String(date);
+  return /^\d{8}$/.test(value) ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}` : value;
+};
+
+/**
+ * Mean and sample standard deviation
+ * @param {number[]} values - Values
+ * @returns {{mean: number, stdDev: number}}
+ */
+const describe = (values) => {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.length > 1
+    ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1)
+    : 0;
+  return { mean, stdDev: Math.sqrt(variance) };
+};
+
+/**
+ * Fills missing days with zeros so the rolling window counts calendar days
+ * @param {Array} dailyData - Overview daily entries ({ date: 'YYYYMMDD' | 'YYYY-MM-DD', ... })
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @returns {Array} [{ date: 'YYYY-MM-DD', day }] one per calendar day
+ */
+const toCalendarSeries = (dailyData, from, to) => {
+  const byDate = {};
+  (dailyData || []).forEach(day => { byDate[toIsoDate(day.date)] = day; });
+
+  const series = [];
+  for (let d = moment.utc(from); !d.isAfter(moment.utc(to)); d.add(1, 'day')) {
+    const date = d.format('YYYY-MM-DD');
+    series.push({ date, day: byDate[date] || null });
+  }
+  return series;
+};
+
+/**
+ * Flags anomalous days in a daily series
+ * @param {Array} dailyData - Overview daily entries
+ * @param {Object} [options] - Detection options (see DEFAULT_OPTIONS), plus:
+ * @param {string} [options.from] - Series start (YYYY-MM-DD); defaults to the first entry
+ * @param {string} [options.to] - Series end (YYYY-MM-DD); defaults to the last entry
+ * @param {Array} [options.metrics] - Metric definitions (default ANOMALY_METRICS)
+ * @returns {Array} Anomalies within the last `lookbackDays`, newest first
+ */
+const detectAnomalies = (dailyData, options = {}) => {
+  const { window, minHistory, zThreshold, minChangePercent, lookbackDays } = { ...DEFAULT_OPTIONS, ...options };
+  const metrics = options.metrics || ANOMALY_METRICS;
+  if (!Array.isArray(dailyData) || dailyData.length === 0) return [];
+
+  const dates = dailyData.map(day => toIsoDate(day.date)).sort();
+  const series = toCalendarSeries(dailyData, options.from || dates[0], options.to || dates[dates.length - 1]);
+  const firstChecked = Math.max(minHistory, series.length - lookbackDays);
+  const anomalies = [];
+
+  metrics.forEach(metric => {
+    // A metric the brand never reports (no connection) has nothing to compare
+    const values = series.map(({ day }) => {
+      const value = day ? getPath(day, metric.key) : undefined;
+      return typeof value === 'number' && isFinite(value) ? value : null;
+    });
+    if (!values.some(v => v)) return;
+
+    for (let i = firstChecked; i < series.length; i++) {
+      const baselineValues = values.slice(Math.max(0, i - window), i).map(v => v || 0);
+      if (baselineValues.length < minHistory) continue;
+
+      const value = values[i] || 0;
+      const { mean, stdDev } = describe(baselineValues);
+      if (Math.max(value, mean) < metric.minVolume) continue;
+
+      // Floor the deviation so a flat baseline does not turn every wobble into a huge z-score
+      const zScore = (value - mean) / Math.max(stdDev, mean * 0.1, 1);
+      const changePercent = mean > 0 ? ((value - mean) / mean) * 100 : null;
+
+      if (Math.abs(zScore) < zThreshold) continue;
+      if (changePercent !== null && Math.abs(changePercent) < minChangePercent) continue;
+
+      const direction = value > mean ? 'spike' : 'drop';
+      const critical = changePercent === null || changePercent >= 100 || changePercent <= -50;
+
+      anomalies.push({
+        metric: metric.key,
+        label: metric.label,
+        date: series[i].date,
+        value: round2(value),
+        baseline: { mean: round2(mean), stdDev: round2(stdDev), days: baselineValues.length },
+        zScore: round2(zScore),
+        changePercent: changePercent === null ? null : round2(changePercent),
+        direction,
+        severity: critical ? 'critical' : 'warning'
+      });
+    }
+  });
+
+  return anomalies.sort((a, b) => b.date.localeCompare(a.date) || Math.abs(b.zScore) - Math.abs(a.zScore));
+};
+
+/**
+ * One-line description of an anomaly
+ * @param {Object} anomaly - Anomaly from detectAnomalies
+ * @returns {string} Message
+ */
+const describeAnomaly = (anomaly) => {
+  const verb = anomaly.direction === 'spike' ? 'spiked to' : 'dropped to';
+  const change = anomaly.changePercent === null
+    ? 'from a zero baseline'
+    : `${anomaly.changePercent > 0 ? '+' : ''}${anomaly.changePercent.toFixed(0)}% vs ${anomaly.baseline.days}-day average ${anomaly.baseline.mean}`;
+  return `${anomaly.label} ${verb} ${anomaly.value} on ${anomaly.date} (${change})`;
+};
+
+/**
+ * Serializes an alert document for API responses
+ * @param {string} id - Alert ID
+ * @param {Object} data - Alert document data
+ * @returns {Object} Public alert representation
+ */
+const formatAlert = (id, data) => ({
+  id,
+  brandId: data.brandId,
+  organizationId: data.organizationId || null,
+  metric: data.metric,
+  label: data.label,
+  date: data.date,
+  value: data.value,
+  baseline: data.baseline,
+  zScore: data.zScore,
+  changePercent: data.changePercent,
+  direction: data.direction,
+  severity: data.severity,
+  message: data.message,
+  status: data.status,
+  acknowledgedBy: data.acknowledgedBy || null,
+  acknowledgedAt: toIso(data.acknowledgedAt),
+  dismissedBy: data.dismissedBy || null,
+  dismissedAt: toIso(data.dismissedAt),
+  createdAt: toIso(data.createdAt)
+});
+
+/**
+ * Stores anomalies as open alerts, skipping ones already recorded
+ * @param {string} brandId - Brand ID
+ * @param {string|null} organizationId - Organization ID
+ * @param {Array} anomalies - Output of detectAnomalies
+ * @returns {Promise<Object[]>} Newly created alerts
+ */
+const saveAlerts = async (brandId, organizationId, anomalies) => {
+  const col = getDb().collection(ALERTS_COLLECTION);
+  const created = [];
+
+  for (const anomaly of anomalies) {
+    const id = crypto.createHash('sha256').update(`${brandId}:${anomaly.metric}:${anomaly.date}`).digest('hex').slice(0, 32);
+    const now = new Date();
+    const data = {
+      ...anomaly,
+      brandId,
+      organizationId: organizationId || null,
+      message: describeAnomaly(anomaly),
+      status: ALERT_STATUS.OPEN,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    try {
+      await col.doc(id).create(data);
+      created.push(formatAlert(id, data));
+    } catch (error) {
+      // 6 = ALREADY_EXISTS: this day was flagged by an earlier scan
+      if (error.code !== 6 && !/already exists/i.test(error.message)) throw error;
+    }
+  }
+
+  return created;
+};
+
+/**
+ * Runs anomaly detection for a brand and records new alerts
+ * @param {string} brandId - Brand ID
+ * @param {Object} [options] - Detection options (see DEFAULT_OPTIONS)
+ * @param {string} [options.organizationId] - Organization ID (looked up when omitted)
+ * @param {string} [options.to] - Last day to check (default yesterday in BUSINESS_TIMEZONE)
+ * @returns {Promise<{brandId: string, from: string, to: string, anomalies: number, alerts: Object[]}>}
+ */
+const scanBrand = async (brandId, options = {}) => {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const to = options.to || moment.tz(getBusinessTimezone()).subtract(1, 'day').format('YYYY-MM-DD');
+  const from = moment.utc(to).subtract(settings.window + settings.lookbackDays - 1, 'days').format('YYYY-MM-DD');
+
+  let organizationId = options.organizationId || null;
+  if (!organizationId) {
+    const brand = await require('./firebase-service').getBrandInfo(brandId);
+    organizationId = brand?.organizationId || null;
+  }
+
+  const scanRef = getDb().collection(SCANS_COLLECTION).doc(brandId);
+  let anomalies;
+  let alerts;
+  try {
+    const { statusCode, body } = await invokeHandler(require('../api/overview'), {
+      url: '/api/overview',
+      query: { brandId, from, to },
+      internal: true
+    });
+    if (statusCode !== 200) {
+      throw new Error(body?.message || body?.error || `Overview responded with ${statusCode}`);
+    }
+
+    anomalies = detectAnomalies(body?.dailyData || [], { ...settings, from, to });
+    alerts = await saveAlerts(brandId, organizationId, anomalies);
+  } catch (error) {
+    // Marked as scanned so the sweep moves on; the next day retries
+    await scanRef.set({ brandId, lastScannedDate: to, lastScannedAt: new Date(), lastError: error.message }, { merge: true });
+    throw error;
+  }
+
+  await scanRef.set({
+    brandId,
+    lastScannedDate: to,
+    lastScannedAt: new Date(),
+    lastError: null,
+    anomalies: anomalies.length,
+    newAlerts: alerts.length
+  }, { merge: true });
+
+  console.log('Anomaly Service - Brand scanned:', { brandId, from, to, anomalies: anomalies.length, newAlerts: alerts.length });
+  return { brandId, from, to, anomalies: anomalies.length, alerts };
+};
+
+/**
+ * Finds active brands that have not been scanned for `date` yet
+ * @param {string} date - Day being scanned (YYYY-MM-DD)
+ * @param {number} limit - Maximum brands to return
+ * @returns {Promise<Array<{id: string, organizationId: string|null}>>}
+ */
+const findBrandsToScan = async (date, limit = 25) => {
+  const db = getDb();
+  const [brands, scans] = await Promise.all([
+    db.collection('brands').select('organizationId', 'archived').get(),
+    db.collection(SCANS_COLLECTION).where('lastScannedDate', '>=', date).select().get()
+  ]);
+
+  const scanned = new Set(scans.docs.map(doc => doc.id));
+  return brands.docs
+    .filter(doc => doc.data().archived !== true && !scanned.has(doc.id))
+    .slice(0, limit)
+    .map(doc => ({ id: doc.id, organizationId: doc.data().organizationId || null }));
+};
+
+/**
+ * Lists a brand's alerts, newest day first
+ * @param {string} brandId - Brand ID
+ * @param {Object} [options] - Filters
+ * @param {string} [options.status] - open | acknowledged | dismissed | all (default open)
+ * @param {number} [options.limit] - Maximum alerts (default 50)
+ * @returns {Promise<Object[]>} Alerts
+ */
+const listAlerts = async (brandId, { status = ALERT_STATUS.OPEN, limit = 50 } = {}) => {
+  let query = getDb().collection(ALERTS_COLLECTION).where('brandId', '==', brandId);
+  if (status !== 'all') query = query.where('status', '==', status);
+  const snap = await query.orderBy('date', 'desc').limit(limit).get();
+  return snap.docs.map(doc => formatAlert(doc.id, doc.data()));
+};
+
+/**
+ * Fetches an alert by ID
+ * @param {string} alertId - Alert ID
+ * @returns {Promise<Object|null>} Alert or null if not found
+ */
+const getAlert = async (alertId) => {
+  if (!alertId) throw new Error('Alert ID is required');
+  const snap = await getDb().collection(ALERTS_COLLECTION).doc(alertId).get();
+  return snap.exists ? formatAlert(snap.id, snap.data()) : null;
+};
+
+/**
+ * Acknowledges or dismisses an alert
+ * @param {string} alertId - Alert ID
+ * @param {string} action - 'acknowledge' | 'dismiss'
+ * @param {string|null} userId - Acting user
+ * @returns {Promise<Object|null>} Updated alert, or null if not found
+ */
+const updateAlertStatus = async (alertId, action, userId = null) => {
+  const ref = getDb().collection(ALERTS_COLLECTION).doc(alertId);
+  const snap = await ref.get();
+  if (!snap.exists) return null;
+
+  const now = new Date();
+  const update = action === 'dismiss'
+    ? { status: ALERT_STATUS.DISMISSED, dismissedBy: userId, dismissedAt: now, updatedAt: now }
+    : { status: ALERT_STATUS.ACKNOWLEDGED, acknowledgedBy: userId, acknowledgedAt: now, updatedAt: now };
+
+  await ref.update(update);
+  return formatAlert(alertId, { ...snap.data(), ...update });
+};
+
+module.exports = {
+  ALERT_STATUS,
+  ANOMALY_METRICS,
+  detectAnomalies,
+  describeAnomaly,
+  scanBrand,
+  findBrandsToScan,
+  listAlerts,
+  getAlert,
+  updateAlertStatus
+};
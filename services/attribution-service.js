@@ -0,0 +1,227 @@
+/**
+ * @fileoverview Multi-touch attribution of GA4 conversions across channels, with Meta Ads
+ * reported conversions alongside
+ * @module services/attribution-service
+ *
+ * The GA4 Data API has no user-level paths, so each converting user's path is
+ * modelled from two touchpoints GA4 does expose:
+ *
+ *   first touch  firstUserDefaultChannelGroup (channel that acquired the user), on firstSessionDate
+ *   last touch   sessionDefaultChannelGroup of the converting session, on the conversion date
+ *
+ * Models split each conversion (and its revenue) between those touchpoints:
+ *
+ *   first_touch  100% to the first touch
+ *   last_touch   100% to the last touch (what combined-analytics reports today)
+ *   linear       50/50 when the channels differ
+ *   time_decay   weight 2^(-days before conversion / halfLifeDays), so a first
+ *                touch 7 days before the conversion gets half the last touch's weight
+ *
+ * When both touches are the same channel the whole conversion goes to it in
+ * every model.
+ */
+
+const { runGA4ReportViaREST } = require('./ga4-service');
+const { mapChannelGroupToCategory } = require('../utils/channel-utils');
+
+const ATTRIBUTION_MODELS = ['first_touch', 'last_touch', 'linear', 'time_decay'];
+const DEFAULT_HALF_LIFE_DAYS = 7;
+
+// GA4 caps a single runReport response at 250k rows
+const PATH_ROWS_LIMIT = 100000;
+
+// Touchpoints modelled per converting path: first and last
+const TOUCHPOINTS = 2;
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+// GA4 reports "(not set)" as the first touch when it never saw the acquisition
+const toChannel = (channelGroup) => (channelGroup === '(not set)' ? 'unassigned' : mapChannelGroupToCategory(channelGroup));
+
+/**
+ * Days between two GA4 dates (YYYYMMDD)
+ * @param {string} start - Earlier date
+ * @param {string} end - Later date
+ * @returns {number} Whole days (0 when either date is missing)
+ */
+const daysBetween = (start, end) => {
+  const parse = (value) => (/^\d{8}$/.test(value || '')
+    ? Date.UTC(value.slice(0, 4), value.slice(4, 6) - 1, value.slice(6, 8))
+    : null);
+  const startTime = parse(start);
+  const endTime = parse(end);
+  if (startTime === null || endTime === null) return 0;
+  return Math.max(Math.round((endTime - startTime) / (24 * 60 * 60 * 1000)), 0);
+};
+
+/**
+ * Fetches converting first-touch / last-touch paths from GA4
+ * @param {string} propertyId - GA4 property ID
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @param {Object} options - { accessToken, refreshToken }
+ * @returns {Promise<Object[]>} [{ firstChannel, lastChannel, daysToConversion, conversions, revenue }]
+ */
+const getConversionPaths = async (propertyId, from, to, options = {}) => {
+  if (!options.accessToken) {
+    throw new Error('GA4 OAuth access token is required (no service account fallback)');
+  }
+
+  const request = {
+    dateRanges: [{ startDate: from, endDate: to }],
+    dimensions: [
+      { name: 'firstUserDefaultChannelGroup' },
+      { name: 'sessionDefaultChannelGroup' },
+      { name: 'firstSessionDate' },
+      { name: 'date' }
+    ],
+    metrics: [
+      { name: 'ecommercePurchases' },
+      { name: 'purchaseRevenue' }
+    ],
+    metricFilter: {
+      filter: {
+        fieldName: 'ecommercePurchases',
+        numericFilter: { operation: 'GREATER_THAN', value: { int64Value: '0' } }
+      }
+    },
+    limit: PATH_ROWS_LIMIT
+  };
+
+  const response = await runGA4ReportViaREST(propertyId, request, options.accessToken, options.refreshToken);
+
+  if ((response.rowCount || 0) > PATH_ROWS_LIMIT) {
+    console.warn('Attribution Service - Path rows truncated:', { propertyId, rowCount: response.rowCount, limit: PATH_ROWS_LIMIT });
+  }
+
+  return (response.rows || []).map(row => ({
+    firstChannel: toChannel(row.dimensionValues[0]?.value),
+    lastChannel: toChannel(row.dimensionValues[1]?.value),
+    daysToConversion: daysBetween(row.dimensionValues[2]?.value, row.dimensionValues[3]?.value),
+    conversions: parseInt(row.metricValues[0]?.value) || 0,
+    revenue: parseFloat(row.metricValues[1]?.value) || 0
+  }));
+};
+
+/**
+ * Share of a conversion credited to the first touch under a model
+ * @param {string} model - Attribution model
+ * @param {number} daysToConversion - Days from first touch to conversion
+ * @param {number} halfLifeDays - Time-decay half-life
+ * @returns {number} First-touch share (the last touch gets the rest)
+ */
+const firstTouchShare = (model, daysToConversion, halfLifeDays) => {
+  switch (model) {
+    case 'first_touch':
+      return 1;
+    case 'last_touch':
+      return 0;
+    case 'linear':
+      return 0.5;
+    case 'time_decay': {
+      const firstWeight = Math.pow(2, -daysToConversion / halfLifeDays);
+      return firstWeight / (firstWeight + 1);
+    }
+    default:
+      throw new Error(`Unknown attribution model: ${model}`);
+  }
+};
+
+/**
+ * Credits conversions and revenue to channels under each model
+ * @param {Object[]} paths - Output of getConversionPaths
+ * @param {Object} [options]
+ * @param {string[]} [options.models] - Models to compute (default: all)
+ * @param {number} [options.halfLifeDays=7] - Time-decay half-life
+ * @returns {Object} { totals: { conversions, revenue }, channels: [{ channel, <model>: { conversions, revenue, share } }] }
+ */
+const attributeConversions = (paths, { models = ATTRIBUTION_MODELS, halfLifeDays = DEFAULT_HALF_LIFE_DAYS } = {}) => {
+  const credit = {};
+  const add = (model, channel, conversions, revenue) => {
+    credit[channel] = credit[channel] || {};
+    credit[channel][model] = credit[channel][model] || { conversions: 0, revenue: 0 };
+    credit[channel][model].conversions += conversions;
+    credit[channel][model].revenue += revenue;
+  };
+
+  const totals = { conversions: 0, revenue: 0 };
+
+  paths.forEach(path => {
+    totals.conversions += path.conversions;
+    totals.revenue += path.revenue;
+
+    models.forEach(model => {
+      if (path.firstChannel === path.lastChannel) {
+        add(model, path.lastChannel, path.conversions, path.revenue);
+        return;
+      }
+      const share = firstTouchShare(model, path.daysToConversion, halfLifeDays);
+      if (share > 0) add(model, path.firstChannel, path.conversions * share, path.revenue * share);
+      if (share < 1) add(model, path.lastChannel, path.conversions * (1 - share), path.revenue * (1 - share));
+    });
+  });
+
+  const channels = Object.entries(credit).map(([channel, byModel]) => {
+    const entry = { channel };
+    models.forEach(model => {
+      const value = byModel[model] || { conversions: 0, revenue: 0 };
+      entry[model] = {
+        conversions: round2(value.conversions),
+        revenue: round2(value.revenue),
+        // Share of all conversions credited to this channel
+        share: totals.conversions > 0 ? round2((value.conversions / totals.conversions) * 100) : 0
+      };
+    });
+    return entry;
+  });
+
+  // Largest channels first, by the last model requested
+  const sortModel = models[models.length - 1];
+  channels.sort((a, b) => b[sortModel].conversions - a[sortModel].conversions);
+
+  return {
+    totals: { conversions: totals.conversions, revenue: round2(totals.revenue) },
+    channels
+  };
+};
+
+/**
+ * Compares Meta-reported conversions with what each GA4 model credits to paid social
+ * @param {Object} metaTotals - Output of getMetaConversionTotals
+ * @param {Object[]} channels - attributeConversions channels
+ * @param {string[]} models - Models computed
+ * @returns {Object} { spend, conversions, revenue, roas, currency, ga4: { <model>: { conversions, revenue, roas, cpa } } }
+ */
+const buildMetaComparison = (metaTotals, channels, models) => {
+  const paidSocial = channels.find(entry => entry.channel === 'paid_social') || {};
+  const spend = metaTotals.spend || 0;
+
+  const ga4 = {};
+  models.forEach(model => {
+    const credited = paidSocial[model] || { conversions: 0, revenue: 0 };
+    ga4[model] = {
+      conversions: credited.conversions,
+      revenue: credited.revenue,
+      roas: spend > 0 ? round2(credited.revenue / spend) : 0,
+      cpa: credited.conversions > 0 ? round2(spend / credited.conversions) : 0
+    };
+  });
+
+  return {
+    spend,
+    conversions: metaTotals.purchases || 0,
+    revenue: metaTotals.purchaseValue || 0,
+    roas: spend > 0 ? round2((metaTotals.purchaseValue || 0) / spend) : 0,
+    currency: metaTotals.currency || null,
+    ga4
+  };
+};
+
+module.exports = {
+  ATTRIBUTION_MODELS,
+  DEFAULT_HALF_LIFE_DAYS,
+  TOUCHPOINTS,
+  getConversionPaths,
+  attributeConversions,
+  buildMetaComparison
+};
@@ -0,0 +1,530 @@
+/**
+ * @fileoverview Backlink monitoring backed by the Firestore `backlink_monitors`
+ * and `backlink_snapshots` collections
+ * @module services/backlink-monitor-service
+ *
+ * A brand opts in with a monitor config (`backlink_monitors/{brandId}`). Once
+ * a day /api/backlink-monitor/run snapshots the domain's backlinks through
+ * DataForSEO (getDomainBacklinks) and stores one `backlink_snapshots` document
+ * per brand and day, holding the backlink totals, the strongest links, the
+ * spammiest referring domains and the changes since the previous snapshot.
+ *
+ * Snapshots keep a sample of links (strongest first), not every link. A link
+ * missing from one side of a comparison only counts as new or lost when it
+ * would have made the other side's sample too; see classifyChanges.
+ */
+
+const { getDomainBacklinks } = require('./dataforseo-service');
+const { toDomain } = require('../utils/domain-utils');
+const { logApiUsage } = require('../utils/logging.cjs.js');
+const { getDb, toIso } = require('../utils/firestore-utils');
+const { codedError } = require('../utils/error-handler');
+
+const MONITORS_COLLECTION = 'backlink_monitors';
+const SNAPSHOTS_COLLECTION = 'backlink_snapshots';
+
+const MAX_LINKS = 1000;
+// Referring domains are fetched spammiest first, so toxic ones are not cut off
+const MAX_REFERRING_DOMAINS = 200;
+// Change lists are capped so a snapshot stays well under Firestore's 1 MB document limit
+const MAX_STORED_CHANGES = 200;
+// Long URLs and anchors can still push a capped snapshot past 1 MB; see fitSnapshotDoc
+const MAX_SNAPSHOT_BYTES = 900 * 1024;
+const MIN_STORED_CHANGES = 25;
+
+// DataForSEO spam scores run 0-100
+const DEFAULT_TOXIC_THRESHOLD = 60;
+
+const invalidConfig = codedError('INVALID_MONITOR_CONFIG');
+
+const snapshotId = (brandId, date) => `${brandId}_${date}`;
+
+/**
+ * Identifies a link by its source page, target URL and anchor text. A page can
+ * link to the same target several times with the same anchor (nav and body,
+ * say), so repeats carry their position: `#2`, `#3`...
+ * @param {Object} link - { url, targetUrl, anchor }
+ * @param {number} [position=1] - Occurrence of this page/target/anchor in the snapshot
+ * @returns {string}
+ */
+const linkKey = (link, position = 1) => `${link.url}|${link.targetUrl}|${link.anchor || ''}${position > 1 ? `#${position}` : ''}`;
+
+/**
+ * Keys a snapshot's links (see linkKey)
+ * @param {Object[]} links - Snapshot links
+ * @returns {Map<string, Object>}
+ */
+const keyLinks = (links) => {
+  const seen = new Map();
+  return new Map(links.map(link => {
+    const position = (seen.get(linkKey(link)) || 0) + 1;
+    seen.set(linkKey(link), position);
+    return [linkKey(link, position), link];
+  }));
+};
+
+// Source page and target URL, to pair up a link whose anchor text was edited
+const pageTargetKey = (link) => `${link.url}|${link.targetUrl}`;
+
+/**
+ * Serializes a monitor config for API responses
+ * @param {string} brandId - Brand ID
+ * @param {Object} data - Config document data
+ * @returns {Object}
+ */
+const formatConfig = (brandId, data) => ({
+  brandId,
+  organizationId: data.organizationId || null,
+  domain: data.domain,
+  toxicThreshold: data.toxicThreshold ?? DEFAULT_TOXIC_THRESHOLD,
+  enabled: data.enabled !== false,
+  lastSnapshotDate: data.lastSnapshotDate || null,
+  lastSnapshotAt: toIso(data.lastSnapshotAt),
+  lastError: data.lastError || null,
+  updatedAt: toIso(data.updatedAt)
+});
+
+/**
+ * Validates monitor config fields and fills in defaults
+ * @param {Object} input - Fields from the request
+ * @param {Object} [existing] - Current config (or brand defaults)
+ * @returns {Object} Normalized config fields
+ * @throws {Error} With `code = 'INVALID_MONITOR_CONFIG'` on bad input
+ */
+const normalizeConfig = (input = {}, existing = {}) => {
+  const merged = { ...existing };
+  Object.entries(input).forEach(([key, value]) => {
+    if (value !== undefined) merged[key] = value;
+  });
+
+  const domain = toDomain(merged.domain);
+  if (!domain) throw invalidConfig('domain must be a domain name or website URL');
+
+  const toxicThreshold = merged.toxicThreshold === undefined || merged.toxicThreshold === null
+    ? DEFAULT_TOXIC_THRESHOLD
+    : Number(merged.toxicThreshold);
+  if (!Number.isFinite(toxicThreshold) || toxicThreshold < 0 || toxicThreshold > 100) {
+    throw invalidConfig('toxicThreshold must be a spam score between 0 and 100');
+  }
+
+  return {
+    domain,
+    toxicThreshold,
+    enabled: merged.enabled !== false
+  };
+};
+
+/**
+ * Fetches a brand's monitor config
+ * @param {string} brandId - Brand ID
+ * @returns {Promise<Object|null>} Config or null when monitoring is not set up
+ */
+const getMonitorConfig = async (brandId) => {
+  if (!brandId) throw new Error('Brand ID is required');
+  const snap = await getDb().collection(MONITORS_COLLECTION).doc(brandId).get();
+  return snap.exists ? formatConfig(brandId, snap.data()) : null;
+};
+
+/**
+ * Creates or updates a brand's monitor config
+ * @param {Object} brand - Brand (from getBrandInfo)
+ * @param {Object} input - { domain?, toxicThreshold?, enabled? }
+ * @returns {Promise<Object>} Saved config
+ */
+const saveMonitorConfig = async (brand, input = {}) => {
+  const ref = getDb().collection(MONITORS_COLLECTION).doc(brand.id);
+  const snap = await ref.get();
+  const current = snap.exists ? snap.data() : { domain: brand.website };
+
+  const fields = normalizeConfig(input, current);
+  const data = {
+    ...fields,
+    brandId: brand.id,
+    organizationId: brand.organizationId || null,
+    updatedAt: new Date()
+  };
+  // A new domain is snapshotted again today; its first snapshot has nothing to compare against
+  if (current.lastSnapshotDate && fields.domain !== current.domain) {
+    data.lastSnapshotDate = null;
+  }
+
+  await ref.set(data, { merge: true });
+  console.log('Backlink Monitor Service - Config saved:', { brandId: brand.id, domain: fields.domain });
+  return formatConfig(brand.id, { ...current, ...data });
+};
+
+/**
+ * Finds enabled monitors without a snapshot for `date` yet
+ * @param {string} date - Snapshot day (YYYY-MM-DD)
+ * @param {number} limit - Maximum brands to return
+ * @returns {Promise<string[]>} Brand IDs
+ */
+const findBrandsToSnapshot = async (date, limit = 25) => {
+  const snap = await getDb().collection(MONITORS_COLLECTION).where('enabled', '==', true).get();
+  return snap.docs
+    .filter(doc => (doc.data().lastSnapshotDate || '') < date)
+    .slice(0, limit)
+    .map(doc => doc.id);
+};
+
+/**
+ * Lowest link rank a snapshot's sample is complete down to: every link when
+ * the sample holds them all, otherwise down to the weakest sampled link
+ * @param {Object} snapshot - { links, truncated }
+ * @returns {number}
+ */
+const sampleFloor = (snapshot) => {
+  if (!snapshot.truncated) return -Infinity;
+  if (snapshot.links.length === 0) return Infinity;
+  return Math.min(...snapshot.links.map(link => link.rank || 0));
+};
+
+/**
+ * Classifies links between two snapshots as new, lost or changed
+ * (dofollow/nofollow switched or anchor text edited)
+ * @param {Object} previous - Earlier snapshot { links, truncated }
+ * @param {Object} current - Later snapshot { links, truncated }
+ * @returns {Object} { new, lost, changed, outOfSample }
+ */
+const classifyChanges = (previous, current) => {
+  const before = keyLinks(previous.links);
+  const after = keyLinks(current.links);
+
+  const previousFloor = sampleFloor(previous);
+  const currentFloor = sampleFloor(current);
+
+  const added = [];
+  const lost = [];
+  const changed = [];
+  // Links present on one side only that may just have moved across the other side's sample edge
+  let outOfSample = 0;
+
+  // Earlier links with no exact match, by page and target: an anchor edit pairs up with one of them
+  const unmatched = new Map();
+  before.forEach((link, key) => {
+    if (after.has(key)) return;
+    const pageTarget = pageTargetKey(link);
+    if (!unmatched.has(pageTarget)) unmatched.set(pageTarget, []);
+    unmatched.get(pageTarget).push(link);
+  });
+
+  after.forEach((link, key) => {
+    const old = before.get(key) || unmatched.get(pageTargetKey(link))?.shift();
+    if (!old) {
+      if ((link.rank || 0) >= previousFloor) added.push(link); else outOfSample++;
+      return;
+    }
+
+    const fields = [];
+    if (old.isDofollow !== link.isDofollow) fields.push('dofollow');
+    if ((old.anchor || '') !== (link.anchor || '')) fields.push('anchor');
+    if (fields.length > 0) {
+      changed.push({
+        ...link,
+        fields,
+        previous: { isDofollow: old.isDofollow, anchor: old.anchor }
+      });
+    }
+  });
+
+  unmatched.forEach(links => links.forEach(link => {
+    if ((link.rank || 0) >= currentFloor) lost.push(link); else outOfSample++;
+  }));
+
+  const byRank = (a, b) => (b.rank || 0) - (a.rank || 0) || a.url.localeCompare(b.url);
+  return {
+    new: added.sort(byRank),
+    lost: lost.sort(byRank),
+    changed: changed.sort(byRank),
+    outOfSample
+  };
+};
+
+/**
+ * Referring domains at or above the spam score threshold, spammiest first
+ * @param {Object[]} referringDomains - [{ domain, spamScore, ... }]
+ * @param {number} threshold - Spam score (0-100)
+ * @returns {Object[]}
+ */
+const findToxicDomains = (referringDomains, threshold) => referringDomains
+  .filter(ref => ref.spamScore !== null && ref.spamScore !== undefined && ref.spamScore >= threshold)
+  .sort((a, b) => b.spamScore - a.spamScore || a.domain.localeCompare(b.domain));
+
+/**
+ * Loads the most recent snapshot taken before `date`
+ * @param {string} brandId - Brand ID
+ * @param {string} date - Exclusive upper bound (YYYY-MM-DD)
+ * @returns {Promise<Object|null>}
+ */
+const findPreviousSnapshot = async (brandId, date) => {
+  const snap = await getDb().collection(SNAPSHOTS_COLLECTION)
+    .where('brandId', '==', brandId)
+    .where('date', '<', date)
+    .orderBy('date', 'desc')
+    .limit(1)
+    .get();
+  return snap.empty ? null : { id: snap.docs[0].id, ...snap.docs[0].data() };
+};
+
+/**
+ * Approximate stored size of a document (JSON bytes)
+ * @param {Object} doc - Document data
+ * @returns {number}
+ */
+const docBytes = (doc) => Buffer.byteLength(JSON.stringify(doc));
+
+/**
+ * Trims a snapshot document until it fits MAX_SNAPSHOT_BYTES: change lists are
+ * shortened first (down to MIN_STORED_CHANGES each; `counts` keeps the full
+ * numbers), then the weakest sampled links are dropped and the sample is
+ * flagged truncated, then the toxic domain list is shortened
+ * @param {Object} doc - Snapshot document
+ * @returns {Object} The document, trimmed if needed
+ */
+const fitSnapshotDoc = (doc) => {
+  const fitted = { ...doc, links: [...doc.links], toxicDomains: [...doc.toxicDomains], changes: doc.changes ? { ...doc.changes } : null };
+
+  while (docBytes(fitted) > MAX_SNAPSHOT_BYTES) {
+    const longChanges = fitted.changes
+      ? Object.keys(fitted.changes).filter(key => fitted.changes[key].length > MIN_STORED_CHANGES)
+      : [];
+    if (longChanges.length > 0) {
+      longChanges.forEach(key => {
+        fitted.changes[key] = fitted.changes[key].slice(0, Math.max(MIN_STORED_CHANGES, Math.floor(fitted.changes[key].length / 2)));
+      });
+    } else if (fitted.links.length > 0) {
+      // Links are strongest first, so the sample stays complete down to a higher rank
+      fitted.links = fitted.links.slice(0, Math.floor(fitted.links.length * 0.9));
+      fitted.linksSampled = fitted.links.length;
+      fitted.truncated = true;
+    } else if (fitted.toxicDomains.length > 0) {
+      fitted.toxicDomains = fitted.toxicDomains.slice(0, Math.floor(fitted.toxicDomains.length / 2));
+    } else {
+      break;
+    }
+  }
+
+  return fitted;
+};
+
+/**
+ * Takes a brand's backlink snapshot for `date` and compares it with the previous one
+ * @param {string} brandId - Brand ID
+ * @param {Object} options - Options
+ * @param {string} options.date - Snapshot day (YYYY-MM-DD)
+ * @returns {Promise<Object>} { brandId, date, totalBacklinks, totalReferringDomains, new, lost, changed, toxicDomains }
+ */
+const snapshotBrand = async (brandId, { date }) => {
+  const config = await getMonitorConfig(brandId);
+  if (!config) {
+    return { brandId, date, skipped: true, reason: 'Backlink monitoring is not set up for this brand' };
+  }
+
+  const db = getDb();
+  const configRef = db.collection(MONITORS_COLLECTION).doc(brandId);
+
+  // Whatever happens after this point, the day is recorded as done so the
+  // hourly sweep does not pay DataForSEO for the same failure again
+  let lastError = null;
+  try {
+    const data = await getDomainBacklinks(config.domain, {
+      limit: MAX_LINKS,
+      orderBy: ['rank,desc'],
+      referringDomainsLimit: MAX_REFERRING_DOMAINS,
+      referringDomainsOrderBy: ['backlinks_spam_score,desc']
+    });
+    // Billed once the paid fetch succeeds, even if storing the snapshot fails later
+    await logApiUsage('backlink-monitor', { organizationId: config.organizationId, brandId });
+
+    const links = data.backlinks.map(link => ({
+      url: link.url,
+      targetUrl: link.targetUrl,
+      domainFrom: link.domainFrom || toDomain(link.url),
+      anchor: link.anchor,
+      isDofollow: link.isDofollow,
+      rank: link.rank,
+      spamScore: link.spamScore,
+      firstSeen: link.firstSeen
+    })).filter(link => link.url);
+    const snapshot = {
+      links,
+      truncated: data.summary.totalBacklinks > links.length
+    };
+
+    const toxicDomains = findToxicDomains(data.referringDomains, config.toxicThreshold).map(ref => ({
+      domain: ref.domain,
+      spamScore: ref.spamScore,
+      backlinks: ref.backlinks,
+      rank: ref.rank,
+      firstSeen: ref.firstSeen
+    }));
+
+    const previous = await findPreviousSnapshot(brandId, date);
+    const comparable = previous && previous.domain === config.domain;
+    const changes = comparable ? classifyChanges(previous, snapshot) : null;
+
+    const doc = fitSnapshotDoc({
+      brandId,
+      organizationId: config.organizationId,
+      domain: config.domain,
+      date,
+      summary: data.summary,
+      links,
+      linksSampled: links.length,
+      truncated: snapshot.truncated,
+      toxicThreshold: config.toxicThreshold,
+      toxicDomains,
+      baseDate: comparable ? previous.date : null,
+      counts: changes ? {
+        new: changes.new.length,
+        lost: changes.lost.length,
+        changed: changes.changed.length,
+        outOfSample: changes.outOfSample,
+        referringDomainsChange: data.summary.totalReferringDomains - (previous.summary?.totalReferringDomains || 0),
+        backlinksChange: data.summary.totalBacklinks - (previous.summary?.totalBacklinks || 0)
+      } : null,
+      changes: changes ? {
+        new: changes.new.slice(0, MAX_STORED_CHANGES),
+        lost: changes.lost.slice(0, MAX_STORED_CHANGES),
+        changed: changes.changed.slice(0, MAX_STORED_CHANGES)
+      } : null,
+      createdAt: new Date()
+    });
+
+    await db.collection(SNAPSHOTS_COLLECTION).doc(snapshotId(brandId, date)).set(doc);
+
+    const { invalidateTags } = require('./cache-service');
+    await invalidateTags([`backlink-monitor:${brandId}`]);
+
+    console.log('Backlink Monitor Service - Snapshot stored:', {
+      brandId,
+      date,
+      domain: config.domain,
+      linksSampled: doc.linksSampled,
+      truncated: doc.truncated,
+      baseDate: doc.baseDate,
+      ...(doc.counts || {}),
+      toxicDomains: toxicDomains.length
+    });
+
+    return {
+      brandId,
+      date,
+      status: 'completed',
+      totalBacklinks: data.summary.totalBacklinks,
+      totalReferringDomains: data.summary.totalReferringDomains,
+      ...(doc.counts || {}),
+      toxicDomains: toxicDomains.length
+    };
+  } catch (error) {
+    lastError = error.message;
+    console.error('Backlink Monitor Service - Snapshot failed:', { brandId, domain: config.domain, error: error.message });
+    return { brandId, date, status: 'error', error: error.message };
+  } finally {
+    await configRef.set({ lastSnapshotDate: date, lastSnapshotAt: new Date(), lastError }, { merge: true });
+  }
+};
+
+/**
+ * Serializes a snapshot; `links` are left out unless requested
+ * @param {Object} data - Snapshot document data
+ * @param {Object} [options] - { includeLinks }
+ * @returns {Object}
+ */
+const formatSnapshot = (data, { includeLinks = false } = {}) => ({
+  date: data.date,
+  domain: data.domain,
+  summary: data.summary,
+  linksSampled: data.linksSampled,
+  truncated: data.truncated === true,
+  baseDate: data.baseDate || null,
+  counts: data.counts || null,
+  changes: data.changes || null,
+  toxicThreshold: data.toxicThreshold,
+  toxicDomains: data.toxicDomains || [],
+  ...(includeLinks ? { links: data.links || [] } : {}),
+  createdAt: toIso(data.createdAt)
+});
+
+/**
+ * Loads a brand's backlink history for a date range: totals and change counts
+ * per snapshot, plus the changes and toxic domains of the latest snapshot
+ * @param {string} brandId - Brand ID
+ * @param {Object} options - Filters
+ * @param {string} options.from - Start date (YYYY-MM-DD)
+ * @param {string} options.to - End date (YYYY-MM-DD)
+ * @returns {Promise<Object>} { summary, history, latest }
+ */
+const getBacklinkHistory = async (brandId, { from, to }) => {
+  const snap = await getDb().collection(SNAPSHOTS_COLLECTION)
+    .where('brandId', '==', brandId)
+    .where('date', '>=', from)
+    .where('date', '<=', to)
+    .orderBy('date', 'desc')
+    .select('date', 'domain', 'summary', 'counts', 'baseDate', 'toxicDomains')
+    .get();
+
+  const history = snap.docs.map(doc => doc.data()).reverse().map(data => ({
+    date: data.date,
+    domain: data.domain,
+    totalBacklinks: data.summary?.totalBacklinks ?? null,
+    totalReferringDomains: data.summary?.totalReferringDomains ?? null,
+    dofollow: data.summary?.dofollow ?? null,
+    nofollow: data.summary?.nofollow ?? null,
+    domainRank: data.summary?.domainRank ?? null,
+    new: data.counts?.new ?? null,
+    lost: data.counts?.lost ?? null,
+    changed: data.counts?.changed ?? null,
+    toxicDomains: (data.toxicDomains || []).length
+  }));
+
+  const latestEntry = history[history.length - 1];
+  const latest = latestEntry ? await getSnapshot(brandId, latestEntry.date) : null;
+
+  const first = history[0];
+  const sum = (field) => history.slice(1).reduce((total, entry) => total + (entry[field] || 0), 0);
+
+  return {
+    summary: {
+      snapshots: history.length,
+      totalBacklinks: latestEntry?.totalBacklinks ?? null,
+      totalReferringDomains: latestEntry?.totalReferringDomains ?? null,
+      // Changes after the first snapshot in the range, so the range start is the baseline
+      referringDomainsChange: history.length > 1 ? latestEntry.totalReferringDomains - first.totalReferringDomains : null,
+      backlinksChange: history.length > 1 ? latestEntry.totalBacklinks - first.totalBacklinks : null,
+      newLinks: history.length > 1 ? sum('new') : null,
+      lostLinks: history.length > 1 ? sum('lost') : null,
+      changedLinks: history.length > 1 ? sum('changed') : null,
+      toxicDomains: latestEntry ? latestEntry.toxicDomains : null
+    },
+    history,
+    latest
+  };
+};
+
+/**
+ * Loads one snapshot with its changes and toxic domains
+ * @param {string} brandId - Brand ID
+ * @param {string} date - Snapshot day (YYYY-MM-DD)
+ * @param {Object} [options] - { includeLinks }
+ * @returns {Promise<Object|null>}
+ */
+const getSnapshot = async (brandId, date, options = {}) => {
+  const snap = await getDb().collection(SNAPSHOTS_COLLECTION).doc(snapshotId(brandId, date)).get();
+  return snap.exists ? formatSnapshot(snap.data(), options) : null;
+};
+
+module.exports = {
+  DEFAULT_TOXIC_THRESHOLD,
+  normalizeConfig,
+  getMonitorConfig,
+  saveMonitorConfig,
+  findBrandsToSnapshot,
+  sampleFloor,
+  classifyChanges,
+  fitSnapshotDoc,
+  findToxicDomains,
+  snapshotBrand,
+  getBacklinkHistory,
+  getSnapshot
+};
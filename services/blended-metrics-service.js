@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Blended marketing efficiency - relates ad spend across every paid
+ * platform to the revenue actually booked by the brand's sales source
+ * @module services/blended-metrics-service
+ *
+ *   mer           revenue / total ad spend (Meta + Google Ads + TikTok Ads)
+ *   cac           total ad spend / orders
+ *   platform roas platform-reported conversion value / platform spend
+ *                 (Meta action_values, Google Ads conversions_value; TikTok
+ *                 reports no conversion value)
+ *
+ * Revenue comes from the order-level sales source (Tossdown, Square, ...) when
+ * one is wired, otherwise from GA4 ecommerce. `claimedShare` is how much of that
+ * revenue each platform claims; claims adding up past 100% is the usual sign of
+ * overlapping attribution windows.
+ */
+
+const PLATFORMS = ['meta', 'google_ads', 'tiktok_ads'];
+
+// Meta reports pixel purchases under either action type depending on the setup
+const META_PURCHASE_ACTIONS = ['purchase', 'offsite_conversion.fb_pixel_purchase'];
+
+const round2 = (value) => parseFloat((value || 0).toFixed(2));
+const ratio = (part, whole) => (whole > 0 ? round2(part / whole) : 0);
+const percent = (part, whole) => (whole > 0 ? round2((part / whole) * 100) : 0);
+
+// Daily dates come as YYYY-MM-DD or Meta/GA4-style YYYYMMDD
+const toIsoDate = (date) => {
+  const value = String(date || '');
+  return /^\d{8}$/.test(value) ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}` : value.slice(0, 10);
+};
+
+/**
+ * Reads the purchase count or value from a Meta actions / action_values list
+ * @param {Object[]} list - [{ action_type, value }]
+ * @returns {number}
+ */
+const findMetaPurchases = (list) => {
+  for (const actionType of META_PURCHASE_ACTIONS) {
+    const action = (list || []).find(a => a.action_type === actionType);
+    if (action) return parseFloat(action.value) || 0;
+  }
+  return 0;
+};
+
+const emptyDay = (date) => ({
+  date,
+  metaSpend: 0,
+  googleAdsSpend: 0,
+  tiktokAdsSpend: 0,
+  revenue: 0,
+  orders: 0,
+  metaPurchaseValue: 0,
+  googleAdsConversionValue: 0
+});
+
+/**
+ * Builds blended MER / CAC / per-platform ROAS with a daily series
+ * @param {Object} sources - Raw per-source results (null when not connected or failed)
+ * @param {Object[]} [sources.meta] - getMetaAdsData().data daily insights rows
+ * @param {Object} [sources.googleAds] - getGoogleAdsData() result
+ * @param {Object} [sources.tiktokAds] - getTikTokAdsData() result
+ * @param {Object} [sources.sales] - getSalesReport() for the order-level sales source
+ * @param {Object} [sources.ga4Sales] - getSalesReport() for GA4 ecommerce (fallback revenue)
+ * @returns {Object} { revenueSource, currency, mixedCurrencies, revenue, orders, spend, mer, cac,
+ *   claimedRevenue, claimedShare, platforms: { meta, google_ads, tiktok_ads }, daily }
+ */
+const buildBlendedMetrics = ({ meta = null, googleAds = null, tiktokAds = null, sales = null, ga4Sales = null } = {}) => {
+  const revenueReport = sales?.totals ? sales : (ga4Sales?.totals ? ga4Sales : null);
+  const days = {};
+  const day = (date) => {
+    const iso = toIsoDate(date);
+    days[iso] = days[iso] || emptyDay(iso);
+    return days[iso];
+  };
+
+  const platforms = {
+    meta: { connected: !!meta, spend: 0, conversions: 0, conversionValue: 0 },
+    google_ads: { connected: !!googleAds, spend: 0, conversions: 0, conversionValue: 0 },
+    tiktok_ads: { connected: !!tiktokAds, spend: 0, conversions: 0, conversionValue: null }
+  };
+
+  (meta || []).forEach(row => {
+    const spend = parseFloat(row.spend || 0);
+    const value = findMetaPurchases(row.action_values);
+    platforms.meta.spend += spend;
+    platforms.meta.conversions += findMetaPurchases(row.actions);
+    platforms.meta.conversionValue += value;
+    const bucket = day(row.date_start);
+    bucket.metaSpend += spend;
+    bucket.metaPurchaseValue += value;
+  });
+
+  (googleAds?.data || []).forEach(row => {
+    platforms.google_ads.spend += row.spend || 0;
+    platforms.google_ads.conversions += row.conversions || 0;
+    platforms.google_ads.conversionValue += row.conversionValue || 0;
+    const bucket = day(row.date);
+    bucket.googleAdsSpend += row.spend || 0;
+    bucket.googleAdsConversionValue += row.conversionValue || 0;
+  });
+
+  (tiktokAds?.data || []).forEach(row => {
+    platforms.tiktok_ads.spend += row.spend || 0;
+    platforms.tiktok_ads.conversions += row.conversions || 0;
+    day(row.date).tiktokAdsSpend += row.spend || 0;
+  });
+
+  (revenueReport?.dailyData || []).forEach(row => {
+    const bucket = day(row.date);
+    bucket.revenue += row.revenue || 0;
+    bucket.orders += row.orders || 0;
+  });
+
+  const revenue = round2(revenueReport?.totals.revenue);
+  const orders = revenueReport?.totals.orders || 0;
+  const spend = round2(PLATFORMS.reduce((sum, name) => sum + platforms[name].spend, 0));
+  const claimedRevenue = round2(platforms.meta.conversionValue + platforms.google_ads.conversionValue);
+
+  PLATFORMS.forEach(name => {
+    const platform = platforms[name];
+    platform.spend = round2(platform.spend);
+    platform.conversions = round2(platform.conversions);
+    platform.spendShare = percent(platform.spend, spend);
+    if (platform.conversionValue === null) {
+      platform.roas = null;
+      platform.claimedShare = null;
+    } else {
+      platform.conversionValue = round2(platform.conversionValue);
+      platform.roas = ratio(platform.conversionValue, platform.spend);
+      platform.claimedShare = percent(platform.conversionValue, revenue);
+    }
+    platform.cpa = ratio(platform.spend, platform.conversions);
+  });
+
+  const daily = Object.values(days)
+    .filter(entry => entry.date)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(entry => {
+      const daySpend = entry.metaSpend + entry.googleAdsSpend + entry.tiktokAdsSpend;
+      return {
+        date: entry.date,
+        spend: round2(daySpend),
+        metaSpend: round2(entry.metaSpend),
+        googleAdsSpend: round2(entry.googleAdsSpend),
+        tiktokAdsSpend: round2(entry.tiktokAdsSpend),
+        revenue: round2(entry.revenue),
+        orders: entry.orders,
+        mer: ratio(entry.revenue, daySpend),
+        cac: ratio(daySpend, entry.orders),
+        metaRoas: ratio(entry.metaPurchaseValue, entry.metaSpend),
+        googleAdsRoas: ratio(entry.googleAdsConversionValue, entry.googleAdsSpend)
+      };
+    });
+
+  // Meta insights carry no currency; Google/TikTok and the sales source do
+  const currencies = [...new Set([revenueReport?.currency, googleAds?.account?.currency, tiktokAds?.currency].filter(Boolean))];
+
+  return {
+    revenueSource: revenueReport?.source || null,
+    currency: currencies[0] || null,
+    mixedCurrencies: currencies.length > 1,
+    revenue,
+    orders,
+    spend,
+    mer: ratio(revenue, spend),
+    cac: ratio(spend, orders),
+    claimedRevenue,
+    claimedShare: percent(claimedRevenue, revenue),
+    platforms,
+    daily
+  };
+};
+
+module.exports = {
+  buildBlendedMetrics
+};
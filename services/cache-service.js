@@ -0,0 +1,417 @@
+/**
+ * @fileoverview Shared cache service with pluggable backends
+ * @module services/cache-service
+ *
+ * Replaces the per-handler `CACHE = { data, timestamps, TTL }` maps with one
+ * namespaced cache API. Entries can carry tags (e.g. `brand:<brandId>`) so that
+ * everything related to a brand can be purged at once via /api/clear-cache.
+ *
+ * Backends (selected with CACHE_BACKEND, default `memory`):
+ * - memory: in-process LRU bounded by CACHE_MAX_ENTRIES (default 500)
+ * - firestore: `cache_entries` collection, shared across serverless instances
+ * - redis: Redis-compatible REST endpoint (Upstash / Vercel KV style) configured
+ *   with REDIS_REST_URL + REDIS_REST_TOKEN (or KV_REST_API_URL + KV_REST_API_TOKEN)
+ *
+ * @example
+ * const { createCache, brandTag } = require('../services/cache-service');
+ * const cache = createCache('overview', { ttl: 15 * 60 * 1000 });
+ *
+ * const entry = await cache.get(cacheKey); // { value, age, expired } or null
+ * await cache.set(cacheKey, response, { tags: [brandTag(brandId)] });
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { getDb } = require('../utils/firestore-utils');
+
+const DEFAULT_TTL = 15 * 60 * 1000; // 15 minutes
+const DEFAULT_MAX_ENTRIES = 500;
+const FIRESTORE_COLLECTION = 'cache_entries';
+
+/**
+ * In-process LRU backend. Map insertion order doubles as recency order:
+ * reads re-insert the entry, and the oldest entries are evicted first.
+ * Expired entries are kept until evicted so callers can report EXPIRED.
+ */
+class MemoryBackend {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.maxEntries = options.maxEntries || parseInt(process.env.CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES;
+    this.entries = new Map();
+  }
+
+  async get(namespace, key) {
+    const id = `${namespace}:${key}`;
+    const entry = this.entries.get(id);
+    if (!entry) return null;
+
+    // Refresh recency
+    this.entries.delete(id);
+    this.entries.set(id, entry);
+    return entry;
+  }
+
+  async set(namespace, key, entry) {
+    const id = `${namespace}:${key}`;
+    this.entries.delete(id);
+    this.entries.set(id, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value;
+      this.entries.delete(oldest);
+    }
+  }
+
+  async delete(namespace, key) {
+    this.entries.delete(`${namespace}:${key}`);
+  }
+
+  async deleteByTags(tags) {
+    let removed = 0;
+    for (const [id, entry] of this.entries) {
+      if (entry.tags.some(tag => tags.includes(tag))) {
+        this.entries.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * Firestore backend. Values are stored JSON-encoded so arbitrary payloads
+ * (nested arrays, undefined fields) round-trip without Firestore type errors.
+ */
+class FirestoreBackend {
+  constructor() {
+    this.name = 'firestore';
+  }
+
+  getCollection() {
+    return getDb().collection(FIRESTORE_COLLECTION);
+  }
+
+  docId(namespace, key) {
+    return crypto.createHash('md5').update(`${namespace}:${key}`).digest('hex');
+  }
+
+  async get(namespace, key) {
+    const snap = await this.getCollection().doc(this.docId(namespace, key)).get();
+    if (!snap.exists) return null;
+
+    const data = snap.data();
+    return {
+      value: JSON.parse(data.value),
+      storedAt: data.storedAt,
+      expiresAt: data.expiresAt,
+      tags: data.tags || []
+    };
+  }
+
+  async set(namespace, key, entry) {
+    await this.getCollection().doc(this.docId(namespace, key)).set({
+      namespace,
+      key,
+      value: JSON.stringify(entry.value),
+      storedAt: entry.storedAt,
+      expiresAt: entry.expiresAt,
+      tags: entry.tags
+    });
+  }
+
+  async delete(namespace, key) {
+    await this.getCollection().doc(this.docId(namespace, key)).delete();
+  }
+
+  async deleteByTags(tags) {
+    const collection = this.getCollection();
+    let removed = 0;
+
+    // array-contains-any accepts at most 10 values per query
+    for (let i = 0; i < tags.length; i += 10) {
+      const snap = await collection.where('tags', 'array-contains-any', tags.slice(i, i + 10)).get();
+      if (snap.empty) continue;
+
+      const db = getDb();
+      let batch = db.batch();
+      let pending = 0;
+      for (const doc of snap.docs) {
+        batch.delete(doc.ref);
+        pending++;
+        removed++;
+        if (pending === 500) {
+          await batch.commit();
+          batch = db.batch();
+          pending = 0;
+        }
+      }
+      if (pending > 0) await batch.commit();
+    }
+    return removed;
+  }
+}
+
+/**
+ * Redis-compatible backend speaking the REST command protocol used by
+ * Upstash and Vercel KV (POST a JSON array such as ["GET", "key"]).
+ * Tag membership is tracked in `tag:<tag>` sets so tags can be purged; each
+ * set expires with the longest-lived entry added to it.
+ */
+class RedisBackend {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.url = options.url || process.env.REDIS_REST_URL || process.env.KV_REST_API_URL;
+    this.token = options.token || process.env.REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN;
+    this.prefix = options.prefix || process.env.CACHE_KEY_PREFIX || 'cache';
+
+    if (!this.url) {
+      throw new Error('Redis cache backend requires REDIS_REST_URL (or KV_REST_API_URL)');
+    }
+  }
+
+  async command(args) {
+    const response = await axios.post(this.url, args, {
+      headers: { Authorization: `Bearer ${this.token}` },
+      timeout: 5000
+    });
+    return response.data?.result;
+  }
+
+  redisKey(namespace, key) {
+    return `${this.prefix}:${namespace}:${key}`;
+  }
+
+  async get(namespace, key) {
+    const raw = await this.command(['GET', this.redisKey(namespace, key)]);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(namespace, key, entry) {
+    const redisKey = this.redisKey(namespace, key);
+    const ttl = Math.max(1, entry.expiresAt - entry.storedAt);
+    await this.command(['SET', redisKey, JSON.stringify(entry), 'PX', String(ttl)]);
+    for (const tag of entry.tags) {
+      const tagKey = `${this.prefix}:tag:${tag}`;
+      await this.command(['SADD', tagKey, redisKey]);
+      // Tag sets expire no earlier than their longest-lived entry, so they do not grow forever
+      const tagTtl = await this.command(['PTTL', tagKey]);
+      if (!(tagTtl >= ttl)) {
+        await this.command(['PEXPIRE', tagKey, String(ttl)]);
+      }
+    }
+  }
+
+  async delete(namespace, key) {
+    await this.command(['DEL', this.redisKey(namespace, key)]);
+  }
+
+  async deleteByTags(tags) {
+    let removed = 0;
+    for (const tag of tags) {
+      const tagKey = `${this.prefix}:tag:${tag}`;
+      const members = await this.command(['SMEMBERS', tagKey]) || [];
+      if (members.length > 0) {
+        removed += await this.command(['DEL', ...members]) || 0;
+      }
+      await this.command(['DEL', tagKey]);
+    }
+    return removed;
+  }
+}
+
+const BACKEND_TYPES = {
+  memory: MemoryBackend,
+  firestore: FirestoreBackend,
+  redis: RedisBackend
+};
+
+/**
+ * Backend singletons, one per type, shared by every cache namespace
+ * @private
+ */
+const BACKENDS = {};
+
+/**
+ * Resolves a backend instance by name, falling back to memory if the
+ * configured backend cannot be constructed (e.g. missing Redis URL)
+ * @param {string} [type] - Backend type (memory | firestore | redis)
+ * @returns {MemoryBackend|FirestoreBackend|RedisBackend}
+ */
+const getBackend = (type = process.env.CACHE_BACKEND || 'memory') => {
+  const name = BACKEND_TYPES[type] ? type : 'memory';
+  if (!BACKENDS[name]) {
+    try {
+      BACKENDS[name] = new BACKEND_TYPES[name]();
+    } catch (error) {
+      console.warn(`Cache Service - Failed to initialize ${name} backend, using memory:`, error.message);
+      return getBackend('memory');
+    }
+  }
+  return BACKENDS[name];
+};
+
+/**
+ * Tag attached to every entry in a namespace, used by cache.clear()
+ * @param {string} namespace - Cache namespace
+ * @returns {string}
+ */
+const namespaceTag = (namespace) => `ns:${namespace}`;
+
+/**
+ * Tag for everything derived from a brand's data
+ * @param {string} brandId - Brand ID
+ * @returns {string}
+ */
+const brandTag = (brandId) => `brand:${brandId}`;
+
+/**
+ * Builds a stable md5 cache key from any serializable value
+ * @param {any} value - Key material (object, string, ...)
+ * @returns {string} Hex digest
+ */
+const hashKey = (value) => {
+  const material = typeof value === 'string' ? value : JSON.stringify(value);
+  return crypto.createHash('md5').update(material).digest('hex');
+};
+
+/**
+ * Creates a namespaced cache
+ * @param {string} namespace - Namespace, usually the API or service name
+ * @param {Object} options - Cache options
+ * @param {number} options.ttl - Entry time-to-live in ms (default 15 minutes)
+ * @param {string} options.backend - Backend override (memory | firestore | redis)
+ * @returns {{get: Function, set: Function, delete: Function, clear: Function}}
+ */
+const createCache = (namespace, options = {}) => {
+  const ttl = options.ttl || DEFAULT_TTL;
+  const backend = () => getBackend(options.backend);
+
+  return {
+    namespace,
+    ttl,
+
+    /**
+     * Reads an entry. Backend failures are treated as misses.
+     * @param {string} key - Cache key
+     * @returns {Promise<{value: any, age: number, expired: boolean}|null>}
+     */
+    async get(key) {
+      try {
+        const entry = await backend().get(namespace, key);
+        if (!entry) return null;
+
+        const now = Date.now();
+        return {
+          value: entry.value,
+          age: now - entry.storedAt,
+          expired: now >= entry.expiresAt
+        };
+      } catch (error) {
+        console.error(`Cache Service - Read failed for ${namespace}:`, error.message);
+        return null;
+      }
+    },
+
+    /**
+     * Stores an entry. Backend failures are logged and swallowed.
+     * @param {string} key - Cache key
+     * @param {any} value - JSON-serializable value
+     * @param {Object} setOptions - Entry options
+     * @param {string[]} setOptions.tags - Invalidation tags (e.g. brandTag(id))
+     * @param {number} setOptions.ttl - Per-entry TTL override in ms
+     */
+    async set(key, value, setOptions = {}) {
+      const storedAt = Date.now();
+      const tags = [namespaceTag(namespace), ...(setOptions.tags || []).filter(Boolean)];
+      try {
+        await backend().set(namespace, key, {
+          value,
+          storedAt,
+          expiresAt: storedAt + (setOptions.ttl || ttl),
+          tags
+        });
+      } catch (error) {
+        console.error(`Cache Service - Write failed for ${namespace}:`, error.message);
+      }
+    },
+
+    /**
+     * Removes a single entry
+     * @param {string} key - Cache key
+     */
+    async delete(key) {
+      try {
+        await backend().delete(namespace, key);
+      } catch (error) {
+        console.error(`Cache Service - Delete failed for ${namespace}:`, error.message);
+      }
+    },
+
+    /**
+     * Removes every entry in this namespace
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async clear() {
+      return invalidateTags([namespaceTag(namespace)]);
+    }
+  };
+};
+
+/**
+ * Purges every entry carrying any of the given tags from the configured
+ * backend (and from the memory backend, if it is a different one)
+ * @param {string[]} tags - Tags to purge
+ * @returns {Promise<number>} Number of entries removed
+ */
+const invalidateTags = async (tags) => {
+  const list = (Array.isArray(tags) ? tags : [tags]).filter(Boolean);
+  if (list.length === 0) return 0;
+
+  const backends = new Set([getBackend(), ...Object.values(BACKENDS)]);
+  let removed = 0;
+  for (const backend of backends) {
+    try {
+      removed += await backend.deleteByTags(list);
+    } catch (error) {
+      console.error(`Cache Service - Tag invalidation failed on ${backend.name}:`, error.message);
+    }
+  }
+
+  console.log('Cache Service - Invalidated tags:', { tags: list, removed });
+  return removed;
+};
+
+/**
+ * Checks the standard `cache=0` bypass flag in query string or body
+ * @param {import('http').IncomingMessage} req - Request object
+ * @returns {boolean}
+ */
+const isCacheBypassed = (req) => {
+  const flag = req.query?.cache ?? req.body?.cache;
+  return flag === '0' || flag === 0;
+};
+
+/**
+ * Sets the X-Cache-Status (HIT | MISS | EXPIRED | BYPASS) and X-Cache-Age headers
+ * @param {import('http').ServerResponse} res - Response object
+ * @param {string} status - Cache status
+ * @param {number} [ageMs] - Age of the cached entry in ms
+ */
+const setCacheHeaders = (res, status, ageMs) => {
+  res.setHeader('X-Cache-Status', status);
+  if (ageMs !== undefined) {
+    res.setHeader('X-Cache-Age', `${ageMs / 1000}s`);
+  }
+};
+
+module.exports = {
+  createCache,
+  invalidateTags,
+  brandTag,
+  hashKey,
+  isCacheBypassed,
+  setCacheHeaders,
+  MemoryBackend,
+  FirestoreBackend,
+  RedisBackend
+};
@@ -0,0 +1,256 @@
+/**
+ * @fileoverview Competitor gap analysis - keywords and referring domains that
+ * competitors have and a brand does not
+ * @module services/competitor-gap-service
+ *
+ * Each competitor is compared with the brand by DataForSEO itself, over both
+ * full profiles:
+ * - Labs domain intersection (intersections=false): keywords the competitor
+ *   ranks for and the brand does not
+ * - Labs domain intersection (intersections=true): keywords both rank for, with
+ *   both positions
+ * - Backlinks domain intersection, brand excluded: domains linking to the
+ *   competitor and not to the brand
+ * The top `sampleSize` rows of each list (search volume / rank) are fetched per
+ * competitor and merged across competitors.
+ */
+
+const { getKeywordIntersection, getReferringDomainsIntersection } = require('./dataforseo-service');
+const { toDomain, isSameSite } = require('../utils/domain-utils');
+const { codedError } = require('../utils/error-handler');
+
+const MAX_COMPETITORS = 5;
+const DEFAULT_SAMPLE_SIZE = 500;
+const DEFAULT_RESULT_LIMIT = 100;
+
+const invalidRequest = codedError('INVALID_GAP_REQUEST');
+
+/**
+ * Validates and normalizes the brand domain and competitor list
+ * @param {string} domain - Brand domain or website URL
+ * @param {string|string[]} competitors - Competitor domains (array or comma-separated)
+ * @returns {{domain: string, competitors: string[]}}
+ * @throws {Error} With `code = 'INVALID_GAP_REQUEST'` on bad input
+ */
+const normalizeDomains = (domain, competitors) => {
+  const brandDomain = toDomain(domain);
+  if (!brandDomain) throw invalidRequest('The brand needs a website (or pass domain) to compare against');
+
+  const list = [].concat(competitors || [])
+    .flatMap(value => String(value).split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+
+  const invalid = list.filter(value => !toDomain(value));
+  if (invalid.length > 0) throw invalidRequest(`Invalid competitor domain: ${invalid.join(', ')}`);
+
+  const normalized = [...new Set(list.map(toDomain))].filter(value => value !== brandDomain);
+  if (normalized.length === 0) throw invalidRequest('competitors must contain at least one domain other than the brand');
+  if (normalized.length > MAX_COMPETITORS) throw invalidRequest(`competitors is limited to ${MAX_COMPETITORS} domains`);
+
+  return { domain: brandDomain, competitors: normalized };
+};
+
+/**
+ * Merges the per-competitor keyword lists: keywords only competitors rank for,
+ * and keywords shared with the brand
+ * @param {Object[]} competitors - [{ domain, missing, shared }] (getKeywordIntersection rows;
+ *   `first` is the competitor in `missing` and the brand in `shared`)
+ * @returns {{missing: Object[], shared: Object[]}}
+ */
+const compareKeywords = (competitors) => {
+  const byKeyword = new Map();
+  const entryFor = (k) => {
+    const key = k.keyword.toLowerCase();
+    if (!byKeyword.has(key)) {
+      byKeyword.set(key, {
+        keyword: k.keyword,
+        searchVolume: k.searchVolume,
+        cpc: k.cpc,
+        difficulty: k.difficulty,
+        own: null,
+        competitors: []
+      });
+    }
+    return byKeyword.get(key);
+  };
+
+  competitors.forEach(competitor => {
+    competitor.missing.forEach(k => {
+      entryFor(k).competitors.push({ domain: competitor.domain, position: k.first.position, url: k.first.url });
+    });
+    competitor.shared.forEach(k => {
+      const entry = entryFor(k);
+      entry.own = entry.own || k.first;
+      entry.competitors.push({ domain: competitor.domain, position: k.second.position, url: k.second.url });
+    });
+  });
+
+  const missing = [];
+  const shared = [];
+  byKeyword.forEach(({ own, ...entry }) => {
+    entry.competitors.sort((a, b) => a.position - b.position);
+    const best = entry.competitors[0];
+
+    if (!own) {
+      missing.push({ ...entry, bestCompetitor: best.domain, bestCompetitorPosition: best.position });
+      return;
+    }
+
+    // Positive gap: the brand ranks below the best competitor
+    const gap = own.position - best.position;
+    shared.push({
+      ...entry,
+      position: own.position,
+      url: own.url,
+      bestCompetitor: best.domain,
+      bestCompetitorPosition: best.position,
+      gap,
+      status: gap > 0 ? 'behind' : gap < 0 ? 'ahead' : 'tied'
+    });
+  });
+
+  missing.sort((a, b) =>
+    b.competitors.length - a.competitors.length || b.searchVolume - a.searchVolume || a.keyword.localeCompare(b.keyword)
+  );
+  shared.sort((a, b) => b.searchVolume - a.searchVolume || a.keyword.localeCompare(b.keyword));
+
+  return { missing, shared };
+};
+
+/**
+ * Merges the per-competitor referring domains that do not link to the brand
+ * @param {string} brandDomain - Brand domain
+ * @param {Object[]} competitors - [{ domain, referringDomains }]
+ * @returns {Object[]} [{ domain, rank, linksTo: [{ domain, backlinks }] }]
+ */
+const compareReferringDomains = (brandDomain, competitors) => {
+  const owned = [brandDomain, ...competitors.map(competitor => competitor.domain)];
+  const gaps = new Map();
+
+  competitors.forEach(competitor => {
+    competitor.referringDomains.forEach(ref => {
+      const domain = toDomain(ref.domain);
+      if (!domain) return;
+      // Links between the compared sites are not outreach opportunities
+      if (owned.some(site => isSameSite(domain, site))) return;
+
+      if (!gaps.has(domain)) gaps.set(domain, { domain, rank: ref.rank, linksTo: [] });
+      const gap = gaps.get(domain);
+      gap.rank = Math.max(gap.rank, ref.rank);
+      gap.linksTo.push({ domain: competitor.domain, backlinks: ref.backlinks });
+    });
+  });
+
+  return [...gaps.values()].sort((a, b) =>
+    b.linksTo.length - a.linksTo.length || b.rank - a.rank || a.domain.localeCompare(b.domain)
+  );
+};
+
+/**
+ * Fetches one competitor's keyword and referring domain gaps against the brand
+ * @returns {Promise<Object>} { domain, missing, shared, referringDomains, totals, errors }
+ */
+const fetchCompetitorGap = async (brandDomain, domain, { locationCode, languageCode, sampleSize }) => {
+  const options = { locationCode, languageCode, limit: sampleSize };
+  const [missing, shared, links] = await Promise.allSettled([
+    getKeywordIntersection(domain, brandDomain, { ...options, intersections: false }),
+    getKeywordIntersection(brandDomain, domain, { ...options, intersections: true }),
+    getReferringDomainsIntersection(domain, { excludeTargets: [brandDomain], limit: sampleSize })
+  ]);
+
+  const value = (outcome, fallback) => outcome.status === 'fulfilled' ? outcome.value : fallback;
+  // A keyword comparison needs both lists: without the shared one every keyword would look missing
+  const keywordError = missing.status === 'rejected' ? missing.reason : shared.status === 'rejected' ? shared.reason : null;
+
+  return {
+    domain,
+    missing: keywordError ? [] : missing.value.keywords,
+    shared: keywordError ? [] : shared.value.keywords,
+    referringDomains: value(links, { referringDomains: [] }).referringDomains,
+    totals: {
+      missingKeywords: keywordError ? null : missing.value.totalKeywords,
+      sharedKeywords: keywordError ? null : shared.value.totalKeywords,
+      referringDomainGap: value(links, { totalReferringDomains: null }).totalReferringDomains
+    },
+    errors: {
+      ...(keywordError ? { keywords: keywordError.message } : {}),
+      ...(links.status === 'rejected' ? { referringDomains: links.reason.message } : {})
+    }
+  };
+};
+
+/**
+ * Runs the gap analysis for a brand domain against its competitors
+ * @param {Object} params - Parameters
+ * @param {string} params.domain - Brand domain or website URL
+ * @param {string|string[]} params.competitors - Up to 5 competitor domains
+ * @param {number} [params.locationCode] - DataForSEO location code (default 2840)
+ * @param {string} [params.languageCode] - Language code (default 'en')
+ * @param {number} [params.sampleSize] - Rows fetched per competitor and list (default 500)
+ * @param {number} [params.resultLimit] - Maximum entries per returned list (default 100)
+ * @returns {Promise<Object>} { domain, competitors, domains, summary, missingKeywords, sharedKeywords, referringDomainGap }
+ */
+const getCompetitorGap = async ({
+  domain,
+  competitors,
+  locationCode = 2840,
+  languageCode = 'en',
+  sampleSize = DEFAULT_SAMPLE_SIZE,
+  resultLimit = DEFAULT_RESULT_LIMIT
+}) => {
+  const domains = normalizeDomains(domain, competitors);
+
+  const rivals = await Promise.all(domains.competitors.map(site =>
+    fetchCompetitorGap(domains.domain, site, { locationCode, languageCode, sampleSize })
+  ));
+
+  const failed = rivals.filter(rival => rival.errors.keywords && rival.errors.referringDomains);
+  if (failed.length === rivals.length) {
+    throw new Error(`Could not compare ${domains.domain} with its competitors: ${failed[0].errors.keywords}`);
+  }
+
+  const { missing, shared } = compareKeywords(rivals.filter(rival => !rival.errors.keywords));
+  const referringDomainGap = compareReferringDomains(domains.domain, rivals.filter(rival => !rival.errors.referringDomains));
+
+  console.log('Competitor Gap Service - Analysis complete:', {
+    domain: domains.domain,
+    competitors: domains.competitors,
+    missingKeywords: missing.length,
+    sharedKeywords: shared.length,
+    referringDomainGap: referringDomainGap.length
+  });
+
+  return {
+    domain: domains.domain,
+    competitors: domains.competitors,
+    locationCode,
+    languageCode,
+    sampleSize,
+    domains: rivals.map(rival => ({
+      domain: rival.domain,
+      ...rival.totals,
+      errors: Object.keys(rival.errors).length ? rival.errors : null
+    })),
+    summary: {
+      missingKeywords: missing.length,
+      missingKeywordsVolume: missing.reduce((sum, k) => sum + k.searchVolume, 0),
+      sharedKeywords: shared.length,
+      ahead: shared.filter(k => k.status === 'ahead').length,
+      behind: shared.filter(k => k.status === 'behind').length,
+      tied: shared.filter(k => k.status === 'tied').length,
+      referringDomainGap: referringDomainGap.length
+    },
+    missingKeywords: missing.slice(0, resultLimit),
+    sharedKeywords: shared.slice(0, resultLimit),
+    referringDomainGap: referringDomainGap.slice(0, resultLimit)
+  };
+};
+
+module.exports = {
+  MAX_COMPETITORS,
+  normalizeDomains,
+  compareKeywords,
+  compareReferringDomains,
+  getCompetitorGap
+};
@@ -0,0 +1,507 @@
+/**
+ * @fileoverview Content plan generator - groups a brand's keywords into topic
+ * clusters, maps each cluster to an existing page or flags it as a content gap,
+ * and suggests pillar and supporting page titles
+ * @module services/content-plan-service
+ *
+ * Keywords come from the brand's `keywords` (managed through /api/keywords)
+ * plus any research results passed in (keyword-sim ideas, keyword-research
+ * rows). Two keywords belong together when:
+ *   - serp:     their Google top 10 share enough URLs (one live SERP request
+ *               per keyword), i.e. Google already answers them with the same pages
+ *   - semantic: their OpenAI embeddings are close enough (one request in total)
+ *
+ * Clustering is greedy: the strongest remaining keyword (priority first, then
+ * search volume) seeds a cluster and takes every remaining keyword similar
+ * enough to it, so each cluster is centred on its main keyword.
+ */
+
+const { OpenAI } = require('openai');
+const { getSerpResults, getKeywordSearchVolume } = require('./dataforseo-service');
+const { toDomain, isSameSite } = require('../utils/domain-utils');
+const { parseKeywords } = require('../utils/keyword-utils');
+const { withTimeout } = require('../utils/batch-utils');
+const { codedError } = require('../utils/error-handler');
+
+const CLUSTER_METHODS = ['serp', 'semantic'];
+
+// serp: share of the top 10 URLs in common (0.3 = 3 shared URLs); semantic: cosine similarity
+const DEFAULT_THRESHOLDS = { serp: 0.3, semantic: 0.8 };
+
+// Every keyword is one paid SERP request with the serp method
+const MAX_KEYWORDS = parseInt(process.env.CONTENT_PLAN_MAX_KEYWORDS || '100');
+
+const SERP_DEPTH = 10;
+const SERP_CONCURRENCY = 5;
+const EMBEDDING_MODEL = 'text-embedding-3-small';
+
+// Share of a keyword's words a page's title and URL must contain to cover it
+const PAGE_MATCH_THRESHOLD = 0.6;
+
+const MAX_SUPPORTING_PAGES = 5;
+// Title suggestions are requested for the largest clusters; the rest get template titles
+const MAX_TITLED_CLUSTERS = 30;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'at', 'best', 'by', 'for', 'from', 'how', 'in', 'is', 'near', 'me',
+  'of', 'on', 'or', 'the', 'to', 'what', 'with', 'www', 'com', 'html', 'index'
+]);
+
+let openai = null;
+function getOpenAI() {
+  // Created on first use so the serp method works without an OpenAI key
+  if (!openai) openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  return openai;
+}
+
+const invalidRequest = codedError('INVALID_CONTENT_PLAN');
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+const titleCase = (text) => text.replace(/\b\w/g, char => char.toUpperCase());
+
+/**
+ * Lowercased content words, with a naive plural strip so "shoes" matches "shoe"
+ * @param {string} text - Keyword, title or URL path
+ * @returns {string[]}
+ */
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(word => word && !STOPWORDS.has(word))
+  .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+
+/**
+ * Normalizes a result URL for comparison: no protocol, www, query or trailing slash
+ * @param {string} url - URL
+ * @returns {string}
+ */
+const normalizeUrl = (url) => String(url || '')
+  .toLowerCase()
+  .replace(/^[a-z]+:\/\//, '')
+  .replace(/^www\./, '')
+  .split(/[?#]/)[0]
+  .replace(/\/+$/, '');
+
+/**
+ * Merges the brand's keywords with research keywords. Research entries may be
+ * strings (`*` marks priority) or objects such as keyword-research rows
+ * ({ keyword, search_volume }). Brand keywords win on duplicates; research
+ * volumes fill in theirs.
+ * @param {Array} brandKeywords - Brand `keywords`
+ * @param {Array} researchKeywords - Extra keywords from the request
+ * @returns {Object[]} [{ keyword, isPriority, source, searchVolume }], capped at MAX_KEYWORDS
+ */
+const collectKeywords = (brandKeywords = [], researchKeywords = []) => {
+  const byKey = new Map();
+  parseKeywords(brandKeywords).forEach(({ keyword, isPriority }) => {
+    byKey.set(keyword.toLowerCase(), { keyword, isPriority, source: 'brand', searchVolume: null });
+  });
+
+  (Array.isArray(researchKeywords) ? researchKeywords : []).forEach(entry => {
+    const isObject = entry && typeof entry === 'object';
+    const [parsed] = parseKeywords([isObject ? (entry.original_keyword || entry.keyword) : entry]);
+    if (!parsed) return;
+
+    const volume = isObject ? (entry.search_volume ?? entry.searchVolume ?? null) : null;
+    const key = parsed.keyword.toLowerCase();
+    const existing = byKey.get(key);
+    if (existing) {
+      if (existing.searchVolume === null && volume !== null) existing.searchVolume = volume;
+      existing.isPriority = existing.isPriority || parsed.isPriority || (isObject && entry.is_priority === true);
+      return;
+    }
+    byKey.set(key, {
+      keyword: parsed.keyword,
+      isPriority: parsed.isPriority || (isObject && entry.is_priority === true),
+      source: 'research',
+      searchVolume: volume
+    });
+  });
+
+  const all = [...byKey.values()];
+  return [
+    ...all.filter(k => k.isPriority),
+    ...all.filter(k => !k.isPriority && k.source === 'brand'),
+    ...all.filter(k => !k.isPriority && k.source === 'research')
+  ].slice(0, MAX_KEYWORDS);
+};
+
+/**
+ * Looks up search volume for keywords that do not have one yet. A failed
+ * lookup leaves the volumes null; clustering still works without them.
+ * @param {Object[]} keywords - Collected keywords (updated in place)
+ * @param {Object} options - { locationCode, languageCode }
+ * @returns {Promise<string|null>} Error message when the lookup failed
+ */
+const fillSearchVolumes = async (keywords, { locationCode, languageCode }) => {
+  const missing = keywords.filter(k => k.searchVolume === null);
+  if (missing.length === 0) return null;
+
+  try {
+    const task = await getKeywordSearchVolume({
+      keywords: missing.map(k => k.keyword),
+      location_code: locationCode,
+      language_code: languageCode
+    });
+    const volumes = new Map((task.result || []).map(item => [String(item.keyword).toLowerCase(), item.search_volume]));
+    missing.forEach(k => {
+      const volume = volumes.get(k.keyword.toLowerCase());
+      if (volume !== undefined && volume !== null) k.searchVolume = volume;
+    });
+    return null;
+  } catch (error) {
+    console.warn('Content Plan Service - Search volume lookup failed:', { error: error.message });
+    return error.message;
+  }
+};
+
+/**
+ * Fetches the top 10 organic results of every keyword, a few at a time
+ * @param {Object[]} keywords - Collected keywords
+ * @param {Object} options - { locationCode, languageCode }
+ * @param {Object[]} errors - Failed lookups are appended as { keyword, error }
+ * @returns {Promise<Map<string, Object[]>>} Results by lowercased keyword; failed lookups are left out
+ */
+const fetchSerps = async (keywords, { locationCode, languageCode }, errors) => {
+  const serps = new Map();
+  for (let i = 0; i < keywords.length; i += SERP_CONCURRENCY) {
+    const chunk = keywords.slice(i, i + SERP_CONCURRENCY);
+    await Promise.all(chunk.map(async ({ keyword }) => {
+      try {
+        const serp = await getSerpResults(keyword, { locationCode, languageCode, depth: SERP_DEPTH });
+        serps.set(keyword.toLowerCase(), serp.results.slice(0, SERP_DEPTH));
+      } catch (error) {
+        errors.push({ keyword, error: error.message });
+      }
+    }));
+  }
+  return serps;
+};
+
+/**
+ * Embeds keywords with OpenAI
+ * @param {string[]} texts - Keywords
+ * @returns {Promise<Map<string, number[]>>} Embeddings by lowercased keyword
+ */
+const embedKeywords = async (texts) => {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error('Missing OPENAI_API_KEY (required for the semantic method)');
+  }
+  const response = await getOpenAI().embeddings.create({ model: EMBEDDING_MODEL, input: texts });
+  return new Map(response.data.map(item => [texts[item.index].toLowerCase(), item.embedding]));
+};
+
+/**
+ * Share of the top results two keywords have in common (0-1)
+ * @param {Object[]} a - SERP results
+ * @param {Object[]} b - SERP results
+ * @returns {number}
+ */
+const serpOverlap = (a, b) => {
+  if (!a?.length || !b?.length) return 0;
+  const urls = new Set(a.map(result => normalizeUrl(result.url)));
+  return b.filter(result => urls.has(normalizeUrl(result.url))).length / SERP_DEPTH;
+};
+
+/**
+ * Cosine similarity of two vectors (-1 to 1)
+ * @returns {number}
+ */
+const cosineSimilarity = (a, b) => {
+  if (!a || !b) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Greedy clustering: the strongest unassigned keyword seeds a cluster and takes
+ * every unassigned keyword whose similarity to it reaches the threshold
+ * @param {Object[]} keywords - [{ keyword, isPriority, searchVolume }]
+ * @param {Function} similarity - (seed, keyword) => number
+ * @param {number} threshold - Minimum similarity to join a cluster
+ * @returns {Array<Object[]>} Clusters, main keyword first in each
+ */
+const clusterKeywords = (keywords, similarity, threshold) => {
+  const ordered = [...keywords].sort((a, b) =>
+    Number(b.isPriority) - Number(a.isPriority) ||
+    (b.searchVolume || 0) - (a.searchVolume || 0) ||
+    a.keyword.localeCompare(b.keyword)
+  );
+
+  const assigned = new Set();
+  const clusters = [];
+  ordered.forEach(seed => {
+    if (assigned.has(seed)) return;
+    assigned.add(seed);
+    const members = [seed];
+    ordered.forEach(candidate => {
+      if (assigned.has(candidate)) return;
+      if (similarity(seed, candidate) >= threshold) {
+        assigned.add(candidate);
+        members.push(candidate);
+      }
+    });
+    clusters.push(members);
+  });
+  return clusters;
+};
+
+/**
+ * Brand website pages from the `pages` collection, with their title and URL words
+ * @param {Object[]} pages - pages documents (getPagesByBrandId)
+ * @param {string|null} domain - Brand domain; pages on other sites are ignored
+ * @returns {Object[]} [{ id, title, url, tokens }]
+ */
+const indexPages = (pages, domain) => pages
+  .filter(page => /^https?:\/\//i.test(page.url || ''))
+  .filter(page => !domain || isSameSite(toDomain(page.url), domain))
+  .map(page => {
+    const title = page.title || page.name || '';
+    const path = normalizeUrl(page.url).split('/').slice(1).join(' ');
+    return { id: page.id, title, url: page.url, tokens: new Set(tokenize(`${title} ${path}`)) };
+  });
+
+/**
+ * Finds the existing page that best covers a cluster. A brand page ranking in
+ * a cluster keyword's top 10 wins; otherwise pages are scored by the share of
+ * a keyword's words found in their title and URL.
+ * @param {Object[]} members - Cluster keywords
+ * @param {Object[]} pages - Indexed pages
+ * @param {Map} [serps] - SERP results by keyword (serp method)
+ * @returns {Object|null} { id, title, url, score, matchedBy }
+ */
+const matchPage = (members, pages, serps) => {
+  if (serps) {
+    const byUrl = new Map(pages.map(page => [normalizeUrl(page.url), page]));
+    for (const member of members) {
+      const ranking = (serps.get(member.keyword.toLowerCase()) || []).find(result => byUrl.has(normalizeUrl(result.url)));
+      if (ranking) {
+        const page = byUrl.get(normalizeUrl(ranking.url));
+        return { id: page.id, title: page.title, url: page.url, score: 1, matchedBy: 'serp', position: ranking.position };
+      }
+    }
+  }
+
+  let best = null;
+  members.forEach(member => {
+    const words = tokenize(member.keyword);
+    if (words.length === 0) return;
+    pages.forEach(page => {
+      const score = words.filter(word => page.tokens.has(word)).length / words.length;
+      if (score >= PAGE_MATCH_THRESHOLD && (!best || score > best.score)) {
+        best = { id: page.id, title: page.title, url: page.url, score: round2(score), matchedBy: 'keywords' };
+      }
+    });
+  });
+  return best;
+};
+
+/**
+ * Title suggestions without OpenAI
+ * @param {Object} cluster - { mainKeyword, supporting }
+ * @returns {Object} { pillarTitle, supportingTitles }
+ */
+const templateTitles = (cluster) => ({
+  pillarTitle: `${titleCase(cluster.mainKeyword)}: The Complete Guide`,
+  supportingTitles: cluster.supporting.map(k => titleCase(k.keyword))
+});
+
+/**
+ * Asks OpenAI for a pillar title and one supporting title per supporting keyword
+ * @param {Object[]} clusters - [{ id, mainKeyword, keywords, supporting, page }]
+ * @param {Object} brand - { name, website }
+ * @returns {Promise<Map<string, Object>>} Titles by cluster id
+ */
+const generateTitles = async (clusters, brand) => {
+  const systemPrompt = `You are an SEO content strategist. For each topic cluster, write one pillar page title targeting the main keyword and one supporting article title per supporting keyword.
+Titles must read naturally, include their target keyword, and stay under 65 characters. Do not invent facts about the brand.
+Respond with JSON: {"clusters":[{"id":"...","pillarTitle":"...","supportingTitles":["..."]}]} with supportingTitles in the same order as the supporting keywords.`;
+
+  const userPrompt = `Brand: ${brand.name || 'Unknown'} (${brand.website || 'no website'})
+
+Clusters:
+${JSON.stringify(clusters.map(cluster => ({
+    id: cluster.id,
+    mainKeyword: cluster.mainKeyword,
+    relatedKeywords: cluster.keywords.slice(1, 10).map(k => k.keyword),
+    supportingKeywords: cluster.supporting.map(k => k.keyword),
+    existingPage: cluster.page ? cluster.page.title : null
+  })), null, 2)}`;
+
+  const response = await withTimeout(
+    getOpenAI().chat.completions.create({
+      model: 'gpt-4o-mini',
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ],
+      temperature: 0.5,
+      max_tokens: 4000,
+      response_format: { type: 'json_object' }
+    }),
+    45000,
+    'OpenAI API (content plan titles)'
+  );
+
+  const parsed = JSON.parse(response.choices?.[0]?.message?.content || '{}');
+  return new Map((parsed.clusters || []).map(item => [String(item.id), item]));
+};
+
+/**
+ * Builds a content plan for a brand
+ * @param {Object} params - Parameters
+ * @param {Object} params.brand - Brand (from getBrandInfo)
+ * @param {Object[]} params.pages - Brand pages (from getPagesByBrandId)
+ * @param {Array} [params.keywords] - Research keywords to add to the brand's own
+ * @param {string} [params.method] - serp | semantic (default serp)
+ * @param {number} [params.threshold] - Similarity needed to join a cluster (default per method)
+ * @param {number} [params.locationCode] - DataForSEO location code (default 2840)
+ * @param {string} [params.languageCode] - Language code (default 'en')
+ * @param {boolean} [params.includeTitles] - Ask OpenAI for titles (default true; templates otherwise)
+ * @returns {Promise<Object>} { method, threshold, summary, clusters, errors }
+ */
+const buildContentPlan = async ({
+  brand,
+  pages = [],
+  keywords: researchKeywords = [],
+  method = 'serp',
+  threshold,
+  locationCode = 2840,
+  languageCode = 'en',
+  includeTitles = true
+}) => {
+  if (!CLUSTER_METHODS.includes(method)) {
+    throw invalidRequest(`method must be one of: ${CLUSTER_METHODS.join(', ')}`);
+  }
+  const minSimilarity = threshold === undefined || threshold === null ? DEFAULT_THRESHOLDS[method] : Number(threshold);
+  if (!Number.isFinite(minSimilarity) || minSimilarity <= 0 || minSimilarity > 1) {
+    throw invalidRequest('threshold must be a number between 0 and 1');
+  }
+  if (!Array.isArray(researchKeywords)) {
+    throw invalidRequest('keywords must be an array');
+  }
+
+  const keywords = collectKeywords(brand.keywords, researchKeywords);
+  if (keywords.length === 0) {
+    throw invalidRequest('The brand has no keywords; add some through /api/keywords or pass keywords');
+  }
+
+  const errors = [];
+  const volumeError = await fillSearchVolumes(keywords, { locationCode, languageCode });
+  if (volumeError) errors.push({ keyword: null, error: `Search volume lookup failed: ${volumeError}` });
+
+  let serps = null;
+  let similarity;
+  if (method === 'serp') {
+    serps = await fetchSerps(keywords, { locationCode, languageCode }, errors);
+    similarity = (a, b) => serpOverlap(serps.get(a.keyword.toLowerCase()), serps.get(b.keyword.toLowerCase()));
+  } else {
+    const embeddings = await embedKeywords(keywords.map(k => k.keyword));
+    similarity = (a, b) => cosineSimilarity(embeddings.get(a.keyword.toLowerCase()), embeddings.get(b.keyword.toLowerCase()));
+  }
+
+  const domain = toDomain(brand.website);
+  const indexedPages = indexPages(pages, domain);
+
+  const clusters = clusterKeywords(keywords, similarity, minSimilarity).map(members => {
+    const [main, ...rest] = members;
+    const brandRanking = serps && domain
+      ? members
+        .map(member => (serps.get(member.keyword.toLowerCase()) || []).find(result => isSameSite(result.domain, domain)))
+        .filter(Boolean)
+        .sort((a, b) => a.position - b.position)[0] || null
+      : null;
+
+    return {
+      mainKeyword: main.keyword,
+      keywords: members.map(({ keyword, isPriority, source, searchVolume }) => ({ keyword, isPriority, source, searchVolume })),
+      totalVolume: members.reduce((sum, k) => sum + (k.searchVolume || 0), 0),
+      page: matchPage(members, indexedPages, serps),
+      brandRanking: brandRanking ? { url: brandRanking.url, position: brandRanking.position } : null,
+      supporting: [...rest]
+        .sort((a, b) => (b.searchVolume || 0) - (a.searchVolume || 0) || a.keyword.localeCompare(b.keyword))
+        .slice(0, MAX_SUPPORTING_PAGES)
+    };
+  })
+    .sort((a, b) => b.totalVolume - a.totalVolume || b.keywords.length - a.keywords.length || a.mainKeyword.localeCompare(b.mainKeyword))
+    .map((cluster, index) => ({ id: String(index + 1), ...cluster, status: cluster.page ? 'covered' : 'gap' }));
+
+  let titles = new Map();
+  let titlesSource = 'template';
+  if (includeTitles && process.env.OPENAI_API_KEY) {
+    try {
+      titles = await generateTitles(clusters.slice(0, MAX_TITLED_CLUSTERS), brand);
+      titlesSource = 'openai';
+    } catch (error) {
+      console.warn('Content Plan Service - Title generation failed, using templates:', { error: error.message });
+      errors.push({ keyword: null, error: `Title generation failed: ${error.message}` });
+    }
+  }
+
+  const plan = clusters.map(cluster => {
+    const fallback = templateTitles(cluster);
+    const suggested = titles.get(cluster.id) || {};
+    const supportingTitles = Array.isArray(suggested.supportingTitles) ? suggested.supportingTitles : [];
+    const { supporting, ...rest } = cluster;
+    return {
+      ...rest,
+      // An existing page stays the pillar; the suggestion is for a rewrite or a new page
+      pillarTitle: suggested.pillarTitle || fallback.pillarTitle,
+      supportingPages: supporting.map((k, i) => ({
+        keyword: k.keyword,
+        searchVolume: k.searchVolume,
+        title: supportingTitles[i] || fallback.supportingTitles[i]
+      }))
+    };
+  });
+
+  const gaps = plan.filter(cluster => cluster.status === 'gap');
+
+  console.log('Content Plan Service - Plan built:', {
+    brandId: brand.id,
+    method,
+    keywords: keywords.length,
+    clusters: plan.length,
+    gaps: gaps.length,
+    pages: indexedPages.length,
+    titlesSource,
+    errors: errors.length
+  });
+
+  return {
+    method,
+    threshold: minSimilarity,
+    locationCode,
+    languageCode,
+    summary: {
+      keywords: keywords.length,
+      clusters: plan.length,
+      covered: plan.length - gaps.length,
+      gaps: gaps.length,
+      gapVolume: gaps.reduce((sum, cluster) => sum + cluster.totalVolume, 0),
+      pagesCompared: indexedPages.length,
+      titlesSource
+    },
+    clusters: plan,
+    errors
+  };
+};
+
+module.exports = {
+  CLUSTER_METHODS,
+  DEFAULT_THRESHOLDS,
+  collectKeywords,
+  clusterKeywords,
+  serpOverlap,
+  cosineSimilarity,
+  matchPage,
+  buildContentPlan
+};
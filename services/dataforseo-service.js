@@ -4,6 +4,7 @@
  */
 
 const axios = require('axios');
+const { toDomain, isSameSite } = require('../utils/domain-utils');
 
 // DataForSEO API credentials
 const DATAFORSEO_LOGIN = process.env.DATAFORSEO_LOGIN;
@@ -14,7 +15,8 @@ const BASE_URLS = {
   onPage: 'https://api.dataforseo.com/v3/on_page',
   serp: 'https://api.dataforseo.com/v3/serp',
   keywords: 'https://api.dataforseo.com/v3/keywords_data',
-  backlinks: 'https://api.dataforseo.com/v3/backlinks'
+  backlinks: 'https://api.dataforseo.com/v3/backlinks',
+  labs: 'https://api.dataforseo.com/v3/dataforseo_labs'
 };
 
 // Create axios instance with auth headers
@@ -618,6 +620,11 @@ exports.getDomainKeywords = async (domain, location = "2840") => {
  * Gets backlink data for a domain
  * @param {string} domain - The domain to get backlinks for
  * @param {Object} options - Additional options
+ * @param {number} options.limit - Maximum backlinks (default 100, up to 1000)
+ * @param {string[]} options.orderBy - Backlinks sort, e.g. ["rank,desc"] (default: DataForSEO's order)
+ * @param {boolean} options.includeReferringDomains - Also fetch referring domains (default true)
+ * @param {number} options.referringDomainsLimit - Maximum referring domains (default 50, up to 1000)
+ * @param {string[]} options.referringDomainsOrderBy - Referring domains sort, e.g. ["backlinks_spam_score,desc"]
  * @returns {Promise<Object>} Backlink data
  */
 exports.getDomainBacklinks = async (domain, options = {}) => {
@@ -631,7 +638,8 @@ exports.getDomainBacklinks = async (domain, options = {}) => {
     // Set default options
     const defaultOptions = {
       limit: 100,
-      includeReferringDomains: true
+      includeReferringDomains: true,
+      referringDomainsLimit: 50
     };
 
     const mergedOptions = { ...defaultOptions, ...options };
@@ -654,7 +662,8 @@ exports.getDomainBacklinks = async (domain, options = {}) => {
       `${BASE_URLS.backlinks}/backlinks`,
       [{
         target: domain,
-        limit: mergedOptions.limit
+        limit: Math.min(mergedOptions.limit, 1000),
+        ...(mergedOptions.orderBy ? { order_by: mergedOptions.orderBy } : {})
       }]
     );
 
@@ -665,15 +674,17 @@ exports.getDomainBacklinks = async (domain, options = {}) => {
         `${BASE_URLS.backlinks}/referring_domains`,
         [{
           target: domain,
-          limit: 50
+          limit: Math.min(mergedOptions.referringDomainsLimit, 1000),
+          ...(mergedOptions.referringDomainsOrderBy ? { order_by: mergedOptions.referringDomainsOrderBy } : {})
         }]
       );
     }
 
     // Extract and process the data
-    const summary = summaryResponse.data.tasks[0].result[0] || {};
-    const backlinks = backlinksResponse.data.tasks[0].result || [];
-    const referringDomains = referringDomainsResponse.data.tasks[0].result || [];
+    // List endpoints return their rows under result[0].items
+    const summary = summaryResponse.data.tasks[0].result?.[0] || {};
+    const backlinks = backlinksResponse.data.tasks?.[0]?.result?.[0]?.items || [];
+    const referringDomains = referringDomainsResponse.data.tasks?.[0]?.result?.[0]?.items || [];
 
     // Compile the final results
     return {
@@ -685,22 +696,28 @@ exports.getDomainBacklinks = async (domain, options = {}) => {
         totalReferringPages: summary.referring_pages || 0,
         dofollow: summary.dofollow || 0,
         nofollow: summary.nofollow || 0,
-        domainRank: summary.domain_rank || 0
+        domainRank: summary.domain_rank || summary.rank || 0,
+        spamScore: summary.backlinks_spam_score ?? null
       },
       backlinks: backlinks.map(link => ({
-        url: link.url,
-        title: link.title || '',
-        targetUrl: link.target_url || '',
+        url: link.url_from || link.url,
+        title: link.page_from_title || link.title || '',
+        targetUrl: link.url_to || link.target_url || '',
         anchor: link.anchor || '',
         type: link.type || '',
         isDofollow: link.dofollow || false,
+        domainFrom: link.domain_from || '',
+        rank: link.rank || 0,
+        spamScore: link.backlink_spam_score ?? null,
         firstSeen: link.first_seen || null,
         lastSeen: link.last_seen || null
       })),
       referringDomains: referringDomains.map(domain => ({
         domain: domain.domain,
         backlinks: domain.backlinks || 0,
-        domainRank: domain.domain_rank || 0,
+        domainRank: domain.domain_rank || domain.rank || 0,
+        rank: domain.rank || 0,
+        spamScore: domain.backlinks_spam_score ?? null,
         firstSeen: domain.first_seen || null,
         lastSeen: domain.last_seen || null
       }))
@@ -1232,3 +1249,363 @@ exports.getKeywordSearchVolume = async ({ keywords, location_code, language_code
     throw error;
   }
 };
+
+/**
+ * Gets the per-page checks and broken links of a completed site audit, for
+ * issue tracking across audits (services/site-audit-service.js)
+ * @param {string} taskId - The task ID to get the snapshot for
+ * @param {Object} options - Additional options
+ * @param {number} options.maxPages - Maximum pages to fetch (up to 1000)
+ * @returns {Promise<Object>} Crawl summary, pages with their checks, and broken links
+ *   (brokenLinks is null when the links endpoint failed)
+ */
+exports.getSiteAuditSnapshot = async (taskId, options = {}) => {
+  try {
+    if (!validateCredentials()) {
+      throw new Error('DataForSEO credentials missing');
+    }
+
+    const limit = Math.min(options.maxPages || 100, 1000);
+    console.log(`Getting DataForSEO site audit snapshot for task: ${taskId}`);
+
+    const summaryResponse = await dataForSeoClient.get(`${BASE_URLS.onPage}/summary/${taskId}`);
+    const summary = summaryResponse.data?.tasks?.[0]?.result?.[0] || {};
+
+    const pagesResponse = await dataForSeoClient.post(
+      `${BASE_URLS.onPage}/pages`,
+      [{
+        id: taskId,
+        limit: limit,
+        filters: [
+          ["resource_type", "=", "html"]
+        ]
+      }]
+    );
+
+    const pagesTask = pagesResponse.data?.tasks?.[0];
+    if (!pagesTask || pagesTask.status_code !== 20000) {
+      throw new Error(pagesTask?.status_message || 'Invalid response from DataForSEO API');
+    }
+
+    const pages = (pagesTask.result?.[0]?.items || [])
+      .filter(item => isValidUrl(item.url))
+      .map(item => ({
+        url: item.url,
+        statusCode: item.status_code || 0,
+        title: item.meta?.title || '',
+        description: item.meta?.description || '',
+        loadTime: item.page_timing?.duration_time || item.fetch_time || 0,
+        checks: item.checks || {}
+      }));
+
+    // Broken links are optional: without them, pages flagged with broken_links still count
+    let brokenLinks = null;
+    try {
+      const linksResponse = await dataForSeoClient.post(
+        `${BASE_URLS.onPage}/links`,
+        [{
+          id: taskId,
+          limit: 1000,
+          filters: [
+            ["is_broken", "=", true]
+          ]
+        }]
+      );
+
+      const linksTask = linksResponse.data?.tasks?.[0];
+      if (linksTask && linksTask.status_code === 20000) {
+        brokenLinks = (linksTask.result?.[0]?.items || [])
+          .filter(link => isValidUrl(link.page_from))
+          .map(link => ({
+            pageFrom: link.page_from,
+            linkTo: link.link_to || '',
+            statusCode: link.page_to_status_code || 0,
+            type: link.type || ''
+          }));
+      }
+    } catch (linksError) {
+      console.error('Error getting broken links data:', linksError.message);
+    }
+
+    console.log('DataForSEO site audit snapshot retrieved:', {
+      taskId: taskId,
+      pages: pages.length,
+      brokenLinks: brokenLinks ? brokenLinks.length : null
+    });
+
+    return {
+      taskId: taskId,
+      crawlProgress: summary.crawl_progress || 'unknown',
+      pagesCrawled: summary.crawl_status?.pages_crawled || pages.length,
+      onpageScore: summary.page_metrics?.onpage_score ?? null,
+      pages: pages,
+      brokenLinks: brokenLinks
+    };
+  } catch (error) {
+    console.error('Error getting DataForSEO site audit snapshot:', {
+      message: error.message,
+      taskId: taskId,
+      response: error.response?.data
+    });
+    throw error;
+  }
+};
+
+/**
+ * Gets the Google organic position of a domain for a keyword (live SERP)
+ * @param {string} keyword - Search query
+ * @param {string} domain - Domain (or URL) to find in the results
+ * @param {Object} options - Additional options
+ * @param {number} options.locationCode - DataForSEO location code (e.g., 2840)
+ * @param {string} options.languageCode - Language code (e.g., 'en')
+ * @param {string} options.device - desktop | mobile (default desktop)
+ * @param {number} options.depth - Results to check (default 100)
+ * @returns {Promise<Object>} Best organic position of the domain (null when not in the results)
+ */
+exports.getSerpPosition = async (keyword, domain, options = {}) => {
+  const { locationCode = 2840, languageCode = 'en', device = 'desktop', depth = 100 } = options;
+
+  try {
+    if (!validateCredentials()) {
+      throw new Error('DataForSEO credentials missing');
+    }
+
+    const response = await dataForSeoClient.post(
+      `${BASE_URLS.serp}/google/organic/live/regular`,
+      [{
+        keyword: keyword,
+        location_code: locationCode,
+        language_code: languageCode,
+        device: device,
+        depth: depth
+      }]
+    );
+
+    const task = response.data?.tasks?.[0];
+    if (!task || task.status_code !== 20000) {
+      throw new Error(task?.status_message || 'Invalid response from DataForSEO API');
+    }
+
+    const result = task.result?.[0] || {};
+    const host = toDomain(domain);
+
+    // Results are in rank order, so the first match is the best position
+    const match = (result.items || []).find(item =>
+      item.type === 'organic' && isSameSite(toDomain(item.domain || item.url), host)
+    );
+
+    return {
+      keyword: keyword,
+      position: match ? match.rank_group : null,
+      absolutePosition: match ? match.rank_absolute : null,
+      url: match ? match.url : null,
+      title: match ? match.title || null : null,
+      resultsCount: result.se_results_count || 0,
+      checkUrl: result.check_url || null
+    };
+  } catch (error) {
+    console.error('Error getting DataForSEO SERP position:', {
+      message: error.message,
+      keyword: keyword,
+      domain: domain,
+      locationCode: locationCode,
+      response: error.response?.data
+    });
+    throw error;
+  }
+};
+
+/**
+ * Gets the top Google organic results for a keyword (live SERP)
+ * @param {string} keyword - Search query
+ * @param {Object} options - Additional options
+ * @param {number} options.locationCode - DataForSEO location code (e.g., 2840)
+ * @param {string} options.languageCode - Language code (e.g., 'en')
+ * @param {string} options.device - desktop | mobile (default desktop)
+ * @param {number} options.depth - Results to fetch (default 10)
+ * @returns {Promise<Object>} Organic results in rank order
+ */
+exports.getSerpResults = async (keyword, options = {}) => {
+  const { locationCode = 2840, languageCode = 'en', device = 'desktop', depth = 10 } = options;
+
+  try {
+    if (!validateCredentials()) {
+      throw new Error('DataForSEO credentials missing');
+    }
+
+    const response = await dataForSeoClient.post(
+      `${BASE_URLS.serp}/google/organic/live/regular`,
+      [{
+        keyword: keyword,
+        location_code: locationCode,
+        language_code: languageCode,
+        device: device,
+        depth: depth
+      }]
+    );
+
+    const task = response.data?.tasks?.[0];
+    if (!task || task.status_code !== 20000) {
+      throw new Error(task?.status_message || 'Invalid response from DataForSEO API');
+    }
+
+    const result = task.result?.[0] || {};
+    const results = (result.items || [])
+      .filter(item => item.type === 'organic' && item.url)
+      .map(item => ({
+        position: item.rank_group,
+        url: item.url,
+        domain: toDomain(item.domain || item.url),
+        title: item.title || null
+      }));
+
+    return {
+      keyword: keyword,
+      resultsCount: result.se_results_count || 0,
+      results: results
+    };
+  } catch (error) {
+    console.error('Error getting DataForSEO SERP results:', {
+      message: error.message,
+      keyword: keyword,
+      locationCode: locationCode,
+      response: error.response?.data
+    });
+    throw error;
+  }
+};
+
+/**
+ * Compares the Google organic keywords of two domains (DataForSEO Labs domain
+ * intersection), highest search volume first. DataForSEO evaluates both full
+ * keyword profiles, so `intersections: false` returns exactly the keywords
+ * target1 ranks for and target2 does not.
+ * @param {string} target1 - First domain
+ * @param {string} target2 - Second domain
+ * @param {Object} options - Additional options
+ * @param {boolean} options.intersections - true: keywords both rank for; false: keywords only target1 ranks for (default true)
+ * @param {number} options.locationCode - DataForSEO location code (default 2840)
+ * @param {string} options.languageCode - Language code (default 'en')
+ * @param {number} options.limit - Maximum keywords (default 500, up to 1000)
+ * @returns {Promise<Object>} Total matching keywords and the fetched keywords with each domain's position
+ */
+exports.getKeywordIntersection = async (target1, target2, options = {}) => {
+  const { intersections = true, locationCode = 2840, languageCode = 'en', limit = 500 } = options;
+
+  try {
+    if (!validateCredentials()) {
+      throw new Error('DataForSEO credentials missing');
+    }
+
+    console.log(`Getting DataForSEO keyword intersection for: ${target1} / ${target2}`, { intersections });
+
+    const response = await dataForSeoClient.post(
+      `${BASE_URLS.labs}/google/domain_intersection/live`,
+      [{
+        target1: target1,
+        target2: target2,
+        intersections: intersections,
+        location_code: locationCode,
+        language_code: languageCode,
+        item_types: ["organic"],
+        limit: Math.min(limit, 1000),
+        order_by: ["keyword_data.keyword_info.search_volume,desc"]
+      }]
+    );
+
+    const task = response.data?.tasks?.[0];
+    if (!task || task.status_code !== 20000) {
+      throw new Error(task?.status_message || 'Invalid response from DataForSEO API');
+    }
+
+    const toPosition = (element) => element?.rank_group
+      ? { position: element.rank_group, url: element.url || null }
+      : null;
+
+    const result = task.result?.[0] || {};
+    const keywords = (result.items || []).map(item => ({
+      keyword: item.keyword_data?.keyword || '',
+      searchVolume: item.keyword_data?.keyword_info?.search_volume || 0,
+      cpc: item.keyword_data?.keyword_info?.cpc || 0,
+      difficulty: item.keyword_data?.keyword_properties?.keyword_difficulty ?? null,
+      first: toPosition(item.first_domain_serp_element),
+      second: toPosition(item.second_domain_serp_element)
+    })).filter(keyword => keyword.keyword && keyword.first && (!intersections || keyword.second));
+
+    return {
+      target1: target1,
+      target2: target2,
+      totalKeywords: result.total_count || keywords.length,
+      keywords: keywords
+    };
+  } catch (error) {
+    console.error('Error getting DataForSEO keyword intersection:', {
+      message: error.message,
+      target1: target1,
+      target2: target2,
+      response: error.response?.data
+    });
+    throw error;
+  }
+};
+
+/**
+ * Gets the domains linking to a domain but not to any of `excludeTargets`
+ * (Backlinks domain intersection), strongest first
+ * @param {string} domain - The domain to get referring domains for
+ * @param {Object} options - Additional options
+ * @param {string[]} options.excludeTargets - Domains whose referring domains are left out
+ * @param {number} options.limit - Maximum referring domains (default 500, up to 1000)
+ * @returns {Promise<Object>} Total matching referring domains and the fetched ones
+ */
+exports.getReferringDomainsIntersection = async (domain, options = {}) => {
+  const { excludeTargets = [], limit = 500 } = options;
+
+  try {
+    if (!validateCredentials()) {
+      throw new Error('DataForSEO credentials missing');
+    }
+
+    console.log(`Getting DataForSEO referring domain intersection for: ${domain}`, { excludeTargets });
+
+    const response = await dataForSeoClient.post(
+      `${BASE_URLS.backlinks}/domain_intersection/live`,
+      [{
+        targets: { 1: domain },
+        exclude_targets: excludeTargets,
+        limit: Math.min(limit, 1000),
+        order_by: ["1.rank,desc"],
+        exclude_internal_backlinks: true
+      }]
+    );
+
+    const task = response.data?.tasks?.[0];
+    if (!task || task.status_code !== 20000) {
+      throw new Error(task?.status_message || 'Invalid response from DataForSEO API');
+    }
+
+    const result = task.result?.[0] || {};
+    const referringDomains = (result.items || []).map(item => {
+      const entry = item.domain_intersection?.['1'] || {};
+      return {
+        domain: entry.domain,
+        rank: entry.rank || 0,
+        backlinks: entry.backlinks || 0,
+        firstSeen: entry.first_seen || null
+      };
+    }).filter(item => item.domain);
+
+    return {
+      domain: domain,
+      totalReferringDomains: result.total_count || referringDomains.length,
+      referringDomains: referringDomains
+    };
+  } catch (error) {
+    console.error('Error getting DataForSEO referring domain intersection:', {
+      message: error.message,
+      domain: domain,
+      response: error.response?.data
+    });
+    throw error;
+  }
+};
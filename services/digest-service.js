@@ -0,0 +1,525 @@
+/**
+ * @fileoverview Scheduled report digests backed by the Firestore `digest_schedules` collection
+ * @module services/digest-service
+ *
+ * A schedule says which brand to report on, who receives it and how often
+ * (daily / weekly / monthly, at a local hour in the schedule's timezone).
+ * /api/digests/run picks up due schedules, and each digest is assembled by
+ * running the overview, summary-stats and social endpoints in-process for the
+ * reporting period, plus a Mate's Take narrative, then rendered to HTML and
+ * sent through services/mail-service.js.
+ *
+ * Schedules are claimed inside a transaction (nextRunAt is advanced before the
+ * digest is built), so overlapping cron runs never send the same digest twice.
+ */
+
+const moment = require('moment-timezone');
+const { invokeHandler } = require('../utils/invoke-handler');
+const { SCHEDULE_FREQUENCIES, invalidSchedule, normalizeScheduleTiming, computeNextRunAt } = require('../utils/schedule-utils');
+const { sendMail } = require('./mail-service');
+const { getDb, toIso } = require('../utils/firestore-utils');
+
+const SCHEDULES_COLLECTION = 'digest_schedules';
+
+const DIGEST_FREQUENCIES = SCHEDULE_FREQUENCIES;
+
+const MAX_RECIPIENTS = 20;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Lazily required so loading the service does not load every endpoint
+const DIGEST_SOURCES = {
+  overview: () => require('../api/overview'),
+  summary: () => require('../api/summary-stats'),
+  social: () => require('../api/social'),
+  narrative: () => require('../api/mates-take/overview')
+};
+
+/**
+ * Serializes a schedule document for API responses
+ * @param {string} id - Schedule ID
+ * @param {Object} data - Schedule document data
+ * @returns {Object} Public schedule representation
+ */
+const formatSchedule = (id, data) => ({
+  id,
+  brandId: data.brandId,
+  organizationId: data.organizationId || null,
+  recipients: data.recipients || [],
+  frequency: data.frequency,
+  dayOfWeek: data.dayOfWeek ?? null,
+  dayOfMonth: data.dayOfMonth ?? null,
+  hour: data.hour,
+  timezone: data.timezone,
+  includeNarrative: data.includeNarrative !== false,
+  enabled: data.enabled !== false,
+  nextRunAt: toIso(data.nextRunAt),
+  lastRunAt: toIso(data.lastRunAt),
+  lastStatus: data.lastStatus || null,
+  lastError: data.lastError || null,
+  createdBy: data.createdBy || null,
+  createdAt: toIso(data.createdAt),
+  updatedAt: toIso(data.updatedAt)
+});
+
+/**
+ * Validates schedule fields and fills in defaults
+ * @param {Object} input - Fields from the request
+ * @param {Object} [existing] - Current schedule when updating
+ * @returns {Object} Normalized schedule fields
+ * @throws {Error} With `code = 'INVALID_SCHEDULE'` on bad input
+ */
+const normalizeSchedule = (input = {}, existing = {}) => {
+  const merged = { ...existing, ...input };
+
+  if (!merged.brandId || typeof merged.brandId !== 'string') {
+    throw invalidSchedule('brandId is required');
+  }
+
+  const recipients = [].concat(merged.recipients || [])
+    .map(email => String(email).trim().toLowerCase())
+    .filter(Boolean);
+  if (recipients.length === 0) throw invalidSchedule('recipients must contain at least one email address');
+  if (recipients.length > MAX_RECIPIENTS) throw invalidSchedule(`recipients is limited to ${MAX_RECIPIENTS} addresses`);
+  const badEmail = recipients.find(email => !EMAIL_PATTERN.test(email));
+  if (badEmail) throw invalidSchedule(`Invalid email address: ${badEmail}`);
+
+  const { frequency, dayOfWeek, dayOfMonth, hour, timezone } = normalizeScheduleTiming(merged);
+
+  return {
+    brandId: merged.brandId,
+    organizationId: merged.organizationId || null,
+    recipients: [...new Set(recipients)],
+    frequency,
+    dayOfWeek,
+    dayOfMonth,
+    hour,
+    timezone,
+    includeNarrative: merged.includeNarrative !== false,
+    enabled: merged.enabled !== false
+  };
+};
+
+/**
+ * Reporting window for a digest sent at `runAt`: yesterday (daily), the 7 days
+ * up to yesterday (weekly) or the previous calendar month (monthly)
+ * @param {Object} schedule - Normalized schedule
+ * @param {number} [runAt] - Epoch ms of the send (default now)
+ * @returns {{from: string, to: string}} Dates in YYYY-MM-DD format
+ */
+const getDigestPeriod = (schedule, runAt = Date.now()) => {
+  const today = moment.tz(runAt, schedule.timezone).startOf('day');
+
+  if (schedule.frequency === 'monthly') {
+    const lastMonth = today.clone().subtract(1, 'month');
+    return {
+      from: lastMonth.clone().startOf('month').format('YYYY-MM-DD'),
+      to: lastMonth.clone().endOf('month').format('YYYY-MM-DD')
+    };
+  }
+
+  const to = today.clone().subtract(1, 'day');
+  const from = schedule.frequency === 'weekly' ? to.clone().subtract(6, 'days') : to.clone();
+  return { from: from.format('YYYY-MM-DD'), to: to.format('YYYY-MM-DD') };
+};
+
+/**
+ * Creates a digest schedule
+ * @param {Object} input - Schedule fields (brandId, recipients, frequency, ...)
+ * @param {Object} [options] - Options
+ * @param {string} [options.userId] - Creator's user ID
+ * @returns {Promise<Object>} Created schedule
+ */
+const createSchedule = async (input, { userId = null } = {}) => {
+  const fields = normalizeSchedule(input);
+  const now = new Date();
+  const data = {
+    ...fields,
+    nextRunAt: computeNextRunAt(fields, now.getTime()),
+    lastRunAt: null,
+    lastStatus: null,
+    lastError: null,
+    createdBy: userId,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  const ref = await getDb().collection(SCHEDULES_COLLECTION).add(data);
+  console.log('Digest Service - Schedule created:', { scheduleId: ref.id, brandId: fields.brandId, frequency: fields.frequency });
+  return formatSchedule(ref.id, data);
+};
+
+/**
+ * Fetches a schedule by ID
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<Object|null>} Schedule or null if not found
+ */
+const getSchedule = async (scheduleId) => {
+  if (!scheduleId) throw new Error('Schedule ID is required');
+  const snap = await getDb().collection(SCHEDULES_COLLECTION).doc(scheduleId).get();
+  return snap.exists ? formatSchedule(snap.id, snap.data()) : null;
+};
+
+/**
+ * Lists the schedules of a brand
+ * @param {string} brandId - Brand ID
+ * @returns {Promise<Object[]>} Schedules
+ */
+const listSchedules = async (brandId) => {
+  if (!brandId) throw new Error('Brand ID is required');
+  const snap = await getDb().collection(SCHEDULES_COLLECTION).where('brandId', '==', brandId).get();
+  const schedules = [];
+  snap.forEach(doc => schedules.push(formatSchedule(doc.id, doc.data())));
+  return schedules;
+};
+
+/**
+ * Updates a schedule; timing changes recompute nextRunAt
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} updates - Fields to change (brandId and organizationId are fixed)
+ * @returns {Promise<Object|null>} Updated schedule, or null if not found
+ */
+const updateSchedule = async (scheduleId, updates = {}) => {
+  const ref = getDb().collection(SCHEDULES_COLLECTION).doc(scheduleId);
+  const snap = await ref.get();
+  if (!snap.exists) return null;
+
+  const current = snap.data();
+  const { brandId, organizationId, ...changes } = updates;
+  const fields = normalizeSchedule(changes, current);
+  const data = {
+    ...fields,
+    nextRunAt: computeNextRunAt(fields),
+    updatedAt: new Date()
+  };
+
+  await ref.update(data);
+  return formatSchedule(scheduleId, { ...current, ...data });
+};
+
+/**
+ * Deletes a schedule
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<boolean>} False if it did not exist
+ */
+const deleteSchedule = async (scheduleId) => {
+  const ref = getDb().collection(SCHEDULES_COLLECTION).doc(scheduleId);
+  const snap = await ref.get();
+  if (!snap.exists) return false;
+  await ref.delete();
+  return true;
+};
+
+/**
+ * Finds enabled schedules whose nextRunAt has passed
+ * @param {number} limit - Maximum schedules to return
+ * @param {number} [now] - Epoch ms (default now)
+ * @returns {Promise<string[]>} Schedule IDs
+ */
+const findDueScheduleIds = async (limit = 10, now = Date.now()) => {
+  const snap = await getDb().collection(SCHEDULES_COLLECTION)
+    .where('enabled', '==', true)
+    .where('nextRunAt', '<=', now)
+    .limit(limit)
+    .get();
+  const ids = [];
+  snap.forEach(doc => ids.push(doc.id));
+  return ids;
+};
+
+/**
+ * Atomically claims a due schedule by advancing its nextRunAt
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.force] - Claim even if not due yet (manual send)
+ * @returns {Promise<Object|null>} Schedule with `runAt` (the slot being sent), or null if not claimable
+ */
+const claimSchedule = async (scheduleId, { force = false } = {}) => {
+  const db = getDb();
+  const ref = db.collection(SCHEDULES_COLLECTION).doc(scheduleId);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+
+    const data = snap.data();
+    const now = Date.now();
+    if (!force && (data.enabled === false || !data.nextRunAt || data.nextRunAt > now)) return null;
+
+    const update = { lastRunAt: now, updatedAt: new Date(now) };
+    // A manual send does not move the regular slot
+    if (!force) update.nextRunAt = computeNextRunAt(data, now);
+    tx.update(ref, update);
+
+    return { ...formatSchedule(snap.id, { ...data, ...update }), runAt: force ? now : data.nextRunAt };
+  });
+};
+
+/**
+ * Stores the outcome of a digest run on the schedule
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} outcome - { status: 'sent' | 'failed', messageId?, error? }
+ */
+const recordDigestResult = async (scheduleId, { status, messageId = null, error = null }) => {
+  await getDb().collection(SCHEDULES_COLLECTION).doc(scheduleId).update({
+    lastStatus: status,
+    lastMessageId: messageId,
+    lastError: error,
+    updatedAt: new Date()
+  });
+};
+
+/**
+ * Runs one digest source endpoint in-process
+ * @param {string} source - Key of DIGEST_SOURCES
+ * @param {Object} request - invokeHandler request fields
+ * @returns {Promise<{data: Object|null, error: string|null}>}
+ */
+const fetchSource = async (source, request) => {
+  try {
+    const { statusCode, body } = await invokeHandler(DIGEST_SOURCES[source](), { ...request, internal: true });
+    if (statusCode !== 200) {
+      return { data: null, error: body?.message || body?.error || `${source} responded with ${statusCode}` };
+    }
+    return { data: body, error: null };
+  } catch (error) {
+    console.error('Digest Service - Source failed:', { source, error: error.message });
+    return { data: null, error: error.message };
+  }
+};
+
+const num = (value) => (typeof value === 'number' && isFinite(value) ? value : 0);
+
+/**
+ * Picks the headline metrics out of the endpoint responses
+ * @param {Object} sources - { overview, summary, social } response bodies (may be null)
+ * @returns {Array} [{ key, label, value, format, delta }]
+ */
+const extractMetrics = ({ overview, summary, social }) => {
+  const totals = overview?.totals || {};
+  const deltas = overview?.comparison?.totals || {};
+  const metrics = [];
+  const add = (key, label, value, format = 'number', delta = null) => {
+    metrics.push({ key, label, value: num(value), format, delta: delta?.percent ?? null });
+  };
+
+  if (overview) {
+    add('visitors', 'Visitors', totals.visitors?.total, 'number', deltas.visitors?.total);
+    add('sessions', 'Sessions', totals.visitors?.sessions, 'number', deltas.visitors?.sessions);
+    add('engagementRate', 'Engagement rate', totals.visitors?.engagementRate, 'percent', deltas.visitors?.engagementRate);
+    add('adSpend', 'Meta Ads spend', totals.meta_ads?.spend, 'currency', deltas.meta_ads?.spend);
+    add('adClicks', 'Meta Ads clicks', totals.meta_ads?.clicks, 'number', deltas.meta_ads?.clicks);
+    add('adImpressions', 'Meta Ads impressions', totals.meta_ads?.impressions, 'number', deltas.meta_ads?.impressions);
+    if (totals.sales) {
+      add('revenue', 'Revenue', totals.sales.revenue, 'currency', deltas.sales?.revenue);
+      add('orders', 'Orders', totals.sales.transactions, 'number', deltas.sales?.transactions);
+      add('averageOrderValue', 'Average order value', totals.sales.averageOrderValue, 'currency', deltas.sales?.averageOrderValue);
+    }
+  }
+
+  if (summary) {
+    add('adCtr', 'Meta Ads CTR', summary.social?.ctr, 'percent');
+    add('adCpc', 'Meta Ads CPC', summary.social?.cpc, 'currency');
+    if (summary.sales?.source) {
+      add('netRevenue', 'Net revenue', summary.sales.netRevenue, 'currency');
+    }
+  }
+
+  if (social) {
+    if (social.facebook) {
+      add('facebookFollowers', 'Facebook followers', social.facebook.followers);
+      add('facebookPosts', 'Facebook posts', social.facebook.posts?.count);
+    }
+    if (social.instagram) {
+      add('instagramFollowers', 'Instagram followers', social.instagram.followers);
+      add('instagramPosts', 'Instagram posts', social.instagram.posts?.count);
+    }
+  }
+
+  return metrics;
+};
+
+/**
+ * Formats a metric value for display
+ * @param {Object} metric - Metric from extractMetrics
+ * @param {string|null} currency - Currency code for currency metrics
+ * @returns {string} Display value
+ */
+const formatMetricValue = (metric, currency = null) => {
+  if (metric.format === 'percent') return `${metric.value.toFixed(2)}%`;
+  if (metric.format === 'currency') {
+    const amount = metric.value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return currency ? `${currency} ${amount}` : amount;
+  }
+  return metric.value.toLocaleString('en-US');
+};
+
+const formatDelta = (delta) => {
+  if (delta === null || delta === undefined) return '';
+  return `${delta > 0 ? '+' : ''}${delta.toFixed(1)}%`;
+};
+
+/**
+ * Assembles the digest data for a schedule
+ * @param {Object} schedule - Schedule (as returned by claimSchedule/getSchedule)
+ * @param {Object} [options] - Options
+ * @param {number} [options.runAt] - Epoch ms the digest is for (default now)
+ * @returns {Promise<Object>} { brand, period, metrics, narrative, errors, generatedAt }
+ */
+const buildDigest = async (schedule, { runAt = Date.now() } = {}) => {
+  const period = getDigestPeriod(schedule, runAt);
+  const baseQuery = { brandId: schedule.brandId, from: period.from, to: period.to };
+
+  console.log('Digest Service - Building digest:', { scheduleId: schedule.id, brandId: schedule.brandId, period });
+
+  const [overview, summary, social] = await Promise.all([
+    fetchSource('overview', { url: '/api/overview', query: { ...baseQuery, compare: 'previous_period' } }),
+    fetchSource('summary', { url: '/api/summary-stats', query: baseQuery }),
+    fetchSource('social', { url: '/api/social', query: baseQuery })
+  ]);
+
+  const errors = {};
+  if (overview.error) errors.overview = overview.error;
+  if (summary.error) errors.summary = summary.error;
+  if (social.error) errors.social = social.error;
+
+  const metrics = extractMetrics({ overview: overview.data, summary: summary.data, social: social.data });
+  const currency = overview.data?.totals?.sales?.currency || summary.data?.sales?.currency || null;
+
+  let brandName = schedule.brandId;
+  try {
+    const brand = await require('./firebase-service').getBrandInfo(schedule.brandId);
+    if (brand?.name) brandName = brand.name;
+  } catch (error) {
+    console.warn('Digest Service - Could not load brand name:', error.message);
+  }
+
+  let narrative = null;
+  if (schedule.includeNarrative !== false && metrics.length > 0) {
+    const content = [
+      `Brand: ${brandName}`,
+      `Period: ${period.from} to ${period.to} (compared with the previous period)`,
+      ...metrics.map(m => `${m.label}: ${formatMetricValue(m, currency)}${m.delta !== null ? ` (${formatDelta(m.delta)})` : ''}`)
+    ].join('\n');
+
+    // Goes through withLogging, so the narrative is logged and billed like a dashboard call
+    const result = await fetchSource('narrative', {
+      method: 'POST',
+      url: '/api/mates-take/overview',
+      headers: { 'content-type': 'application/json' },
+      body: { content, brandId: schedule.brandId, organizationId: schedule.organizationId }
+    });
+    if (result.error) errors.narrative = result.error;
+    narrative = result.data?.analysis || null;
+  }
+
+  return {
+    brand: { id: schedule.brandId, name: brandName },
+    period,
+    currency,
+    metrics,
+    narrative,
+    errors,
+    generatedAt: new Date().toISOString()
+  };
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Renders a digest to an email message
+ * @param {Object} digest - Output of buildDigest
+ * @returns {{subject: string, html: string, text: string}}
+ */
+const renderDigest = (digest) => {
+  const { brand, period, metrics, narrative, currency } = digest;
+  const subject = `${brand.name} performance digest: ${period.from} to ${period.to}`;
+
+  const rows = metrics.map(metric => {
+    const delta = formatDelta(metric.delta);
+    const color = metric.delta > 0 ? '#1a7f37' : metric.delta < 0 ? '#cf222e' : '#57606a';
+    return `<tr>
+        <td style="padding:8px 12px;border-bottom:1px solid #eaeef2;">${escapeHtml(metric.label)}</td>
+        <td style="padding:8px 12px;border-bottom:1px solid #eaeef2;text-align:right;font-weight:600;">${escapeHtml(formatMetricValue(metric, currency))}</td>
+        <td style="padding:8px 12px;border-bottom:1px solid #eaeef2;text-align:right;color:${color};">${escapeHtml(delta)}</td>
+      </tr>`;
+  }).join('\n      ');
+
+  const narrativeHtml = narrative
+    ? `<h2 style="font-size:16px;margin:24px 0 8px;">Mate's Take</h2>
+    <div style="white-space:pre-line;line-height:1.5;">${escapeHtml(narrative)}</div>`
+    : '';
+
+  const html = `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f6f8fa;font-family:Arial,Helvetica,sans-serif;color:#24292f;">
+  <div style="max-width:640px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+    <h1 style="font-size:20px;margin:0 0 4px;">${escapeHtml(brand.name)}</h1>
+    <p style="margin:0 0 16px;color:#57606a;">${escapeHtml(period.from)} to ${escapeHtml(period.to)}, compared with the previous period</p>
+    <table style="width:100%;border-collapse:collapse;font-size:14px;">
+      ${rows || '<tr><td style="padding:8px 12px;">No data available for this period.</td></tr>'}
+    </table>
+    ${narrativeHtml}
+  </div>
+</body>
+</html>`;
+
+  const text = [
+    subject,
+    '',
+    ...metrics.map(m => `${m.label}: ${formatMetricValue(m, currency)}${m.delta !== null ? ` (${formatDelta(m.delta)})` : ''}`),
+    ...(narrative ? ['', "Mate's Take:", narrative] : [])
+  ].join('\n');
+
+  return { subject, html, text };
+};
+
+/**
+ * Builds, renders and emails a digest
+ * @param {Object} schedule - Schedule (as returned by claimSchedule/getSchedule)
+ * @param {Object} [options] - Options
+ * @param {number} [options.runAt] - Epoch ms the digest is for (default now)
+ * @param {boolean} [options.dryRun] - Render without sending
+ * @param {string} [options.transport] - Mail transport override
+ * @returns {Promise<{digest: Object, message: Object, delivery: Object|null}>}
+ */
+const sendDigest = async (schedule, { runAt = Date.now(), dryRun = false, transport = null } = {}) => {
+  const digest = await buildDigest(schedule, { runAt });
+  const message = renderDigest(digest);
+
+  if (dryRun) {
+    return { digest, message, delivery: null };
+  }
+
+  const delivery = await sendMail({ to: schedule.recipients, ...message }, { transport });
+  console.log('Digest Service - Digest sent:', {
+    scheduleId: schedule.id,
+    brandId: schedule.brandId,
+    recipients: schedule.recipients.length,
+    transport: delivery.transport
+  });
+  return { digest, message, delivery };
+};
+
+module.exports = {
+  DIGEST_FREQUENCIES,
+  normalizeSchedule,
+  computeNextRunAt,
+  getDigestPeriod,
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  updateSchedule,
+  deleteSchedule,
+  findDueScheduleIds,
+  claimSchedule,
+  recordDigestResult,
+  extractMetrics,
+  buildDigest,
+  renderDigest,
+  sendDigest
+};
@@ -3,17 +3,23 @@
  */
 
 const admin = require('firebase-admin');
+const { createCache } = require('./cache-service');
 
 // Initialize Firebase Admin SDK with service account credentials
 if (!admin.apps.length) {
-  const serviceAccount = JSON.parse(
-    Buffer.from(process.env.FIREBASE_ADMIN_CREDENTIALS, 'base64').toString('utf8')
-  );
-
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount),
-    projectId: serviceAccount.project_id
-  });
+  if (!process.env.FIREBASE_ADMIN_CREDENTIALS && process.env.FIRESTORE_EMULATOR_HOST) {
+    // Local emulator: the Admin SDK picks up FIRESTORE_EMULATOR_HOST / FIREBASE_AUTH_EMULATOR_HOST
+    admin.initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'demo-metrixmate' });
+  } else {
+    const serviceAccount = JSON.parse(
+      Buffer.from(process.env.FIREBASE_ADMIN_CREDENTIALS, 'base64').toString('utf8')
+    );
+
+    admin.initializeApp({
+      credential: admin.credential.cert(serviceAccount),
+      projectId: serviceAccount.project_id
+    });
+  }
 }
 
 const db = admin.firestore();
@@ -590,23 +596,16 @@ const getBacklinksCountByBrandId = async (brandId, idToken = null, fromDate = nu
 
 /**
  * In-memory cache for brand information
+ * Always memory-backed: caching Firestore documents in Firestore would not save a read
  * @private
  */
-const BRAND_CACHE = {
-  data: {},
-  timestamps: {},
-  TTL: 1 * 60 * 1000 // 1 minute cache TTL
-};
+const BRAND_CACHE = createCache('brands', { ttl: 1 * 60 * 1000, backend: 'memory' }); // 1 minute cache TTL
 
 /**
  * In-memory cache for organization information
  * @private
  */
-const ORG_CACHE = {
-  data: {},
-  timestamps: {},
-  TTL: 15 * 60 * 1000 // 15 minutes cache TTL
-};
+const ORG_CACHE = createCache('orgs', { ttl: 15 * 60 * 1000, backend: 'memory' }); // 15 minutes cache TTL
 
 /**
  * Utility function to get comprehensive brand information with caching
@@ -665,13 +664,11 @@ const getBrandInfo = async (brandId, options = {}) => {
 
     // Check cache first if enabled
     if (useCache) {
-      const now = Date.now();
-      const cachedData = BRAND_CACHE.data[brandId];
-      const cachedTime = BRAND_CACHE.timestamps[brandId];
+      const cached = await BRAND_CACHE.get(brandId);
 
-      if (cachedData && cachedTime && (now - cachedTime) < BRAND_CACHE.TTL) {
+      if (cached && !cached.expired) {
         console.log('Brand Utility - Cache hit:', brandId);
-        return cachedData;
+        return cached.value;
       }
     }
 
@@ -724,8 +721,7 @@ const getBrandInfo = async (brandId, options = {}) => {
 
     // Cache the result
     if (useCache) {
-      BRAND_CACHE.data[brandId] = brandInfo;
-      BRAND_CACHE.timestamps[brandId] = Date.now();
+      await BRAND_CACHE.set(brandId, brandInfo);
     }
 
     return brandInfo;
@@ -743,15 +739,14 @@ const getBrandInfo = async (brandId, options = {}) => {
 /**
  * Clear brand cache for a specific brand or all brands
  * @param {string} brandId - Optional brand ID to clear. If not provided, clears all cache
+ * @returns {Promise<void>}
  */
-const clearBrandCache = (brandId = null) => {
+const clearBrandCache = async (brandId = null) => {
   if (brandId) {
-    delete BRAND_CACHE.data[brandId];
-    delete BRAND_CACHE.timestamps[brandId];
+    await BRAND_CACHE.delete(brandId);
     console.log('Brand Utility - Cache cleared for brand:', brandId);
   } else {
-    BRAND_CACHE.data = {};
-    BRAND_CACHE.timestamps = {};
+    await BRAND_CACHE.clear();
     console.log('Brand Utility - All brand cache cleared');
   }
 };
@@ -772,6 +767,10 @@ const clearBrandCache = (brandId = null) => {
  * //   instagram_page: { account_id, access_token, expires_at },
  * //   meta_ads: { ad_account_id, access_token, expires_at },
  * //   ga4: { property_id, access_token, refresh_token, expires_at },
+ * //   google_ads: { customer_id, login_customer_id, access_token, refresh_token, expires_at },
+ * //   linkedin_page: { organization_id, access_token, refresh_token, expires_at },
+ * //   tiktok_account: { open_id, username, access_token, refresh_token, expires_at },
+ * //   tiktok_ads: { advertiser_id, access_token },
  * //   tossdown: { tossdown_id, ... }
  * // }
  */
@@ -793,6 +792,7 @@ const getBrandConnections = async (brandId, options = {}) => {
       connectionsIsObject: connections && typeof connections === 'object',
       hasFacebookPage: !!connections.facebook_page,
       hasInstagramPage: !!connections.instagram_page,
+      hasLinkedInPage: !!connections.linkedin_page,
       hasMetaAds: !!connections.meta_ads,
       hasGA4: !!connections.ga4,
       hasTossdown: !!connections.tossdown,
@@ -812,7 +812,7 @@ const getBrandConnections = async (brandId, options = {}) => {
 /**
  * Extracts specific connection data from a brand
  * @param {string} brandId - Brand ID
- * @param {string} connectionType - Type of connection (facebook_page, instagram_page, meta_ads, ga4, tossdown)
+ * @param {string} connectionType - Type of connection (facebook_page, instagram_page, linkedin_page, tiktok_account, meta_ads, google_ads, tiktok_ads, ga4, tossdown)
  * @param {Object} options - Configuration options
  * @returns {Promise<Object|null>} Connection data or null if not found
  *
@@ -871,13 +871,11 @@ const getOrganizationInfo = async (organizationId, options = {}) => {
 
     // Check cache first if enabled
     if (useCache) {
-      const now = Date.now();
-      const cachedData = ORG_CACHE.data[organizationId];
-      const cachedTime = ORG_CACHE.timestamps[organizationId];
+      const cached = await ORG_CACHE.get(organizationId);
 
-      if (cachedData && cachedTime && (now - cachedTime) < ORG_CACHE.TTL) {
+      if (cached && !cached.expired) {
         console.log('Organization Utility - Cache hit:', organizationId);
-        return cachedData;
+        return cached.value;
       }
     }
 
@@ -912,8 +910,7 @@ const getOrganizationInfo = async (organizationId, options = {}) => {
 
     // Cache the result
     if (useCache) {
-      ORG_CACHE.data[organizationId] = orgInfo;
-      ORG_CACHE.timestamps[organizationId] = Date.now();
+      await ORG_CACHE.set(organizationId, orgInfo);
     }
 
     return orgInfo;
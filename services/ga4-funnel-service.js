@@ -0,0 +1,236 @@
+/**
+ * @fileoverview GA4 funnel analysis - step conversion and drop-off per channel group
+ * @module services/ga4-funnel-service
+ *
+ * The funnel is computed with the GA4 funnel report (Data API v1alpha
+ * runFunnelReport): a user is counted at a step only after completing the
+ * previous steps in order, broken down by sessionDefaultChannelGroup.
+ *
+ * When the funnel report is unavailable for the property (v1alpha rejects it
+ * or access is denied), the service falls back to sequential event queries:
+ * sessions containing each event, per channel group, capped at the previous
+ * step's count. That fallback does not enforce the order of the events within
+ * a session, so its results are flagged as approximate.
+ */
+
+const { runGA4ReportViaREST, runGA4FunnelReportViaREST } = require('./ga4-service');
+
+const DEFAULT_FUNNEL_STEPS = ['page_view', 'add_to_cart', 'begin_checkout', 'purchase'];
+const MAX_FUNNEL_STEPS = 10;
+const EVENT_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+const CHANNEL_DIMENSION = 'sessionDefaultChannelGroup';
+
+// Funnel report errors that mean "use the fallback" rather than "fail"
+const FALLBACK_STATUSES = [400, 403, 404, 501];
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+const percent = (part, whole) => (whole > 0 ? round2((part / whole) * 100) : 0);
+
+/**
+ * Validates an ordered list of funnel event names
+ * @param {string[]} steps - Event names
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateFunnelSteps = (steps) => {
+  if (!Array.isArray(steps) || steps.length < 2) return 'steps must contain at least 2 event names';
+  if (steps.length > MAX_FUNNEL_STEPS) return `steps accepts at most ${MAX_FUNNEL_STEPS} event names`;
+  const invalid = steps.find(step => typeof step !== 'string' || !EVENT_NAME_PATTERN.test(step));
+  if (invalid !== undefined) return `Invalid event name: ${invalid}`;
+  return null;
+};
+
+/**
+ * Computes step conversion and drop-off from per-step counts
+ * @param {string[]} steps - Event names, in funnel order
+ * @param {number[]} counts - Users/sessions reaching each step
+ * @returns {Object} { steps: [...], conversionRate }
+ */
+const buildFunnelSteps = (steps, counts) => {
+  const first = counts[0] || 0;
+
+  const stepRows = steps.map((name, index) => {
+    const count = counts[index] || 0;
+    const previous = index === 0 ? count : counts[index - 1] || 0;
+    const next = index < steps.length - 1 ? counts[index + 1] || 0 : null;
+
+    return {
+      step: index + 1,
+      name,
+      count,
+      // Share of the previous step that reached this one
+      conversionRate: index === 0 ? 100 : percent(count, previous),
+      // Share of the first step that reached this one
+      overallConversionRate: percent(count, first),
+      // Lost before the next step (null on the last step)
+      dropOff: next === null ? null : Math.max(count - next, 0),
+      dropOffRate: next === null ? null : (count > 0 ? round2(100 - percent(next, count)) : 0)
+    };
+  });
+
+  return {
+    steps: stepRows,
+    conversionRate: percent(counts[counts.length - 1] || 0, first)
+  };
+};
+
+/**
+ * Builds the runFunnelReport request
+ * @param {string[]} steps - Event names
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @param {boolean} openFunnel - Let users enter at any step
+ * @returns {Object} Request body
+ */
+const buildFunnelReportRequest = (steps, from, to, openFunnel) => ({
+  dateRanges: [{ startDate: from, endDate: to }],
+  funnel: {
+    isOpenFunnel: openFunnel,
+    steps: steps.map(eventName => ({
+      name: eventName,
+      filterExpression: { funnelEventFilter: { eventName } }
+    }))
+  },
+  funnelBreakdown: {
+    breakdownDimension: { name: CHANNEL_DIMENSION },
+    limit: '25'
+  },
+  funnelVisualizationType: 'STANDARD_FUNNEL'
+});
+
+/**
+ * Reads per-channel step counts out of a funnel report table
+ * @param {Object} response - runFunnelReport response
+ * @param {number} stepCount - Number of funnel steps
+ * @returns {Object} { total: number[], byChannel: { [channel]: number[] } }
+ */
+const parseFunnelTable = (response, stepCount) => {
+  const table = response.funnelTable || {};
+  const dimensionNames = (table.dimensionHeaders || []).map(header => header.name);
+  const stepIndex = dimensionNames.indexOf('funnelStepName');
+  const channelIndex = dimensionNames.indexOf(CHANNEL_DIMENSION);
+  const usersIndex = Math.max((table.metricHeaders || []).findIndex(header => header.name === 'activeUsers'), 0);
+
+  const total = new Array(stepCount).fill(0);
+  const byChannel = {};
+
+  (table.rows || []).forEach(row => {
+    // Step names come back prefixed with their position: "2. add_to_cart"
+    const position = parseInt(row.dimensionValues?.[stepIndex]?.value) - 1;
+    if (!(position >= 0 && position < stepCount)) return;
+
+    const channel = channelIndex >= 0 ? row.dimensionValues?.[channelIndex]?.value : 'RESERVED_TOTAL';
+    const users = parseInt(row.metricValues?.[usersIndex]?.value) || 0;
+
+    if (!channel || channel === 'RESERVED_TOTAL') {
+      total[position] = users;
+    } else {
+      byChannel[channel] = byChannel[channel] || new Array(stepCount).fill(0);
+      byChannel[channel][position] = users;
+    }
+  });
+
+  return { total, byChannel };
+};
+
+/**
+ * Approximates the funnel from sessions containing each event, per channel group
+ * @param {string} propertyId - GA4 property ID
+ * @param {string[]} steps - Event names
+ * @param {string} from - Start date
+ * @param {string} to - End date
+ * @param {Object} options - { accessToken, refreshToken }
+ * @returns {Promise<Object>} { total: number[], byChannel: { [channel]: number[] } }
+ */
+const getSequentialEventCounts = async (propertyId, steps, from, to, options) => {
+  const request = {
+    dateRanges: [{ startDate: from, endDate: to }],
+    dimensions: [{ name: 'eventName' }, { name: CHANNEL_DIMENSION }],
+    metrics: [{ name: 'sessions' }],
+    dimensionFilter: {
+      filter: { fieldName: 'eventName', inListFilter: { values: steps } }
+    },
+    limit: 10000
+  };
+
+  const response = await runGA4ReportViaREST(propertyId, request, options.accessToken, options.refreshToken);
+
+  const byChannel = {};
+  (response.rows || []).forEach(row => {
+    const position = steps.indexOf(row.dimensionValues?.[0]?.value);
+    const channel = row.dimensionValues?.[1]?.value || '(other)';
+    if (position < 0) return;
+    byChannel[channel] = byChannel[channel] || new Array(steps.length).fill(0);
+    byChannel[channel][position] += parseInt(row.metricValues?.[0]?.value) || 0;
+  });
+
+  // A step can never hold more sessions than the one before it
+  Object.values(byChannel).forEach(counts => {
+    for (let i = 1; i < counts.length; i++) counts[i] = Math.min(counts[i], counts[i - 1]);
+  });
+
+  const total = steps.map((_, index) => Object.values(byChannel).reduce((sum, counts) => sum + counts[index], 0));
+  return { total, byChannel };
+};
+
+/**
+ * Computes a GA4 funnel with per-channel step conversion and drop-off
+ * @param {string} propertyId - GA4 property ID
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @param {string[]} steps - Ordered event names
+ * @param {Object} options - Configuration (OAuth only)
+ * @param {string} options.accessToken - OAuth access token
+ * @param {string} [options.refreshToken] - OAuth refresh token
+ * @param {boolean} [options.openFunnel=false] - Let users enter the funnel at any step
+ * @returns {Promise<Object>} { method, unit, approximate, overall, channels }
+ */
+const getGa4Funnel = async (propertyId, from, to, steps = DEFAULT_FUNNEL_STEPS, options = {}) => {
+  if (!options.accessToken) {
+    throw new Error('GA4 OAuth access token is required (no service account fallback)');
+  }
+
+  console.log('GA4 Funnel Service - Computing funnel:', { propertyId, from, to, steps, openFunnel: !!options.openFunnel });
+
+  let counts;
+  let method = 'funnel_report';
+  try {
+    const response = await runGA4FunnelReportViaREST(
+      propertyId,
+      buildFunnelReportRequest(steps, from, to, !!options.openFunnel),
+      options.accessToken,
+      options.refreshToken
+    );
+    counts = parseFunnelTable(response, steps.length);
+  } catch (error) {
+    if (!FALLBACK_STATUSES.includes(error.response?.status)) throw error;
+
+    console.warn('GA4 Funnel Service - Funnel report unavailable, using sequential event queries:', {
+      propertyId,
+      status: error.response?.status,
+      message: error.response?.data?.error?.message || error.message
+    });
+    method = 'sequential_events';
+    counts = await getSequentialEventCounts(propertyId, steps, from, to, options);
+  }
+
+  const channels = Object.entries(counts.byChannel)
+    .map(([channel, channelCounts]) => ({ channel, ...buildFunnelSteps(steps, channelCounts) }))
+    .sort((a, b) => b.steps[0].count - a.steps[0].count);
+
+  return {
+    method,
+    unit: method === 'funnel_report' ? 'users' : 'sessions',
+    approximate: method !== 'funnel_report',
+    overall: buildFunnelSteps(steps, counts.total),
+    channels
+  };
+};
+
+module.exports = {
+  DEFAULT_FUNNEL_STEPS,
+  MAX_FUNNEL_STEPS,
+  validateFunnelSteps,
+  buildFunnelSteps,
+  getGa4Funnel
+};
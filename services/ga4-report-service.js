@@ -0,0 +1,354 @@
+/**
+ * @fileoverview GA4 report builder - validates a custom report spec and turns it into a
+ * Data API runReport request, then flattens the response into plain rows
+ * @module services/ga4-report-service
+ *
+ * The spec is a compact form of the runReport body (see docs/GA4_REPORT_API.md):
+ *
+ *   {
+ *     dimensions: ['date', 'sessionDefaultChannelGroup'],
+ *     metrics: ['sessions', 'conversions'],
+ *     dateRanges: [{ from: '2025-03-01', to: '2025-03-31' }],
+ *     dimensionFilters: [{ field: 'country', operator: 'in_list', value: ['Canada', 'United States'] }],
+ *     metricFilters: [{ field: 'sessions', operator: 'gt', value: 10 }],
+ *     orderBys: [{ field: 'sessions', desc: true }],
+ *     limit: 100
+ *   }
+ *
+ * Field names are only checked for shape (the property's custom dimensions and
+ * metrics are not known here); GA4 rejects unknown names with a 400, which the
+ * endpoint passes through.
+ */
+
+const { getDefaultDateRange } = require('../utils/date-utils');
+
+// GA4 Data API limits
+const MAX_DIMENSIONS = 9;
+const MAX_METRICS = 10;
+const MAX_DATE_RANGES = 4;
+const MAX_FILTERS = 10;
+const MAX_LIMIT = 10000;
+const DEFAULT_LIMIT = 1000;
+
+// API names, including custom ones such as customEvent:plan_type
+const FIELD_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*(:[A-Za-z0-9_]+)?$/;
+
+// YYYY-MM-DD or the relative forms GA4 accepts
+const DATE_PATTERN = /^(\d{4}-\d{2}-\d{2}|today|yesterday|\d+daysAgo)$/;
+
+const STRING_OPERATORS = {
+  equals: 'EXACT',
+  begins_with: 'BEGINS_WITH',
+  ends_with: 'ENDS_WITH',
+  contains: 'CONTAINS',
+  regex: 'FULL_REGEXP',
+  partial_regex: 'PARTIAL_REGEXP'
+};
+
+const NUMERIC_OPERATORS = {
+  eq: 'EQUAL',
+  lt: 'LESS_THAN',
+  lte: 'LESS_THAN_OR_EQUAL',
+  gt: 'GREATER_THAN',
+  gte: 'GREATER_THAN_OR_EQUAL'
+};
+
+const DIMENSION_OPERATORS = [...Object.keys(STRING_OPERATORS), 'in_list'];
+const METRIC_OPERATORS = [...Object.keys(NUMERIC_OPERATORS), 'between'];
+
+const isFiniteNumber = (value) => typeof value === 'number' && isFinite(value);
+
+// GA4 numeric values are either int64 or double
+const toNumericValue = (value) => (Number.isInteger(value) ? { int64Value: String(value) } : { doubleValue: value });
+
+/**
+ * Normalizes a list of field names given as strings or { name } objects
+ * @param {*} list - Raw list from the spec
+ * @param {string} label - dimensions | metrics (for error messages)
+ * @param {number} max - Maximum entries
+ * @param {string[]} errors - Error accumulator
+ * @returns {string[]} Field names
+ */
+const normalizeFieldList = (list, label, max, errors) => {
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list)) {
+    errors.push(`${label} must be an array`);
+    return [];
+  }
+  if (list.length > max) {
+    errors.push(`${label} accepts at most ${max} entries`);
+  }
+
+  const names = list.map(entry => (typeof entry === 'string' ? entry : entry?.name));
+  names.forEach((name, index) => {
+    if (typeof name !== 'string' || !FIELD_NAME_PATTERN.test(name)) {
+      errors.push(`${label}[${index}] is not a valid field name`);
+    }
+  });
+
+  if (new Set(names).size !== names.length) {
+    errors.push(`${label} contains duplicates`);
+  }
+  return names;
+};
+
+/**
+ * Builds a dimension filter expression
+ * @param {Object} filter - { field, operator, value, caseSensitive, not }
+ * @param {number} index - Position (for error messages)
+ * @param {string[]} errors - Error accumulator
+ * @returns {Object|null} FilterExpression
+ */
+const buildDimensionFilter = (filter, index, errors) => {
+  const label = `dimensionFilters[${index}]`;
+  const { field, operator = 'equals', value, caseSensitive = false, not = false } = filter || {};
+
+  if (typeof field !== 'string' || !FIELD_NAME_PATTERN.test(field)) {
+    errors.push(`${label}.field is not a valid field name`);
+    return null;
+  }
+  if (!DIMENSION_OPERATORS.includes(operator)) {
+    errors.push(`${label}.operator must be one of: ${DIMENSION_OPERATORS.join(', ')}`);
+    return null;
+  }
+
+  let expression;
+  if (operator === 'in_list') {
+    if (!Array.isArray(value) || !value.length || value.some(item => typeof item !== 'string')) {
+      errors.push(`${label}.value must be a non-empty array of strings for in_list`);
+      return null;
+    }
+    expression = { filter: { fieldName: field, inListFilter: { values: value, caseSensitive: !!caseSensitive } } };
+  } else {
+    if (typeof value !== 'string' || value === '') {
+      errors.push(`${label}.value must be a non-empty string`);
+      return null;
+    }
+    expression = {
+      filter: {
+        fieldName: field,
+        stringFilter: { matchType: STRING_OPERATORS[operator], value, caseSensitive: !!caseSensitive }
+      }
+    };
+  }
+
+  return not ? { notExpression: expression } : expression;
+};
+
+/**
+ * Builds a metric filter expression
+ * @param {Object} filter - { field, operator, value, not } (value is [min, max] for between)
+ * @param {number} index - Position (for error messages)
+ * @param {string[]} errors - Error accumulator
+ * @returns {Object|null} FilterExpression
+ */
+const buildMetricFilter = (filter, index, errors) => {
+  const label = `metricFilters[${index}]`;
+  const { field, operator, value, not = false } = filter || {};
+
+  if (typeof field !== 'string' || !FIELD_NAME_PATTERN.test(field)) {
+    errors.push(`${label}.field is not a valid field name`);
+    return null;
+  }
+  if (!METRIC_OPERATORS.includes(operator)) {
+    errors.push(`${label}.operator must be one of: ${METRIC_OPERATORS.join(', ')}`);
+    return null;
+  }
+
+  let expression;
+  if (operator === 'between') {
+    if (!Array.isArray(value) || value.length !== 2 || !value.every(isFiniteNumber) || value[0] > value[1]) {
+      errors.push(`${label}.value must be [min, max] for between`);
+      return null;
+    }
+    expression = {
+      filter: {
+        fieldName: field,
+        betweenFilter: { fromValue: toNumericValue(value[0]), toValue: toNumericValue(value[1]) }
+      }
+    };
+  } else {
+    if (!isFiniteNumber(value)) {
+      errors.push(`${label}.value must be a number`);
+      return null;
+    }
+    expression = {
+      filter: {
+        fieldName: field,
+        numericFilter: { operation: NUMERIC_OPERATORS[operator], value: toNumericValue(value) }
+      }
+    };
+  }
+
+  return not ? { notExpression: expression } : expression;
+};
+
+/**
+ * Combines filter expressions with AND
+ * @param {*} filters - Raw filter list from the spec
+ * @param {string} label - dimensionFilters | metricFilters
+ * @param {Function} build - Expression builder
+ * @param {string[]} errors - Error accumulator
+ * @returns {Object|undefined} FilterExpression, or undefined when there are no filters
+ */
+const buildFilterGroup = (filters, label, build, errors) => {
+  if (filters === undefined || filters === null) return undefined;
+  if (!Array.isArray(filters)) {
+    errors.push(`${label} must be an array`);
+    return undefined;
+  }
+  if (filters.length > MAX_FILTERS) {
+    errors.push(`${label} accepts at most ${MAX_FILTERS} filters`);
+    return undefined;
+  }
+
+  const expressions = filters.map((filter, index) => build(filter, index, errors)).filter(Boolean);
+  if (!expressions.length) return undefined;
+  return expressions.length === 1 ? expressions[0] : { andGroup: { expressions } };
+};
+
+/**
+ * Validates a report spec and builds the runReport request body
+ * @param {Object} spec - Report spec (see module docs)
+ * @returns {{ request: Object|null, errors: string[] }} request is null when errors is not empty
+ */
+const buildGa4ReportRequest = (spec = {}) => {
+  const errors = [];
+
+  const dimensions = normalizeFieldList(spec.dimensions, 'dimensions', MAX_DIMENSIONS, errors);
+  const metrics = normalizeFieldList(spec.metrics, 'metrics', MAX_METRICS, errors);
+  if (!metrics.length && !errors.some(error => error.startsWith('metrics'))) {
+    errors.push('metrics must contain at least one metric');
+  }
+
+  // Date ranges: explicit list, or a single range from the top-level from/to
+  let dateRanges;
+  if (spec.dateRanges !== undefined) {
+    if (!Array.isArray(spec.dateRanges) || !spec.dateRanges.length || spec.dateRanges.length > MAX_DATE_RANGES) {
+      errors.push(`dateRanges must be an array of 1 to ${MAX_DATE_RANGES} ranges`);
+      dateRanges = [];
+    } else {
+      dateRanges = spec.dateRanges.map((range, index) => {
+        const startDate = range?.from || range?.startDate;
+        const endDate = range?.to || range?.endDate;
+        if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '')) {
+          errors.push(`dateRanges[${index}] needs from and to as YYYY-MM-DD, today, yesterday or NdaysAgo`);
+        } else if (/^\d{4}-/.test(startDate) && /^\d{4}-/.test(endDate) && startDate > endDate) {
+          errors.push(`dateRanges[${index}].from must not be after to`);
+        }
+        return range?.name ? { startDate, endDate, name: String(range.name) } : { startDate, endDate };
+      });
+    }
+  } else {
+    const { fromDate, toDate } = getDefaultDateRange(spec.from, spec.to);
+    if (fromDate > toDate) errors.push('from must not be after to');
+    dateRanges = [{ startDate: fromDate, endDate: toDate }];
+  }
+
+  const dimensionFilter = buildFilterGroup(spec.dimensionFilters, 'dimensionFilters', buildDimensionFilter, errors);
+  const metricFilter = buildFilterGroup(spec.metricFilters, 'metricFilters', buildMetricFilter, errors);
+
+  // Order-bys may only reference requested fields
+  let orderBys;
+  if (spec.orderBys !== undefined) {
+    if (!Array.isArray(spec.orderBys)) {
+      errors.push('orderBys must be an array');
+    } else {
+      orderBys = spec.orderBys.map((order, index) => {
+        const field = typeof order === 'string' ? order : order?.field;
+        const desc = typeof order === 'object' && order?.desc === true;
+        if (metrics.includes(field)) return { metric: { metricName: field }, desc };
+        if (dimensions.includes(field)) return { dimension: { dimensionName: field }, desc };
+        errors.push(`orderBys[${index}].field must be one of the requested dimensions or metrics`);
+        return null;
+      }).filter(Boolean);
+    }
+  }
+
+  const limit = spec.limit === undefined ? DEFAULT_LIMIT : parseInt(spec.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+  const offset = spec.offset === undefined ? 0 : parseInt(spec.offset);
+  if (!Number.isInteger(offset) || offset < 0) {
+    errors.push('offset must be a non-negative integer');
+  }
+
+  if (errors.length) {
+    return { request: null, errors };
+  }
+
+  const request = {
+    dateRanges,
+    dimensions: dimensions.map(name => ({ name })),
+    metrics: metrics.map(name => ({ name })),
+    limit,
+    offset,
+    metricAggregations: ['TOTAL']
+  };
+  if (dimensionFilter) request.dimensionFilter = dimensionFilter;
+  if (metricFilter) request.metricFilter = metricFilter;
+  if (orderBys?.length) request.orderBys = orderBys;
+
+  return { request, errors };
+};
+
+/**
+ * Parses a metric value according to its GA4 type
+ * @param {string} value - Raw value
+ * @param {string} type - GA4 MetricType
+ * @returns {number} Parsed value
+ */
+const parseMetricValue = (value, type) => {
+  const number = type === 'TYPE_INTEGER' ? parseInt(value) : parseFloat(value);
+  return isFinite(number) ? number : 0;
+};
+
+/**
+ * Flattens a runReport response into rows keyed by field name
+ * @param {Object} response - GA4 runReport response
+ * @returns {Object} { columns, rows, totals, rowCount }
+ */
+const formatGa4ReportResponse = (response = {}) => {
+  const dimensionHeaders = (response.dimensionHeaders || []).map(header => header.name);
+  const metricHeaders = response.metricHeaders || [];
+
+  const toRecord = (row) => {
+    const record = {};
+    dimensionHeaders.forEach((name, index) => {
+      const value = row.dimensionValues?.[index]?.value ?? null;
+      // Match the YYYY-MM-DD dates used by every other endpoint
+      record[name] = name === 'date' && /^\d{8}$/.test(value || '')
+        ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`
+        : value;
+    });
+    metricHeaders.forEach((header, index) => {
+      record[header.name] = parseMetricValue(row.metricValues?.[index]?.value, header.type);
+    });
+    return record;
+  };
+
+  // With several date ranges GA4 returns one total row per range
+  const totals = (response.totals || []).map(row => {
+    const record = toRecord(row);
+    dimensionHeaders.filter(name => name !== 'dateRange').forEach(name => delete record[name]);
+    return record;
+  });
+
+  return {
+    columns: {
+      dimensions: dimensionHeaders,
+      metrics: metricHeaders.map(header => ({ name: header.name, type: header.type }))
+    },
+    rows: (response.rows || []).map(toRecord),
+    totals,
+    rowCount: response.rowCount || 0
+  };
+};
+
+module.exports = {
+  buildGa4ReportRequest,
+  formatGa4ReportResponse,
+  DIMENSION_OPERATORS,
+  METRIC_OPERATORS
+};
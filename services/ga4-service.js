@@ -68,18 +68,14 @@ const refreshAccessToken = async (refreshToken) => {
 };
 
 /**
- * Generic GA4 REST API function for OAuth
- * @param {string} propertyId - GA4 property ID
+ * POSTs a GA4 Data API request with OAuth, refreshing the token once on 401
+ * @param {string} url - Full method URL (e.g. .../properties/123:runReport)
  * @param {Object} requestBody - GA4 API request body
  * @param {string} accessToken - OAuth access token
  * @param {string} refreshToken - OAuth refresh token (optional, for auto-refresh on 401)
- * @returns {Promise<Object>} GA4 report response
+ * @returns {Promise<Object>} GA4 response body
  */
-const runGA4ReportViaREST = async (propertyId, requestBody, accessToken, refreshToken = null) => {
-  const url = `https://analyticsdata.googleapis.com/v1beta/properties/${propertyId}:runReport`;
-
-  console.log('GA4 Service - Running report via REST (OAuth):', JSON.stringify(requestBody, null, 2));
-
+const postGA4RequestViaREST = async (url, requestBody, accessToken, refreshToken = null) => {
   try {
     const response = await axios.post(url, requestBody, {
       headers: {
@@ -88,12 +84,6 @@ const runGA4ReportViaREST = async (propertyId, requestBody, accessToken, refresh
       }
     });
 
-    console.log('GA4 Service - REST response:', {
-      hasRows: !!response.data.rows,
-      rowCount: response.data.rows?.length || 0,
-      dimensionHeaders: response.data.dimensionHeaders?.map(h => h.name)
-    });
-
     return response.data;
   } catch (error) {
     // If 401 and we have a refresh token, try to refresh and retry
@@ -115,12 +105,6 @@ const runGA4ReportViaREST = async (propertyId, requestBody, accessToken, refresh
           }
         });
 
-        console.log('GA4 Service - REST response (after refresh):', {
-          hasRows: !!retryResponse.data.rows,
-          rowCount: retryResponse.data.rows?.length || 0,
-          dimensionHeaders: retryResponse.data.dimensionHeaders?.map(h => h.name)
-        });
-
         return retryResponse.data;
       } catch (refreshError) {
         console.error('GA4 Service - Token refresh failed:', {
@@ -141,6 +125,53 @@ const runGA4ReportViaREST = async (propertyId, requestBody, accessToken, refresh
   }
 };
 
+/**
+ * Generic GA4 REST API function for OAuth
+ * @param {string} propertyId - GA4 property ID
+ * @param {Object} requestBody - GA4 API request body
+ * @param {string} accessToken - OAuth access token
+ * @param {string} refreshToken - OAuth refresh token (optional, for auto-refresh on 401)
+ * @returns {Promise<Object>} GA4 report response
+ */
+const runGA4ReportViaREST = async (propertyId, requestBody, accessToken, refreshToken = null) => {
+  const url = `https://analyticsdata.googleapis.com/v1beta/properties/${propertyId}:runReport`;
+
+  console.log('GA4 Service - Running report via REST (OAuth):', JSON.stringify(requestBody, null, 2));
+
+  const data = await postGA4RequestViaREST(url, requestBody, accessToken, refreshToken);
+
+  console.log('GA4 Service - REST response:', {
+    hasRows: !!data.rows,
+    rowCount: data.rows?.length || 0,
+    dimensionHeaders: data.dimensionHeaders?.map(h => h.name)
+  });
+
+  return data;
+};
+
+/**
+ * Runs a GA4 funnel report (Data API v1alpha runFunnelReport) for OAuth
+ * @param {string} propertyId - GA4 property ID
+ * @param {Object} requestBody - runFunnelReport request body
+ * @param {string} accessToken - OAuth access token
+ * @param {string} refreshToken - OAuth refresh token (optional, for auto-refresh on 401)
+ * @returns {Promise<Object>} GA4 funnel report response
+ */
+const runGA4FunnelReportViaREST = async (propertyId, requestBody, accessToken, refreshToken = null) => {
+  const url = `https://analyticsdata.googleapis.com/v1alpha/properties/${propertyId}:runFunnelReport`;
+
+  console.log('GA4 Service - Running funnel report via REST (OAuth):', JSON.stringify(requestBody, null, 2));
+
+  const data = await postGA4RequestViaREST(url, requestBody, accessToken, refreshToken);
+
+  console.log('GA4 Service - Funnel REST response:', {
+    rowCount: data.funnelTable?.rows?.length || 0,
+    dimensionHeaders: data.funnelTable?.dimensionHeaders?.map(h => h.name)
+  });
+
+  return data;
+};
+
 /**
  * Fetches GA4 users data
  * @param {string} propertyId - GA4 property ID
@@ -268,6 +299,41 @@ const getGa4SalesData = async (propertyId, from, to, options = {}) => {
   }
 };
 
+/**
+ * Fetches GA4 ecommerce data by day and default channel group
+ * @param {string} propertyId - GA4 property ID
+ * @param {string} from - Start date
+ * @param {string} to - End date
+ * @param {Object} options - Configuration (OAuth only)
+ * @param {string} options.accessToken - OAuth access token (required in OAuth-only mode)
+ * @param {string} options.refreshToken - OAuth refresh token (optional)
+ * @returns {Promise<Object>} GA4 report response (metrics: ecommercePurchases, purchaseRevenue, itemsPurchased, refundAmount)
+ */
+const getGa4SalesByChannel = async (propertyId, from, to, options = {}) => {
+  console.log('Fetching GA4 sales data by channel:', { propertyId, from, to, hasOAuth: !!options.accessToken });
+
+  if (!options.accessToken) {
+    throw new Error('GA4 OAuth access token is required (no service account fallback)');
+  }
+
+  const request = {
+    dateRanges: [{ startDate: from, endDate: to }],
+    dimensions: [
+      { name: 'date' },
+      { name: 'sessionDefaultChannelGroup' }
+    ],
+    metrics: [
+      { name: 'ecommercePurchases' },
+      { name: 'purchaseRevenue' },
+      { name: 'itemsPurchased' },
+      { name: 'refundAmount' }
+    ],
+    limit: 10000
+  };
+
+  return runGA4ReportViaREST(propertyId, request, options.accessToken, options.refreshToken);
+};
+
 /**
  * Fetches GA4 top pages data with optional source filtering
  * @param {string} propertyId - GA4 property ID
@@ -793,8 +859,11 @@ const getGa4TopPagesByBrand = async (brandId, from, to, source = null, limit = 1
 };
 
 module.exports = {
+  runGA4ReportViaREST,
+  runGA4FunnelReportViaREST,
   getGa4UsersData,
   getGa4SalesData,
+  getGa4SalesByChannel,
   getGa4EventsData,
   getGa4EventsByDay,
   initializeClient,
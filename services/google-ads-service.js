@@ -0,0 +1,328 @@
+/**
+ * @fileoverview Google Ads API service functions
+ * @module services/google-ads-service
+ *
+ * Reads account, campaign, ad group and daily metrics through the Google Ads
+ * REST API (GAQL over googleAds:searchStream). Credentials come from the brand's
+ * `google_ads` connection:
+ *
+ *   connections.google_ads: {
+ *     customer_id,          // Ads account, digits only or 123-456-7890
+ *     login_customer_id,    // Manager (MCC) account, when access goes through one
+ *     access_token, refresh_token, expires_at
+ *   }
+ *
+ * Every request also needs GOOGLE_ADS_DEVELOPER_TOKEN. Expired access tokens are
+ * refreshed with GOOGLE_OAUTH_CLIENT_ID / GOOGLE_OAUTH_CLIENT_SECRET, as in ga4-service.
+ *
+ * Money values come back in micros and are converted to account currency units.
+ */
+
+const axios = require('axios');
+const { formatDate } = require('../utils/date-utils');
+
+const GOOGLE_ADS_API_VERSION = 'v21';
+const GOOGLE_ADS_BASE_URL = 'https://googleads.googleapis.com';
+
+/**
+ * Strips dashes from a customer ID (123-456-7890 -> 1234567890)
+ * @param {string|number} customerId - Customer ID
+ * @returns {string} Normalized customer ID
+ */
+const normalizeCustomerId = (customerId) => String(customerId || '').replace(/\D/g, '');
+
+const fromMicros = (micros) => parseFloat(((parseInt(micros || 0) || 0) / 1e6).toFixed(2));
+
+/**
+ * Formats a date as YYYY-MM-DD for GAQL date filters
+ * @param {string|Date} date - Date (YYYY-MM-DD, YYYYMMDD or Date)
+ * @returns {string} YYYY-MM-DD
+ */
+const toGaqlDate = (date) => {
+  const formatted = formatDate(date);
+  const iso = /^\d{8}$/.test(formatted)
+    ? `${formatted.slice(0, 4)}-${formatted.slice(4, 6)}-${formatted.slice(6, 8)}`
+    : formatted;
+  // Dates are interpolated into GAQL, so only accept plain calendar dates
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(iso)) {
+    throw new Error(`Invalid date for Google Ads query: ${date}`);
+  }
+  return iso;
+};
+
+/**
+ * Refresh Google OAuth access token using refresh token
+ * @param {string} refreshToken - OAuth refresh token
+ * @returns {Promise<string>} New access token
+ */
+const refreshGoogleAdsAccessToken = async (refreshToken) => {
+  try {
+    console.log('Google Ads Service - Refreshing access token');
+
+    if (!process.env.GOOGLE_OAUTH_CLIENT_ID || !process.env.GOOGLE_OAUTH_CLIENT_SECRET) {
+      throw new Error('Missing GOOGLE_OAUTH_CLIENT_ID or GOOGLE_OAUTH_CLIENT_SECRET environment variables');
+    }
+
+    const response = await axios.post('https://oauth2.googleapis.com/token', {
+      client_id: process.env.GOOGLE_OAUTH_CLIENT_ID,
+      client_secret: process.env.GOOGLE_OAUTH_CLIENT_SECRET,
+      refresh_token: refreshToken,
+      grant_type: 'refresh_token'
+    });
+
+    console.log('Google Ads Service - Token refreshed successfully');
+    return response.data.access_token;
+  } catch (error) {
+    console.error('Google Ads Service - Error refreshing token:', {
+      message: error.message,
+      response: error.response?.data
+    });
+    throw new Error('Failed to refresh Google Ads access token: ' + error.message);
+  }
+};
+
+/**
+ * Runs a GAQL query and returns all result rows
+ * @param {string} customerId - Google Ads customer ID
+ * @param {string} query - GAQL query
+ * @param {Object} options - Configuration
+ * @param {string} options.accessToken - OAuth access token (required)
+ * @param {string} [options.refreshToken] - OAuth refresh token (retries once on 401)
+ * @param {string} [options.loginCustomerId] - Manager account ID
+ * @returns {Promise<Array>} Result rows
+ */
+const runGoogleAdsQuery = async (customerId, query, options = {}) => {
+  const { accessToken, refreshToken, loginCustomerId } = options;
+
+  if (!accessToken) {
+    throw new Error('Google Ads access token is required (no environment fallback)');
+  }
+  if (!process.env.GOOGLE_ADS_DEVELOPER_TOKEN) {
+    throw new Error('Missing GOOGLE_ADS_DEVELOPER_TOKEN environment variable');
+  }
+
+  const url = `${GOOGLE_ADS_BASE_URL}/${GOOGLE_ADS_API_VERSION}/customers/${normalizeCustomerId(customerId)}/googleAds:searchStream`;
+  const send = (token) => axios.post(url, { query }, {
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'developer-token': process.env.GOOGLE_ADS_DEVELOPER_TOKEN,
+      'Content-Type': 'application/json',
+      ...(loginCustomerId ? { 'login-customer-id': normalizeCustomerId(loginCustomerId) } : {})
+    },
+    timeout: 20000
+  });
+
+  let response;
+  try {
+    response = await send(accessToken);
+  } catch (error) {
+    if (error.response?.status !== 401 || !refreshToken) {
+      console.error('Google Ads Service - Query failed:', {
+        customerId,
+        status: error.response?.status,
+        error: error.response?.data?.[0]?.error?.message || error.response?.data?.error?.message || error.message
+      });
+      throw error;
+    }
+
+    console.log('Google Ads Service - Access token expired, refreshing...');
+    response = await send(await refreshGoogleAdsAccessToken(refreshToken));
+  }
+
+  // searchStream returns an array of batches, each with its own results
+  const batches = Array.isArray(response.data) ? response.data : [response.data];
+  return batches.flatMap(batch => batch?.results || []);
+};
+
+/**
+ * Builds the metric block shared by daily, campaign and ad group rows
+ * @param {Object} metrics - GAQL metrics object
+ * @returns {Object} Normalized metrics
+ */
+const buildMetrics = (metrics = {}) => {
+  const spend = fromMicros(metrics.costMicros);
+  const impressions = parseInt(metrics.impressions || 0);
+  const clicks = parseInt(metrics.clicks || 0);
+  const conversions = parseFloat(parseFloat(metrics.conversions || 0).toFixed(2));
+  const conversionValue = parseFloat(parseFloat(metrics.conversionsValue || 0).toFixed(2));
+
+  return {
+    spend,
+    impressions,
+    clicks,
+    conversions,
+    conversionValue,
+    ctr: impressions > 0 ? parseFloat(((clicks / impressions) * 100).toFixed(2)) : 0,
+    cpc: clicks > 0 ? parseFloat((spend / clicks).toFixed(2)) : 0,
+    cpm: impressions > 0 ? parseFloat((spend / impressions * 1000).toFixed(2)) : 0,
+    cpa: conversions > 0 ? parseFloat((spend / conversions).toFixed(2)) : 0,
+    roas: spend > 0 ? parseFloat((conversionValue / spend).toFixed(2)) : 0
+  };
+};
+
+const METRIC_FIELDS = 'metrics.cost_micros, metrics.impressions, metrics.clicks, metrics.conversions, metrics.conversions_value';
+
+/**
+ * Fetches Google Ads account details
+ * @param {string} customerId - Google Ads customer ID
+ * @param {Object} options - Configuration
+ * @param {string} options.accessToken - OAuth access token (required)
+ * @param {string} [options.refreshToken] - OAuth refresh token
+ * @param {string} [options.loginCustomerId] - Manager account ID
+ * @returns {Promise<Object>} { id, name, currency, timezone, manager }
+ */
+exports.getGoogleAdsAccount = async (customerId, options = {}) => {
+  const rows = await runGoogleAdsQuery(customerId, `
+    SELECT customer.id, customer.descriptive_name, customer.currency_code, customer.time_zone, customer.manager
+    FROM customer
+    LIMIT 1`, options);
+
+  const customer = rows[0]?.customer || {};
+  return {
+    id: customer.id || normalizeCustomerId(customerId),
+    name: customer.descriptiveName || null,
+    currency: customer.currencyCode || null,
+    timezone: customer.timeZone || null,
+    manager: !!customer.manager
+  };
+};
+
+/**
+ * Fetches Google Ads data for the specified date range
+ * @param {string} customerId - Google Ads customer ID
+ * @param {string|Date} from - Start date
+ * @param {string|Date} to - End date
+ * @param {Object} options - Configuration
+ * @param {string} options.accessToken - OAuth access token (required; provided from brand.connections.google_ads.access_token)
+ * @param {string} [options.refreshToken] - OAuth refresh token
+ * @param {string} [options.loginCustomerId] - Manager account ID
+ * @returns {Promise<Object>} { account, data: [{ date, ...metrics }], campaigns: [{ id, name, status, channelType, dailyBudget, ...metrics }], totals }
+ */
+exports.getGoogleAdsData = async (customerId, from, to, options = {}) => {
+  try {
+    const since = toGaqlDate(from);
+    const until = toGaqlDate(to);
+    const dateFilter = `segments.date BETWEEN '${since}' AND '${until}'`;
+
+    console.log('Google Ads Service - Fetching data:', { customerId, since, until, hasOAuth: !!options.accessToken });
+
+    const [account, dailyRows, campaignRows] = await Promise.all([
+      exports.getGoogleAdsAccount(customerId, options),
+      runGoogleAdsQuery(customerId, `
+        SELECT segments.date, ${METRIC_FIELDS}
+        FROM customer
+        WHERE ${dateFilter}
+        ORDER BY segments.date`, options),
+      runGoogleAdsQuery(customerId, `
+        SELECT campaign.id, campaign.name, campaign.status, campaign.advertising_channel_type,
+          campaign_budget.amount_micros, ${METRIC_FIELDS}
+        FROM campaign
+        WHERE ${dateFilter} AND metrics.impressions > 0`, options)
+    ]);
+
+    const data = dailyRows.map(row => ({ date: row.segments.date, ...buildMetrics(row.metrics) }));
+
+    const campaigns = campaignRows
+      .map(row => ({
+        id: row.campaign.id,
+        name: row.campaign.name,
+        status: row.campaign.status,
+        channelType: row.campaign.advertisingChannelType || null,
+        dailyBudget: row.campaignBudget?.amountMicros ? fromMicros(row.campaignBudget.amountMicros) : null,
+        ...buildMetrics(row.metrics)
+      }))
+      .sort((a, b) => b.spend - a.spend);
+
+    const totals = buildMetrics(data.reduce((sum, day) => ({
+      costMicros: sum.costMicros + Math.round(day.spend * 1e6),
+      impressions: sum.impressions + day.impressions,
+      clicks: sum.clicks + day.clicks,
+      conversions: sum.conversions + day.conversions,
+      conversionsValue: sum.conversionsValue + day.conversionValue
+    }), { costMicros: 0, impressions: 0, clicks: 0, conversions: 0, conversionsValue: 0 }));
+
+    console.log('Google Ads Service - Data fetched:', {
+      customerId,
+      days: data.length,
+      campaigns: campaigns.length,
+      spend: totals.spend
+    });
+
+    return { account, data, campaigns, totals };
+  } catch (error) {
+    console.error('Google Ads Service - Error fetching data:', {
+      customerId,
+      message: error.message,
+      response: error.response?.data
+    });
+    throw error;
+  }
+};
+
+/**
+ * Fetches ad group metrics for the specified date range
+ * @param {string} customerId - Google Ads customer ID
+ * @param {string|Date} from - Start date
+ * @param {string|Date} to - End date
+ * @param {Object} options - Configuration (see getGoogleAdsData)
+ * @param {string} [options.campaignId] - Limit to one campaign
+ * @returns {Promise<Array>} [{ id, name, status, campaignId, campaignName, ...metrics }]
+ */
+exports.getGoogleAdsAdGroups = async (customerId, from, to, options = {}) => {
+  const { campaignId } = options;
+  const campaignFilter = campaignId ? ` AND campaign.id = ${parseInt(campaignId)}` : '';
+
+  const rows = await runGoogleAdsQuery(customerId, `
+    SELECT ad_group.id, ad_group.name, ad_group.status, ad_group.type, campaign.id, campaign.name, ${METRIC_FIELDS}
+    FROM ad_group
+    WHERE segments.date BETWEEN '${toGaqlDate(from)}' AND '${toGaqlDate(to)}'${campaignFilter}`, options);
+
+  return rows
+    .map(row => ({
+      id: row.adGroup.id,
+      name: row.adGroup.name,
+      status: row.adGroup.status,
+      type: row.adGroup.type || null,
+      campaignId: row.campaign.id,
+      campaignName: row.campaign.name,
+      ...buildMetrics(row.metrics)
+    }))
+    .sort((a, b) => b.spend - a.spend);
+};
+
+/**
+ * Maps a google_ads brand connection to service options
+ * @param {Object} connection - connections.google_ads
+ * @returns {Object} { accessToken, refreshToken, loginCustomerId }
+ */
+exports.getGoogleAdsOptions = (connection = {}) => ({
+  accessToken: connection.access_token,
+  refreshToken: connection.refresh_token || null,
+  loginCustomerId: connection.login_customer_id || null
+});
+
+/**
+ * Fetches Google Ads data using brandId
+ * @param {string} brandId - Brand ID to fetch Google Ads data from
+ * @param {string} from - Start date
+ * @param {string} to - End date
+ * @returns {Promise<Object>} Google Ads report response
+ */
+exports.getGoogleAdsDataByBrand = async (brandId, from, to) => {
+  const { getBrandConnection } = require('./firebase-service.js');
+
+  try {
+    const connection = await getBrandConnection(brandId, 'google_ads');
+
+    if (!connection || !connection.customer_id) {
+      throw new Error(`Google Ads connection not found for brand ${brandId}`);
+    }
+
+    console.log('Google Ads Service - Fetching data by brand:', { brandId, customerId: connection.customer_id, from, to });
+
+    return await exports.getGoogleAdsData(connection.customer_id, from, to, exports.getGoogleAdsOptions(connection));
+  } catch (error) {
+    console.error('Google Ads Service - Error fetching data by brand:', error.message);
+    throw error;
+  }
+};
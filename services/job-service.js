@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Async job service backed by the Firestore `jobs` collection
+ * @module services/job-service
+ *
+ * Long-running generation requests (calendar-sim, image-gen, meta-ad-sim) are
+ * stored as jobs and executed by /api/jobs/worker, so clients get a jobId back
+ * immediately and poll GET /api/jobs/:id for status, progress and result.
+ *
+ * Idempotency: when an idempotency key is supplied the job document ID is
+ * derived from (type, organizationId, key) and created with `create()`, so a
+ * retried POST returns the existing job instead of enqueuing (and billing) the
+ * same work twice. Jobs are claimed inside a transaction, so only one worker
+ * ever runs a given job.
+ */
+
+const crypto = require('crypto');
+const { db } = require('./firebase-service');
+const { toIso } = require('../utils/firestore-utils');
+
+const JOBS_COLLECTION = 'jobs';
+
+// Job types the worker knows how to run
+const JOB_TYPES = ['calendar-sim', 'image-gen', 'meta-ad-sim'];
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+// A running job whose lease expired is assumed dead and may be re-claimed
+const LEASE_MS = 6 * 60 * 1000; // 6 minutes (> 300s maxDuration)
+const MAX_ATTEMPTS = 2;
+
+// Firestore documents are capped at 1 MiB; keep headroom for metadata
+const MAX_RESULT_BYTES = 900 * 1024;
+
+/**
+ * Hashes a payload so a reused idempotency key with a different body can be detected
+ * @param {Object} payload - Job payload
+ * @returns {string} sha256 hex digest
+ */
+const hashPayload = (payload) => {
+  return crypto.createHash('sha256').update(JSON.stringify(payload || {})).digest('hex');
+};
+
+/**
+ * Serializes a job document for API responses
+ * @param {string} id - Job ID
+ * @param {Object} data - Job document data
+ * @returns {Object} Public job representation
+ */
+const formatJob = (id, data) => ({
+  id,
+  type: data.type,
+  status: data.status,
+  progress: data.progress || 0,
+  result: data.result !== undefined ? data.result : null,
+  error: data.error || null,
+  attempts: data.attempts || 0,
+  organizationId: data.organizationId || null,
+  brandId: data.brandId || null,
+  userId: data.userId || null,
+  createdAt: toIso(data.createdAt),
+  startedAt: toIso(data.startedAt),
+  completedAt: toIso(data.completedAt)
+});
+
+/**
+ * Creates a job, or returns the existing one for a repeated idempotency key
+ * @param {Object} params - Job parameters
+ * @param {string} params.type - Job type (one of JOB_TYPES)
+ * @param {Object} params.payload - Request body passed to the underlying endpoint
+ * @param {string} [params.idempotencyKey] - Client-supplied idempotency key
+ * @param {string} [params.organizationId] - Organization ID (used for billing)
+ * @param {string} [params.brandId] - Brand ID
+ * @param {string} [params.userId] - User ID
+ * @returns {Promise<{job: Object, created: boolean}>}
+ * @throws {Error} With `code = 'IDEMPOTENCY_CONFLICT'` when the key was used for a different payload
+ */
+const createJob = async ({ type, payload, idempotencyKey = null, organizationId = null, brandId = null, userId = null }) => {
+  if (!JOB_TYPES.includes(type)) {
+    throw new Error(`Unsupported job type: ${type}`);
+  }
+
+  const col = db.collection(JOBS_COLLECTION);
+  const payloadHash = hashPayload(payload);
+  const ref = idempotencyKey
+    ? col.doc(crypto.createHash('sha256').update(`${type}:${organizationId || ''}:${idempotencyKey}`).digest('hex').slice(0, 32))
+    : col.doc();
+
+  const now = new Date();
+  const data = {
+    type,
+    payload: payload || {},
+    payloadHash,
+    idempotencyKey,
+    organizationId,
+    brandId,
+    userId,
+    status: JOB_STATUS.QUEUED,
+    progress: 0,
+    attempts: 0,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  try {
+    await ref.create(data);
+    console.log('Job Service - Job created:', { jobId: ref.id, type, organizationId, hasIdempotencyKey: !!idempotencyKey });
+    return { job: formatJob(ref.id, data), created: true };
+  } catch (error) {
+    // 6 = ALREADY_EXISTS: same idempotency key was used before
+    if (idempotencyKey && (error.code === 6 || /already exists/i.test(error.message))) {
+      const snap = await ref.get();
+      const existing = snap.data();
+      if (existing.payloadHash !== payloadHash) {
+        const conflict = new Error('Idempotency key was already used with a different payload');
+        conflict.code = 'IDEMPOTENCY_CONFLICT';
+        throw conflict;
+      }
+      console.log('Job Service - Returning existing job for idempotency key:', { jobId: ref.id, status: existing.status });
+      return { job: formatJob(ref.id, existing), created: false };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Fetches a job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job or null if not found
+ */
+const getJob = async (jobId) => {
+  if (!jobId) throw new Error('Job ID is required');
+  const snap = await db.collection(JOBS_COLLECTION).doc(jobId).get();
+  return snap.exists ? formatJob(snap.id, snap.data()) : null;
+};
+
+/**
+ * Fields that mark a job as failed
+ * @param {Object} error - Error details ({ message, status, details })
+ * @returns {Object} Firestore update
+ */
+const failedUpdate = (error) => ({
+  status: JOB_STATUS.FAILED,
+  error: {
+    message: error?.message || 'Job failed',
+    status: error?.status || null,
+    details: error?.details || null
+  },
+  completedAt: new Date(),
+  updatedAt: new Date()
+});
+
+/**
+ * Atomically moves a job from queued (or an expired running lease) to running.
+ * A job whose lease expired on its last attempt is marked failed instead
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Claimed job including payload, or null if not claimable
+ */
+const claimJob = async (jobId) => {
+  const ref = db.collection(JOBS_COLLECTION).doc(jobId);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+
+    const data = snap.data();
+    const now = Date.now();
+    const leaseExpired = data.status === JOB_STATUS.RUNNING && data.leaseExpiresAt && data.leaseExpiresAt < now;
+    if (leaseExpired && (data.attempts || 0) >= MAX_ATTEMPTS) {
+      // Out of attempts: fail it so it stops reporting progress and leaves the sweep
+      tx.update(ref, failedUpdate({ message: `Job timed out after ${data.attempts} attempts` }));
+      return null;
+    }
+    const claimable = data.status === JOB_STATUS.QUEUED || leaseExpired;
+    if (!claimable) return null;
+
+    const update = {
+      status: JOB_STATUS.RUNNING,
+      progress: 10,
+      attempts: (data.attempts || 0) + 1,
+      leaseExpiresAt: now + LEASE_MS,
+      startedAt: new Date(now),
+      updatedAt: new Date(now)
+    };
+    tx.update(ref, update);
+    return { id: snap.id, ...data, ...update };
+  });
+};
+
+/**
+ * Finds queued jobs (or running jobs whose lease has expired) for the cron sweep
+ * @param {number} limit - Maximum jobs to return
+ * @returns {Promise<string[]>} Job IDs
+ */
+const findRunnableJobIds = async (limit = 5) => {
+  const col = db.collection(JOBS_COLLECTION);
+  const [queued, running] = await Promise.all([
+    col.where('status', '==', JOB_STATUS.QUEUED).limit(limit).get(),
+    col.where('status', '==', JOB_STATUS.RUNNING).where('leaseExpiresAt', '<', Date.now()).limit(limit).get()
+  ]);
+  const ids = [];
+  queued.forEach(doc => ids.push(doc.id));
+  running.forEach(doc => ids.push(doc.id));
+  return ids.slice(0, limit);
+};
+
+/**
+ * Marks a job as succeeded and stores its result
+ * @param {string} jobId - Job ID
+ * @param {any} result - JSON result returned by the underlying endpoint
+ */
+const completeJob = async (jobId, result) => {
+  const size = Buffer.byteLength(JSON.stringify(result === undefined ? null : result));
+  if (size > MAX_RESULT_BYTES) {
+    return failJob(jobId, { message: `Result too large to store (${size} bytes)` });
+  }
+  await db.collection(JOBS_COLLECTION).doc(jobId).update({
+    status: JOB_STATUS.SUCCEEDED,
+    progress: 100,
+    result: result === undefined ? null : result,
+    completedAt: new Date(),
+    updatedAt: new Date()
+  });
+};
+
+/**
+ * Marks a job as failed
+ * @param {string} jobId - Job ID
+ * @param {Object} error - Error details ({ message, status, details })
+ */
+const failJob = async (jobId, error) => {
+  await db.collection(JOBS_COLLECTION).doc(jobId).update(failedUpdate(error));
+};
+
+module.exports = {
+  JOB_TYPES,
+  JOB_STATUS,
+  createJob,
+  getJob,
+  claimJob,
+  findRunnableJobIds,
+  completeJob,
+  failJob
+};
@@ -0,0 +1,369 @@
+/**
+ * @fileoverview LinkedIn Service - Functions for fetching LinkedIn organization page posts and statistics
+ * @module services/linkedin-service
+ *
+ * Uses the LinkedIn Community Management API (versioned REST) with the brand's
+ * `linkedin_page` connection:
+ *
+ *   connections.linkedin_page: { organization_id, access_token, refresh_token, expires_at }
+ *
+ * The token needs the r_organization_social and rw_organization_admin scopes.
+ * Expired tokens are refreshed with LINKEDIN_CLIENT_ID / LINKEDIN_CLIENT_SECRET
+ * (when the app has refresh tokens enabled) and the request retried once.
+ *
+ * Post lists use the same shape as meta-social-service#getFacebookPosts.
+ */
+
+const axios = require('axios');
+const { convertToBusinessTimezone } = require('../utils/date-utils');
+
+const LINKEDIN_API_VERSION = '202509';
+const LINKEDIN_BASE_URL = 'https://api.linkedin.com/rest';
+
+// Posts are paged newest first, 50 per page
+const POSTS_PAGE_SIZE = 50;
+const MAX_POST_PAGES = 10;
+
+// organizationalEntityShareStatistics accepts a limited number of posts per call
+const STATS_BATCH_SIZE = 20;
+
+/**
+ * Normalizes an organization ID or URN to the numeric ID
+ * @param {string|number} organizationId - 12345 or urn:li:organization:12345
+ * @returns {string} Numeric organization ID
+ */
+const normalizeOrganizationId = (organizationId) => String(organizationId || '').replace(/^urn:li:organization:/, '');
+
+const organizationUrn = (organizationId) => `urn:li:organization:${normalizeOrganizationId(organizationId)}`;
+
+/**
+ * Builds a Rest.li 2.0 List(...) parameter; URNs are encoded, the list syntax is not
+ * @param {string[]} values - Values
+ * @returns {string} List(...) parameter
+ */
+const restliList = (values) => `List(${values.map(encodeURIComponent).join(',')})`;
+
+/**
+ * Refresh LinkedIn OAuth access token using refresh token
+ * @param {string} refreshToken - OAuth refresh token
+ * @returns {Promise<string>} New access token
+ */
+const refreshLinkedInAccessToken = async (refreshToken) => {
+  try {
+    console.log('LinkedIn Service - Refreshing access token');
+
+    if (!process.env.LINKEDIN_CLIENT_ID || !process.env.LINKEDIN_CLIENT_SECRET) {
+      throw new Error('Missing LINKEDIN_CLIENT_ID or LINKEDIN_CLIENT_SECRET environment variables');
+    }
+
+    const response = await axios.post('https://www.linkedin.com/oauth/v2/accessToken', new URLSearchParams({
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+      client_id: process.env.LINKEDIN_CLIENT_ID,
+      client_secret: process.env.LINKEDIN_CLIENT_SECRET
+    }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+
+    console.log('LinkedIn Service - Token refreshed successfully');
+    return response.data.access_token;
+  } catch (error) {
+    console.error('LinkedIn Service - Error refreshing token:', {
+      message: error.message,
+      response: error.response?.data
+    });
+    throw new Error('Failed to refresh LinkedIn access token: ' + error.message);
+  }
+};
+
+/**
+ * GETs a LinkedIn REST resource, refreshing the access token once on 401
+ * @param {string} path - Path and query string after /rest/ (already encoded)
+ * @param {Object} options - { accessToken, refreshToken }
+ * @param {Object} [headers] - Extra headers (e.g. X-RestLi-Method)
+ * @returns {Promise<Object>} Response body
+ */
+const linkedInGet = async (path, { accessToken, refreshToken } = {}, headers = {}) => {
+  if (!accessToken) {
+    throw new Error('LinkedIn access token is required (no environment fallback)');
+  }
+
+  const send = (token) => axios.get(`${LINKEDIN_BASE_URL}/${path}`, {
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'LinkedIn-Version': LINKEDIN_API_VERSION,
+      'X-Restli-Protocol-Version': '2.0.0',
+      ...headers
+    },
+    timeout: 15000
+  });
+
+  try {
+    return (await send(accessToken)).data;
+  } catch (error) {
+    if (error.response?.status !== 401 || !refreshToken) {
+      throw error;
+    }
+    console.log('LinkedIn Service - Access token expired, refreshing...');
+    return (await send(await refreshLinkedInAccessToken(refreshToken))).data;
+  }
+};
+
+/**
+ * Fetches lifetime share statistics for posts, keyed by post URN
+ * @param {string} organizationId - LinkedIn organization ID
+ * @param {string[]} postUrns - urn:li:share / urn:li:ugcPost URNs
+ * @param {Object} options - { accessToken, refreshToken }
+ * @returns {Promise<Object>} { [urn]: totalShareStatistics }
+ */
+async function fetchPostStatistics(organizationId, postUrns, options) {
+  const statsByUrn = {};
+
+  for (let i = 0; i < postUrns.length; i += STATS_BATCH_SIZE) {
+    const batch = postUrns.slice(i, i + STATS_BATCH_SIZE);
+    const shares = batch.filter(urn => urn.startsWith('urn:li:share:'));
+    const ugcPosts = batch.filter(urn => urn.startsWith('urn:li:ugcPost:'));
+
+    const query = [
+      'q=organizationalEntity',
+      `organizationalEntity=${encodeURIComponent(organizationUrn(organizationId))}`,
+      shares.length ? `shares=${restliList(shares)}` : null,
+      ugcPosts.length ? `ugcPosts=${restliList(ugcPosts)}` : null
+    ].filter(Boolean).join('&');
+
+    try {
+      const data = await linkedInGet(`organizationalEntityShareStatistics?${query}`, options);
+      (data.elements || []).forEach(element => {
+        const urn = element.share || element.ugcPost;
+        if (urn) statsByUrn[urn] = element.totalShareStatistics || {};
+      });
+    } catch (error) {
+      // Posts are still returned, just without statistics
+      console.error('LinkedIn Service - Error fetching post statistics:', {
+        message: error.message,
+        status: error.response?.status,
+        response: error.response?.data,
+        postCount: batch.length
+      });
+    }
+  }
+
+  return statsByUrn;
+}
+
+/**
+ * Resolves image URNs to download URLs (best effort)
+ * @param {string[]} imageUrns - urn:li:image URNs
+ * @param {Object} options - { accessToken, refreshToken }
+ * @returns {Promise<Object>} { [urn]: downloadUrl }
+ */
+async function fetchImageUrls(imageUrns, options) {
+  if (!imageUrns.length) return {};
+
+  try {
+    const data = await linkedInGet(`images?ids=${restliList(imageUrns)}`, options);
+    return Object.fromEntries(Object.entries(data.results || {})
+      .map(([urn, image]) => [urn, image.downloadUrl || null]));
+  } catch (error) {
+    console.warn('LinkedIn Service - Error resolving post images:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Gets the count and details of LinkedIn organization posts within a date range
+ * @param {string} organizationId - LinkedIn organization ID (or URN)
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @param {number} [limit=25] - Maximum number of post details to return
+ * @param {string} [businessTimezone] - Business timezone for timestamp conversion
+ * @param {Object} [options={}] - Additional options
+ * @param {string} [options.accessToken] - OAuth access token (required; provided from brand.connections.linkedin_page.access_token)
+ * @param {string} [options.refreshToken] - OAuth refresh token
+ * @returns {Promise<Object>} Count of posts and post details
+ */
+exports.getLinkedInPosts = async function(organizationId, from, to, limit = 25, businessTimezone = null, options = {}) {
+  try {
+    console.log(`Fetching LinkedIn posts for organization ${organizationId} from ${from} to ${to}`);
+
+    const fromTime = new Date(from).getTime();
+    const toEnd = new Date(to); toEnd.setHours(23, 59, 59, 999);
+    const toTime = toEnd.getTime();
+
+    // Posts are sorted newest first; page back until we pass the start of the range
+    const posts = [];
+    for (let page = 0; page < MAX_POST_PAGES; page++) {
+      const query = [
+        `author=${encodeURIComponent(organizationUrn(organizationId))}`,
+        'q=author',
+        'sortBy=CREATED',
+        `count=${POSTS_PAGE_SIZE}`,
+        `start=${page * POSTS_PAGE_SIZE}`
+      ].join('&');
+
+      const data = await linkedInGet(`posts?${query}`, options, { 'X-RestLi-Method': 'FINDER' });
+      const elements = data.elements || [];
+      posts.push(...elements);
+
+      const oldest = elements[elements.length - 1];
+      if (elements.length < POSTS_PAGE_SIZE || (oldest && (oldest.publishedAt || oldest.createdAt) < fromTime)) break;
+    }
+
+    const postsInRange = posts.filter(post => {
+      const postTime = post.publishedAt || post.createdAt;
+      return postTime >= fromTime && postTime <= toTime && post.lifecycleState !== 'DELETED';
+    });
+
+    console.log(`Found ${postsInRange.length} LinkedIn posts within date range`);
+
+    const limitedPosts = postsInRange.slice(0, limit);
+    const imageUrns = limitedPosts
+      .map(post => post.content?.media?.id || post.content?.multiImage?.images?.[0]?.id)
+      .filter(urn => urn && urn.startsWith('urn:li:image:'));
+
+    const [statsByUrn, imageUrls] = await Promise.all([
+      fetchPostStatistics(organizationId, limitedPosts.map(post => post.id), options),
+      fetchImageUrls(imageUrns, options)
+    ]);
+
+    const details = limitedPosts.map(post => {
+      const stats = statsByUrn[post.id] || {};
+      const mediaUrn = post.content?.media?.id || post.content?.multiImage?.images?.[0]?.id;
+
+      return {
+        id: post.id,
+        message: post.commentary || '',
+        created_time: convertToBusinessTimezone(new Date(post.publishedAt || post.createdAt).toISOString(), businessTimezone),
+        permalink_url: `https://www.linkedin.com/feed/update/${post.id}`,
+        thumbnail_url: (mediaUrn && imageUrls[mediaUrn]) || post.content?.article?.thumbnail || null,
+        likes: stats.likeCount || 0,
+        comments: stats.commentCount || 0,
+        shares: stats.shareCount || 0,
+        insights: {
+          post_impressions: stats.impressionCount || 0,
+          post_impressions_unique: stats.uniqueImpressionsCount || 0,
+          post_clicks: stats.clickCount || 0,
+          engagement_rate: stats.engagement !== undefined ? parseFloat((stats.engagement * 100).toFixed(2)) : 0
+        }
+      };
+    });
+
+    console.log(`Total LinkedIn posts found: ${postsInRange.length}, returning ${details.length} in details (limit: ${limit})`);
+
+    return { count: postsInRange.length, details };
+  } catch (error) {
+    console.error('Error fetching LinkedIn posts:', error.message);
+    if (error.response?.data) {
+      console.error('LinkedIn API error details:', JSON.stringify(error.response.data, null, 2));
+    }
+    throw error;
+  }
+};
+
+/**
+ * Gets the count of LinkedIn organization posts within a date range (never throws)
+ * @param {string} organizationId - LinkedIn organization ID
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @param {number} [limit=25] - Maximum number of post details to return
+ * @param {string} [businessTimezone] - Business timezone for timestamp conversion
+ * @param {Object} [options={}] - See getLinkedInPosts
+ * @returns {Promise<Object>} Count of posts and post details
+ */
+exports.getLinkedInPostsCount = async function(organizationId, from, to, limit = 25, businessTimezone = null, options = {}) {
+  try {
+    return await exports.getLinkedInPosts(organizationId, from, to, limit, businessTimezone, options);
+  } catch (error) {
+    console.error('Error in LinkedIn posts count:', error.message);
+    return { count: 0, details: [] };
+  }
+};
+
+/**
+ * Gets the followers count for a LinkedIn organization page
+ * @param {string} organizationId - LinkedIn organization ID
+ * @param {Object} [options={}] - Additional options
+ * @param {string} [options.accessToken] - OAuth access token (required; provided from brand.connections.linkedin_page.access_token)
+ * @param {string} [options.refreshToken] - OAuth refresh token
+ * @returns {Promise<number>} Followers count
+ */
+exports.getLinkedInFollowers = async function(organizationId, options = {}) {
+  try {
+    const data = await linkedInGet(
+      `networkSizes/${encodeURIComponent(organizationUrn(organizationId))}?edgeType=COMPANY_FOLLOWED_BY_MEMBER`,
+      options
+    );
+    return data.firstDegreeSize || 0;
+  } catch (error) {
+    console.error('Error fetching LinkedIn followers:', error.message);
+    return 0;
+  }
+};
+
+/**
+ * Gets page-level share statistics (impressions, clicks, engagement) for a date range
+ * @param {string} organizationId - LinkedIn organization ID
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @param {Object} [options={}] - See getLinkedInPosts
+ * @returns {Promise<Object>} { impressions, uniqueImpressions, clicks, likes, comments, shares, engagementRate }
+ */
+exports.getLinkedInPageStatistics = async function(organizationId, from, to, options = {}) {
+  const start = new Date(from).getTime();
+  const endDate = new Date(to); endDate.setDate(endDate.getDate() + 1);
+  const query = [
+    'q=organizationalEntity',
+    `organizationalEntity=${encodeURIComponent(organizationUrn(organizationId))}`,
+    `timeIntervals=(timeRange:(start:${start},end:${endDate.getTime()}),timeGranularityType:DAY)`
+  ].join('&');
+
+  const data = await linkedInGet(`organizationalEntityShareStatistics?${query}`, options);
+
+  const totals = (data.elements || []).reduce((sum, element) => {
+    const stats = element.totalShareStatistics || {};
+    return {
+      impressions: sum.impressions + (stats.impressionCount || 0),
+      uniqueImpressions: sum.uniqueImpressions + (stats.uniqueImpressionsCount || 0),
+      clicks: sum.clicks + (stats.clickCount || 0),
+      likes: sum.likes + (stats.likeCount || 0),
+      comments: sum.comments + (stats.commentCount || 0),
+      shares: sum.shares + (stats.shareCount || 0)
+    };
+  }, { impressions: 0, uniqueImpressions: 0, clicks: 0, likes: 0, comments: 0, shares: 0 });
+
+  // LinkedIn's engagement rate: (clicks + likes + comments + shares) / impressions
+  totals.engagementRate = totals.impressions > 0
+    ? parseFloat((((totals.clicks + totals.likes + totals.comments + totals.shares) / totals.impressions) * 100).toFixed(2))
+    : 0;
+
+  return totals;
+};
+
+/**
+ * Fetches LinkedIn posts using brandId
+ * @param {string} brandId - Brand ID to fetch LinkedIn data from
+ * @param {string} from - Start date
+ * @param {string} to - End date
+ * @returns {Promise<Object>} LinkedIn posts response
+ */
+exports.getLinkedInPostsByBrand = async (brandId, from, to) => {
+  const { getBrandConnection } = require('./firebase-service.js');
+
+  try {
+    const connection = await getBrandConnection(brandId, 'linkedin_page');
+
+    if (!connection || !connection.organization_id) {
+      throw new Error(`LinkedIn page connection not found for brand ${brandId}`);
+    }
+
+    console.log('LinkedIn Service - Fetching posts by brand:', { brandId, organizationId: connection.organization_id, from, to });
+
+    return await exports.getLinkedInPostsCount(connection.organization_id, from, to, 25, null, {
+      accessToken: connection.access_token,
+      refreshToken: connection.refresh_token
+    });
+  } catch (error) {
+    console.error('LinkedIn Service - Error fetching posts by brand:', error.message);
+    throw error;
+  }
+};
@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Outbound email with pluggable transports
+ * @module services/mail-service
+ *
+ * Transports:
+ *   - `smtp`: nodemailer over SMTP (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+ *   - `stub`: keeps messages in memory (and writes them to MAIL_STUB_DIR when set)
+ *     so digests can be rendered and checked locally without sending anything
+ *
+ * MAIL_TRANSPORT picks the transport; without it, `smtp` is used when SMTP_HOST
+ * is set. Falling back to `stub` only happens when NODE_ENV is development or
+ * test: anywhere else a missing configuration throws, so callers record a
+ * failure instead of reporting mail that was never sent. The sender is MAIL_FROM.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_FROM = 'Reports <reports@localhost>';
+
+const transports = {};
+
+// Environments where an unconfigured transport falls back to the stub
+const STUB_FALLBACK_ENVIRONMENTS = ['development', 'test'];
+
+/**
+ * Registers a mail transport
+ * @param {string} name - Transport name
+ * @param {Function} factory - () => ({ send: async (message) => ({ messageId, ... }) })
+ */
+const registerMailTransport = (name, factory) => {
+  transports[name] = { factory, instance: null };
+};
+
+/**
+ * Picks the transport name from the environment
+ * @returns {string} Transport name
+ * @throws {Error} When no transport is configured outside development/test
+ */
+const resolveTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.SMTP_HOST) return 'smtp';
+  if (STUB_FALLBACK_ENVIRONMENTS.includes(process.env.NODE_ENV)) return 'stub';
+  throw new Error('No mail transport configured: set SMTP_HOST, or MAIL_TRANSPORT=stub to capture mail without sending');
+};
+
+/**
+ * Returns the configured transport (created once per process)
+ * @param {string} [name] - Transport name (defaults to MAIL_TRANSPORT / auto-detect)
+ * @returns {Object} Transport with a send(message) method
+ * @throws {Error} When the transport is unknown or none is configured
+ */
+const getMailTransport = (name = null) => {
+  const transportName = name || resolveTransportName();
+  const entry = transports[transportName];
+  if (!entry) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+  if (!entry.instance) {
+    entry.instance = { name: transportName, ...entry.factory() };
+  }
+  return entry.instance;
+};
+
+const stubOutbox = [];
+
+registerMailTransport('stub', () => ({
+  send: async (message) => {
+    const messageId = `stub-${Date.now()}-${stubOutbox.length + 1}`;
+    stubOutbox.push({ messageId, ...message, sentAt: new Date().toISOString() });
+
+    const dir = process.env.MAIL_STUB_DIR;
+    if (dir) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, `${messageId}.html`), message.html || message.text || '', 'utf8');
+    }
+
+    console.log('Mail Service - Stub transport captured message:', {
+      messageId,
+      to: message.to,
+      subject: message.subject
+    });
+    return { messageId, accepted: [].concat(message.to) };
+  }
+}));
+
+registerMailTransport('smtp', () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP transport requires SMTP_HOST');
+  }
+
+  // Lazy require: only deployments that send real mail need nodemailer loaded
+  const nodemailer = require('nodemailer');
+  const port = parseInt(process.env.SMTP_PORT || '587');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId, accepted: info.accepted || [] };
+    }
+  };
+});
+
+/**
+ * Sends an email through the configured transport
+ * @param {Object} message - Message
+ * @param {string|string[]} message.to - Recipient(s)
+ * @param {string} message.subject - Subject line
+ * @param {string} [message.html] - HTML body
+ * @param {string} [message.text] - Plain-text body
+ * @param {string} [message.from] - Sender (defaults to MAIL_FROM)
+ * @param {Object} [options] - Options
+ * @param {string} [options.transport] - Transport name override
+ * @returns {Promise<{messageId: string, accepted: string[], transport: string}>}
+ */
+const sendMail = async (message, { transport = null } = {}) => {
+  const recipients = [].concat(message?.to || []).filter(Boolean);
+  if (recipients.length === 0) {
+    throw new Error('At least one recipient is required');
+  }
+  if (!message.subject) {
+    throw new Error('Subject is required');
+  }
+
+  const mailer = getMailTransport(transport);
+  const result = await mailer.send({
+    from: message.from || process.env.MAIL_FROM || DEFAULT_FROM,
+    to: recipients,
+    subject: message.subject,
+    html: message.html,
+    text: message.text
+  });
+
+  return { ...result, transport: mailer.name };
+};
+
+/**
+ * Messages captured by the stub transport in this process
+ * @returns {Array} Captured messages (oldest first)
+ */
+const getStubOutbox = () => stubOutbox.slice();
+
+module.exports = {
+  registerMailTransport,
+  getMailTransport,
+  sendMail,
+  getStubOutbox
+};
@@ -42,6 +42,8 @@ const refreshMetaAccessToken = async (shortLivedToken) => {
   }
 };
 
+exports.refreshMetaAccessToken = refreshMetaAccessToken;
+
 /**
  * Fetches Meta Ads data for the specified date range
  * @param {string} metaAccountId - Meta Ads account ID
@@ -1893,6 +1895,194 @@ function isManualPlacement(adSet) {
   return isPlatformSubset || isPlatformCustom || isPositionSubset || isPositionCustom;
 }
 
+// Currencies Meta reports in whole units instead of cents
+const ZERO_DECIMAL_CURRENCIES = ['CLP', 'COP', 'CRC', 'HUF', 'ISK', 'IDR', 'JPY', 'KRW', 'PYG', 'TWD', 'VND'];
+
+/**
+ * Follows Graph API `paging.next` links and returns every row
+ * @param {string} url - First page URL
+ * @param {Object} params - Query parameters for the first page
+ * @param {number} maxPages - Safety cap on pages fetched
+ * @returns {Promise<Array>} All rows
+ */
+async function fetchAllPages(url, params, maxPages = 20) {
+  const rows = [];
+  let response = await axios.get(url, { params, timeout: 15000 });
+
+  for (let page = 1; ; page++) {
+    rows.push(...(response.data?.data || []));
+    const next = response.data?.paging?.next;
+    if (!next || page >= maxPages) break;
+    response = await axios.get(next, { timeout: 15000 });
+  }
+
+  return rows;
+}
+
+/**
+ * Fetches campaign budgets and daily campaign spend for budget pacing
+ * @param {string} metaAccountId - Meta ad account ID (without the act_ prefix)
+ * @param {string} from - First day of daily spend (YYYY-MM-DD)
+ * @param {string} to - Last day of daily spend (YYYY-MM-DD)
+ * @param {Object} options - Options
+ * @param {string} options.accessToken - OAuth access token from brand connections
+ * @returns {Promise<Object>} { account: { id, currency, timezone }, campaigns: [...], dailySpend: [{ date, spend }] }
+ */
+exports.getMetaBudgetPacingData = async (metaAccountId, from, to, options = {}) => {
+  const { accessToken } = options;
+  if (!accessToken) {
+    throw new Error('Meta access token is required for getMetaBudgetPacingData (no environment fallback)');
+  }
+
+  const accountUrl = `${META_BASE_URL}/${META_API_VERSION}/act_${metaAccountId}`;
+  console.log('Meta Ads Service - Fetching budget pacing data:', { metaAccountId, from, to });
+
+  try {
+    const [accountResponse, insights, campaigns, adSets] = await Promise.all([
+      axios.get(accountUrl, {
+        params: { access_token: accessToken, fields: 'currency,timezone_name' },
+        timeout: 10000
+      }),
+      fetchAllPages(`${accountUrl}/insights`, {
+        access_token: accessToken,
+        level: 'campaign',
+        fields: 'campaign_id,spend',
+        time_range: JSON.stringify({ since: formatDate(from), until: formatDate(to) }),
+        time_increment: 1,
+        limit: 500
+      }),
+      fetchAllPages(`${accountUrl}/campaigns`, {
+        access_token: accessToken,
+        fields: 'id,name,effective_status,daily_budget,lifetime_budget,budget_remaining,start_time,stop_time',
+        limit: 500
+      }),
+      fetchAllPages(`${accountUrl}/adsets`, {
+        access_token: accessToken,
+        fields: 'campaign_id,effective_status,daily_budget,lifetime_budget,budget_remaining,end_time',
+        limit: 500
+      })
+    ]);
+
+    const currency = accountResponse.data?.currency || null;
+    const divisor = ZERO_DECIMAL_CURRENCIES.includes(currency) ? 1 : 100;
+    const toAmount = (value) => (value !== undefined && value !== null && value !== '' ? parseFloat(value) / divisor : null);
+
+    const spendByCampaign = {};
+    const accountDaily = {};
+    insights.forEach(row => {
+      const spend = parseFloat(row.spend || 0);
+      const date = row.date_start;
+      spendByCampaign[row.campaign_id] = spendByCampaign[row.campaign_id] || {};
+      spendByCampaign[row.campaign_id][date] = (spendByCampaign[row.campaign_id][date] || 0) + spend;
+      accountDaily[date] = (accountDaily[date] || 0) + spend;
+    });
+
+    const adSetsByCampaign = {};
+    adSets.forEach(adSet => {
+      (adSetsByCampaign[adSet.campaign_id] = adSetsByCampaign[adSet.campaign_id] || []).push(adSet);
+    });
+
+    const result = campaigns
+      // Only campaigns that are running or spent in the window matter for pacing
+      .filter(campaign => campaign.effective_status === 'ACTIVE' || spendByCampaign[campaign.id])
+      .map(campaign => {
+        // Campaign budget optimization puts the budget on the campaign, otherwise it lives on the ad sets
+        const hasCampaignBudget = !!(campaign.daily_budget || campaign.lifetime_budget);
+        const activeAdSets = (adSetsByCampaign[campaign.id] || []).filter(adSet => adSet.effective_status === 'ACTIVE');
+        const sum = (key) => activeAdSets.reduce((total, adSet) => total + (toAmount(adSet[key]) || 0), 0);
+        const adSetEnds = activeAdSets.map(adSet => adSet.end_time).filter(Boolean).sort();
+
+        return {
+          id: campaign.id,
+          name: campaign.name,
+          status: campaign.effective_status,
+          budgetLevel: hasCampaignBudget ? 'campaign' : 'adset',
+          dailyBudget: hasCampaignBudget ? toAmount(campaign.daily_budget) : (sum('daily_budget') || null),
+          lifetimeBudget: hasCampaignBudget ? toAmount(campaign.lifetime_budget) : (sum('lifetime_budget') || null),
+          budgetRemaining: hasCampaignBudget ? toAmount(campaign.budget_remaining) : (sum('budget_remaining') || null),
+          startTime: campaign.start_time || null,
+          stopTime: campaign.stop_time || adSetEnds[adSetEnds.length - 1] || null,
+          dailySpend: Object.entries(spendByCampaign[campaign.id] || {})
+            .map(([date, spend]) => ({ date, spend: parseFloat(spend.toFixed(2)) }))
+            .sort((a, b) => a.date.localeCompare(b.date))
+        };
+      });
+
+    return {
+      account: {
+        id: metaAccountId,
+        currency,
+        timezone: accountResponse.data?.timezone_name || null
+      },
+      campaigns: result,
+      dailySpend: Object.entries(accountDaily)
+        .map(([date, spend]) => ({ date, spend: parseFloat(spend.toFixed(2)) }))
+        .sort((a, b) => a.date.localeCompare(b.date))
+    };
+  } catch (error) {
+    console.error('Meta Ads Service - Error fetching budget pacing data:', {
+      metaAccountId,
+      message: error.message,
+      status: error.response?.status,
+      response: error.response?.data
+    });
+    throw error;
+  }
+};
+
+/**
+ * Fetches account-level spend and Meta-reported purchases for a date range
+ * (Meta's own attribution window, e.g. 7-day click / 1-day view)
+ * @param {string} metaAccountId - Meta Ads account ID
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @param {Object} options - Additional options
+ * @param {string} options.accessToken - OAuth access token (required; provided from brand.connections.meta_ads.access_token)
+ * @returns {Promise<Object>} { spend, purchases, purchaseValue, currency }
+ */
+exports.getMetaConversionTotals = async (metaAccountId, from, to, options = {}) => {
+  const { accessToken } = options;
+  if (!accessToken) {
+    throw new Error('Meta access token is required for getMetaConversionTotals (no environment fallback)');
+  }
+
+  const accountUrl = `${META_BASE_URL}/${META_API_VERSION}/act_${metaAccountId}`;
+  console.log('Meta Ads Service - Fetching conversion totals:', { metaAccountId, from, to });
+
+  try {
+    const [accountResponse, insights] = await Promise.all([
+      axios.get(accountUrl, {
+        params: { access_token: accessToken, fields: 'currency' },
+        timeout: 10000
+      }),
+      fetchAllPages(`${accountUrl}/insights`, {
+        access_token: accessToken,
+        level: 'account',
+        fields: 'spend,actions,action_values',
+        time_range: JSON.stringify({ since: formatDate(from), until: formatDate(to) })
+      })
+    ]);
+
+    const row = insights[0] || {};
+    const findValue = (list, actionType) => parseFloat((list || []).find(a => a.action_type === actionType)?.value || 0);
+
+    return {
+      spend: parseFloat(parseFloat(row.spend || 0).toFixed(2)),
+      purchases: findValue(row.actions, 'purchase') || findValue(row.actions, 'offsite_conversion.fb_pixel_purchase'),
+      purchaseValue: parseFloat((findValue(row.action_values, 'purchase') || findValue(row.action_values, 'offsite_conversion.fb_pixel_purchase')).toFixed(2)),
+      currency: accountResponse.data?.currency || null
+    };
+  } catch (error) {
+    console.error('Meta Ads Service - Error fetching conversion totals:', {
+      metaAccountId,
+      message: error.message,
+      status: error.response?.status,
+      response: error.response?.data
+    });
+    throw error;
+  }
+};
+
 /**
  * Fetches Meta Ads data using brandId
  * @param {string} brandId - Brand ID to fetch Meta Ads data from
@@ -0,0 +1,371 @@
+/**
+ * @fileoverview Meta OAuth token lifecycle - validates, refreshes and records the health of
+ * the facebook_page, instagram_page and meta_ads connections on each brand
+ * @module services/meta-token-service
+ *
+ * A scheduled sweep (/api/connections/refresh) checks every brand once per
+ * CHECK_INTERVAL_HOURS:
+ *   1. debug_token reports whether each token is still valid, when it expires and its scopes
+ *   2. tokens expiring within REFRESH_WINDOW_DAYS are re-exchanged for a new long-lived
+ *      token (refreshMetaAccessToken) and written back to the connection
+ *   3. the outcome is stored on the brand as `connectionHealth`
+ *
+ * Page tokens derived from a long-lived user token never expire (debug_token
+ * reports expires_at 0); those are only validated. A token Meta has invalidated
+ * (password change, removed app, revoked permission) cannot be refreshed - the
+ * brand has to reconnect, which is what /api/connections/health surfaces.
+ */
+
+const axios = require('axios');
+const { refreshMetaAccessToken } = require('./meta-ads-service');
+const { getDb } = require('../utils/firestore-utils');
+
+const META_API_VERSION = 'v24.0';
+const META_BASE_URL = 'https://graph.facebook.com';
+
+const META_CONNECTION_TYPES = ['facebook_page', 'instagram_page', 'meta_ads'];
+
+// Scopes each connection needs for the data we read from it
+const REQUIRED_SCOPES = {
+  facebook_page: ['pages_read_engagement'],
+  instagram_page: ['instagram_basic', 'instagram_manage_insights'],
+  meta_ads: ['ads_read']
+};
+
+const CONNECTION_STATUS = {
+  HEALTHY: 'healthy',
+  EXPIRING: 'expiring',
+  EXPIRED: 'expired',
+  INVALID: 'invalid',
+  MISSING_PERMISSIONS: 'missing_permissions',
+  MISSING_TOKEN: 'missing_token',
+  UNKNOWN: 'unknown'
+};
+
+// Worst first - a brand's status is the worst of its connections
+const STATUS_SEVERITY = [
+  CONNECTION_STATUS.EXPIRED,
+  CONNECTION_STATUS.INVALID,
+  CONNECTION_STATUS.MISSING_TOKEN,
+  CONNECTION_STATUS.MISSING_PERMISSIONS,
+  CONNECTION_STATUS.EXPIRING,
+  CONNECTION_STATUS.UNKNOWN,
+  CONNECTION_STATUS.HEALTHY
+];
+
+const BROKEN_STATUSES = [
+  CONNECTION_STATUS.EXPIRED,
+  CONNECTION_STATUS.INVALID,
+  CONNECTION_STATUS.MISSING_TOKEN,
+  CONNECTION_STATUS.MISSING_PERMISSIONS
+];
+
+const REFRESH_WINDOW_DAYS = parseInt(process.env.META_TOKEN_REFRESH_WINDOW_DAYS || '10');
+const EXPIRY_WARNING_DAYS = parseInt(process.env.META_TOKEN_EXPIRY_WARNING_DAYS || '7');
+const CHECK_INTERVAL_HOURS = 24;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses an expiry value (ISO string, epoch seconds/ms or Firestore Timestamp)
+ * @param {*} value - Stored expires_at
+ * @returns {Date|null} Expiry date, or null when the token does not expire / is unknown
+ */
+const parseExpiry = (value) => {
+  if (value === null || value === undefined || value === '' || value === 0) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  if (typeof value === 'number') return new Date(value < 1e12 ? value * 1000 : value);
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Classifies a token from its expiry alone
+ * @param {Date|null} expiresAt - Expiry date (null = never expires)
+ * @param {Date} now - Reference time
+ * @returns {string} healthy | expiring | expired
+ */
+const statusFromExpiry = (expiresAt, now = new Date()) => {
+  if (!expiresAt) return CONNECTION_STATUS.HEALTHY;
+  const remaining = expiresAt.getTime() - now.getTime();
+  if (remaining <= 0) return CONNECTION_STATUS.EXPIRED;
+  if (remaining <= EXPIRY_WARNING_DAYS * DAY_MS) return CONNECTION_STATUS.EXPIRING;
+  return CONNECTION_STATUS.HEALTHY;
+};
+
+/**
+ * Picks the most severe status
+ * @param {string[]} statuses - Connection statuses
+ * @returns {string|null} Worst status, or null when there are none
+ */
+const worstStatus = (statuses) => {
+  if (!statuses.length) return null;
+  return STATUS_SEVERITY.find(status => statuses.includes(status)) || CONNECTION_STATUS.UNKNOWN;
+};
+
+/**
+ * Inspects a token with the Graph API debug_token endpoint
+ * @param {string} accessToken - Token to inspect
+ * @returns {Promise<Object>} { isValid, expiresAt, scopes, error }
+ */
+const debugMetaToken = async (accessToken) => {
+  // The app token can inspect any token of the app, including already invalid ones
+  const inspector = process.env.META_APP_ID && process.env.META_APP_SECRET
+    ? `${process.env.META_APP_ID}|${process.env.META_APP_SECRET}`
+    : accessToken;
+
+  const response = await axios.get(`${META_BASE_URL}/${META_API_VERSION}/debug_token`, {
+    params: { input_token: accessToken, access_token: inspector },
+    timeout: 10000
+  });
+
+  const tokenData = response.data?.data || {};
+  return {
+    isValid: tokenData.is_valid === true,
+    expiresAt: parseExpiry(tokenData.expires_at),
+    scopes: tokenData.scopes || [],
+    error: tokenData.error?.message || null
+  };
+};
+
+/**
+ * Checks one Meta connection and refreshes its token when it is about to expire
+ * @param {string} type - facebook_page | instagram_page | meta_ads
+ * @param {Object} connection - Connection from brand.connections
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=true] - Re-exchange tokens inside the refresh window
+ * @param {Date} [options.now] - Reference time
+ * @returns {Promise<Object>} { health, tokenUpdate } - tokenUpdate is set when a new token was issued
+ */
+const checkMetaConnection = async (type, connection, { refresh = true, now = new Date() } = {}) => {
+  const health = {
+    status: CONNECTION_STATUS.UNKNOWN,
+    expiresAt: null,
+    missingScopes: [],
+    refreshed: false,
+    error: null
+  };
+
+  if (!connection?.access_token) {
+    return { health: { ...health, status: CONNECTION_STATUS.MISSING_TOKEN }, tokenUpdate: null };
+  }
+
+  let tokenInfo;
+  try {
+    tokenInfo = await debugMetaToken(connection.access_token);
+  } catch (error) {
+    // Graph API unreachable - fall back to the stored expiry
+    const storedExpiry = parseExpiry(connection.expires_at);
+    const storedStatus = statusFromExpiry(storedExpiry, now);
+    return {
+      health: {
+        ...health,
+        status: storedStatus === CONNECTION_STATUS.HEALTHY ? CONNECTION_STATUS.UNKNOWN : storedStatus,
+        expiresAt: storedExpiry ? storedExpiry.toISOString() : null,
+        error: error.response?.data?.error?.message || error.message
+      },
+      tokenUpdate: null
+    };
+  }
+
+  if (!tokenInfo.isValid) {
+    const expired = tokenInfo.expiresAt && tokenInfo.expiresAt <= now;
+    return {
+      health: {
+        ...health,
+        status: expired ? CONNECTION_STATUS.EXPIRED : CONNECTION_STATUS.INVALID,
+        expiresAt: tokenInfo.expiresAt ? tokenInfo.expiresAt.toISOString() : null,
+        error: tokenInfo.error || 'Token is no longer valid; the connection must be re-authorized'
+      },
+      tokenUpdate: null
+    };
+  }
+
+  let expiresAt = tokenInfo.expiresAt;
+  let scopes = tokenInfo.scopes;
+  let tokenUpdate = null;
+
+  const needsRefresh = expiresAt && expiresAt.getTime() - now.getTime() <= REFRESH_WINDOW_DAYS * DAY_MS;
+  if (refresh && needsRefresh) {
+    try {
+      const newToken = await refreshMetaAccessToken(connection.access_token);
+      const newInfo = await debugMetaToken(newToken);
+      if (newInfo.isValid) {
+        expiresAt = newInfo.expiresAt;
+        scopes = newInfo.scopes;
+        tokenUpdate = {
+          access_token: newToken,
+          expires_at: expiresAt ? expiresAt.toISOString() : null
+        };
+        health.refreshed = true;
+      }
+    } catch (error) {
+      console.error('Meta Token Service - Refresh failed:', { type, error: error.message });
+      health.error = error.message;
+    }
+  }
+
+  health.missingScopes = (REQUIRED_SCOPES[type] || []).filter(scope => !scopes.includes(scope));
+  health.expiresAt = expiresAt ? expiresAt.toISOString() : null;
+  health.status = health.missingScopes.length
+    ? CONNECTION_STATUS.MISSING_PERMISSIONS
+    : statusFromExpiry(expiresAt, now);
+
+  return { health, tokenUpdate };
+};
+
+/**
+ * Checks every Meta connection of a brand, refreshes expiring tokens and stores
+ * the result as brand.connectionHealth
+ * @param {string} brandId - Brand ID
+ * @param {Object} [options] - See checkMetaConnection
+ * @returns {Promise<Object>} { brandId, status, checkedAt, connections }
+ */
+const checkBrandTokens = async (brandId, options = {}) => {
+  const db = getDb();
+  const { clearBrandCache } = require('./firebase-service');
+
+  const brandRef = db.collection('brands').doc(brandId);
+  const snap = await brandRef.get();
+  if (!snap.exists) {
+    throw new Error(`Brand not found: ${brandId}`);
+  }
+
+  const connections = snap.data().connections || {};
+  const checkedAt = new Date().toISOString();
+  const healthByType = {};
+  const updates = {};
+
+  for (const type of META_CONNECTION_TYPES) {
+    if (!connections[type]) continue;
+
+    const { health, tokenUpdate } = await checkMetaConnection(type, connections[type], options);
+    healthByType[type] = health;
+
+    if (tokenUpdate) {
+      updates[`connections.${type}.access_token`] = tokenUpdate.access_token;
+      updates[`connections.${type}.expires_at`] = tokenUpdate.expires_at;
+      updates[`connections.${type}.token_refreshed_at`] = checkedAt;
+    }
+  }
+
+  const connectionHealth = {
+    status: worstStatus(Object.values(healthByType).map(health => health.status)),
+    checkedAt,
+    connections: healthByType
+  };
+
+  await brandRef.update({ ...updates, connectionHealth });
+
+  const refreshedTypes = Object.keys(healthByType).filter(type => healthByType[type].refreshed);
+  if (refreshedTypes.length) {
+    // Cached connections still carry the old token
+    await clearBrandCache(brandId);
+  }
+
+  console.log('Meta Token Service - Brand checked:', {
+    brandId,
+    status: connectionHealth.status,
+    connections: Object.keys(healthByType).length,
+    refreshed: refreshedTypes
+  });
+
+  return { brandId, ...connectionHealth };
+};
+
+/**
+ * Finds brands with Meta connections whose health was not checked in the last CHECK_INTERVAL_HOURS
+ * @param {number} [limit=50] - Maximum brands returned
+ * @returns {Promise<Object[]>} [{ id, organizationId }]
+ */
+const findBrandsToCheck = async (limit = 50) => {
+  const snap = await getDb().collection('brands')
+    .select('organizationId', 'archived', 'connections', 'connectionHealth')
+    .get();
+
+  const cutoff = Date.now() - CHECK_INTERVAL_HOURS * 60 * 60 * 1000;
+
+  return snap.docs
+    .filter(doc => {
+      const data = doc.data();
+      if (data.archived === true) return false;
+      if (!META_CONNECTION_TYPES.some(type => data.connections?.[type])) return false;
+      const lastChecked = parseExpiry(data.connectionHealth?.checkedAt);
+      return !lastChecked || lastChecked.getTime() < cutoff;
+    })
+    .slice(0, limit)
+    .map(doc => ({ id: doc.id, organizationId: doc.data().organizationId || null }));
+};
+
+/**
+ * Builds the health view of a brand's Meta connections from stored data.
+ * Expiry is re-evaluated against `now`, so a token that has expired since the
+ * last check is reported as expired even before the next sweep.
+ * @param {Object} brand - Brand document data (with id)
+ * @param {Date} [now] - Reference time
+ * @returns {Object} { brandId, name, status, checkedAt, connections: [...] }
+ */
+const describeBrandHealth = (brand, now = new Date()) => {
+  const stored = brand.connectionHealth || {};
+
+  const connections = META_CONNECTION_TYPES
+    .filter(type => brand.connections?.[type])
+    .map(type => {
+      const connection = brand.connections[type];
+      const checked = stored.connections?.[type] || null;
+      const expiresAt = parseExpiry(connection.expires_at) || parseExpiry(checked?.expiresAt);
+
+      let status = connection.access_token ? statusFromExpiry(expiresAt, now) : CONNECTION_STATUS.MISSING_TOKEN;
+      if (checked && BROKEN_STATUSES.includes(checked.status)) {
+        status = worstStatus([status, checked.status]);
+      }
+
+      return {
+        type,
+        status,
+        expiresAt: expiresAt ? expiresAt.toISOString() : null,
+        daysUntilExpiry: expiresAt ? Math.floor((expiresAt.getTime() - now.getTime()) / DAY_MS) : null,
+        missingScopes: checked?.missingScopes || [],
+        error: checked?.error || null,
+        lastRefreshedAt: connection.token_refreshed_at || null
+      };
+    });
+
+  return {
+    brandId: brand.id,
+    name: brand.client_name || brand.brandName || brand.name || brand.title || 'Unknown Brand',
+    status: worstStatus(connections.map(connection => connection.status)),
+    checkedAt: stored.checkedAt || null,
+    connections
+  };
+};
+
+/**
+ * Lists the Meta connection health of every brand in an organization
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object[]>} Brand health entries (brands without Meta connections are skipped)
+ */
+const listOrganizationHealth = async (organizationId) => {
+  const snap = await getDb().collection('brands').where('organizationId', '==', organizationId).get();
+  const now = new Date();
+
+  return snap.docs
+    .filter(doc => doc.data().archived !== true)
+    .map(doc => describeBrandHealth({ id: doc.id, ...doc.data() }, now))
+    .filter(brand => brand.connections.length > 0);
+};
+
+module.exports = {
+  META_CONNECTION_TYPES,
+  CONNECTION_STATUS,
+  BROKEN_STATUSES,
+  parseExpiry,
+  statusFromExpiry,
+  worstStatus,
+  debugMetaToken,
+  checkMetaConnection,
+  checkBrandTokens,
+  findBrandsToCheck,
+  describeBrandHealth,
+  listOrganizationHealth
+};
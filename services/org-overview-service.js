@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Organization rollup - overview totals for every brand in an organization,
+ * org-wide totals and brands ranked by growth
+ * @module services/org-overview-service
+ *
+ * Each brand's numbers come from running /api/overview in-process with a
+ * comparison window, so brand figures match the brand dashboard exactly.
+ * Brands are processed a few at a time; once the time budget is spent the
+ * remaining brands are returned as `skipped` and the rollup is flagged partial.
+ * Each brand's overview is given whatever is left of the function limit, so a
+ * slow brand is reported as an error instead of timing out the whole request.
+ */
+
+const { invokeHandler } = require('../utils/invoke-handler');
+const { processInBatches, withTimeout } = require('../utils/batch-utils');
+
+const DEFAULT_CONCURRENCY = parseInt(process.env.ORG_OVERVIEW_CONCURRENCY || '3', 10);
+const FUNCTION_LIMIT_MS = 60 * 1000; // api/org-overview maxDuration
+const DEFAULT_TIME_BUDGET_MS = 45 * 1000; // leaves headroom under the 60s function limit
+const RESPONSE_HEADROOM_MS = 5 * 1000; // kept back from a brand's timeout to build and send the response
+
+// Headline metrics rolled up per brand; read from overview totals
+const ORG_METRICS = {
+  visitors: (totals) => totals.visitors?.total,
+  sessions: (totals) => totals.visitors?.sessions,
+  metaAdsSpend: (totals) => totals.meta_ads?.spend,
+  googleAdsSpend: (totals) => totals.google_ads?.spend,
+  adSpend: (totals) => (totals.meta_ads?.spend || 0) + (totals.google_ads?.spend || 0),
+  revenue: (totals) => totals.sales?.revenue,
+  orders: (totals) => totals.sales?.transactions
+};
+
+const round2 = (value) => parseFloat((value || 0).toFixed(2));
+const num = (value) => (typeof value === 'number' && isFinite(value) ? value : 0);
+const growth = (current, baseline) => (baseline > 0 ? round2(((current - baseline) / baseline) * 100) : null);
+
+/**
+ * Reads the rollup metrics out of an overview response (with comparison)
+ * @param {Object} body - /api/overview response body
+ * @returns {Object} { [metric]: { value, baseline, growth } }
+ */
+const summarizeOverview = (body) => {
+  const totals = body?.totals || {};
+  const comparison = body?.comparison;
+  const baselineTotals = {};
+
+  // Rebuild baseline totals from the comparison deltas ({ baseline, absolute, percent })
+  const readBaselines = (deltas, target) => {
+    Object.entries(deltas || {}).forEach(([key, delta]) => {
+      if (delta && typeof delta.baseline === 'number') {
+        target[key] = delta.baseline;
+      } else if (delta && typeof delta === 'object') {
+        target[key] = {};
+        readBaselines(delta, target[key]);
+      }
+    });
+  };
+  readBaselines(comparison?.totals, baselineTotals);
+
+  const metrics = {};
+  Object.entries(ORG_METRICS).forEach(([key, read]) => {
+    const value = round2(num(read(totals)));
+    const baseline = comparison?.totals ? round2(num(read(baselineTotals))) : null;
+    metrics[key] = { value, baseline, growth: baseline === null ? null : growth(value, baseline) };
+  });
+  return metrics;
+};
+
+/**
+ * Runs the overview for one brand
+ * @param {Object} brand - { id, name }
+ * @param {Object} query - { from, to, compare, cache }
+ * @param {number} [timeoutMs] - Give up on the brand after this long
+ * @returns {Promise<Object>} { brandId, brandName, status, metrics, currency, error }
+ */
+const getBrandRollup = async (brand, query, timeoutMs) => {
+  const entry = { brandId: brand.id, brandName: brand.name, website: brand.website || null };
+  try {
+    const overview = invokeHandler(require('../api/overview'), {
+      url: '/api/overview',
+      query: { ...query, brandId: brand.id },
+      internal: true
+    });
+    const { statusCode, body } = await (timeoutMs ? withTimeout(overview, timeoutMs, 'Brand overview') : overview);
+    if (statusCode !== 200) {
+      throw new Error(body?.message || body?.error || `Overview responded with ${statusCode}`);
+    }
+    return {
+      ...entry,
+      status: 'ok',
+      metrics: summarizeOverview(body),
+      currency: body.totals?.sales?.currency || null,
+      comparisonError: body.comparison?.error || null
+    };
+  } catch (error) {
+    console.error('Org Overview Service - Brand failed:', { brandId: brand.id, error: error.message });
+    return { ...entry, status: 'error', metrics: null, error: error.message };
+  }
+};
+
+/**
+ * Sums brand metrics into org totals; growth is computed on the summed baselines
+ * @param {Object[]} brands - getBrandRollup results
+ * @returns {Object} { [metric]: { value, baseline, growth } }
+ */
+const buildOrgTotals = (brands) => {
+  const totals = {};
+  Object.keys(ORG_METRICS).forEach(key => {
+    let value = 0;
+    let baseline = 0;
+    let hasBaseline = false;
+    brands.forEach(brand => {
+      const metric = brand.metrics?.[key];
+      if (!metric) return;
+      value += metric.value;
+      if (metric.baseline !== null) {
+        baseline += metric.baseline;
+        hasBaseline = true;
+      }
+    });
+    totals[key] = {
+      value: round2(value),
+      baseline: hasBaseline ? round2(baseline) : null,
+      growth: hasBaseline ? growth(value, baseline) : null
+    };
+  });
+  return totals;
+};
+
+/**
+ * Ranks brands by growth for every metric (brands without a baseline are left out)
+ * @param {Object[]} brands - getBrandRollup results
+ * @returns {Object} { [metric]: [{ rank, brandId, brandName, value, baseline, growth }] }
+ */
+const buildGrowthRankings = (brands) => {
+  const rankings = {};
+  Object.keys(ORG_METRICS).forEach(key => {
+    rankings[key] = brands
+      .filter(brand => brand.metrics?.[key]?.growth !== null && brand.metrics?.[key]?.growth !== undefined)
+      .map(brand => ({ brandId: brand.brandId, brandName: brand.brandName, ...brand.metrics[key] }))
+      .sort((a, b) => b.growth - a.growth || b.value - a.value)
+      .map((entry, index) => ({ rank: index + 1, ...entry }));
+  });
+  return rankings;
+};
+
+/**
+ * Builds the organization rollup
+ * @param {string} organizationId - Organization ID
+ * @param {Object} options
+ * @param {string} options.from - Start date (YYYY-MM-DD)
+ * @param {string} options.to - End date (YYYY-MM-DD)
+ * @param {string} [options.compare='previous_period'] - Growth baseline (previous_period | previous_year)
+ * @param {boolean} [options.bypassCache=false] - Bypass the per-brand overview cache
+ * @param {number} [options.concurrency] - Brands processed at once
+ * @param {number} [options.timeBudgetMs] - Stop starting new brands after this long
+ * @returns {Promise<Object>} { partial, totals, brands, skipped, rankings }
+ */
+const getOrgOverview = async (organizationId, options = {}) => {
+  const {
+    from,
+    to,
+    compare = 'previous_period',
+    bypassCache = false,
+    concurrency = DEFAULT_CONCURRENCY,
+    timeBudgetMs = DEFAULT_TIME_BUDGET_MS
+  } = options;
+  const startTime = Date.now();
+
+  const brands = await require('./firebase-service').getBrandsByOrganizationId(organizationId);
+  const query = { from, to, compare, ...(bypassCache ? { cache: '0' } : {}) };
+
+  // Whatever is left of the function limit once the batch starts, less time to respond
+  const brandTimeoutMs = () => Math.max(FUNCTION_LIMIT_MS - RESPONSE_HEADROOM_MS - (Date.now() - startTime), 1000);
+
+  const results = await processInBatches(brands, concurrency, brand => getBrandRollup(brand, query, brandTimeoutMs()), startTime, timeBudgetMs);
+  const skipped = brands.slice(results.length).map(brand => ({ brandId: brand.id, brandName: brand.name }));
+  const succeeded = results.filter(brand => brand.status === 'ok');
+  const currencies = [...new Set(succeeded.map(brand => brand.currency).filter(Boolean))];
+
+  console.log('Org Overview Service - Rollup built:', {
+    organizationId,
+    brands: brands.length,
+    processed: results.length,
+    failed: results.length - succeeded.length,
+    skipped: skipped.length,
+    durationMs: Date.now() - startTime
+  });
+
+  return {
+    partial: skipped.length > 0,
+    mixedCurrencies: currencies.length > 1,
+    totals: buildOrgTotals(succeeded),
+    brands: results,
+    skipped,
+    rankings: buildGrowthRankings(succeeded)
+  };
+};
+
+module.exports = {
+  ORG_METRICS,
+  summarizeOverview,
+  buildOrgTotals,
+  buildGrowthRankings,
+  getOrgOverview
+};
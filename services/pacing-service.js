@@ -0,0 +1,279 @@
+/**
+ * @fileoverview Budget pacing and end-of-period spend projection
+ * @module services/pacing-service
+ *
+ * Pure calculations on top of services/meta-ads-service.js#getMetaBudgetPacingData.
+ *
+ * Spend to date counts complete days only (period start through yesterday);
+ * today's partial spend is reported separately. The run rate is the average
+ * daily spend over the last `lookbackDays` complete days, and the projection
+ * assumes it holds for every remaining day (today included) until the period
+ * or the campaign ends. Paused campaigns are projected to spend nothing more
+ * and are left out of the planned spend.
+ *
+ * Daily-budget campaigns are paced against dailyBudget x active days in the
+ * period. Lifetime-budget campaigns are paced over their whole flight against
+ * budgetRemaining, since Meta spreads a lifetime budget up to the stop time.
+ */
+
+const moment = require('moment-timezone');
+
+const PACE_STATUS = {
+  ON_TRACK: 'on_track',
+  UNDERPACING: 'underpacing',
+  OVERPACING: 'overpacing',
+  NO_BUDGET: 'no_budget',
+  SCHEDULED: 'scheduled',
+  PAUSED: 'paused',
+  ENDED: 'ended'
+};
+
+const DEFAULT_OPTIONS = {
+  lookbackDays: 7,
+  tolerance: 0.1 // +-10% of plan counts as on track
+};
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+/**
+ * Inclusive day count between two YYYY-MM-DD dates (0 when end < start)
+ * @param {string} start - First day
+ * @param {string} end - Last day
+ * @returns {number} Days
+ */
+const countDays = (start, end) => Math.max(0, moment.utc(end).diff(moment.utc(start), 'days') + 1);
+
+const shift = (date, days) => moment.utc(date).add(days, 'days').format('YYYY-MM-DD');
+
+const minDate = (...dates) => dates.filter(Boolean).sort()[0];
+const maxDate = (...dates) => dates.filter(Boolean).sort().slice(-1)[0];
+
+/**
+ * Sums spend for dates in [start, end]
+ * @param {Object} spendByDate - { 'YYYY-MM-DD': spend }
+ * @param {string} start - First day
+ * @param {string} end - Last day
+ * @returns {number} Spend
+ */
+const sumSpend = (spendByDate, start, end) => {
+  if (!start || !end || end < start) return 0;
+  return Object.entries(spendByDate)
+    .filter(([date]) => date >= start && date <= end)
+    .reduce((total, [, spend]) => total + spend, 0);
+};
+
+/**
+ * Average daily spend over the last complete days
+ * @param {Object} spendByDate - { 'YYYY-MM-DD': spend }
+ * @param {string} yesterday - Last complete day
+ * @param {number} lookbackDays - Days to average
+ * @param {string|null} startDate - Campaign start; younger campaigns average over fewer days
+ * @returns {number} Daily run rate
+ */
+const getRunRate = (spendByDate, yesterday, lookbackDays, startDate = null) => {
+  const windowStart = maxDate(shift(yesterday, -(lookbackDays - 1)), startDate);
+  const days = countDays(windowStart, yesterday);
+  return days > 0 ? sumSpend(spendByDate, windowStart, yesterday) / days : 0;
+};
+
+/**
+ * Maps projected vs planned spend to a pace status
+ * @param {number} projected - Projected spend
+ * @param {number|null} planned - Planned spend
+ * @param {number} tolerance - Allowed deviation ratio
+ * @returns {{status: string, paceRatio: number|null}}
+ */
+const getPaceStatus = (projected, planned, tolerance) => {
+  if (!planned) return { status: PACE_STATUS.NO_BUDGET, paceRatio: null };
+  const paceRatio = projected / planned;
+  let status = PACE_STATUS.ON_TRACK;
+  if (paceRatio < 1 - tolerance) status = PACE_STATUS.UNDERPACING;
+  else if (paceRatio > 1 + tolerance) status = PACE_STATUS.OVERPACING;
+  return { status, paceRatio: round2(paceRatio) };
+};
+
+/**
+ * Builds a human-readable recommendation
+ * @param {string} status - Pace status
+ * @param {Object} figures - { recommended, current, label }
+ * @returns {string|null} Recommendation
+ */
+const describeRecommendation = (status, { recommended, current, label }) => {
+  if (recommended === null || current === null) return null;
+  if (status === PACE_STATUS.UNDERPACING) {
+    return `Raise ${label} from ${round2(current)} to ${round2(recommended)} per day to spend the planned budget`;
+  }
+  if (status === PACE_STATUS.OVERPACING) {
+    return `Lower ${label} from ${round2(current)} to ${round2(recommended)} per day to stay within the planned budget`;
+  }
+  return null;
+};
+
+/**
+ * Pacing for one campaign
+ * @param {Object} campaign - Campaign from getMetaBudgetPacingData
+ * @param {Object} context - { periodStart, periodEnd, today, lookbackDays, tolerance }
+ * @returns {Object} Campaign pacing
+ */
+const paceCampaign = (campaign, { periodStart, periodEnd, today, lookbackDays, tolerance }) => {
+  const yesterday = shift(today, -1);
+  const spendByDate = {};
+  (campaign.dailySpend || []).forEach(({ date, spend }) => { spendByDate[date] = spend; });
+
+  const startDate = campaign.startTime ? String(campaign.startTime).slice(0, 10) : null;
+  const stopDate = campaign.stopTime ? String(campaign.stopTime).slice(0, 10) : null;
+  const isActive = campaign.status === 'ACTIVE';
+
+  const runRate = getRunRate(spendByDate, yesterday, lookbackDays, startDate);
+  const projectedRate = isActive ? runRate : 0;
+  const spendToDate = sumSpend(spendByDate, periodStart, yesterday);
+  const todaySpend = spendByDate[today] || 0;
+
+  // Days still to spend inside the period (today counts as remaining)
+  const remainingEnd = minDate(periodEnd, stopDate);
+  const remainingDays = countDays(maxDate(today, startDate), remainingEnd);
+  const projectedSpend = spendToDate + projectedRate * remainingDays;
+
+  const result = {
+    id: campaign.id,
+    name: campaign.name,
+    status: campaign.status,
+    budgetType: campaign.lifetimeBudget ? 'lifetime' : campaign.dailyBudget ? 'daily' : null,
+    budgetLevel: campaign.budgetLevel,
+    dailyBudget: campaign.dailyBudget,
+    lifetimeBudget: campaign.lifetimeBudget,
+    startDate,
+    stopDate,
+    spendToDate: round2(spendToDate),
+    todaySpend: round2(todaySpend),
+    runRate: round2(runRate),
+    remainingDays,
+    projectedSpend: round2(projectedSpend),
+    plannedSpend: null,
+    paceStatus: null,
+    paceRatio: null,
+    recommendedDailyBudget: null,
+    dailyBudgetAdjustment: null,
+    recommendation: null
+  };
+
+  if (startDate && startDate > periodEnd) {
+    return { ...result, paceStatus: PACE_STATUS.SCHEDULED };
+  }
+  if ((stopDate && stopDate < today) || (today > periodEnd)) {
+    return { ...result, paceStatus: PACE_STATUS.ENDED };
+  }
+  if (!isActive) {
+    return { ...result, paceStatus: PACE_STATUS.PAUSED };
+  }
+
+  if (result.budgetType === 'lifetime') {
+    // Paced over the flight: the remaining lifetime budget should be spent by the stop date
+    const flightRemainingDays = stopDate ? countDays(maxDate(today, startDate), stopDate) : remainingDays;
+    const budgetRemaining = campaign.budgetRemaining ?? campaign.lifetimeBudget;
+    const projectedRemaining = projectedRate * flightRemainingDays;
+    const { status, paceRatio } = getPaceStatus(projectedRemaining, budgetRemaining, tolerance);
+    const recommended = flightRemainingDays > 0 ? budgetRemaining / flightRemainingDays : null;
+
+    // Share of the remaining lifetime budget that falls inside this period
+    const plannedInPeriod = spendToDate + (flightRemainingDays > 0 ? budgetRemaining * (remainingDays / flightRemainingDays) : 0);
+
+    return {
+      ...result,
+      budgetRemaining: round2(budgetRemaining),
+      flightRemainingDays,
+      projectedFlightSpend: round2(campaign.lifetimeBudget - budgetRemaining + projectedRemaining),
+      plannedSpend: round2(plannedInPeriod),
+      paceStatus: status,
+      paceRatio,
+      recommendedDailyBudget: recommended === null ? null : round2(recommended),
+      dailyBudgetAdjustment: recommended === null ? null : round2(recommended - projectedRate),
+      recommendation: describeRecommendation(status, { recommended, current: projectedRate, label: 'daily spend' })
+    };
+  }
+
+  if (result.budgetType === 'daily') {
+    const activeDays = countDays(maxDate(periodStart, startDate), minDate(periodEnd, stopDate));
+    const planned = campaign.dailyBudget * activeDays;
+    const { status, paceRatio } = getPaceStatus(projectedSpend, planned, tolerance);
+    const recommended = remainingDays > 0 ? Math.max(0, (planned - spendToDate) / remainingDays) : null;
+
+    return {
+      ...result,
+      plannedSpend: round2(planned),
+      paceStatus: status,
+      paceRatio,
+      recommendedDailyBudget: recommended === null ? null : round2(recommended),
+      dailyBudgetAdjustment: recommended === null ? null : round2(recommended - campaign.dailyBudget),
+      recommendation: describeRecommendation(status, { recommended, current: campaign.dailyBudget, label: 'the daily budget' })
+    };
+  }
+
+  return { ...result, paceStatus: PACE_STATUS.NO_BUDGET };
+};
+
+/**
+ * Builds the pacing report for an ad account
+ * @param {Object} data - Output of getMetaBudgetPacingData
+ * @param {Object} options - Options
+ * @param {string} options.periodStart - First day of the period (YYYY-MM-DD)
+ * @param {string} options.periodEnd - Last day of the period (YYYY-MM-DD)
+ * @param {string} options.today - Current day in the account's reporting timezone (YYYY-MM-DD)
+ * @param {number|null} [options.accountBudget] - Planned account spend for the period (defaults to the sum of campaign plans)
+ * @param {number} [options.lookbackDays] - Days in the run-rate average (default 7)
+ * @param {number} [options.tolerance] - On-track band as a ratio (default 0.1)
+ * @returns {Object} { period, account, campaigns }
+ */
+const buildPacingReport = (data, options) => {
+  const { periodStart, periodEnd, today, accountBudget = null } = options;
+  const { lookbackDays, tolerance } = { ...DEFAULT_OPTIONS, ...options };
+  const context = { periodStart, periodEnd, today, lookbackDays, tolerance };
+  const yesterday = shift(today, -1);
+
+  const campaigns = (data.campaigns || []).map(campaign => paceCampaign(campaign, context));
+
+  const accountSpend = {};
+  (data.dailySpend || []).forEach(({ date, spend }) => { accountSpend[date] = spend; });
+
+  const spendToDate = sumSpend(accountSpend, periodStart, yesterday);
+  const remainingDays = today > periodEnd ? 0 : countDays(maxDate(today, periodStart), periodEnd);
+  const projectedRemaining = campaigns.reduce((total, c) => total + (c.status === 'ACTIVE' ? c.runRate * c.remainingDays : 0), 0);
+  const projectedSpend = spendToDate + projectedRemaining;
+  const campaignPlans = campaigns.filter(c => c.plannedSpend !== null);
+  const planned = accountBudget || (campaignPlans.length
+    // Spend so far (any campaign) plus what active campaigns are still planned to spend
+    ? spendToDate + campaignPlans.reduce((total, c) => total + Math.max(0, c.plannedSpend - c.spendToDate), 0)
+    : null);
+
+  const { status, paceRatio } = today > periodEnd
+    ? { status: PACE_STATUS.ENDED, paceRatio: null }
+    : getPaceStatus(projectedSpend, planned, tolerance);
+  const currentDailyRate = remainingDays > 0 ? projectedRemaining / remainingDays : 0;
+  const recommended = planned && remainingDays > 0 ? Math.max(0, (planned - spendToDate) / remainingDays) : null;
+
+  return {
+    period: { from: periodStart, to: periodEnd, today, daysTotal: countDays(periodStart, periodEnd), daysRemaining: remainingDays },
+    account: {
+      id: data.account?.id || null,
+      currency: data.account?.currency || null,
+      timezone: data.account?.timezone || null,
+      budgetSource: accountBudget ? 'configured' : campaignPlans.length ? 'campaigns' : null,
+      plannedSpend: planned === null ? null : round2(planned),
+      spendToDate: round2(spendToDate),
+      todaySpend: round2(accountSpend[today] || 0),
+      runRate: round2(getRunRate(accountSpend, yesterday, lookbackDays)),
+      projectedSpend: round2(projectedSpend),
+      paceStatus: status,
+      paceRatio,
+      recommendedDailySpend: recommended === null ? null : round2(recommended),
+      dailySpendAdjustment: recommended === null ? null : round2(recommended - currentDailyRate),
+      recommendation: describeRecommendation(status, { recommended, current: currentDailyRate, label: 'total daily spend' })
+    },
+    campaigns: campaigns.sort((a, b) => b.spendToDate - a.spendToDate)
+  };
+};
+
+module.exports = {
+  PACE_STATUS,
+  buildPacingReport
+};
@@ -0,0 +1,469 @@
+/**
+ * @fileoverview Keyword rank tracking backed by the Firestore `rank_tracking`
+ * and `keyword_rankings` collections
+ * @module services/rank-tracking-service
+ *
+ * A brand opts in with a tracking config (`rank_tracking/{brandId}`): the
+ * domain to look for and the SERP locations to check. Once a day
+ * /api/rankings/track looks up the Google organic position of every brand
+ * keyword (the `keywords` managed by /api/keywords) in every location through
+ * DataForSEO's live SERP API, and stores one `keyword_rankings` document per
+ * keyword, location and day.
+ *
+ * Ranking IDs are derived from (brandId, keyword, location, date), so a sweep
+ * that runs out of time resumes where it stopped on the next cron run without
+ * paying for the same lookups twice.
+ */
+
+const crypto = require('crypto');
+const { getSerpPosition } = require('./dataforseo-service');
+const { toDomain } = require('../utils/domain-utils');
+const { parseKeywords } = require('../utils/keyword-utils');
+const { logApiUsage } = require('../utils/logging.cjs.js');
+const { getDb, toIso } = require('../utils/firestore-utils');
+const { codedError } = require('../utils/error-handler');
+
+const TRACKING_COLLECTION = 'rank_tracking';
+const RANKINGS_COLLECTION = 'keyword_rankings';
+
+const DEVICES = ['desktop', 'mobile'];
+
+const DEFAULT_LOCATION = { locationCode: 2840, languageCode: 'en', device: 'desktop' }; // United States
+const MAX_LOCATIONS = 5;
+
+// Every keyword × location is one paid SERP request per day
+const MAX_TRACKED_KEYWORDS = parseInt(process.env.RANK_TRACKING_MAX_KEYWORDS || '100');
+
+const SERP_CONCURRENCY = 3;
+const SERP_DEPTH = 100;
+
+// Share of clicks by organic position (1-10); positions 11-20 get 1%, deeper ones none
+const CTR_BY_POSITION = [31.7, 24.7, 18.7, 13.6, 9.5, 6.2, 4.2, 3.1, 3.0, 2.6];
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+const invalidConfig = codedError('INVALID_TRACKING_CONFIG');
+
+/**
+ * Identifies a SERP location, e.g. "2840:en:desktop"
+ * @param {Object} location - { locationCode, languageCode, device }
+ * @returns {string}
+ */
+const locationKey = (location) => `${location.locationCode}:${location.languageCode}:${location.device}`;
+
+/**
+ * Deterministic ranking ID, so re-running a day overwrites instead of duplicating
+ * @returns {string}
+ */
+const rankingId = (brandId, keyword, location, date) => crypto
+  .createHash('sha1')
+  .update([brandId, keyword.toLowerCase(), locationKey(location), date].join('|'))
+  .digest('hex');
+
+/**
+ * Share of the clicks a position is expected to get, relative to position 1 (0-1)
+ * @param {number|null} position - Organic position
+ * @returns {number}
+ */
+const positionWeight = (position) => {
+  if (!position || position < 1) return 0;
+  if (position <= CTR_BY_POSITION.length) return CTR_BY_POSITION[position - 1] / CTR_BY_POSITION[0];
+  if (position <= 20) return 1 / CTR_BY_POSITION[0];
+  return 0;
+};
+
+/**
+ * Visibility score (0-100): 100 when every keyword ranks #1, 0 when none is in the top 20
+ * @param {Array<number|null>} positions - One position per tracked keyword and location
+ * @returns {number|null} Null when nothing was tracked
+ */
+const visibilityScore = (positions) => {
+  if (positions.length === 0) return null;
+  return round2(positions.reduce((sum, position) => sum + positionWeight(position), 0) / positions.length * 100);
+};
+
+/**
+ * Turns the brand's keyword list into the keywords to track, priority
+ * keywords first when the list is capped
+ * @param {Array} keywords - Brand keywords
+ * @returns {Array<{keyword: string, isPriority: boolean}>}
+ */
+const parseTrackedKeywords = (keywords = []) => parseKeywords(keywords).slice(0, MAX_TRACKED_KEYWORDS);
+
+/**
+ * Serializes a tracking config for API responses
+ * @param {string} brandId - Brand ID
+ * @param {Object} data - Config document data
+ * @returns {Object}
+ */
+const formatConfig = (brandId, data) => ({
+  brandId,
+  organizationId: data.organizationId || null,
+  domain: data.domain,
+  locations: data.locations || [],
+  enabled: data.enabled !== false,
+  lastTrackedDate: data.lastTrackedDate || null,
+  lastTrackedAt: toIso(data.lastTrackedAt),
+  lastError: data.lastError || null,
+  updatedAt: toIso(data.updatedAt)
+});
+
+/**
+ * Validates tracking config fields and fills in defaults
+ * @param {Object} input - Fields from the request
+ * @param {Object} [existing] - Current config (or brand defaults)
+ * @returns {Object} Normalized config fields
+ * @throws {Error} With `code = 'INVALID_TRACKING_CONFIG'` on bad input
+ */
+const normalizeConfig = (input = {}, existing = {}) => {
+  const merged = { ...existing };
+  Object.entries(input).forEach(([key, value]) => {
+    if (value !== undefined) merged[key] = value;
+  });
+
+  const domain = toDomain(merged.domain);
+  if (!domain) throw invalidConfig('domain must be a domain name or website URL');
+
+  const rawLocations = merged.locations === undefined || merged.locations === null
+    ? [DEFAULT_LOCATION]
+    : merged.locations;
+  if (!Array.isArray(rawLocations) || rawLocations.length === 0) {
+    throw invalidConfig('locations must be a non-empty array');
+  }
+  if (rawLocations.length > MAX_LOCATIONS) {
+    throw invalidConfig(`locations is limited to ${MAX_LOCATIONS} entries`);
+  }
+
+  const locations = rawLocations.map(location => {
+    const locationCode = parseInt(location?.locationCode);
+    if (!Number.isInteger(locationCode) || locationCode <= 0) {
+      throw invalidConfig('locationCode must be a DataForSEO location code (e.g. 2840)');
+    }
+    const languageCode = String(location.languageCode || DEFAULT_LOCATION.languageCode).toLowerCase();
+    if (!/^[a-z]{2}(-[a-z]{2,4})?$/.test(languageCode)) {
+      throw invalidConfig(`Invalid languageCode: ${languageCode}`);
+    }
+    const device = location.device || DEFAULT_LOCATION.device;
+    if (!DEVICES.includes(device)) {
+      throw invalidConfig(`device must be one of: ${DEVICES.join(', ')}`);
+    }
+    return { locationCode, languageCode, device, name: location.name ? String(location.name) : null };
+  });
+
+  const keys = locations.map(locationKey);
+  if (new Set(keys).size !== keys.length) throw invalidConfig('locations contains duplicates');
+
+  return {
+    domain,
+    locations,
+    enabled: merged.enabled !== false
+  };
+};
+
+/**
+ * Fetches a brand's tracking config
+ * @param {string} brandId - Brand ID
+ * @returns {Promise<Object|null>} Config or null when tracking is not set up
+ */
+const getTrackingConfig = async (brandId) => {
+  if (!brandId) throw new Error('Brand ID is required');
+  const snap = await getDb().collection(TRACKING_COLLECTION).doc(brandId).get();
+  return snap.exists ? formatConfig(brandId, snap.data()) : null;
+};
+
+/**
+ * Creates or updates a brand's tracking config
+ * @param {Object} brand - Brand (from getBrandInfo)
+ * @param {Object} input - { domain?, locations?, enabled? }
+ * @returns {Promise<Object>} Saved config
+ */
+const saveTrackingConfig = async (brand, input = {}) => {
+  const ref = getDb().collection(TRACKING_COLLECTION).doc(brand.id);
+  const snap = await ref.get();
+  const current = snap.exists ? snap.data() : { domain: brand.website };
+
+  const fields = normalizeConfig(input, current);
+  const data = {
+    ...fields,
+    brandId: brand.id,
+    organizationId: brand.organizationId || null,
+    updatedAt: new Date()
+  };
+  // A changed domain or location list is tracked again today
+  if (current.lastTrackedDate && (fields.domain !== current.domain ||
+      JSON.stringify(fields.locations.map(locationKey)) !== JSON.stringify((current.locations || []).map(locationKey)))) {
+    data.lastTrackedDate = null;
+  }
+
+  await ref.set(data, { merge: true });
+  console.log('Rank Tracking Service - Config saved:', { brandId: brand.id, domain: fields.domain, locations: fields.locations.length });
+  return formatConfig(brand.id, { ...current, ...data });
+};
+
+/**
+ * Finds enabled configs that have not been fully tracked for `date` yet
+ * @param {string} date - Day being tracked (YYYY-MM-DD)
+ * @param {number} limit - Maximum brands to return
+ * @returns {Promise<string[]>} Brand IDs
+ */
+const findBrandsToTrack = async (date, limit = 25) => {
+  const snap = await getDb().collection(TRACKING_COLLECTION).where('enabled', '==', true).get();
+  return snap.docs
+    .filter(doc => (doc.data().lastTrackedDate || '') < date)
+    .slice(0, limit)
+    .map(doc => doc.id);
+};
+
+/**
+ * Looks up today's SERP positions for a brand, skipping lookups already stored
+ * for the day; stops starting new lookups at `deadline`
+ * @param {string} brandId - Brand ID
+ * @param {Object} options - Options
+ * @param {string} options.date - Day being tracked (YYYY-MM-DD)
+ * @param {number} [options.deadline] - Epoch ms after which no new lookups start
+ * @returns {Promise<Object>} { brandId, date, keywords, locations, checked, failed, remaining, complete }
+ */
+const trackBrand = async (brandId, { date, deadline = Infinity }) => {
+  const config = await getTrackingConfig(brandId);
+  if (!config) {
+    return { brandId, date, skipped: true, reason: 'Rank tracking is not set up for this brand' };
+  }
+
+  const db = getDb();
+  const brand = await require('./firebase-service').getBrandInfo(brandId, { useCache: false });
+  const keywords = parseTrackedKeywords(brand?.keywords);
+
+  const existing = await db.collection(RANKINGS_COLLECTION)
+    .where('brandId', '==', brandId)
+    .where('date', '==', date)
+    .select()
+    .get();
+  const done = new Set(existing.docs.map(doc => doc.id));
+
+  const lookups = [];
+  keywords.forEach(({ keyword, isPriority }) => {
+    config.locations.forEach(location => {
+      const id = rankingId(brandId, keyword, location, date);
+      if (!done.has(id)) lookups.push({ id, keyword, isPriority, location });
+    });
+  });
+
+  let checked = 0;
+  let failed = 0;
+  let index = 0;
+  while (index < lookups.length && Date.now() < deadline) {
+    const chunk = lookups.slice(index, index + SERP_CONCURRENCY);
+    index += chunk.length;
+
+    const results = await Promise.all(chunk.map(async (lookup) => {
+      try {
+        const serp = await getSerpPosition(lookup.keyword, config.domain, { ...lookup.location, depth: SERP_DEPTH });
+        return { lookup, serp, error: null };
+      } catch (error) {
+        return { lookup, serp: null, error: error.message };
+      }
+    }));
+
+    const batch = db.batch();
+    results.forEach(({ lookup, serp, error }) => {
+      // Failed lookups are stored too (and left out of the stats), so the sweep does not retry them all day
+      batch.set(db.collection(RANKINGS_COLLECTION).doc(lookup.id), {
+        brandId,
+        organizationId: config.organizationId,
+        keyword: lookup.keyword,
+        isPriority: lookup.isPriority,
+        location: locationKey(lookup.location),
+        locationCode: lookup.location.locationCode,
+        languageCode: lookup.location.languageCode,
+        device: lookup.location.device,
+        domain: config.domain,
+        date,
+        position: serp?.position ?? null,
+        url: serp?.url || null,
+        title: serp?.title || null,
+        error,
+        checkedAt: new Date()
+      });
+      if (error) failed++; else checked++;
+    });
+    await batch.commit();
+
+    // Billed per successful SERP lookup, one api_logs entry per batch
+    const billable = results.filter(result => !result.error).length;
+    if (billable > 0) {
+      await logApiUsage('rank-tracking', { organizationId: config.organizationId, brandId }, 'POST', billable);
+    }
+  }
+
+  const remaining = lookups.length - index;
+  const complete = remaining === 0;
+  if (complete) {
+    await db.collection(TRACKING_COLLECTION).doc(brandId).set({
+      lastTrackedDate: date,
+      lastTrackedAt: new Date(),
+      lastError: failed > 0 ? `${failed} lookups failed` : null
+    }, { merge: true });
+  }
+
+  if (checked + failed > 0) {
+    const { invalidateTags } = require('./cache-service');
+    await invalidateTags([`rankings:${brandId}`]);
+  }
+
+  console.log('Rank Tracking Service - Brand tracked:', {
+    brandId,
+    date,
+    keywords: keywords.length,
+    locations: config.locations.length,
+    checked,
+    failed,
+    remaining
+  });
+
+  return {
+    brandId,
+    date,
+    keywords: keywords.length,
+    locations: config.locations.length,
+    checked,
+    failed,
+    remaining,
+    complete
+  };
+};
+
+/**
+ * Direction of a position change
+ * @returns {string} up | down | same | new | lost | not_ranking
+ */
+const rankingStatus = (previous, current) => {
+  if (previous === null && current === null) return 'not_ranking';
+  if (previous === null) return 'new';
+  if (current === null) return 'lost';
+  if (current < previous) return 'up';
+  if (current > previous) return 'down';
+  return 'same';
+};
+
+/**
+ * Builds per-keyword position history and the brand's visibility for a date range
+ * @param {Object[]} records - keyword_rankings documents (any order)
+ * @returns {Object} { summary, keywords, visibility }
+ */
+const summarizeRankings = (records) => {
+  const valid = records.filter(record => !record.error);
+
+  const groups = new Map();
+  valid.forEach(record => {
+    const key = `${record.keyword.toLowerCase()}|${record.location}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  });
+
+  const keywords = [...groups.values()].map(group => {
+    group.sort((a, b) => a.date.localeCompare(b.date));
+    const first = group[0];
+    const latest = group[group.length - 1];
+    const previousPosition = group.length > 1 ? first.position : null;
+    const ranked = group.filter(record => record.position !== null);
+    const best = ranked.reduce((min, record) => (!min || record.position < min.position ? record : min), null);
+
+    return {
+      keyword: latest.keyword,
+      isPriority: latest.isPriority === true,
+      location: latest.location,
+      locationCode: latest.locationCode,
+      languageCode: latest.languageCode,
+      device: latest.device,
+      date: latest.date,
+      position: latest.position,
+      previousPosition,
+      previousDate: group.length > 1 ? first.date : null,
+      // Positive when the keyword moved up
+      change: previousPosition !== null && latest.position !== null ? previousPosition - latest.position : null,
+      status: group.length > 1 ? rankingStatus(first.position, latest.position) : null,
+      bestPosition: best ? best.position : null,
+      bestPositionDate: best ? best.date : null,
+      url: latest.url,
+      history: group.map(record => ({ date: record.date, position: record.position }))
+    };
+  }).sort((a, b) =>
+    (a.position ?? Infinity) - (b.position ?? Infinity) || a.keyword.localeCompare(b.keyword)
+  );
+
+  // Visibility per day, over the lookups made that day
+  const byDate = new Map();
+  valid.forEach(record => {
+    if (!byDate.has(record.date)) byDate.set(record.date, []);
+    byDate.get(record.date).push(record.position);
+  });
+  const visibility = [...byDate.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, positions]) => ({ date, score: visibilityScore(positions), tracked: positions.length }));
+
+  const ranking = keywords.map(k => k.position).filter(position => position !== null);
+  const currentVisibility = visibilityScore(keywords.map(k => k.position));
+  // Like-for-like: only keywords checked at both ends of the range
+  const compared = keywords.filter(k => k.previousDate);
+  const previousVisibility = visibilityScore(compared.map(k => k.previousPosition));
+  const comparedVisibility = visibilityScore(compared.map(k => k.position));
+
+  return {
+    summary: {
+      tracked: keywords.length,
+      ranking: ranking.length,
+      notRanking: keywords.length - ranking.length,
+      top3: ranking.filter(position => position <= 3).length,
+      top10: ranking.filter(position => position <= 10).length,
+      averagePosition: ranking.length ? round2(ranking.reduce((sum, p) => sum + p, 0) / ranking.length) : null,
+      improved: keywords.filter(k => k.status === 'up' || k.status === 'new').length,
+      declined: keywords.filter(k => k.status === 'down' || k.status === 'lost').length,
+      visibility: currentVisibility,
+      previousVisibility,
+      visibilityChange: previousVisibility !== null ? round2(comparedVisibility - previousVisibility) : null
+    },
+    keywords,
+    visibility
+  };
+};
+
+/**
+ * Loads a brand's rankings for a date range
+ * @param {string} brandId - Brand ID
+ * @param {Object} options - Filters
+ * @param {string} options.from - Start date (YYYY-MM-DD)
+ * @param {string} options.to - End date (YYYY-MM-DD)
+ * @param {string} [options.location] - Only this location key (e.g. 2840:en:desktop)
+ * @param {string} [options.keyword] - Only this keyword (case-insensitive)
+ * @returns {Promise<Object>} { summary, keywords, visibility }
+ */
+const getRankings = async (brandId, { from, to, location = null, keyword = null }) => {
+  const snap = await getDb().collection(RANKINGS_COLLECTION)
+    .where('brandId', '==', brandId)
+    .where('date', '>=', from)
+    .where('date', '<=', to)
+    .get();
+
+  const records = snap.docs
+    .map(doc => doc.data())
+    .filter(record => !location || record.location === location)
+    .filter(record => !keyword || record.keyword.toLowerCase() === keyword.toLowerCase());
+
+  return summarizeRankings(records);
+};
+
+module.exports = {
+  DEVICES,
+  MAX_LOCATIONS,
+  locationKey,
+  parseTrackedKeywords,
+  positionWeight,
+  visibilityScore,
+  normalizeConfig,
+  getTrackingConfig,
+  saveTrackingConfig,
+  findBrandsToTrack,
+  trackBrand,
+  summarizeRankings,
+  getRankings
+};
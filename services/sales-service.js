@@ -0,0 +1,435 @@
+/**
+ * @fileoverview Unified sales layer - one canonical sales shape for every POS/ecommerce source
+ * @module services/sales-service
+ *
+ * Each sales source is an adapter that turns its upstream data into canonical
+ * sales records; buildSalesReport() aggregates those records into the report
+ * every analytics endpoint consumes. Adding a new source only requires
+ * registering a new adapter.
+ *
+ * Canonical record (one order, or a pre-aggregated bucket for sources such as GA4):
+ *   { id, date: 'YYYY-MM-DD', orders, revenue, items, refunds, refundAmount,
+ *     channel, currency, lineItems: [{ id, name, category, quantity, total }] }
+ *
+ * Canonical report:
+ *   {
+ *     source, currency,
+ *     totals: { orders, revenue, averageOrderValue, items, refunds, refundAmount,
+ *               netRevenue, channels: { [channel]: { orders, revenue } } },
+ *     dailyData: [{ date, orders, revenue, averageOrderValue, items, refunds, refundAmount, netRevenue,
+ *                   channels }],
+ *     products: [{ id, name, category, quantity, revenue }],
+ *     categories: [{ id, name, quantity, revenue }]
+ *   }
+ * `purchases` is kept on totals and daily rows as an alias of `orders` for
+ * existing /api/sales clients.
+ */
+
+const { fetchTossdownOrders, tossdownTag } = require('./tossdown-service');
+const { getSquareOrders } = require('./square-service');
+const { getGa4SalesByChannel } = require('./ga4-service.js');
+const shopifyService = require('./shopify-service');
+const wooCommerceService = require('./woocommerce-service');
+const { createCache, brandTag, hashKey } = require('./cache-service');
+
+// Cache configuration
+const cache = createCache('sales', { ttl: 15 * 60 * 1000 }); // 15 minutes cache TTL
+
+const round2 = (value) => parseFloat((value || 0).toFixed(2));
+
+/**
+ * Normalizes a date/timestamp to YYYY-MM-DD
+ * @param {string} value - ISO timestamp, YYYY-MM-DD or GA4 YYYYMMDD
+ * @returns {string|null} Date key or null if unparseable
+ */
+const toDateKey = (value) => {
+  if (!value) return null;
+  const str = String(value);
+  if (/^\d{8}$/.test(str)) return `${str.slice(0, 4)}-${str.slice(4, 6)}-${str.slice(6, 8)}`;
+  const date = new Date(str);
+  return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+};
+
+// Order statuses that mean the money went back to the customer
+const REFUND_STATUS_REGEX = /refund|cancel|reject|void/i;
+
+/**
+ * Registered sales adapters, in auto-detection priority order. Order-level
+ * sources come first; GA4 ecommerce is the fallback.
+ *
+ * Adapter shape:
+ *   connectionKey      - key under brand `connections`
+ *   getSourceId(conn)  - ID used to query the source (null when not connected)
+ *   fetchRecords(ctx)  - ({ from, to, sourceId, connection, options }) => Promise<{ records, currency, raw? }>
+ *                        options are source-specific request options (e.g. Tossdown `method`);
+ *                        raw is the upstream response, returned with `raw=1`
+ *   cacheTags(id)      - optional extra cache tags (e.g. for /api/clear-cache)
+ *   requiresSourceId   - refuse to run without a source ID (default true)
+ *   autoDetect         - include in brand auto-detection (default true)
+ */
+const SALES_ADAPTERS = new Map();
+
+/**
+ * Registers a sales adapter
+ * @param {string} source - Source name used in `source` / `sales_source` params
+ * @param {Object} adapter - Adapter definition
+ */
+const registerSalesAdapter = (source, adapter) => {
+  if (typeof adapter?.fetchRecords !== 'function') {
+    throw new Error(`Sales adapter "${source}" must implement fetchRecords`);
+  }
+  SALES_ADAPTERS.set(source, { autoDetect: true, requiresSourceId: true, connectionKey: source, ...adapter });
+};
+
+const getSalesSources = () => Array.from(SALES_ADAPTERS.keys());
+
+// Tossdown: one record per order
+registerSalesAdapter('tossdown', {
+  connectionKey: 'tossdown',
+  getSourceId: (connection) => connection?.tossdown_id || null,
+  cacheTags: (sourceId) => [tossdownTag(sourceId)],
+  fetchRecords: async ({ from, to, sourceId, connection, options = {} }) => {
+    const responseData = await fetchTossdownOrders(from, to, sourceId, { method: options.method });
+    const orders = Array.isArray(responseData?.result) ? responseData.result : [];
+
+    const records = orders.map(order => {
+      const refunded = REFUND_STATUS_REGEX.test(order.status || order.order_status || '');
+      const revenue = parseFloat(order.grand_total || 0);
+      const lineItems = (Array.isArray(order.order_detail) ? order.order_detail : []).map(item => {
+        const quantity = parseInt(item.quantity || 1);
+        const price = parseFloat(item.price || 0);
+        return {
+          id: item.item_id || item.item_name || 'unknown',
+          name: item.item_name || 'Unknown Product',
+          category: item.item_cat_name || 'Uncategorized',
+          categoryId: item.item_cat_id || item.item_cat_name || 'Uncategorized',
+          quantity,
+          total: parseFloat(item.total || (price * quantity) || 0)
+        };
+      });
+
+      return {
+        id: order.id || order.order_id || null,
+        date: toDateKey(order.date),
+        orders: 1,
+        revenue,
+        items: lineItems.reduce((sum, item) => sum + item.quantity, 0),
+        refunds: refunded ? 1 : 0,
+        refundAmount: refunded ? revenue : 0,
+        channel: order.source || 'unknown',
+        currency: order.currency || connection?.currency || null,
+        lineItems
+      };
+    });
+
+    return { records, currency: connection?.currency || null, raw: responseData };
+  }
+});
+
+// Square: one record per COMPLETED order (location from connection or sales_source_id)
+registerSalesAdapter('square', {
+  connectionKey: 'square',
+  // Credentials come from SQUARE_ACCESS_TOKEN; without a location all locations are included
+  requiresSourceId: false,
+  getSourceId: (connection) => connection?.location_id || null,
+  fetchRecords: async ({ from, to, sourceId }) => {
+    const orders = await getSquareOrders(from, to, sourceId);
+    const money = (m) => (m?.amount !== undefined && m?.amount !== null ? parseFloat(m.amount) / 100 : 0);
+
+    const records = orders.map(order => {
+      const revenue = money(order.totalMoney) || money(order.netMoney) ||
+        (order.tenders || []).reduce((sum, tender) => sum + money(tender.amountMoney), 0);
+      const refundAmount = (order.refunds || []).reduce((sum, refund) => sum + money(refund.amountMoney), 0) ||
+        money(order.returnAmounts?.totalMoney);
+      const lineItems = (order.lineItems || []).map(item => ({
+        id: item.catalogObjectId || item.uid || item.name || 'unknown',
+        name: item.name || 'Unknown Product',
+        category: 'Uncategorized',
+        categoryId: 'Uncategorized',
+        quantity: parseFloat(item.quantity || 1),
+        total: money(item.totalMoney)
+      }));
+
+      return {
+        id: order.id,
+        date: toDateKey(order.createdAt),
+        orders: 1,
+        revenue,
+        items: lineItems.reduce((sum, item) => sum + item.quantity, 0),
+        refunds: refundAmount > 0 ? 1 : 0,
+        refundAmount,
+        channel: order.source?.name || 'square',
+        currency: order.totalMoney?.currency || null,
+        lineItems
+      };
+    });
+
+    return { records, currency: records.find(r => r.currency)?.currency || null };
+  }
+});
+
+// Shopify: one record per order (Admin API token stored on the connection)
+registerSalesAdapter('shopify', {
+  connectionKey: 'shopify',
+  getSourceId: (connection) => shopifyService.normalizeShopDomain(connection?.shop_domain) || null,
+  fetchRecords: async ({ from, to, connection }) => {
+    // The same timezone bounds the request and buckets the orders, so no order lands outside the range
+    const timezone = await shopifyService.getShopTimezone(connection);
+    const orders = await shopifyService.getShopifyOrders(connection, from, to, { timezone });
+    const records = shopifyService.toSalesRecords(orders, connection, { timezone });
+    return { records, currency: records.find(r => r.currency)?.currency || connection?.currency || null };
+  }
+});
+
+// WooCommerce: one record per order (REST API consumer key/secret stored on the connection)
+registerSalesAdapter('woocommerce', {
+  connectionKey: 'woocommerce',
+  getSourceId: (connection) => connection?.store_url || null,
+  fetchRecords: async ({ from, to, connection }) => {
+    const orders = await wooCommerceService.getWooCommerceOrders(connection, from, to);
+    const records = wooCommerceService.toSalesRecords(orders, connection);
+    return { records, currency: records.find(r => r.currency)?.currency || connection?.currency || null };
+  }
+});
+
+// GA4 ecommerce: pre-aggregated records per day and channel (no order-level refund counts)
+registerSalesAdapter('ga4', {
+  connectionKey: 'ga4',
+  getSourceId: (connection) => connection?.property_id || null,
+  fetchRecords: async ({ from, to, sourceId, connection }) => {
+    const report = await getGa4SalesByChannel(sourceId, from, to, {
+      accessToken: connection?.access_token,
+      refreshToken: connection?.refresh_token
+    });
+    const currency = report?.metadata?.currencyCode || null;
+
+    const records = (report?.rows || []).map(row => ({
+      id: null,
+      date: toDateKey(row.dimensionValues[0].value),
+      orders: parseInt(row.metricValues[0].value || 0),
+      revenue: parseFloat(row.metricValues[1].value || 0),
+      items: parseInt(row.metricValues[2].value || 0),
+      refunds: 0,
+      refundAmount: parseFloat(row.metricValues[3].value || 0),
+      channel: row.dimensionValues[1].value || 'Unassigned',
+      currency,
+      lineItems: []
+    }));
+
+    return { records, currency };
+  }
+});
+
+/**
+ * Aggregates canonical records into the canonical sales report
+ * @param {Object} params - Report parameters
+ * @param {string} params.source - Source name
+ * @param {Array} params.records - Canonical sales records
+ * @param {string} [params.currency] - Report currency
+ * @returns {Object} Canonical sales report
+ */
+const buildSalesReport = ({ source, records = [], currency = null }) => {
+  const emptyBucket = () => ({ orders: 0, revenue: 0, items: 0, refunds: 0, refundAmount: 0 });
+  const totals = { ...emptyBucket(), channels: {} };
+  const dailyMap = {};
+  const productMap = {};
+  const categoryMap = {};
+
+  records.forEach(record => {
+    if (!record.date) return;
+
+    if (!dailyMap[record.date]) {
+      dailyMap[record.date] = { date: record.date, ...emptyBucket(), channels: {} };
+    }
+    const day = dailyMap[record.date];
+    const channel = record.channel || 'unknown';
+
+    for (const bucket of [totals, day]) {
+      bucket.orders += record.orders || 0;
+      bucket.revenue += record.revenue || 0;
+      bucket.items += record.items || 0;
+      bucket.refunds += record.refunds || 0;
+      bucket.refundAmount += record.refundAmount || 0;
+
+      if (!bucket.channels[channel]) {
+        bucket.channels[channel] = { orders: 0, revenue: 0 };
+      }
+      bucket.channels[channel].orders += record.orders || 0;
+      bucket.channels[channel].revenue += record.revenue || 0;
+    }
+
+    (record.lineItems || []).forEach(item => {
+      if (!productMap[item.id]) {
+        productMap[item.id] = { id: item.id, name: item.name, category: item.category, quantity: 0, revenue: 0 };
+      }
+      productMap[item.id].quantity += item.quantity;
+      productMap[item.id].revenue += item.total;
+
+      const categoryId = item.categoryId || item.category;
+      if (!categoryMap[categoryId]) {
+        categoryMap[categoryId] = { id: categoryId, name: item.category, quantity: 0, revenue: 0 };
+      }
+      categoryMap[categoryId].quantity += item.quantity;
+      categoryMap[categoryId].revenue += item.total;
+    });
+  });
+
+  const finalize = (bucket) => {
+    bucket.revenue = round2(bucket.revenue);
+    bucket.refundAmount = round2(bucket.refundAmount);
+    bucket.netRevenue = round2(bucket.revenue - bucket.refundAmount);
+    bucket.averageOrderValue = bucket.orders > 0 ? round2(bucket.revenue / bucket.orders) : 0;
+    bucket.purchases = bucket.orders;
+    Object.values(bucket.channels).forEach(channel => {
+      channel.revenue = round2(channel.revenue);
+    });
+    return bucket;
+  };
+
+  finalize(totals);
+
+  return {
+    source,
+    currency,
+    totals,
+    dailyData: Object.values(dailyMap).map(finalize).sort((a, b) => a.date.localeCompare(b.date)),
+    products: Object.values(productMap)
+      .map(p => ({ ...p, revenue: round2(p.revenue) }))
+      .sort((a, b) => b.revenue - a.revenue),
+    categories: Object.values(categoryMap)
+      .map(c => ({ ...c, revenue: round2(c.revenue) }))
+      .sort((a, b) => b.revenue - a.revenue)
+  };
+};
+
+/**
+ * Picks the sales source for a brand
+ * @param {Object} connections - Brand connections
+ * @param {Object} options - Overrides
+ * @param {string} [options.source] - Explicit source (skips auto-detection)
+ * @param {string} [options.sourceId] - Explicit source ID (e.g. sales_source_id)
+ * @returns {{source: string, sourceId: string|null, connection: Object|null}|null}
+ */
+const resolveSalesSource = (connections = {}, { source = null, sourceId = null } = {}) => {
+  if (source) {
+    const adapter = SALES_ADAPTERS.get(source);
+    if (!adapter) return null;
+    const connection = connections[adapter.connectionKey] || null;
+    return { source, sourceId: sourceId || adapter.getSourceId(connection), connection };
+  }
+
+  for (const [name, adapter] of SALES_ADAPTERS) {
+    if (!adapter.autoDetect) continue;
+    const connection = connections[adapter.connectionKey];
+    if (!connection) continue;
+    const id = adapter.getSourceId(connection);
+    if (id || !adapter.requiresSourceId) {
+      return { source: name, sourceId: sourceId || id, connection };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Fetches a canonical sales report from any registered source
+ * @param {Object} params - Report parameters
+ * @param {string} params.source - Source name (tossdown, square, ga4, ...)
+ * @param {string} params.sourceId - Source ID (tossdown_id, location_id, property_id, ...)
+ * @param {Object} [params.connection] - Brand connection (tokens, currency)
+ * @param {string} params.from - Start date in YYYY-MM-DD format
+ * @param {string} params.to - End date in YYYY-MM-DD format
+ * @param {string} [params.brandId] - Brand ID (for cache invalidation)
+ * @param {boolean} [params.bypassCache] - Whether to bypass the cache
+ * @param {Object} [params.options] - Source-specific request options (e.g. { method: 'alt' } for Tossdown)
+ * @param {boolean} [params.includeRawData] - Fetch fresh and add the upstream response as `<source>RawData`
+ * @returns {Promise<Object>} Canonical sales report
+ */
+const getSalesReport = async ({
+  source,
+  sourceId,
+  connection = null,
+  from,
+  to,
+  brandId = null,
+  bypassCache = false,
+  options = {},
+  includeRawData = false
+}) => {
+  const adapter = SALES_ADAPTERS.get(source);
+  if (!adapter) {
+    throw new Error(`Unsupported sales source: ${source}. Supported: ${getSalesSources().join(', ')}`);
+  }
+
+  if (adapter.requiresSourceId && !sourceId) {
+    throw new Error(`A source ID is required for ${source} sales data`);
+  }
+
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  if (!dateRegex.test(from) || !dateRegex.test(to)) {
+    throw new Error('Dates must be in YYYY-MM-DD format');
+  }
+
+  const cacheKey = hashKey({ source, sourceId, from, to, ...options });
+  // The raw upstream response is never cached, so raw requests always fetch
+  const cached = bypassCache || includeRawData ? null : await cache.get(cacheKey);
+  if (cached && !cached.expired) {
+    console.log('Sales Service - Returning cached report:', { source, sourceId, from, to });
+    return cached.value;
+  }
+
+  console.log('Sales Service - Fetching report:', { source, sourceId, from, to });
+
+  const { records, currency, raw } = await adapter.fetchRecords({ from, to, sourceId, connection, options });
+  const report = buildSalesReport({ source, records, currency });
+
+  const tags = [brandId && brandTag(brandId), ...(adapter.cacheTags ? adapter.cacheTags(sourceId) : [])];
+  await cache.set(cacheKey, report, { tags });
+
+  console.log('Sales Service - Report built:', {
+    source,
+    orders: report.totals.orders,
+    revenue: report.totals.revenue,
+    days: report.dailyData.length,
+    products: report.products.length
+  });
+
+  if (includeRawData && raw !== undefined) {
+    return { ...report, [`${source}RawData`]: raw };
+  }
+  return report;
+};
+
+/**
+ * Fetches the canonical sales report for a brand, auto-detecting the source
+ * @param {string} brandId - Brand ID
+ * @param {string} from - Start date in YYYY-MM-DD format
+ * @param {string} to - End date in YYYY-MM-DD format
+ * @param {Object} options - Overrides
+ * @param {string} [options.source] - Explicit source
+ * @param {string} [options.sourceId] - Explicit source ID
+ * @param {boolean} [options.bypassCache] - Whether to bypass the cache
+ * @returns {Promise<Object|null>} Canonical sales report, or null when the brand has no sales source
+ */
+const getSalesReportByBrand = async (brandId, from, to, options = {}) => {
+  const { getBrandConnections } = require('./firebase-service');
+
+  const connections = await getBrandConnections(brandId);
+  const resolved = resolveSalesSource(connections, options);
+
+  if (!resolved || (!resolved.sourceId && SALES_ADAPTERS.get(resolved.source).requiresSourceId)) {
+    console.log('Sales Service - No sales source for brand:', { brandId, requested: options.source || null });
+    return null;
+  }
+
+  return getSalesReport({ ...resolved, from, to, brandId, bypassCache: options.bypassCache });
+};
+
+module.exports = {
+  registerSalesAdapter,
+  getSalesSources,
+  buildSalesReport,
+  resolveSalesSource,
+  getSalesReport,
+  getSalesReportByBrand
+};
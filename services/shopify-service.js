@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Shopify Admin API service (orders)
+ * @module services/shopify-service
+ *
+ * Brand connection (`connections.shopify`):
+ *   { shop_domain: 'example.myshopify.com', access_token: 'shpat_...', currency?: 'USD', timezone?: 'America/New_York' }
+ *
+ * Orders are filtered and bucketed by day in the shop's timezone (the one
+ * Shopify reports in), read from the shop unless the connection sets it.
+ */
+
+const axios = require('axios');
+const moment = require('moment-timezone');
+
+const SHOPIFY_API_VERSION = '2024-10';
+const PAGE_LIMIT = 250;
+const MAX_PAGES = 40; // 10,000 orders per request window
+
+/**
+ * Normalizes a shop domain (accepts full URLs or bare shop names)
+ * @param {string} shopDomain - Shop domain from the brand connection
+ * @returns {string} e.g. example.myshopify.com
+ */
+const normalizeShopDomain = (shopDomain) => {
+  const domain = String(shopDomain || '').trim().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+  if (!domain) return '';
+  return domain.includes('.') ? domain : `${domain}.myshopify.com`;
+};
+
+/**
+ * Extracts the next page_info cursor from a Shopify Link header
+ * @param {string} linkHeader - Link response header
+ * @returns {string|null} page_info cursor
+ */
+const getNextPageInfo = (linkHeader) => {
+  if (!linkHeader) return null;
+  const next = String(linkHeader).split(',').find(part => /rel="next"/.test(part));
+  const match = next && /page_info=([^&>]+)/.exec(next);
+  return match ? match[1] : null;
+};
+
+/**
+ * Resolves the Admin API base URL and auth headers for a connection
+ * @param {Object} connection - Shopify connection ({ shop_domain, access_token })
+ * @returns {{shop: string, baseUrl: string, headers: Object}}
+ */
+const getAdminApi = (connection) => {
+  const shop = normalizeShopDomain(connection?.shop_domain);
+  if (!shop || !connection?.access_token) {
+    throw new Error('Shopify connection requires shop_domain and access_token');
+  }
+  return {
+    shop,
+    baseUrl: `https://${shop}/admin/api/${SHOPIFY_API_VERSION}`,
+    headers: { 'X-Shopify-Access-Token': connection.access_token }
+  };
+};
+
+/**
+ * Reads the shop's IANA timezone (connection `timezone` wins when set)
+ * @param {Object} connection - Shopify connection ({ shop_domain, access_token, timezone? })
+ * @returns {Promise<string>} e.g. America/New_York (UTC when the shop does not report one)
+ */
+const getShopTimezone = async (connection) => {
+  if (connection?.timezone) return connection.timezone;
+
+  const { shop, baseUrl, headers } = getAdminApi(connection);
+  try {
+    const response = await axios.get(`${baseUrl}/shop.json`, { headers, params: { fields: 'iana_timezone' }, timeout: 30000 });
+    return response.data?.shop?.iana_timezone || 'UTC';
+  } catch (error) {
+    console.error('Shopify Service - Error fetching shop timezone:', {
+      shop,
+      message: error.message,
+      status: error.response?.status,
+      response: error.response?.data
+    });
+    if (error.response) {
+      throw new Error(`Shopify API error (${error.response.status}): ${JSON.stringify(error.response.data)}`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Fetches all Shopify orders created in the date range
+ * @param {Object} connection - Shopify connection ({ shop_domain, access_token })
+ * @param {string} from - Start date in YYYY-MM-DD format
+ * @param {string} to - End date in YYYY-MM-DD format
+ * @param {Object} [options]
+ * @param {string} [options.timezone='UTC'] - Shop timezone the dates are days in (see getShopTimezone)
+ * @returns {Promise<Array>} Raw Shopify orders
+ */
+const getShopifyOrders = async (connection, from, to, options = {}) => {
+  const { timezone = 'UTC' } = options;
+  const { shop, baseUrl, headers } = getAdminApi(connection);
+  const url = `${baseUrl}/orders.json`;
+  const orders = [];
+
+  // Shopify rejects filters alongside page_info, so only the first page carries them
+  let params = {
+    status: 'any',
+    created_at_min: moment.tz(from, timezone).startOf('day').format(),
+    created_at_max: moment.tz(to, timezone).endOf('day').format(),
+    limit: PAGE_LIMIT
+  };
+
+  console.log('Fetching Shopify orders:', { shop, from, to, timezone });
+
+  try {
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const response = await axios.get(url, { headers, params, timeout: 30000 });
+      orders.push(...(response.data?.orders || []));
+
+      const pageInfo = getNextPageInfo(response.headers?.link);
+      if (!pageInfo) break;
+      params = { limit: PAGE_LIMIT, page_info: pageInfo };
+    }
+  } catch (error) {
+    console.error('Shopify Service - Error fetching orders:', {
+      shop,
+      message: error.message,
+      status: error.response?.status,
+      response: error.response?.data
+    });
+    if (error.response) {
+      throw new Error(`Shopify API error (${error.response.status}): ${JSON.stringify(error.response.data)}`);
+    }
+    throw error;
+  }
+
+  console.log(`Found ${orders.length} Shopify orders`);
+  return orders;
+};
+
+/**
+ * Maps raw Shopify orders to canonical sales records (see services/sales-service.js)
+ * @param {Array} orders - Raw Shopify orders
+ * @param {Object} connection - Shopify connection (currency fallback)
+ * @param {Object} [options]
+ * @param {string} [options.timezone] - Shop timezone orders are bucketed into days in
+ * @returns {Array} Canonical sales records
+ */
+const toSalesRecords = (orders, connection = {}, options = {}) => {
+  const { timezone } = options;
+  const toDay = (createdAt) => {
+    if (!createdAt) return null;
+    return timezone ? moment.tz(createdAt, timezone).format('YYYY-MM-DD') : String(createdAt).slice(0, 10);
+  };
+
+  return (orders || [])
+    // Voided orders never captured money
+    .filter(order => order.financial_status !== 'voided')
+    .map(order => {
+      const revenue = parseFloat(order.total_price || 0);
+      const refundAmount = (order.refunds || []).reduce((sum, refund) => {
+        return sum + (refund.transactions || [])
+          .filter(t => t.kind === 'refund' && t.status !== 'failure')
+          .reduce((s, t) => s + parseFloat(t.amount || 0), 0);
+      }, 0);
+      const refunded = refundAmount > 0 || !!order.cancelled_at;
+
+      const lineItems = (order.line_items || []).map(item => {
+        const quantity = parseInt(item.quantity || 1);
+        return {
+          id: String(item.product_id || item.variant_id || item.title || 'unknown'),
+          name: item.title || item.name || 'Unknown Product',
+          category: item.product_type || 'Uncategorized',
+          categoryId: item.product_type || 'Uncategorized',
+          quantity,
+          total: parseFloat(item.price || 0) * quantity - parseFloat(item.total_discount || 0)
+        };
+      });
+
+      return {
+        id: String(order.id),
+        date: toDay(order.created_at),
+        orders: 1,
+        revenue,
+        items: lineItems.reduce((sum, item) => sum + item.quantity, 0),
+        refunds: refunded ? 1 : 0,
+        // Cancelled orders without a refund transaction are still money not kept
+        refundAmount: refundAmount || (order.cancelled_at ? revenue : 0),
+        channel: order.source_name || 'web',
+        currency: order.currency || connection.currency || null,
+        lineItems
+      };
+    });
+};
+
+module.exports = {
+  getShopTimezone,
+  getShopifyOrders,
+  toSalesRecords,
+  normalizeShopDomain
+};
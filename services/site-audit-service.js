@@ -0,0 +1,616 @@
+/**
+ * @fileoverview Scheduled site audits backed by the Firestore `site_audit_schedules`
+ * and `site_audits` collections
+ * @module services/site-audit-service
+ *
+ * A schedule says which URL of a brand to crawl and how often (daily / weekly /
+ * monthly, at a local hour in the schedule's timezone). /api/site-audits/run
+ * starts a DataForSEO on_page task for every due schedule and, on later runs,
+ * collects finished tasks into an audit snapshot: the issues found on the site
+ * (broken links and pages, missing or duplicate titles and descriptions, slow
+ * pages), each with a stable key so two snapshots can be diffed.
+ *
+ * Schedules are claimed inside a transaction (nextRunAt is advanced before the
+ * task is started), so overlapping cron runs never start the same audit twice.
+ */
+
+const {
+  startSiteAudit,
+  checkSiteAuditStatus,
+  getSiteAuditSnapshot
+} = require('./dataforseo-service');
+const { invalidSchedule, normalizeScheduleTiming, computeNextRunAt } = require('../utils/schedule-utils');
+const { logApiUsage } = require('../utils/logging.cjs.js');
+const { getDb, toIso, toMillis } = require('../utils/firestore-utils');
+
+const SCHEDULES_COLLECTION = 'site_audit_schedules';
+const AUDITS_COLLECTION = 'site_audits';
+
+const AUDIT_STATUS = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const ISSUE_TYPES = [
+  'broken_link',
+  'broken_page',
+  'missing_title',
+  'missing_description',
+  'duplicate_title',
+  'duplicate_description',
+  'slow_page'
+];
+
+const DEFAULT_MAX_PAGES = 100;
+const MAX_PAGES_LIMIT = 1000;
+
+// Keeps an audit document well under Firestore's 1 MB limit; counts are always complete
+const MAX_STORED_ISSUES = 2000;
+
+// DataForSEO crawls usually finish within minutes; anything older has stalled
+const PENDING_TIMEOUT_MS = 24 * 60 * 60 * 1000;
+// Runner sweeps in a row that may fail to collect an audit before it is failed
+const MAX_COLLECT_FAILURES = 3;
+
+// Fields returned when listing audits (the issues array is only loaded per audit)
+const AUDIT_LIST_FIELDS = [
+  'brandId', 'scheduleId', 'url', 'taskId', 'status', 'startedAt',
+  'completedAt', 'summary', 'issueCounts', 'changes', 'truncated', 'error'
+];
+
+/**
+ * Serializes a schedule document for API responses
+ * @param {string} id - Schedule ID
+ * @param {Object} data - Schedule document data
+ * @returns {Object} Public schedule representation
+ */
+const formatSchedule = (id, data) => ({
+  id,
+  brandId: data.brandId,
+  organizationId: data.organizationId || null,
+  url: data.url,
+  maxPages: data.maxPages || DEFAULT_MAX_PAGES,
+  frequency: data.frequency,
+  dayOfWeek: data.dayOfWeek ?? null,
+  dayOfMonth: data.dayOfMonth ?? null,
+  hour: data.hour,
+  timezone: data.timezone,
+  enabled: data.enabled !== false,
+  nextRunAt: toIso(data.nextRunAt),
+  lastRunAt: toIso(data.lastRunAt),
+  lastStatus: data.lastStatus || null,
+  lastError: data.lastError || null,
+  lastAuditId: data.lastAuditId || null,
+  createdBy: data.createdBy || null,
+  createdAt: toIso(data.createdAt),
+  updatedAt: toIso(data.updatedAt)
+});
+
+/**
+ * Serializes an audit document for API responses
+ * @param {string} id - Audit ID
+ * @param {Object} data - Audit document data
+ * @returns {Object} Public audit representation (issues only when loaded)
+ */
+const formatAudit = (id, data) => ({
+  id,
+  brandId: data.brandId,
+  scheduleId: data.scheduleId || null,
+  url: data.url,
+  taskId: data.taskId || null,
+  status: data.status,
+  startedAt: toIso(data.startedAt),
+  completedAt: toIso(data.completedAt),
+  summary: data.summary || null,
+  issueCounts: data.issueCounts || null,
+  changes: data.changes || null,
+  truncated: data.truncated === true,
+  error: data.error || null,
+  ...(data.issues ? { issues: data.issues } : {})
+});
+
+/**
+ * Validates schedule fields and fills in defaults
+ * @param {Object} input - Fields from the request
+ * @param {Object} [existing] - Current schedule when updating
+ * @returns {Object} Normalized schedule fields
+ * @throws {Error} With `code = 'INVALID_SCHEDULE'` on bad input
+ */
+const normalizeSchedule = (input = {}, existing = {}) => {
+  const merged = { ...existing, ...input };
+
+  if (!merged.brandId || typeof merged.brandId !== 'string') {
+    throw invalidSchedule('brandId is required');
+  }
+
+  let url;
+  try {
+    url = new URL(String(merged.url || '').trim());
+  } catch (error) {
+    throw invalidSchedule('url must be an absolute http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw invalidSchedule('url must be an absolute http(s) URL');
+  }
+
+  const maxPages = merged.maxPages === undefined || merged.maxPages === null ? DEFAULT_MAX_PAGES : parseInt(merged.maxPages);
+  if (!Number.isInteger(maxPages) || maxPages < 1 || maxPages > MAX_PAGES_LIMIT) {
+    throw invalidSchedule(`maxPages must be an integer from 1 to ${MAX_PAGES_LIMIT}`);
+  }
+
+  const { frequency, dayOfWeek, dayOfMonth, hour, timezone } = normalizeScheduleTiming(merged);
+
+  return {
+    brandId: merged.brandId,
+    organizationId: merged.organizationId || null,
+    url: url.href,
+    maxPages,
+    frequency,
+    dayOfWeek,
+    dayOfMonth,
+    hour,
+    timezone,
+    enabled: merged.enabled !== false
+  };
+};
+
+/**
+ * Creates a site audit schedule
+ * @param {Object} input - Schedule fields (brandId, url, frequency, ...)
+ * @param {Object} [options] - Options
+ * @param {string} [options.userId] - Creator's user ID
+ * @returns {Promise<Object>} Created schedule
+ */
+const createSchedule = async (input, { userId = null } = {}) => {
+  const fields = normalizeSchedule(input);
+  const now = new Date();
+  const data = {
+    ...fields,
+    nextRunAt: computeNextRunAt(fields, now.getTime()),
+    lastRunAt: null,
+    lastStatus: null,
+    lastError: null,
+    lastAuditId: null,
+    createdBy: userId,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  const ref = await getDb().collection(SCHEDULES_COLLECTION).add(data);
+  console.log('Site Audit Service - Schedule created:', { scheduleId: ref.id, brandId: fields.brandId, url: fields.url });
+  return formatSchedule(ref.id, data);
+};
+
+/**
+ * Fetches a schedule by ID
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<Object|null>} Schedule or null if not found
+ */
+const getSchedule = async (scheduleId) => {
+  if (!scheduleId) throw new Error('Schedule ID is required');
+  const snap = await getDb().collection(SCHEDULES_COLLECTION).doc(scheduleId).get();
+  return snap.exists ? formatSchedule(snap.id, snap.data()) : null;
+};
+
+/**
+ * Lists the schedules of a brand
+ * @param {string} brandId - Brand ID
+ * @returns {Promise<Object[]>} Schedules
+ */
+const listSchedules = async (brandId) => {
+  if (!brandId) throw new Error('Brand ID is required');
+  const snap = await getDb().collection(SCHEDULES_COLLECTION).where('brandId', '==', brandId).get();
+  return snap.docs.map(doc => formatSchedule(doc.id, doc.data()));
+};
+
+/**
+ * Updates a schedule; timing changes recompute nextRunAt
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} updates - Fields to change (brandId and organizationId are fixed)
+ * @returns {Promise<Object|null>} Updated schedule, or null if not found
+ */
+const updateSchedule = async (scheduleId, updates = {}) => {
+  const ref = getDb().collection(SCHEDULES_COLLECTION).doc(scheduleId);
+  const snap = await ref.get();
+  if (!snap.exists) return null;
+
+  const current = snap.data();
+  const { brandId, organizationId, ...changes } = updates;
+  const fields = normalizeSchedule(changes, current);
+  const data = {
+    ...fields,
+    nextRunAt: computeNextRunAt(fields),
+    updatedAt: new Date()
+  };
+
+  await ref.update(data);
+  return formatSchedule(scheduleId, { ...current, ...data });
+};
+
+/**
+ * Deletes a schedule; its audits are kept
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<boolean>} False if it did not exist
+ */
+const deleteSchedule = async (scheduleId) => {
+  const ref = getDb().collection(SCHEDULES_COLLECTION).doc(scheduleId);
+  const snap = await ref.get();
+  if (!snap.exists) return false;
+  await ref.delete();
+  return true;
+};
+
+/**
+ * Finds enabled schedules whose nextRunAt has passed
+ * @param {number} limit - Maximum schedules to return
+ * @param {number} [now] - Epoch ms (default now)
+ * @returns {Promise<string[]>} Schedule IDs
+ */
+const findDueScheduleIds = async (limit = 10, now = Date.now()) => {
+  const snap = await getDb().collection(SCHEDULES_COLLECTION)
+    .where('enabled', '==', true)
+    .where('nextRunAt', '<=', now)
+    .limit(limit)
+    .get();
+  return snap.docs.map(doc => doc.id);
+};
+
+/**
+ * Atomically claims a due schedule by advancing its nextRunAt
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.force] - Claim even if not due yet (manual run)
+ * @returns {Promise<Object|null>} Schedule, or null if not claimable
+ */
+const claimSchedule = async (scheduleId, { force = false } = {}) => {
+  const db = getDb();
+  const ref = db.collection(SCHEDULES_COLLECTION).doc(scheduleId);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+
+    const data = snap.data();
+    const now = Date.now();
+    if (!force && (data.enabled === false || !data.nextRunAt || data.nextRunAt > now)) return null;
+
+    const update = { lastRunAt: now, updatedAt: new Date(now) };
+    // A manual run does not move the regular slot
+    if (!force) update.nextRunAt = computeNextRunAt(data, now);
+    tx.update(ref, update);
+
+    return formatSchedule(snap.id, { ...data, ...update });
+  });
+};
+
+/**
+ * Stores the outcome of an audit step on its schedule
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} outcome - { status: 'pending' | 'completed' | 'failed', auditId?, error? }
+ */
+const recordScheduleResult = async (scheduleId, { status, auditId = null, error = null }) => {
+  if (!scheduleId) return;
+  const update = { lastStatus: status, lastError: error, updatedAt: new Date() };
+  if (auditId) update.lastAuditId = auditId;
+  try {
+    await getDb().collection(SCHEDULES_COLLECTION).doc(scheduleId).update(update);
+  } catch (updateError) {
+    // The schedule may have been deleted while its audit was running
+    console.warn('Site Audit Service - Could not update schedule:', { scheduleId, error: updateError.message });
+  }
+};
+
+/**
+ * Starts the DataForSEO crawl for a claimed schedule, stores a pending audit and
+ * logs the run to api_logs under `site-audit` (billed per the rate card)
+ * @param {Object} schedule - Schedule (as returned by claimSchedule/getSchedule)
+ * @returns {Promise<Object>} Pending audit
+ */
+const startScheduledAudit = async (schedule) => {
+  try {
+    const task = await startSiteAudit(schedule.url, {
+      maxPages: schedule.maxPages,
+      tag: `site-audit-schedule:${schedule.id}`
+    });
+
+    const now = new Date();
+    const data = {
+      brandId: schedule.brandId,
+      organizationId: schedule.organizationId || null,
+      scheduleId: schedule.id,
+      url: schedule.url,
+      maxPages: schedule.maxPages,
+      taskId: task.taskId,
+      status: AUDIT_STATUS.PENDING,
+      startedAt: now,
+      completedAt: null,
+      updatedAt: now
+    };
+
+    const ref = await getDb().collection(AUDITS_COLLECTION).add(data);
+    await recordScheduleResult(schedule.id, { status: AUDIT_STATUS.PENDING, auditId: ref.id });
+
+    // Billed like a POST /api/site-audit: once per started crawl
+    await logApiUsage('site-audit', {
+      organizationId: schedule.organizationId,
+      brandId: schedule.brandId,
+      userId: schedule.createdBy
+    });
+    console.log('Site Audit Service - Audit started:', { auditId: ref.id, scheduleId: schedule.id, taskId: task.taskId });
+    return formatAudit(ref.id, data);
+  } catch (error) {
+    await recordScheduleResult(schedule.id, { status: AUDIT_STATUS.FAILED, error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Finds pending audits, oldest first
+ * @param {number} limit - Maximum audits to return
+ * @returns {Promise<string[]>} Audit IDs
+ */
+const findPendingAuditIds = async (limit = 10) => {
+  const snap = await getDb().collection(AUDITS_COLLECTION)
+    .where('status', '==', AUDIT_STATUS.PENDING)
+    .orderBy('startedAt', 'asc')
+    .limit(limit)
+    .select()
+    .get();
+  return snap.docs.map(doc => doc.id);
+};
+
+/**
+ * Stable identity of an issue, used to match it across audits
+ * @param {Object} issue - Issue with type, page and optional target
+ * @returns {string}
+ */
+const issueKey = (issue) => [issue.type, issue.page, issue.target || ''].join('|');
+
+/**
+ * Turns a DataForSEO snapshot into the audit's issue list
+ * @param {Object} snapshot - Output of getSiteAuditSnapshot
+ * @returns {Object[]} Issues ({ key, type, page, target, detail }), sorted by key
+ */
+const extractIssues = (snapshot) => {
+  const issues = new Map();
+  const add = (type, page, target = null, detail = null) => {
+    const issue = { key: issueKey({ type, page, target }), type, page, target, detail };
+    if (!issues.has(issue.key)) issues.set(issue.key, issue);
+  };
+
+  (snapshot.pages || []).forEach(page => {
+    const checks = page.checks || {};
+    if (page.statusCode >= 400 || checks.is_broken || checks.is_4xx_code || checks.is_5xx_code) {
+      add('broken_page', page.url, null, page.statusCode ? `HTTP ${page.statusCode}` : null);
+    }
+    if (checks.no_title) add('missing_title', page.url);
+    if (checks.no_description) add('missing_description', page.url);
+    if (checks.duplicate_title) add('duplicate_title', page.url, null, page.title || null);
+    if (checks.duplicate_description) add('duplicate_description', page.url, null, page.description || null);
+    if (checks.high_loading_time) add('slow_page', page.url, null, page.loadTime ? `${Math.round(page.loadTime)} ms` : null);
+    // Without the links list, fall back to the page-level flag
+    if (!snapshot.brokenLinks && checks.broken_links) add('broken_link', page.url);
+  });
+
+  (snapshot.brokenLinks || []).forEach(link => {
+    add('broken_link', link.pageFrom, link.linkTo, link.statusCode ? `HTTP ${link.statusCode}` : null);
+  });
+
+  return [...issues.values()].sort((a, b) => a.key.localeCompare(b.key));
+};
+
+/**
+ * Counts issues per type
+ * @param {Object[]} issues - Issues
+ * @returns {Object} { total, broken_link, broken_page, ... }
+ */
+const countIssues = (issues) => {
+  const counts = { total: issues.length };
+  ISSUE_TYPES.forEach(type => { counts[type] = 0; });
+  issues.forEach(issue => { counts[issue.type] = (counts[issue.type] || 0) + 1; });
+  return counts;
+};
+
+/**
+ * Compares the issues of two audits
+ * @param {Object} base - Earlier audit (with issues)
+ * @param {Object} head - Later audit (with issues)
+ * @returns {Object} { counts, byType, new, resolved, persisting, truncated }
+ */
+const diffAudits = (base, head) => {
+  const baseIssues = new Map((base.issues || []).map(issue => [issue.key, issue]));
+  const headIssues = new Map((head.issues || []).map(issue => [issue.key, issue]));
+
+  const added = [...headIssues.values()].filter(issue => !baseIssues.has(issue.key));
+  const resolved = [...baseIssues.values()].filter(issue => !headIssues.has(issue.key));
+  const persisting = [...headIssues.values()].filter(issue => baseIssues.has(issue.key));
+
+  const byType = {};
+  ISSUE_TYPES.forEach(type => { byType[type] = { new: 0, resolved: 0, persisting: 0 }; });
+  const tally = (issues, bucket) => issues.forEach(issue => {
+    byType[issue.type] = byType[issue.type] || { new: 0, resolved: 0, persisting: 0 };
+    byType[issue.type][bucket]++;
+  });
+  tally(added, 'new');
+  tally(resolved, 'resolved');
+  tally(persisting, 'persisting');
+
+  return {
+    counts: { new: added.length, resolved: resolved.length, persisting: persisting.length },
+    byType,
+    new: added,
+    resolved,
+    persisting,
+    // Issues past MAX_STORED_ISSUES were not stored, so they can show up as new or resolved
+    truncated: base.truncated === true || head.truncated === true
+  };
+};
+
+/**
+ * Fetches an audit by ID, including its issues
+ * @param {string} auditId - Audit ID
+ * @returns {Promise<Object|null>} Audit or null if not found
+ */
+const getAudit = async (auditId) => {
+  if (!auditId) throw new Error('Audit ID is required');
+  const snap = await getDb().collection(AUDITS_COLLECTION).doc(auditId).get();
+  return snap.exists ? formatAudit(snap.id, snap.data()) : null;
+};
+
+/**
+ * Lists a brand's audits, newest first, without their issues
+ * @param {string} brandId - Brand ID
+ * @param {Object} [options] - Filters
+ * @param {string} [options.status] - pending | completed | failed (default all)
+ * @param {number} [options.limit] - Maximum audits (default 20)
+ * @returns {Promise<Object[]>} Audits
+ */
+const listAudits = async (brandId, { status = null, limit = 20 } = {}) => {
+  if (!brandId) throw new Error('Brand ID is required');
+  let query = getDb().collection(AUDITS_COLLECTION).where('brandId', '==', brandId);
+  if (status) query = query.where('status', '==', status);
+  const snap = await query.orderBy('startedAt', 'desc').limit(limit).select(...AUDIT_LIST_FIELDS).get();
+  return snap.docs.map(doc => formatAudit(doc.id, doc.data()));
+};
+
+/**
+ * Finds the completed audit of the same brand and URL that precedes an audit
+ * @param {Object} audit - Audit (id, brandId, url, startedAt)
+ * @returns {Promise<Object|null>} Previous audit with issues, or null
+ */
+const findPreviousAudit = async (audit) => {
+  const completed = await listAudits(audit.brandId, { status: AUDIT_STATUS.COMPLETED, limit: 20 });
+  const previous = completed.find(candidate =>
+    candidate.id !== audit.id &&
+    candidate.url === audit.url &&
+    (!audit.startedAt || candidate.startedAt < audit.startedAt)
+  );
+  return previous ? getAudit(previous.id) : null;
+};
+
+/**
+ * Marks an audit failed
+ * @param {string} auditId - Audit ID
+ * @param {Object} data - Audit document data
+ * @param {string} message - Failure reason
+ * @returns {Promise<Object>} Outcome summary
+ */
+const failAudit = async (auditId, data, message) => {
+  await getDb().collection(AUDITS_COLLECTION).doc(auditId).update({
+    status: AUDIT_STATUS.FAILED,
+    error: message,
+    completedAt: new Date(),
+    updatedAt: new Date()
+  });
+  await recordScheduleResult(data.scheduleId, { status: AUDIT_STATUS.FAILED, auditId, error: message });
+  console.warn('Site Audit Service - Audit failed:', { auditId, taskId: data.taskId, error: message });
+  return { auditId, status: AUDIT_STATUS.FAILED, error: message };
+};
+
+/**
+ * Checks a pending audit's crawl and, once finished, stores its issues and the
+ * change against the previous audit of the same URL
+ * @param {string} auditId - Audit ID
+ * @returns {Promise<Object>} Outcome summary ({ auditId, status, ... })
+ */
+const collectAudit = async (auditId) => {
+  const ref = getDb().collection(AUDITS_COLLECTION).doc(auditId);
+  const snap = await ref.get();
+  if (!snap.exists) return { auditId, skipped: true, reason: 'Audit not found' };
+
+  const data = snap.data();
+  if (data.status !== AUDIT_STATUS.PENDING) {
+    return { auditId, skipped: true, reason: `Audit is ${data.status}` };
+  }
+
+  try {
+    return await collectPendingAudit(auditId, ref, data);
+  } catch (error) {
+    // Pending audits are collected oldest first, so one that keeps failing would block the rest
+    const failures = (data.collectFailures || 0) + 1;
+    if (failures >= MAX_COLLECT_FAILURES || Date.now() - toMillis(data.startedAt) > PENDING_TIMEOUT_MS) {
+      return failAudit(auditId, data, `Could not collect results after ${failures} attempts: ${error.message}`);
+    }
+    await ref.update({ collectFailures: failures, lastCollectError: error.message, updatedAt: new Date() });
+    throw error;
+  }
+};
+
+/**
+ * Collects a pending audit (see collectAudit)
+ * @param {string} auditId - Audit ID
+ * @param {Object} ref - Audit document reference
+ * @param {Object} data - Audit document data
+ * @returns {Promise<Object>} Outcome summary
+ */
+const collectPendingAudit = async (auditId, ref, data) => {
+  const taskStatus = await checkSiteAuditStatus(data.taskId);
+  if (taskStatus.status === 'not_found') {
+    return failAudit(auditId, data, 'DataForSEO task not found');
+  }
+  if (!taskStatus.isReady) {
+    if (Date.now() - toMillis(data.startedAt) > PENDING_TIMEOUT_MS) {
+      return failAudit(auditId, data, 'Crawl did not finish within 24 hours');
+    }
+    return { auditId, status: AUDIT_STATUS.PENDING, progress: taskStatus.progress ?? null };
+  }
+
+  const snapshot = await getSiteAuditSnapshot(data.taskId, { maxPages: data.maxPages || DEFAULT_MAX_PAGES });
+  const issues = extractIssues(snapshot);
+  const stored = issues.slice(0, MAX_STORED_ISSUES);
+
+  const audit = {
+    status: AUDIT_STATUS.COMPLETED,
+    completedAt: new Date(),
+    updatedAt: new Date(),
+    summary: {
+      pagesCrawled: snapshot.pagesCrawled,
+      pagesChecked: snapshot.pages.length,
+      onpageScore: snapshot.onpageScore,
+      brokenLinksChecked: snapshot.brokenLinks !== null
+    },
+    issues: stored,
+    issueCounts: countIssues(issues),
+    truncated: stored.length < issues.length
+  };
+
+  const previous = await findPreviousAudit({ id: auditId, brandId: data.brandId, url: data.url, startedAt: toIso(data.startedAt) });
+  if (previous) {
+    const diff = diffAudits(previous, audit);
+    audit.changes = { baseAuditId: previous.id, ...diff.counts };
+  }
+
+  await ref.update(audit);
+  await recordScheduleResult(data.scheduleId, { status: AUDIT_STATUS.COMPLETED, auditId });
+
+  console.log('Site Audit Service - Audit completed:', {
+    auditId,
+    taskId: data.taskId,
+    issues: issues.length,
+    changes: audit.changes || null
+  });
+
+  return { auditId, status: AUDIT_STATUS.COMPLETED, issueCounts: audit.issueCounts, changes: audit.changes || null };
+};
+
+module.exports = {
+  AUDIT_STATUS,
+  ISSUE_TYPES,
+  normalizeSchedule,
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  updateSchedule,
+  deleteSchedule,
+  findDueScheduleIds,
+  claimSchedule,
+  startScheduledAudit,
+  findPendingAuditIds,
+  collectAudit,
+  extractIssues,
+  diffAudits,
+  getAudit,
+  listAudits,
+  findPreviousAudit
+};
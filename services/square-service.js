@@ -42,32 +42,7 @@ const getSquareSalesData = async (from, to, locationId = null) => {
       squareEnv: process.env.SQUARE_ENVIRONMENT
     });
     
-    const client = initializeSquareClient();
-    const { ordersApi } = client;
-    
-    // Build the search query based on the curl example
-    const searchQuery = {
-      locationIds: locationId ? [locationId] : undefined,
-      query: {
-        filter: {
-          dateTimeFilter: {
-            createdAt: {
-              startAt: `${from}T00:00:00Z`,
-              endAt: `${to}T23:59:59Z`
-            }
-          },
-          stateFilter: {
-            states: ["COMPLETED"]
-          }
-        }
-      },
-      limit: 100
-    };
-    
-    console.log('Search query:', JSON.stringify(searchQuery));
-    
-    // Get all orders for the date range
-    const orders = await getAllOrders(ordersApi, searchQuery);
+    const orders = await getSquareOrders(from, to, locationId);
     
     // Process the orders into daily sales data
     return processOrdersData(orders, from, to);
@@ -80,6 +55,42 @@ const getSquareSalesData = async (from, to, locationId = null) => {
   }
 };
 
+/**
+ * Fetches all COMPLETED Square orders for the date range (unprocessed)
+ * @param {string} from - Start date in YYYY-MM-DD format
+ * @param {string} to - End date in YYYY-MM-DD format
+ * @param {string} locationId - Optional Square location ID
+ * @returns {Promise<Array>} Square orders
+ */
+const getSquareOrders = async (from, to, locationId = null) => {
+  const client = initializeSquareClient();
+  const { ordersApi } = client;
+  
+  // Build the search query based on the curl example
+  const searchQuery = {
+    locationIds: locationId ? [locationId] : undefined,
+    query: {
+      filter: {
+        dateTimeFilter: {
+          createdAt: {
+            startAt: `${from}T00:00:00Z`,
+            endAt: `${to}T23:59:59Z`
+          }
+        },
+        stateFilter: {
+          states: ["COMPLETED"]
+        }
+      }
+    },
+    limit: 100
+  };
+  
+  console.log('Search query:', JSON.stringify(searchQuery));
+  
+  // Get all orders for the date range
+  return getAllOrders(ordersApi, searchQuery);
+};
+
 /**
  * Recursively fetches all orders using pagination
  * @param {Object} ordersApi - Square Orders API instance
@@ -255,5 +266,6 @@ const getSquareLocations = async () => {
 module.exports = {
   initializeSquareClient,
   getSquareSalesData,
+  getSquareOrders,
   getSquareLocations
 };
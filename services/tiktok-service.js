@@ -0,0 +1,401 @@
+/**
+ * @fileoverview TikTok organic and TikTok Ads service functions
+ * @module services/tiktok-service
+ *
+ * Organic data (profile and videos) comes from the TikTok Display API with the
+ * brand's `tiktok_account` connection:
+ *
+ *   connections.tiktok_account: { open_id, username, access_token, refresh_token, expires_at }
+ *
+ * Access tokens live for 24 hours; expired tokens are refreshed with
+ * TIKTOK_CLIENT_KEY / TIKTOK_CLIENT_SECRET and the request retried once.
+ *
+ * Ad insights come from the TikTok Marketing API with the `tiktok_ads` connection:
+ *
+ *   connections.tiktok_ads: { advertiser_id, access_token }
+ */
+
+const axios = require('axios');
+const { convertToBusinessTimezone } = require('../utils/date-utils');
+
+const TIKTOK_OPEN_API_URL = 'https://open.tiktokapis.com/v2';
+const TIKTOK_BUSINESS_API_URL = 'https://business-api.tiktok.com/open_api/v1.3';
+
+// The Marketing API caps daily reports at 30 days per request
+const ADS_REPORT_CHUNK_DAYS = 30;
+
+// Safety net for accounts that post a lot; 20 videos per page
+const MAX_VIDEO_PAGES = 10;
+
+const VIDEO_FIELDS = 'id,title,video_description,create_time,cover_image_url,share_url,duration,view_count,like_count,comment_count,share_count';
+const PROFILE_FIELDS = 'open_id,username,display_name,avatar_url,follower_count,following_count,likes_count,video_count';
+
+/**
+ * Refresh TikTok OAuth access token using refresh token
+ * @param {string} refreshToken - OAuth refresh token
+ * @returns {Promise<string>} New access token
+ */
+const refreshTikTokAccessToken = async (refreshToken) => {
+  try {
+    console.log('TikTok Service - Refreshing access token');
+
+    if (!process.env.TIKTOK_CLIENT_KEY || !process.env.TIKTOK_CLIENT_SECRET) {
+      throw new Error('Missing TIKTOK_CLIENT_KEY or TIKTOK_CLIENT_SECRET environment variables');
+    }
+
+    const response = await axios.post(`${TIKTOK_OPEN_API_URL}/oauth/token/`, new URLSearchParams({
+      client_key: process.env.TIKTOK_CLIENT_KEY,
+      client_secret: process.env.TIKTOK_CLIENT_SECRET,
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken
+    }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+
+    if (!response.data?.access_token) {
+      throw new Error(response.data?.error_description || 'No access token in refresh response');
+    }
+
+    console.log('TikTok Service - Token refreshed successfully');
+    return response.data.access_token;
+  } catch (error) {
+    console.error('TikTok Service - Error refreshing token:', {
+      message: error.message,
+      response: error.response?.data
+    });
+    throw new Error('Failed to refresh TikTok access token: ' + error.message);
+  }
+};
+
+/**
+ * Calls the TikTok Display API, refreshing the access token once on 401
+ * @param {Function} request - (accessToken) => axios promise
+ * @param {Object} options - { accessToken, refreshToken }
+ * @returns {Promise<Object>} Response `data` payload
+ */
+const callOpenApi = async (request, { accessToken, refreshToken } = {}) => {
+  if (!accessToken) {
+    throw new Error('TikTok access token is required (no environment fallback)');
+  }
+
+  let response;
+  try {
+    response = await request(accessToken);
+  } catch (error) {
+    if (error.response?.status !== 401 || !refreshToken) {
+      throw error;
+    }
+    console.log('TikTok Service - Access token expired, refreshing...');
+    response = await request(await refreshTikTokAccessToken(refreshToken));
+  }
+
+  // Display API errors come back as { error: { code, message } } with code 'ok' on success
+  const apiError = response.data?.error;
+  if (apiError && apiError.code && apiError.code !== 'ok') {
+    throw new Error(`TikTok API error (${apiError.code}): ${apiError.message}`);
+  }
+  return response.data?.data || {};
+};
+
+/**
+ * Gets the TikTok profile for the connected account
+ * @param {Object} options - { accessToken, refreshToken }
+ * @returns {Promise<Object>} { openId, username, displayName, avatarUrl, followers, following, likes, videoCount }
+ */
+exports.getTikTokProfile = async function(options = {}) {
+  const data = await callOpenApi(token => axios.get(`${TIKTOK_OPEN_API_URL}/user/info/`, {
+    params: { fields: PROFILE_FIELDS },
+    headers: { Authorization: `Bearer ${token}` },
+    timeout: 10000
+  }), options);
+
+  const user = data.user || {};
+  return {
+    openId: user.open_id || null,
+    username: user.username || null,
+    displayName: user.display_name || null,
+    avatarUrl: user.avatar_url || null,
+    followers: user.follower_count || 0,
+    following: user.following_count || 0,
+    likes: user.likes_count || 0,
+    videoCount: user.video_count || 0
+  };
+};
+
+/**
+ * Gets the followers count for the connected TikTok account
+ * @param {Object} [options={}] - Additional options
+ * @param {string} [options.accessToken] - OAuth access token (required; provided from brand.connections.tiktok_account.access_token)
+ * @param {string} [options.refreshToken] - OAuth refresh token
+ * @returns {Promise<number>} Followers count
+ */
+exports.getTikTokFollowers = async function(options = {}) {
+  try {
+    const profile = await exports.getTikTokProfile(options);
+    return profile.followers;
+  } catch (error) {
+    console.error('Error fetching TikTok followers:', error.message);
+    return 0;
+  }
+};
+
+/**
+ * Gets TikTok videos posted within a date range
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @param {number} [limit=25] - Maximum number of video details to return
+ * @param {string} [businessTimezone] - Business timezone for timestamp conversion
+ * @param {Object} [options={}] - Additional options
+ * @param {string} [options.accessToken] - OAuth access token (required; provided from brand.connections.tiktok_account.access_token)
+ * @param {string} [options.refreshToken] - OAuth refresh token
+ * @returns {Promise<Object>} { count, details, totals: { views, likes, comments, shares } }
+ */
+exports.getTikTokPosts = async function(from, to, limit = 25, businessTimezone = null, options = {}) {
+  try {
+    console.log(`Fetching TikTok videos from ${from} to ${to}`);
+
+    const fromTime = Math.floor(new Date(from).getTime() / 1000);
+    const toTime = Math.floor(new Date(to).getTime() / 1000) + (24 * 60 * 60); // Include the end date
+
+    // Videos are returned newest first; page back until we pass the start of the range
+    const videos = [];
+    let cursor = null;
+    for (let page = 0; page < MAX_VIDEO_PAGES; page++) {
+      const data = await callOpenApi(token => axios.post(`${TIKTOK_OPEN_API_URL}/video/list/`, {
+        max_count: 20,
+        ...(cursor ? { cursor } : {})
+      }, {
+        params: { fields: VIDEO_FIELDS },
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        timeout: 10000
+      }), options);
+
+      const pageVideos = data.videos || [];
+      videos.push(...pageVideos);
+
+      const oldest = pageVideos[pageVideos.length - 1]?.create_time;
+      if (!data.has_more || !pageVideos.length || (oldest && oldest < fromTime)) break;
+      cursor = data.cursor;
+    }
+
+    const videosInRange = videos.filter(video => video.create_time >= fromTime && video.create_time < toTime);
+
+    const details = videosInRange.map(video => ({
+      id: video.id,
+      caption: video.video_description || video.title || '',
+      thumbnail_url: video.cover_image_url || null,
+      permalink: video.share_url || null,
+      timestamp: convertToBusinessTimezone(new Date(video.create_time * 1000).toISOString(), businessTimezone),
+      duration: video.duration || 0,
+      views: video.view_count || 0,
+      likes: video.like_count || 0,
+      comments: video.comment_count || 0,
+      shares: video.share_count || 0
+    }));
+
+    const totals = details.reduce((sum, video) => ({
+      views: sum.views + video.views,
+      likes: sum.likes + video.likes,
+      comments: sum.comments + video.comments,
+      shares: sum.shares + video.shares
+    }), { views: 0, likes: 0, comments: 0, shares: 0 });
+
+    console.log(`Found ${details.length} TikTok videos in date range, returning ${Math.min(details.length, limit)} in details (limit: ${limit})`);
+
+    return { count: details.length, details: details.slice(0, limit), totals };
+  } catch (error) {
+    console.error('Error fetching TikTok videos:', error.message);
+    if (error.response?.data) {
+      console.error('TikTok API error details:', JSON.stringify(error.response.data, null, 2));
+    }
+    throw error;
+  }
+};
+
+/**
+ * Gets the count of TikTok videos within a date range (never throws)
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @param {number} [limit=25] - Maximum number of video details to return
+ * @param {string} [businessTimezone] - Business timezone for timestamp conversion
+ * @param {Object} [options={}] - See getTikTokPosts
+ * @returns {Promise<Object>} Count of videos and video details
+ */
+exports.getTikTokPostsCount = async function(from, to, limit = 25, businessTimezone = null, options = {}) {
+  try {
+    return await exports.getTikTokPosts(from, to, limit, businessTimezone, options);
+  } catch (error) {
+    console.error('Error in TikTok posts count:', error.message);
+    return { count: 0, details: [], totals: { views: 0, likes: 0, comments: 0, shares: 0 } };
+  }
+};
+
+/**
+ * Splits a date range into chunks of at most `days` days
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @param {number} days - Chunk length
+ * @returns {Array<{start: string, end: string}>} Chunks
+ */
+const splitDateRange = (from, to, days) => {
+  const chunks = [];
+  const end = new Date(`${to}T00:00:00Z`);
+  let start = new Date(`${from}T00:00:00Z`);
+
+  while (start <= end) {
+    const chunkEnd = new Date(start);
+    chunkEnd.setUTCDate(chunkEnd.getUTCDate() + days - 1);
+    const boundedEnd = chunkEnd > end ? end : chunkEnd;
+    chunks.push({ start: start.toISOString().split('T')[0], end: boundedEnd.toISOString().split('T')[0] });
+    start = new Date(boundedEnd);
+    start.setUTCDate(start.getUTCDate() + 1);
+  }
+  return chunks;
+};
+
+/**
+ * Fetches TikTok Ads daily insights for the specified date range
+ * @param {string} advertiserId - TikTok advertiser ID
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @param {Object} options - Additional options
+ * @param {string} options.accessToken - Marketing API access token (required; provided from brand.connections.tiktok_ads.access_token)
+ * @returns {Promise<Object>} { data: [{ date, spend, impressions, clicks, reach, conversions, ctr, cpc, cpm }], totals, currency }
+ */
+exports.getTikTokAdsData = async (advertiserId, from, to, options = {}) => {
+  const { accessToken } = options;
+
+  if (!accessToken) {
+    throw new Error('TikTok Ads access token is required for getTikTokAdsData (no environment fallback)');
+  }
+
+  try {
+    console.log('TikTok Ads Service - Fetching insights:', { advertiserId, from, to });
+
+    const rows = [];
+    for (const chunk of splitDateRange(from, to, ADS_REPORT_CHUNK_DAYS)) {
+      const response = await axios.get(`${TIKTOK_BUSINESS_API_URL}/report/integrated/get/`, {
+        params: {
+          advertiser_id: advertiserId,
+          report_type: 'BASIC',
+          data_level: 'AUCTION_ADVERTISER',
+          dimensions: JSON.stringify(['stat_time_day']),
+          metrics: JSON.stringify(['spend', 'impressions', 'clicks', 'reach', 'conversion', 'currency']),
+          start_date: chunk.start,
+          end_date: chunk.end,
+          page_size: 1000
+        },
+        headers: { 'Access-Token': accessToken },
+        timeout: 15000
+      });
+
+      // The Marketing API answers 200 with a non-zero `code` on failure
+      if (response.data?.code !== 0) {
+        throw new Error(`TikTok Ads API error (${response.data?.code}): ${response.data?.message}`);
+      }
+      rows.push(...(response.data.data?.list || []));
+    }
+
+    let currency = null;
+    const data = rows
+      .map(row => {
+        const metrics = row.metrics || {};
+        const spend = parseFloat(parseFloat(metrics.spend || 0).toFixed(2));
+        const impressions = parseInt(metrics.impressions || 0);
+        const clicks = parseInt(metrics.clicks || 0);
+        currency = currency || metrics.currency || null;
+
+        return {
+          date: String(row.dimensions?.stat_time_day || '').slice(0, 10),
+          spend,
+          impressions,
+          clicks,
+          reach: parseInt(metrics.reach || 0),
+          conversions: parseInt(metrics.conversion || 0),
+          ctr: impressions > 0 ? parseFloat(((clicks / impressions) * 100).toFixed(2)) : 0,
+          cpc: clicks > 0 ? parseFloat((spend / clicks).toFixed(2)) : 0,
+          cpm: impressions > 0 ? parseFloat((spend / impressions * 1000).toFixed(2)) : 0
+        };
+      })
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    const totals = data.reduce((sum, day) => ({
+      spend: sum.spend + day.spend,
+      impressions: sum.impressions + day.impressions,
+      clicks: sum.clicks + day.clicks,
+      reach: sum.reach + day.reach,
+      conversions: sum.conversions + day.conversions
+    }), { spend: 0, impressions: 0, clicks: 0, reach: 0, conversions: 0 });
+
+    totals.spend = parseFloat(totals.spend.toFixed(2));
+    totals.ctr = totals.impressions > 0 ? parseFloat(((totals.clicks / totals.impressions) * 100).toFixed(2)) : 0;
+    totals.cpc = totals.clicks > 0 ? parseFloat((totals.spend / totals.clicks).toFixed(2)) : 0;
+    totals.cpm = totals.impressions > 0 ? parseFloat((totals.spend / totals.impressions * 1000).toFixed(2)) : 0;
+
+    console.log('TikTok Ads Service - Insights fetched:', { advertiserId, days: data.length, spend: totals.spend });
+
+    return { data, totals, currency };
+  } catch (error) {
+    console.error('TikTok Ads Service - Error fetching insights:', {
+      advertiserId,
+      message: error.message,
+      response: error.response?.data
+    });
+    throw error;
+  }
+};
+
+/**
+ * Fetches TikTok videos using brandId
+ * @param {string} brandId - Brand ID to fetch TikTok data from
+ * @param {string} from - Start date
+ * @param {string} to - End date
+ * @returns {Promise<Object>} TikTok videos response
+ */
+exports.getTikTokPostsByBrand = async (brandId, from, to) => {
+  const { getBrandConnection } = require('./firebase-service.js');
+
+  try {
+    const connection = await getBrandConnection(brandId, 'tiktok_account');
+
+    if (!connection || !connection.access_token) {
+      throw new Error(`TikTok account connection not found for brand ${brandId}`);
+    }
+
+    console.log('TikTok Service - Fetching videos by brand:', { brandId, from, to });
+
+    return await exports.getTikTokPosts(from, to, 25, null, {
+      accessToken: connection.access_token,
+      refreshToken: connection.refresh_token
+    });
+  } catch (error) {
+    console.error('TikTok Service - Error fetching videos by brand:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Fetches TikTok Ads insights using brandId
+ * @param {string} brandId - Brand ID to fetch TikTok Ads data from
+ * @param {string} from - Start date
+ * @param {string} to - End date
+ * @returns {Promise<Object>} TikTok Ads report response
+ */
+exports.getTikTokAdsDataByBrand = async (brandId, from, to) => {
+  const { getBrandConnection } = require('./firebase-service.js');
+
+  try {
+    const connection = await getBrandConnection(brandId, 'tiktok_ads');
+
+    if (!connection || !connection.advertiser_id) {
+      throw new Error(`TikTok Ads connection not found for brand ${brandId}`);
+    }
+
+    console.log('TikTok Ads Service - Fetching insights by brand:', { brandId, advertiserId: connection.advertiser_id, from, to });
+
+    return await exports.getTikTokAdsData(connection.advertiser_id, from, to, { accessToken: connection.access_token });
+  } catch (error) {
+    console.error('TikTok Ads Service - Error fetching insights by brand:', error.message);
+    throw error;
+  }
+};
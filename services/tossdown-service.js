@@ -6,16 +6,78 @@
 const axios = require('axios');
 const querystring = require('querystring');
 const FormData = require('form-data');
-const crypto = require('crypto');
+const { createCache, hashKey } = require('./cache-service');
 
 // Tossdown API endpoint
 const TOSSDOWN_API_URL = 'https://tossdown.com/api/order_get';
 
 // Cache configuration
-const CACHE = {
-  data: {},
-  timestamps: {},
-  TTL: 15 * 60 * 1000 // 15 minutes cache TTL
+const cache = createCache('tossdown', { ttl: 15 * 60 * 1000 }); // 15 minutes cache TTL
+
+/**
+ * Cache tag for everything fetched for a Tossdown business
+ * @param {number|string} tossdownId - Tossdown business ID
+ * @returns {string}
+ */
+const tossdownTag = (tossdownId) => `tossdown:${tossdownId}`;
+
+/**
+ * Requests raw orders from the Tossdown API (no caching or processing)
+ * @param {string} from - Start date in YYYY-MM-DD format
+ * @param {string} to - End date in YYYY-MM-DD format
+ * @param {number} tossdownId - Tossdown business ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.method] - 'alt' sends multipart form-data instead of x-www-form-urlencoded
+ * @returns {Promise<Object>} Parsed Tossdown response ({ result: [orders] })
+ */
+const fetchTossdownOrders = async (from, to, tossdownId, { method = null } = {}) => {
+  // Prepare form data - exactly matching Postman
+  const formData = {
+    from_date: from,
+    to_date: to,
+    eatout_id: tossdownId,
+    source: 'biz',
+    limit: 1000
+  };
+  
+  console.log('Tossdown API request payload:', { ...formData, method: method || 'default' });
+  
+  let response;
+  if (method === 'alt') {
+    // Make API request with form-data
+    const form = new FormData();
+    Object.entries(formData).forEach(([key, value]) => form.append(key, String(value)));
+    response = await axios.post(TOSSDOWN_API_URL, form, {
+      headers: form.getHeaders(),
+      timeout: 55000
+    });
+  } else {
+    // Make API request with x-www-form-urlencoded format
+    response = await axios({
+      method: 'post',
+      url: TOSSDOWN_API_URL,
+      data: querystring.stringify(formData),
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      timeout: 55000
+    });
+  }
+  
+  console.log('Tossdown API response status:', response.status);
+  
+  // Parse JSON string if needed
+  let responseData = response.data;
+  if (typeof response.data === 'string') {
+    try {
+      responseData = JSON.parse(response.data);
+      console.log('Successfully parsed JSON string response');
+    } catch (parseError) {
+      console.error('Failed to parse response as JSON:', parseError.message);
+    }
+  }
+  
+  return responseData;
 };
 
 /**
@@ -48,58 +110,22 @@ const getTossdownSalesData = async (from, to, tossdownId, bypassCache = false, i
     }
     
     // Generate cache key
-    const cacheKey = crypto.createHash('md5').update(
-      JSON.stringify({ from, to, tossdownId })
-    ).digest('hex');
+    const cacheKey = hashKey({ from, to, tossdownId });
     
     // Check cache if not bypassing
-    if (!bypassCache && CACHE.data[cacheKey] && 
-        (Date.now() - CACHE.timestamps[cacheKey] < CACHE.TTL)) {
+    const cached = bypassCache ? null : await cache.get(cacheKey);
+    if (cached && !cached.expired) {
       console.log('Returning cached Tossdown data for:', { from, to, tossdownId });
-      return CACHE.data[cacheKey];
+      return cached.value;
     }
     
-    // Prepare form data - exactly matching Postman
-    const formData = {
-      from_date: from,
-      to_date: to,
-      eatout_id: tossdownId,
-      source: 'biz',
-      limit: 1000
-    };
-    
-    console.log('Tossdown API request payload:', formData);
-    
-    // Make API request with x-www-form-urlencoded format
-    const response = await axios({
-      method: 'post',
-      url: TOSSDOWN_API_URL,
-      data: querystring.stringify(formData),
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded'
-      },
-      timeout: 55000
-    });
-    
-    console.log('Tossdown API response status:', response.status);
-    
-    // Parse JSON string if needed
-    let responseData = response.data;
-    if (typeof response.data === 'string') {
-      try {
-        responseData = JSON.parse(response.data);
-        console.log('Successfully parsed JSON string response');
-      } catch (parseError) {
-        console.error('Failed to parse response as JSON:', parseError.message);
-      }
-    }
+    const responseData = await fetchTossdownOrders(from, to, tossdownId);
     
     // Process the data to extract sales information
     const processedData = processTossdownData(responseData, from, to, includeRawData);
     
     // Store in cache
-    CACHE.data[cacheKey] = processedData;
-    CACHE.timestamps[cacheKey] = Date.now();
+    await cache.set(cacheKey, processedData, { tags: [tossdownTag(tossdownId)] });
     console.log('Cached Tossdown data with key:', cacheKey);
     
     // Return the processed data
@@ -371,58 +397,22 @@ const getTossdownSalesDataAlt = async (from, to, tossdownId, bypassCache = false
     }
     
     // Generate cache key
-    const cacheKey = crypto.createHash('md5').update(
-      JSON.stringify({ from, to, tossdownId, method: 'alt' })
-    ).digest('hex');
+    const cacheKey = hashKey({ from, to, tossdownId, method: 'alt' });
     
     // Check cache if not bypassing
-    if (!bypassCache && CACHE.data[cacheKey] && 
-        (Date.now() - CACHE.timestamps[cacheKey] < CACHE.TTL)) {
+    const cached = bypassCache ? null : await cache.get(cacheKey);
+    if (cached && !cached.expired) {
       console.log('Returning cached Tossdown data (alt) for:', { from, to, tossdownId });
-      return CACHE.data[cacheKey];
+      return cached.value;
     }
     
-    // Create form data
-    const form = new FormData();
-    form.append('from_date', from);
-    form.append('to_date', to);
-    form.append('eatout_id', tossdownId);
-    form.append('source', 'biz');
-    form.append('limit', '1000');
-    
-    console.log('Tossdown API request payload (alt):', {
-      from_date: from,
-      to_date: to,
-      eatout_id: tossdownId,
-      source: 'biz',
-      limit: 1000
-    });
-    
-    // Make API request with form-data
-    const response = await axios.post(TOSSDOWN_API_URL, form, {
-      headers: form.getHeaders(),
-      timeout: 55000
-    });
-    
-    console.log('Tossdown API response status (alt):', response.status);
-    
-    // Parse JSON string if needed
-    let responseData = response.data;
-    if (typeof response.data === 'string') {
-      try {
-        responseData = JSON.parse(response.data);
-        console.log('Successfully parsed JSON string response (alt)');
-      } catch (parseError) {
-        console.error('Failed to parse response as JSON (alt):', parseError.message);
-      }
-    }
+    const responseData = await fetchTossdownOrders(from, to, tossdownId, { method: 'alt' });
     
     // Process the data to extract sales information
     const processedData = processTossdownData(responseData, from, to, includeRawData);
     
     // Store in cache
-    CACHE.data[cacheKey] = processedData;
-    CACHE.timestamps[cacheKey] = Date.now();
+    await cache.set(cacheKey, processedData, { tags: [tossdownTag(tossdownId)] });
     console.log('Cached Tossdown data (alt) with key:', cacheKey);
     
     // Return the processed data
@@ -701,9 +691,11 @@ const getTossdownProductTrendsByBrand = async (brandId, from, to, bypassCache =
 };
 
 module.exports = {
+  fetchTossdownOrders,
   getTossdownSalesData,
   getTossdownSalesDataAlt,
   getTossdownProductTrends,
   getTossdownSalesDataByBrand,
-  getTossdownProductTrendsByBrand
+  getTossdownProductTrendsByBrand,
+  tossdownTag
 };
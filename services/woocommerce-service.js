@@ -0,0 +1,119 @@
+/**
+ * @fileoverview WooCommerce REST API service (orders)
+ * @module services/woocommerce-service
+ *
+ * Brand connection (`connections.woocommerce`):
+ *   { store_url: 'https://shop.example.com', consumer_key: 'ck_...', consumer_secret: 'cs_...', currency?: 'USD' }
+ */
+
+const axios = require('axios');
+
+const PER_PAGE = 100;
+const MAX_PAGES = 100; // 10,000 orders per request window
+
+// Orders in these statuses never turned into a sale
+const EXCLUDED_STATUSES = ['pending', 'failed', 'trash', 'checkout-draft'];
+
+/**
+ * Fetches all WooCommerce orders created in the date range
+ * @param {Object} connection - WooCommerce connection ({ store_url, consumer_key, consumer_secret })
+ * @param {string} from - Start date in YYYY-MM-DD format
+ * @param {string} to - End date in YYYY-MM-DD format
+ * @returns {Promise<Array>} Raw WooCommerce orders
+ */
+const getWooCommerceOrders = async (connection, from, to) => {
+  const storeUrl = String(connection?.store_url || '').trim().replace(/\/+$/, '');
+  if (!storeUrl || !connection?.consumer_key || !connection?.consumer_secret) {
+    throw new Error('WooCommerce connection requires store_url, consumer_key and consumer_secret');
+  }
+
+  const url = `${storeUrl}/wp-json/wc/v3/orders`;
+  const auth = { username: connection.consumer_key, password: connection.consumer_secret };
+  const orders = [];
+
+  console.log('Fetching WooCommerce orders:', { storeUrl, from, to });
+
+  try {
+    for (let page = 1; page <= MAX_PAGES; page++) {
+      const response = await axios.get(url, {
+        auth,
+        params: {
+          after: `${from}T00:00:00`,
+          before: `${to}T23:59:59`,
+          per_page: PER_PAGE,
+          page,
+          orderby: 'date',
+          order: 'asc'
+        },
+        timeout: 30000
+      });
+
+      const batch = Array.isArray(response.data) ? response.data : [];
+      orders.push(...batch);
+
+      const totalPages = parseInt(response.headers?.['x-wp-totalpages'] || '1');
+      if (page >= totalPages || batch.length < PER_PAGE) break;
+    }
+  } catch (error) {
+    console.error('WooCommerce Service - Error fetching orders:', {
+      storeUrl,
+      message: error.message,
+      status: error.response?.status,
+      response: error.response?.data
+    });
+    if (error.response) {
+      throw new Error(`WooCommerce API error (${error.response.status}): ${JSON.stringify(error.response.data)}`);
+    }
+    throw error;
+  }
+
+  console.log(`Found ${orders.length} WooCommerce orders`);
+  return orders;
+};
+
+/**
+ * Maps raw WooCommerce orders to canonical sales records (see services/sales-service.js)
+ * @param {Array} orders - Raw WooCommerce orders
+ * @param {Object} connection - WooCommerce connection (currency fallback)
+ * @returns {Array} Canonical sales records
+ */
+const toSalesRecords = (orders, connection = {}) => {
+  return (orders || [])
+    .filter(order => !EXCLUDED_STATUSES.includes(order.status))
+    .map(order => {
+      const revenue = parseFloat(order.total || 0);
+      // Refund totals are negative strings, e.g. "-5.00"
+      let refundAmount = (order.refunds || []).reduce((sum, refund) => sum + Math.abs(parseFloat(refund.total || 0)), 0);
+      if (!refundAmount && ['refunded', 'cancelled'].includes(order.status)) {
+        refundAmount = revenue;
+      }
+
+      const lineItems = (order.line_items || []).map(item => ({
+        id: String(item.product_id || item.variation_id || item.name || 'unknown'),
+        name: item.name || 'Unknown Product',
+        category: 'Uncategorized',
+        categoryId: 'Uncategorized',
+        quantity: parseInt(item.quantity || 1),
+        total: parseFloat(item.total || 0)
+      }));
+
+      return {
+        id: String(order.id),
+        // date_created is store-local time, which is what the dashboards report in
+        date: String(order.date_created || order.date_created_gmt || '').slice(0, 10) || null,
+        orders: 1,
+        revenue,
+        items: lineItems.reduce((sum, item) => sum + item.quantity, 0),
+        refunds: refundAmount > 0 ? 1 : 0,
+        refundAmount,
+        channel: order.created_via || 'checkout',
+        currency: order.currency || connection.currency || null,
+        lineItems
+      };
+    });
+};
+
+module.exports = {
+  getWooCommerceOrders,
+  toSalesRecords
+};
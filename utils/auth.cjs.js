@@ -0,0 +1,213 @@
+/**
+ * Firebase ID-token authentication and brand/org authorization wrapper (CommonJS)
+ * - Verifies the `Authorization: Bearer <idToken>` header with the Admin SDK
+ * - Resolves the caller's `users/{uid}` record
+ * - Checks organization membership and `brandAccess` before the handler runs
+ * - Responds 401 (not authenticated) / 403 (not authorized) consistently
+ *
+ * Composes with withLogging:
+ *   module.exports = withLogging(withAuth(async (req, res) => { ... }));
+ *
+ * The handler receives `req.auth = { uid, token, user }` (null when optional
+ * auth is used and no token was sent).
+ *
+ * In-process calls made by trusted server code (see utils/invoke-handler.js,
+ * `internal: true`) skip the token check; they never come from a client.
+ *
+ * AUTH_MODE=report logs denials without blocking, for staged rollout.
+ * Runs against the Firebase emulators when FIRESTORE_EMULATOR_HOST and
+ * FIREBASE_AUTH_EMULATOR_HOST are set (see scripts/test-auth-emulator.js).
+ */
+
+const admin = require('firebase-admin');
+const { extractIds } = require('./logging.cjs.js');
+const { createCache } = require('../services/cache-service');
+const { getDb } = require('./firestore-utils');
+
+// Roles that grant access to every brand in the user's organization
+const ORG_WIDE_ROLES = ['owner', 'admin'];
+
+// Short-lived lookups so a burst of dashboard calls does not re-read Firestore
+const ACCESS_CACHE = createCache('auth', { ttl: 60 * 1000, backend: 'memory' });
+
+function getBearerToken(req) {
+  const header = req.headers?.authorization || req.headers?.Authorization || '';
+  const match = /^Bearer\s+(.+)$/i.exec(String(header).trim());
+  return match ? match[1].trim() : null;
+}
+
+async function cachedLookup(key, loader) {
+  const cached = await ACCESS_CACHE.get(key);
+  if (cached && !cached.expired) return cached.value;
+  const value = await loader();
+  await ACCESS_CACHE.set(key, value);
+  return value;
+}
+
+async function getUserRecord(uid) {
+  return cachedLookup(`user:${uid}`, async () => {
+    const snap = await getDb().collection('users').doc(uid).get();
+    return snap.exists ? { uid: snap.id, ...snap.data() } : null;
+  });
+}
+
+async function getOrgRecord(organizationId) {
+  return cachedLookup(`org:${organizationId}`, async () => {
+    const snap = await getDb().collection('orgs').doc(organizationId).get();
+    return snap.exists ? { id: snap.id, ...snap.data() } : null;
+  });
+}
+
+async function getBrandRecord(brandId) {
+  return cachedLookup(`brand:${brandId}`, async () => {
+    const snap = await getDb().collection('brands').doc(brandId).get();
+    return snap.exists ? { id: snap.id, organizationId: snap.data().organizationId || null } : null;
+  });
+}
+
+async function hasActiveBrandAccess(uid, brandId) {
+  return cachedLookup(`brandAccess:${uid}:${brandId}`, async () => {
+    const snap = await getDb().collection('brandAccess')
+      .where('userId', '==', uid)
+      .where('brandId', '==', brandId)
+      .where('status', '==', 'Active')
+      .limit(1)
+      .get();
+    return !snap.empty;
+  });
+}
+
+function hasOrgWideRole(user) {
+  return ORG_WIDE_ROLES.includes(String(user?.role || '').toLowerCase());
+}
+
+/**
+ * Checks that the user belongs to (or created) the organization
+ * @param {Object} user - users/{uid} record
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<string|null>} Denial reason, or null when allowed
+ */
+async function checkOrgMembership(user, organizationId) {
+  if (user.organizationId === organizationId) return null;
+
+  const org = await getOrgRecord(organizationId);
+  if (!org) return 'Organization not found';
+  if (org.createdBy === user.uid) return null;
+
+  return 'User is not a member of this organization';
+}
+
+/**
+ * Checks brand access: org owners/admins see every brand in their org,
+ * everyone else needs an Active brandAccess record
+ * @param {Object} user - users/{uid} record
+ * @param {string} brandId - Brand ID
+ * @returns {Promise<string|null>} Denial reason, or null when allowed
+ */
+async function checkBrandAccess(user, brandId) {
+  const brand = await getBrandRecord(brandId);
+  if (!brand) return 'Brand not found';
+
+  if (brand.organizationId && brand.organizationId === user.organizationId && hasOrgWideRole(user)) {
+    return null;
+  }
+  if (await hasActiveBrandAccess(user.uid, brandId)) return null;
+
+  // Organization creators keep access to their brands even without a role set
+  if (brand.organizationId) {
+    const org = await getOrgRecord(brand.organizationId);
+    if (org && org.createdBy === user.uid) return null;
+  }
+
+  return 'User does not have access to this brand';
+}
+
+function deny(res, status, message) {
+  return res.status(status).json({
+    error: status === 401 ? 'Unauthorized' : 'Forbidden',
+    message,
+    success: false
+  });
+}
+
+/**
+ * Wraps a handler with ID-token authentication and brand/org authorization
+ * @param {Function} handler - (req, res) handler
+ * @param {Object} options - Wrapper options
+ * @param {string[]} options.methods - Only enforce for these methods (default: all except OPTIONS)
+ * @param {boolean} options.optional - Let requests without a token through with req.auth = null
+ * @param {boolean} options.matchUserId - Reject when a userId/createdBy param differs from the token uid
+ * @returns {Function} Wrapped handler
+ */
+function withAuth(handler, options = {}) {
+  const { methods = null, optional = false, matchUserId = false } = options;
+
+  return async function authHandler(req, res) {
+    const method = String(req.method || '').toUpperCase();
+    req.auth = null;
+
+    if (method === 'OPTIONS' || (methods && !methods.includes(method))) {
+      return handler(req, res);
+    }
+
+    if (req.internal === true) {
+      return handler(req, res);
+    }
+
+    const reportOnly = process.env.AUTH_MODE === 'report';
+    const fail = (status, message) => {
+      console.warn('[AUTH] Request denied:', { method, url: req.url, status, message, reportOnly });
+      if (reportOnly) return handler(req, res);
+      return deny(res, status, message);
+    };
+
+    const idToken = getBearerToken(req);
+    if (!idToken) {
+      if (optional) return handler(req, res);
+      return fail(401, 'Missing Authorization bearer token');
+    }
+
+    let decoded;
+    try {
+      decoded = await admin.auth().verifyIdToken(idToken);
+    } catch (error) {
+      return fail(401, `Invalid or expired ID token: ${error.code || error.message}`);
+    }
+
+    try {
+      const user = await getUserRecord(decoded.uid);
+      if (!user) return fail(403, 'No user record for authenticated uid');
+      if (String(user.status || '').toLowerCase() === 'disabled') {
+        return fail(403, 'User account is disabled');
+      }
+
+      req.auth = { uid: decoded.uid, token: decoded, user };
+
+      const { organizationId, brandId, userId } = extractIds(req);
+
+      if (matchUserId) {
+        const claimed = userId || req.body?.createdBy;
+        if (claimed && claimed !== decoded.uid) {
+          return fail(403, 'userId does not match the authenticated user');
+        }
+      }
+
+      if (organizationId) {
+        const reason = await checkOrgMembership(user, organizationId);
+        if (reason) return fail(403, reason);
+      }
+
+      if (brandId) {
+        const reason = await checkBrandAccess(user, brandId);
+        if (reason) return fail(403, reason);
+      }
+    } catch (error) {
+      console.error('[AUTH] Authorization lookup failed:', error.message);
+      return res.status(500).json({ error: 'Internal server error', message: 'Authorization check failed', success: false });
+    }
+
+    return handler(req, res);
+  };
+}
+
+module.exports = { withAuth, getBearerToken, checkBrandAccess, checkOrgMembership };
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Helpers for fanning work out within a serverless time limit
+ * @module utils/batch-utils
+ */
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * Runs `handler` over `items` a batch at a time, stopping once the time budget is spent
+ * @param {Array} items - Items to process
+ * @param {number} batchSize - Items processed concurrently
+ * @param {Function} handler - async (item) => result
+ * @param {number} [startTime] - Epoch ms the budget is measured from
+ * @param {number} [maxMs] - Time budget in ms; no new batch starts once it is spent
+ * @returns {Promise<Array>} Results for the items processed (a prefix of `items`)
+ */
+const processInBatches = async (items, batchSize, handler, startTime, maxMs) => {
+  const results = [];
+  for (let i = 0; i < items.length; i += batchSize) {
+    if (startTime && maxMs && (Date.now() - startTime > maxMs)) {
+      break; // stop early and return partial results
+    }
+    const batch = items.slice(i, i + batchSize);
+    const res = await Promise.all(batch.map(handler));
+    results.push(...res);
+    // small pause to avoid bursts
+    await sleep(50);
+  }
+  return results;
+};
+
+/**
+ * Rejects when `promise` has not settled within `ms`. The underlying work is not
+ * cancelled; the caller just stops waiting for it
+ * @param {Promise} promise - Work to wait for
+ * @param {number} ms - Timeout in ms
+ * @param {string} [label='operation'] - Used in the timeout error message
+ * @returns {Promise} Resolves or rejects with `promise`, or rejects with a timeout error
+ */
+const withTimeout = (promise, ms, label = 'operation') => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timeout after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+module.exports = {
+  processInBatches,
+  withTimeout
+};
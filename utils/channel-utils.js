@@ -0,0 +1,38 @@
+/**
+ * @fileoverview GA4 channel group helpers shared by the analytics endpoints
+ * @module utils/channel-utils
+ */
+
+// GA4 default channel groups to API field names - exact mapping to match GA4 reports
+const CHANNEL_MAPPING = {
+  'organic search': 'organic_search',
+  'paid search': 'paid_search',
+  'organic social': 'organic_social',
+  'paid social': 'paid_social',
+  'direct': 'direct',
+  'email': 'email',
+  'affiliates': 'affiliate',
+  'display': 'display',
+  'video': 'video',
+  'referral': 'referral',
+  'unassigned': 'unassigned',
+  'paid other': 'paid_other',
+  '(other)': 'referral'
+};
+
+/**
+ * Maps a GA4 default channel group (e.g. sessionDefaultChannelGroup) to its API field name
+ * @param {string} channelGroup - GA4 channel group, e.g. "Organic Search"
+ * @returns {string} API channel, e.g. "organic_search". Unknown groups fall back to "referral"
+ */
+const mapChannelGroupToCategory = (channelGroup) => {
+  if (!channelGroup) {
+    return 'unassigned';
+  }
+
+  return CHANNEL_MAPPING[channelGroup.toLowerCase()] || 'referral';
+};
+
+module.exports = {
+  mapChannelGroupToCategory
+};
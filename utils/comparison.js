@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Period-over-period comparison for analytics endpoints
+ * @module utils/comparison
+ *
+ * withComparison() wraps an endpoint handler so `?compare=previous_period|previous_year`
+ * runs the handler for both the requested window and the matching baseline
+ * window, then attaches absolute and percentage deltas:
+ *
+ *   {
+ *     ...currentResponse,
+ *     comparison: {
+ *       mode, current: { from, to }, baseline: { from, to },
+ *       totals: { <field>: { baseline, absolute, percent }, ... },
+ *       dailyData: [{ date, baselineDate, deltas: { ... } }]   // endpoints with a daily series
+ *     }
+ *   }
+ *
+ * `percent` is null when the baseline is 0.
+ */
+
+const { getDefaultDateRange, getComparisonRange, shiftDate } = require('./date-utils');
+const { invokeHandler } = require('./invoke-handler');
+
+const COMPARE_MODES = ['previous_period', 'previous_year'];
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Computes the delta between two numbers
+ * @param {number} current - Current value
+ * @param {number} baseline - Baseline value
+ * @returns {{baseline: number, absolute: number, percent: number|null}}
+ */
+const computeDelta = (current, baseline = 0) => {
+  const base = typeof baseline === 'number' && isFinite(baseline) ? baseline : 0;
+  return {
+    baseline: base,
+    absolute: round2(current - base),
+    percent: base !== 0 ? round2(((current - base) / Math.abs(base)) * 100) : null
+  };
+};
+
+/**
+ * Recursively computes deltas for every numeric field of `current`
+ * (arrays and strings are skipped)
+ * @param {Object} current - Current values
+ * @param {Object} baseline - Baseline values with the same shape
+ * @param {string[]} [skipKeys] - Keys to ignore (e.g. 'date')
+ * @returns {Object} Same nesting as `current`, numbers replaced by deltas
+ */
+const computeDeltas = (current, baseline, skipKeys = []) => {
+  const deltas = {};
+  Object.entries(current || {}).forEach(([key, value]) => {
+    if (skipKeys.includes(key)) return;
+    const base = isPlainObject(baseline) ? baseline[key] : undefined;
+
+    if (typeof value === 'number' && isFinite(value)) {
+      deltas[key] = computeDelta(value, base);
+    } else if (isPlainObject(value)) {
+      const nested = computeDeltas(value, isPlainObject(base) ? base : {}, skipKeys);
+      if (Object.keys(nested).length > 0) deltas[key] = nested;
+    }
+  });
+  return deltas;
+};
+
+/**
+ * Pairs each current day with its baseline day and computes deltas
+ * @param {Array} currentDaily - Current daily series ({ date, ... })
+ * @param {Array} baselineDaily - Baseline daily series
+ * @param {Object} range - Comparison range
+ * @param {string} range.mode - Comparison mode
+ * @param {number} range.days - Length of the window in days
+ * @returns {Array} [{ date, baselineDate, deltas }]
+ */
+const alignDailySeries = (currentDaily, baselineDaily, { mode, days }) => {
+  // Daily dates come as YYYY-MM-DD or GA4-style YYYYMMDD
+  const toIso = (d) => (/^\d{8}$/.test(d) ? `${d.slice(0, 4)}-${d.slice(4, 6)}-${d.slice(6, 8)}` : d);
+  const fromIso = (iso, like) => (/^\d{8}$/.test(like) ? iso.replace(/-/g, '') : iso);
+
+  const baselineByDate = {};
+  (baselineDaily || []).forEach(day => {
+    baselineByDate[toIso(String(day.date))] = day;
+  });
+
+  return (currentDaily || []).map(day => {
+    const date = String(day.date);
+    const baselineIso = mode === 'previous_year'
+      ? shiftDate(toIso(date), -1, 'years')
+      : shiftDate(toIso(date), -days);
+
+    return {
+      date: day.date,
+      baselineDate: fromIso(baselineIso, date),
+      deltas: computeDeltas(day, baselineByDate[baselineIso] || {}, ['date'])
+    };
+  });
+};
+
+/**
+ * Adds `compare=previous_period|previous_year` support to an analytics handler
+ * @param {Function} handler - (req, res) handler that reads from/to from req.query
+ * @param {Object} options - Response layout
+ * @param {string|null} options.totalsKey - Key holding the totals (null = whole response body)
+ * @param {string|null} options.dailyKey - Key holding the daily series (null = none)
+ * @returns {Function} Wrapped handler
+ */
+const withComparison = (handler, { totalsKey = 'totals', dailyKey = null } = {}) => {
+  return async function comparisonHandler(req, res) {
+    const mode = req.query?.compare;
+    if (!mode || req.method === 'OPTIONS') {
+      return handler(req, res);
+    }
+
+    if (!COMPARE_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: 'Invalid compare mode',
+        message: `compare must be one of: ${COMPARE_MODES.join(', ')}`
+      });
+    }
+
+    const { compare, ...query } = req.query;
+    const { fromDate, toDate } = getDefaultDateRange(query.from, query.to);
+    const range = getComparisonRange(fromDate, toDate, mode);
+
+    console.log('Comparison - Fetching current and baseline windows:', {
+      url: req.url,
+      mode,
+      current: { from: fromDate, to: toDate },
+      baseline: { from: range.fromDate, to: range.toDate }
+    });
+
+    const run = (from, to) => invokeHandler(handler, {
+      method: req.method,
+      url: req.url,
+      query: { ...query, from, to },
+      body: req.body,
+      headers: req.headers,
+      auth: req.auth
+    });
+
+    const [current, baseline] = await Promise.allSettled([
+      run(fromDate, toDate),
+      run(range.fromDate, range.toDate)
+    ]);
+
+    if (current.status === 'rejected') {
+      throw current.reason;
+    }
+
+    const { statusCode, body, headers } = current.value;
+    Object.entries(headers).forEach(([key, value]) => res.setHeader(key, value));
+
+    if (statusCode !== 200 || !isPlainObject(body)) {
+      return res.status(statusCode).json(body);
+    }
+
+    const comparison = {
+      mode,
+      current: { from: fromDate, to: toDate },
+      baseline: { from: range.fromDate, to: range.toDate }
+    };
+
+    if (baseline.status === 'rejected' || baseline.value.statusCode !== 200 || !isPlainObject(baseline.value.body)) {
+      const reason = baseline.status === 'rejected' ? baseline.reason?.message : `Baseline responded with ${baseline.value.statusCode}`;
+      console.error('Comparison - Baseline window failed:', reason);
+      comparison.error = reason;
+      return res.status(200).json({ ...body, comparison });
+    }
+
+    const baselineBody = baseline.value.body;
+    const currentTotals = totalsKey ? body[totalsKey] : body;
+    const baselineTotals = totalsKey ? baselineBody[totalsKey] : baselineBody;
+    comparison.totals = computeDeltas(currentTotals, baselineTotals, dailyKey ? [dailyKey] : []);
+
+    if (dailyKey && Array.isArray(body[dailyKey])) {
+      comparison[dailyKey] = alignDailySeries(body[dailyKey], baselineBody[dailyKey], { mode, days: range.days });
+    }
+
+    return res.status(200).json({ ...body, comparison });
+  };
+};
+
+module.exports = {
+  COMPARE_MODES,
+  computeDelta,
+  computeDeltas,
+  alignDailySeries,
+  withComparison
+};
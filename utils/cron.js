@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Shared helpers for cron endpoints (the vercel.json crons and
+ * their manual POST triggers)
+ * @module utils/cron
+ *
+ * Cron endpoints require `Authorization: Bearer <CRON_SECRET>`. Vercel sends
+ * that header on its cron invocations once CRON_SECRET is configured for the
+ * project. Without CRON_SECRET every request is rejected: these endpoints send
+ * emails and spend paid API credits, so they must never run unauthenticated.
+ */
+
+const crypto = require('crypto');
+
+// Cron functions run with maxDuration 300; leave room for the last unit of work to finish
+const SWEEP_TIME_BUDGET_MS = 240 * 1000;
+
+/**
+ * Checks a request's cron credentials
+ * @param {Object} req - Request
+ * @returns {{status: number, error: string, message: string}|null} Rejection, or null when authorized
+ */
+const checkCronAuth = (req) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return { status: 503, error: 'Cron not configured', message: 'CRON_SECRET is not set' };
+  }
+
+  const header = req.headers?.authorization || req.headers?.Authorization || '';
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(String(header));
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return { status: 401, error: 'Unauthorized', message: 'Missing or invalid cron credentials' };
+  }
+
+  return null;
+};
+
+/**
+ * Rejects the request unless it carries valid cron credentials
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {boolean} True when authorized; otherwise the error response has been sent
+ */
+const requireCronAuth = (req, res) => {
+  const rejection = checkCronAuth(req);
+  if (!rejection) return true;
+
+  console.warn('Cron - Request rejected:', { url: req.url, reason: rejection.error });
+  res.status(rejection.status).json({ error: rejection.error, message: rejection.message });
+  return false;
+};
+
+module.exports = {
+  SWEEP_TIME_BUDGET_MS,
+  checkCronAuth,
+  requireCronAuth
+};
@@ -131,6 +131,36 @@ const convertObjectTimestamps = (obj, timestampFields, businessTimezone = null)
   return converted;
 };
 
+/**
+ * Shifts a YYYY-MM-DD date by a number of days or years (UTC)
+ * @param {string} dateStr - Date string in YYYY-MM-DD format
+ * @param {number} amount - Amount to shift by (negative for the past)
+ * @param {string} [unit] - 'days' or 'years' (Feb 29 maps to Feb 28)
+ * @returns {string} Shifted date in YYYY-MM-DD format
+ */
+const shiftDate = (dateStr, amount, unit = 'days') => {
+  return moment.utc(dateStr, 'YYYY-MM-DD').add(amount, unit).format('YYYY-MM-DD');
+};
+
+/**
+ * Computes the baseline window for a period-over-period comparison
+ * @param {string} fromDate - Current window start (YYYY-MM-DD)
+ * @param {string} toDate - Current window end (YYYY-MM-DD)
+ * @param {string} mode - 'previous_period' (same length, immediately before) or 'previous_year'
+ * @returns {{fromDate: string, toDate: string, days: number}} Baseline window
+ */
+const getComparisonRange = (fromDate, toDate, mode) => {
+  const days = moment.utc(toDate, 'YYYY-MM-DD').diff(moment.utc(fromDate, 'YYYY-MM-DD'), 'days') + 1;
+
+  if (mode === 'previous_year') {
+    return { fromDate: shiftDate(fromDate, -1, 'years'), toDate: shiftDate(toDate, -1, 'years'), days };
+  }
+  if (mode === 'previous_period') {
+    return { fromDate: shiftDate(fromDate, -days), toDate: shiftDate(fromDate, -1), days };
+  }
+  throw new Error(`Unsupported comparison mode: ${mode}`);
+};
+
 module.exports = {
   getDefaultDateRange,
   parseDate,
@@ -138,5 +168,7 @@ module.exports = {
   getBusinessTimezone,
   convertToBusinessTimezone,
   convertDateToBusinessTimezone,
-  convertObjectTimestamps
+  convertObjectTimestamps,
+  shiftDate,
+  getComparisonRange
 };
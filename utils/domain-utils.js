@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Domain helpers for SEO endpoints (rank tracking, competitor gap, content plans)
+ * @module utils/domain-utils
+ */
+
+/**
+ * Normalizes a domain or URL to a bare host: lowercased, without protocol,
+ * path, port or leading "www."
+ * @param {string} value - Domain or URL (e.g. "https://www.example.com/shop")
+ * @returns {string|null} Host (e.g. "example.com"), or null if it is not a domain name
+ */
+const toDomain = (value) => {
+  const host = String(value || '').trim().toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .split(/[/?#:]/)[0]
+    .replace(/^www\./, '');
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host) ? host : null;
+};
+
+/**
+ * Checks whether a host belongs to a domain (the domain itself or a subdomain)
+ * @param {string} host - Host to check (normalized with toDomain)
+ * @param {string} domain - Domain (normalized with toDomain)
+ * @returns {boolean}
+ */
+const isSameSite = (host, domain) => Boolean(host && domain) && (host === domain || host.endsWith(`.${domain}`));
+
+module.exports = {
+  toDomain,
+  isSameSite
+};
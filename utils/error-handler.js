@@ -22,4 +22,16 @@ exports.handleApiError = (error, res, fallbackResponse) => {
 
   // For other errors, return fallback response
   return res.status(200).json(fallbackResponse);
+};
+
+/**
+ * Builds a factory for validation errors tagged with `code`, which API
+ * handlers map to a 400
+ * @param {string} code - Error code, e.g. 'INVALID_SCHEDULE'
+ * @returns {function(string): Error} Creates an Error with `code` set
+ */
+exports.codedError = (code) => (message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
 };
\ No newline at end of file
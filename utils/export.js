@@ -0,0 +1,233 @@
+/**
+ * @fileoverview CSV / XLSX export for analytics endpoints
+ * @module utils/export
+ *
+ * withExport() wraps an endpoint handler so `?format=csv|xlsx` runs the handler
+ * as usual, takes one array out of its JSON response (the "dataset", e.g.
+ * dailyData or a campaign list), flattens each row and streams it back as a
+ * file download instead of JSON:
+ *
+ *   GET /api/overview?brandId=...&format=csv                  -> overview-daily-<from>_<to>.csv
+ *   GET /api/meta-ads?brandId=...&format=xlsx&dataset=campaigns
+ *
+ * Nested objects become columns named after their path ("Visitors - Organic
+ * Search"), arrays of plain values are joined with "; " and arrays of objects
+ * are left out. Without `format` the handler's JSON response is unchanged.
+ */
+
+const { invokeHandler } = require('./invoke-handler');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Rows written per res.write() call when streaming CSV
+const CSV_CHUNK_ROWS = 500;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Flattens a nested row into path-keyed cells
+ * @param {Object} row - Row object
+ * @param {string[]} [prefix] - Path of the parent object
+ * @param {Object} [out] - Accumulator
+ * @returns {Object} { 'visitors.total': 10, ... }
+ */
+const flattenRow = (row, prefix = [], out = {}) => {
+  Object.entries(row || {}).forEach(([key, value]) => {
+    const path = [...prefix, key];
+    if (isPlainObject(value)) {
+      flattenRow(value, path, out);
+    } else if (Array.isArray(value)) {
+      if (value.every(item => !isPlainObject(item) && !Array.isArray(item))) {
+        out[path.join('.')] = value.join('; ');
+      }
+    } else {
+      out[path.join('.')] = value;
+    }
+  });
+  return out;
+};
+
+/**
+ * Turns a flattened key into a column header
+ * ('meta_ads.averageOrderValue' -> 'Meta Ads - Average Order Value')
+ * @param {string} key - Flattened key
+ * @returns {string} Header label
+ */
+const humanizeKey = (key) => key
+  .split('.')
+  .map(segment => segment
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/[_-]+/g, ' ')
+    .trim()
+    .replace(/\b\w/g, c => c.toUpperCase())
+    .replace(/\b(Id|Url|Cpc|Cpm|Ctr|Roas|Aov)\b/g, word => word.toUpperCase()))
+  .join(' - ');
+
+/**
+ * Builds a table from a list of row objects
+ * @param {Array} rows - Row objects (nested allowed)
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.columns] - Flattened keys to put first, in this order
+ * @returns {{columns: Array<{key: string, header: string}>, rows: Object[]}}
+ */
+const toTable = (rows, { columns = [] } = {}) => {
+  const flatRows = (rows || []).map(row => (isPlainObject(row) ? flattenRow(row) : { value: row }));
+
+  // Preferred columns first, then the rest in first-seen order
+  const keys = columns.slice();
+  flatRows.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!keys.includes(key)) keys.push(key);
+    });
+  });
+
+  return {
+    columns: keys.map(key => ({ key, header: humanizeKey(key) })),
+    rows: flatRows
+  };
+};
+
+/**
+ * Formats one CSV cell (RFC 4180 quoting). Text starting with = + - @ is
+ * prefixed with ' so spreadsheets do not evaluate it as a formula.
+ * @param {any} value - Cell value
+ * @returns {string} CSV cell
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Streams a table as CSV
+ * @param {Object} res - Response object
+ * @param {Object} table - Output of toTable
+ */
+const writeCsv = (res, table) => {
+  const keys = table.columns.map(column => column.key);
+  // BOM so Excel opens UTF-8 correctly
+  res.write(`\uFEFF${table.columns.map(column => toCsvCell(column.header)).join(',')}\r\n`);
+
+  for (let i = 0; i < table.rows.length; i += CSV_CHUNK_ROWS) {
+    const chunk = table.rows.slice(i, i + CSV_CHUNK_ROWS)
+      .map(row => keys.map(key => toCsvCell(row[key])).join(',') + '\r\n')
+      .join('');
+    res.write(chunk);
+  }
+  res.end();
+};
+
+/**
+ * Streams a table as an XLSX workbook with a single sheet
+ * @param {Object} res - Response object
+ * @param {Object} table - Output of toTable
+ * @param {string} sheetName - Worksheet name
+ */
+const writeXlsx = async (res, table, sheetName) => {
+  // Lazy require: exceljs is only needed for XLSX downloads
+  const ExcelJS = require('exceljs');
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName.slice(0, 31));
+
+  sheet.columns = table.columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: Math.min(Math.max(column.header.length + 2, 12), 50)
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  table.rows.forEach(row => sheet.addRow(row).commit());
+  sheet.commit();
+  await workbook.commit();
+};
+
+/**
+ * Adds `format=csv|xlsx` downloads to an endpoint handler
+ * @param {Function} handler - (req, res) handler that responds with JSON
+ * @param {Object} options - Export options
+ * @param {string} options.name - File name prefix (e.g. 'overview')
+ * @param {Object} options.datasets - { <dataset>: { rows: (body) => Array, columns?: string[] } }
+ * @param {string} [options.defaultDataset] - Dataset used when `dataset` is not passed (default: first)
+ * @returns {Function} Wrapped handler
+ */
+const withExport = (handler, { name, datasets, defaultDataset = null }) => {
+  const datasetNames = Object.keys(datasets);
+
+  return async function exportHandler(req, res) {
+    const format = req.query?.format;
+    if (!format || req.method === 'OPTIONS') {
+      return handler(req, res);
+    }
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid export format',
+        message: `format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const { format: _format, dataset: requestedDataset, ...query } = req.query;
+    const datasetName = requestedDataset || defaultDataset || datasetNames[0];
+    const dataset = datasets[datasetName];
+    if (!dataset) {
+      return res.status(400).json({
+        error: 'Invalid dataset',
+        message: `dataset must be one of: ${datasetNames.join(', ')}`
+      });
+    }
+
+    const { statusCode, body, headers } = await invokeHandler(handler, {
+      method: req.method,
+      url: req.url,
+      query,
+      body: req.body,
+      headers: req.headers,
+      auth: req.auth
+    });
+
+    // Errors (and anything that is not JSON) go back unchanged
+    if (statusCode !== 200 || !isPlainObject(body)) {
+      Object.entries(headers).forEach(([key, value]) => res.setHeader(key, value));
+      return res.status(statusCode).json(body);
+    }
+
+    // Round-trip through JSON so rows match what the JSON response would contain
+    const rows = dataset.rows(JSON.parse(JSON.stringify(body))) || [];
+    const table = toTable(Array.isArray(rows) ? rows : [], { columns: dataset.columns });
+
+    const range = query.from || query.to ? `-${query.from || ''}_${query.to || ''}` : '';
+    const filename = `${name}-${datasetName}${range}.${format}`.replace(/[^\w.-]+/g, '_');
+
+    console.log('Export - Sending file:', { url: req.url, format, dataset: datasetName, rows: table.rows.length, columns: table.columns.length });
+
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.statusCode = 200;
+
+    if (format === 'csv') {
+      return writeCsv(res, table);
+    }
+    return writeXlsx(res, table, `${name} ${datasetName}`);
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  flattenRow,
+  humanizeKey,
+  toTable,
+  toCsvCell,
+  withExport
+};
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Firestore access and Timestamp conversion helpers shared across services
+ * @module utils/firestore-utils
+ */
+
+/**
+ * Returns the Firestore instance
+ *
+ * Required lazily: firebase-service initializes the Admin SDK on load, so
+ * modules that only need Firestore inside their functions stay cheap to load
+ * (and to test) without credentials.
+ * @returns {FirebaseFirestore.Firestore} Firestore instance
+ */
+const getDb = () => require('../services/firebase-service').db;
+
+/**
+ * Converts a Firestore Timestamp, epoch ms or ISO string to an ISO string
+ * @param {*} v - Stored value
+ * @returns {string|null} ISO timestamp, or null when unset
+ */
+const toIso = (v) => {
+  if (v && typeof v.toDate === 'function') return v.toDate().toISOString();
+  if (typeof v === 'number') return new Date(v).toISOString();
+  return v || null;
+};
+
+/**
+ * Converts a Firestore Timestamp, Date or epoch ms to epoch ms
+ * @param {*} v - Stored value
+ * @returns {number} Epoch ms, or 0 when unset
+ */
+const toMillis = (v) => {
+  if (v && typeof v.toMillis === 'function') return v.toMillis();
+  if (v instanceof Date) return v.getTime();
+  return typeof v === 'number' ? v : 0;
+};
+
+module.exports = {
+  getDb,
+  toIso,
+  toMillis
+};
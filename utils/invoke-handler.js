@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Runs an API handler in-process and captures its response
+ * @module utils/invoke-handler
+ *
+ * Used where one endpoint reuses another endpoint's full logic (job worker,
+ * period comparisons, digests) without an HTTP round trip.
+ */
+
+/**
+ * Minimal response object that captures what a handler sends
+ * @returns {Object} Mock response with captured statusCode/body/headers
+ */
+const createCaptureResponse = () => {
+  const res = { statusCode: 200, body: undefined, headers: {}, headersSent: false };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; res.headersSent = true; return res; };
+  res.send = (body) => { res.body = body; res.headersSent = true; return res; };
+  res.end = () => { res.headersSent = true; return res; };
+  res.setHeader = (key, value) => { res.headers[key] = value; };
+  res.getHeader = (key) => res.headers[key];
+  return res;
+};
+
+/**
+ * Invokes a (req, res) handler with a synthetic request
+ * @param {Function} handler - API handler
+ * @param {Object} request - Request fields
+ * @param {string} [request.method] - HTTP method (default GET)
+ * @param {string} [request.url] - Request URL (drives api_logs naming in withLogging)
+ * @param {Object} [request.query] - Query parameters
+ * @param {Object} [request.body] - Request body
+ * @param {Object} [request.headers] - Request headers
+ * @param {Object} [request.auth] - Pre-verified auth context (req.auth)
+ * @param {boolean} [request.internal] - Trusted server-side call (cron, worker); withAuth lets it through
+ * @returns {Promise<{statusCode: number, body: any, headers: Object}>} Captured response
+ */
+const invokeHandler = async (handler, { method = 'GET', url = '/', query = {}, body = {}, headers = {}, auth = null, internal = false } = {}) => {
+  const req = { method, url, query, body, headers, auth, internal };
+  const res = createCaptureResponse();
+  await handler(req, res);
+  return { statusCode: res.statusCode, body: res.body, headers: res.headers };
+};
+
+module.exports = {
+  createCaptureResponse,
+  invokeHandler
+};
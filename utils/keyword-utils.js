@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Keyword list helpers for SEO endpoints (rank tracking, content plans)
+ * @module utils/keyword-utils
+ */
+
+/**
+ * Parses a brand keyword list: `*` priority markers are stripped, blanks and
+ * duplicates (case-insensitive) dropped, and priority keywords moved first
+ * @param {Array} keywords - Brand keywords (e.g. ["shoes", "*red shoes"])
+ * @returns {Array<{keyword: string, isPriority: boolean}>}
+ */
+const parseKeywords = (keywords = []) => {
+  const seen = new Set();
+  const parsed = [];
+  (Array.isArray(keywords) ? keywords : []).forEach(value => {
+    const raw = String(value ?? '').trim();
+    const isPriority = raw.startsWith('*');
+    const keyword = (isPriority ? raw.substring(1) : raw).trim();
+    if (!keyword || seen.has(keyword.toLowerCase())) return;
+    seen.add(keyword.toLowerCase());
+    parsed.push({ keyword, isPriority });
+  });
+
+  return [
+    ...parsed.filter(k => k.isPriority),
+    ...parsed.filter(k => !k.isPriority)
+  ];
+};
+
+module.exports = {
+  parseKeywords
+};
@@ -119,6 +119,11 @@ function initFirestore() {
   try {
     if (!admin.apps.length) {
       const b64 = process.env.FIREBASE_ADMIN_CREDENTIALS;
+      if (!b64 && process.env.FIRESTORE_EMULATOR_HOST) {
+        admin.initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'demo-metrixmate' });
+        db = admin.firestore();
+        return;
+      }
       if (!b64) throw new Error('Missing FIREBASE_ADMIN_CREDENTIALS');
       const serviceAccount = JSON.parse(Buffer.from(b64, 'base64').toString('utf8'));
       admin.initializeApp({ credential: admin.credential.cert(serviceAccount), projectId: serviceAccount.project_id });
@@ -281,8 +286,36 @@ function extractIds(req) {
   return out;
 }
 
+/**
+ * Logs (and bills, per the rate card) an API run that happens outside a request,
+ * e.g. an audit started by a cron. Never throws.
+ * @param {string} api - Rate card / api_logs name (e.g. 'site-audit')
+ * @param {Object} ids - { organizationId, brandId, userId }
+ * @param {string} [method] - Method recorded in api_logs
+ * @param {number} [units=1] - Billable units in this entry (e.g. SERP lookups); credits are the rate times units
+ */
+async function logApiUsage(api, ids = {}, method = 'POST', units = 1) {
+  const payload = { method, api, createdAt: admin.firestore.FieldValue.serverTimestamp() };
+  ['organizationId', 'brandId', 'userId'].forEach(key => {
+    const v = normalizeId(ids[key]);
+    if (v) payload[key] = v;
+  });
+  if (units !== 1) payload.units = units;
+  const credits = getCredits(api);
+  if (credits !== undefined) payload.credits = credits * units;
+  await logToFirestoreSafe(payload);
+}
 
-function withLogging(handler) {
+/**
+ * Wraps a handler so each request is logged to api_logs and billed per the rate card
+ * @param {Function} handler - (req, res) handler
+ * @param {Object} [options]
+ * @param {boolean} [options.successOnly=false] - Only log (and bill) 2xx responses, for paid APIs
+ *   where rejected or failed requests must not cost credits
+ * @returns {Function} Wrapped handler
+ */
+function withLogging(handler, options = {}) {
+  const { successOnly = false } = options;
   return async function loggedHandler(req, res) {
     const api = getApiName(req);
     const method = String(req.method || '').toUpperCase();
@@ -293,7 +326,9 @@ function withLogging(handler) {
       'users',
       'billing/balance',
       'billing/ingest',
-      'billing'
+      'billing',
+      // Job runs are logged (and billed) under their own API by the worker
+      'jobs'
     ];
     const isApiSkipped = skipApis.some(skipApi =>
       api === skipApi || api.startsWith(skipApi + '/')
@@ -333,7 +368,8 @@ function withLogging(handler) {
     // Override res.json to log before sending response
     res.json = async function(data) {
       // Log before sending response (only for successful responses or if not skippable)
-      if (!isSkippable && !preLogged && statusCode < 500) {
+      const billable = successOnly ? statusCode >= 200 && statusCode < 300 : statusCode < 500;
+      if (!isSkippable && !preLogged && billable) {
         const ids = extractIds(req);
         const credits = getCredits(api);
         const payload = {
@@ -370,7 +406,7 @@ function withLogging(handler) {
       await handler(req, res);
     } catch (err) {
       // Also log an entry even if it errors
-      if (!isSkippable && !preLogged) {
+      if (!isSkippable && !preLogged && !successOnly) {
         const ids = extractIds(req);
         const credits = getCredits(api);
         const payload = {
@@ -390,5 +426,5 @@ function withLogging(handler) {
   };
 }
 
-module.exports = { withLogging };
+module.exports = { withLogging, extractIds, logApiUsage };
 
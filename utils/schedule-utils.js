@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Recurring schedule timing shared by Firestore-backed schedules
+ * (report digests, site audits)
+ * @module utils/schedule-utils
+ *
+ * A schedule runs daily, weekly (on dayOfWeek) or monthly (on dayOfMonth) at a
+ * local hour in its timezone.
+ */
+
+const moment = require('moment-timezone');
+const { getBusinessTimezone } = require('./date-utils');
+const { codedError } = require('./error-handler');
+
+const SCHEDULE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+const DEFAULT_HOUR = 8; // 08:00 local time
+const DEFAULT_DAY_OF_WEEK = 1; // Monday
+
+const invalidSchedule = codedError('INVALID_SCHEDULE');
+
+/**
+ * Validates the timing fields of a schedule and fills in defaults
+ * @param {Object} fields - { frequency, dayOfWeek, dayOfMonth, hour, timezone }
+ * @param {Object} [defaults] - Defaults for omitted fields
+ * @param {string} [defaults.frequency='weekly'] - Default frequency
+ * @param {number} [defaults.hour=8] - Default local hour
+ * @returns {{frequency: string, dayOfWeek: number|null, dayOfMonth: number|null, hour: number, timezone: string}}
+ * @throws {Error} With `code = 'INVALID_SCHEDULE'` on bad input
+ */
+const normalizeScheduleTiming = (fields = {}, { frequency: defaultFrequency = 'weekly', hour: defaultHour = DEFAULT_HOUR } = {}) => {
+  const frequency = fields.frequency || defaultFrequency;
+  if (!SCHEDULE_FREQUENCIES.includes(frequency)) {
+    throw invalidSchedule(`frequency must be one of: ${SCHEDULE_FREQUENCIES.join(', ')}`);
+  }
+
+  const hour = fields.hour === undefined || fields.hour === null ? defaultHour : parseInt(fields.hour);
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) throw invalidSchedule('hour must be an integer from 0 to 23');
+
+  const timezone = fields.timezone || getBusinessTimezone();
+  if (!moment.tz.zone(timezone)) throw invalidSchedule(`Unknown timezone: ${timezone}`);
+
+  let dayOfWeek = null;
+  if (frequency === 'weekly') {
+    dayOfWeek = fields.dayOfWeek === undefined || fields.dayOfWeek === null ? DEFAULT_DAY_OF_WEEK : parseInt(fields.dayOfWeek);
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      throw invalidSchedule('dayOfWeek must be an integer from 0 (Sunday) to 6 (Saturday)');
+    }
+  }
+
+  let dayOfMonth = null;
+  if (frequency === 'monthly') {
+    dayOfMonth = fields.dayOfMonth === undefined || fields.dayOfMonth === null ? 1 : parseInt(fields.dayOfMonth);
+    // Capped at 28 so every month has the day
+    if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 28) {
+      throw invalidSchedule('dayOfMonth must be an integer from 1 to 28');
+    }
+  }
+
+  return { frequency, dayOfWeek, dayOfMonth, hour, timezone };
+};
+
+/**
+ * Computes the next run time strictly after `after`
+ * @param {Object} schedule - Normalized schedule (frequency, dayOfWeek, dayOfMonth, hour, timezone)
+ * @param {number} [after] - Epoch ms (default now)
+ * @returns {number} Next run time in epoch ms
+ */
+const computeNextRunAt = (schedule, after = Date.now()) => {
+  const now = moment.tz(after, schedule.timezone);
+  const candidate = now.clone().startOf('day').hour(schedule.hour);
+
+  if (schedule.frequency === 'weekly') {
+    candidate.day(schedule.dayOfWeek);
+    if (!candidate.isAfter(now)) candidate.add(1, 'week');
+  } else if (schedule.frequency === 'monthly') {
+    candidate.date(schedule.dayOfMonth);
+    if (!candidate.isAfter(now)) candidate.add(1, 'month').date(schedule.dayOfMonth);
+  } else if (!candidate.isAfter(now)) {
+    candidate.add(1, 'day');
+  }
+
+  return candidate.valueOf();
+};
+
+module.exports = {
+  SCHEDULE_FREQUENCIES,
+  invalidSchedule,
+  normalizeScheduleTiming,
+  computeNextRunAt
+};